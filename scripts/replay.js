@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded matchmaking session.
+ *
+ * Takes an arrival log (as exported by GET /api/admin/arrivals) and re-runs the
+ * engine's pairing rules on a simulated clock, without Redis or the database.
+ * With the same session seed and settings it produces the same pairings, the
+ * same AI opponents and the same AI answers, so a session can be audited or
+ * reported exactly.
+ *
+ * Usage:
+ *   node scripts/replay.js arrivals.json [--seed <seed>] [--questions 10] [--difficulty 5]
+ *
+ * Assumptions:
+ * - Every proposed match is accepted (no-shows are not in the arrival log)
+ * - Pairing happens on arrival and on every matcher tick, as on the leader instance
+ * - Opponent history starts empty unless arrivals carry an `opponentHistory` map
+ * - Participants whose treatment group never plays AI are reported as unmatched if no
+ *   human is found within HUMAN_SEARCH_TIMEOUT_MS of the last arrival
+ */
+import { readFileSync } from 'fs';
+import { config } from '../src/config/index.js';
+import MatchmakingEngine from '../src/services/MatchmakingEngine.js';
+import AIOpponentService from '../src/services/AIOpponentService.js';
+import { computeBatchPairing } from '../src/utils/batchPairing.js';
+import { formGroup, formGroups } from '../src/utils/groupFormation.js';
+import { getPairingRule, getGroupPairingRule, PAIRING_RULES } from '../src/utils/pairingRules.js';
+import { deriveSeed, toSeed } from '../src/utils/random.js';
+import { getAIFallbackDeadline } from '../src/utils/aiFallbackPolicy.js';
+
+const parseArgs = (argv) => {
+  const args = { file: null, seed: null, questions: 10, difficulty: 5 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--seed') args.seed = argv[++i];
+    else if (argv[i] === '--questions') args.questions = parseInt(argv[++i]);
+    else if (argv[i] === '--difficulty') args.difficulty = parseInt(argv[++i]);
+    else args.file = argv[i];
+  }
+
+  return args;
+};
+
+/**
+ * Accept the admin export ({ success, data }), a bare { sessionSeed, arrivals } or an array
+ */
+const loadArrivalLog = (file) => {
+  const parsed = JSON.parse(readFileSync(file, 'utf8'));
+  const log = parsed.data || parsed;
+  return Array.isArray(log) ? { sessionSeed: null, arrivals: log } : log;
+};
+
+const replay = (arrivals, sessionSeed, options) => {
+  const engine = MatchmakingEngine;
+  const { searchIntervalMs, humanSearchTimeoutMs, minSearchAttempts, pairingMode, batch } = config.matchmaking;
+
+  const pending = [...arrivals].sort((a, b) => a.arrivedAt - b.arrivedAt);
+  const queue = []; // Queue entries in arrival order
+  const searches = new Map(); // participantId -> { deadline, attempts }
+  const histories = {};
+  const matches = [];
+
+  const removeFromQueue = (ids) => {
+    for (const id of ids) {
+      const index = queue.findIndex(entry => entry.participantId === id);
+      if (index !== -1) queue.splice(index, 1);
+      searches.delete(id);
+    }
+  };
+
+  const recordOpponents = (ids) => {
+    for (const a of ids) {
+      for (const b of ids) {
+        if (a === b) continue;
+        histories[a] = histories[a] || {};
+        histories[a][b] = (histories[a][b] || 0) + 1;
+      }
+    }
+  };
+
+  const simulateAI = (aiSettings) => Array.from({ length: options.questions }, (_, i) =>
+    AIOpponentService.simulateAIResponse(aiSettings, i + 1, options.difficulty)
+  );
+
+  const createHumanMatch = (members, now) => {
+    const roundNumber = members[0].roundNumber;
+    const ids = members.map(m => m.participantId);
+    removeFromQueue(ids);
+    recordOpponents(ids);
+
+    matches.push({
+      type: members.length > 2 ? 'group' : 'human',
+      roundNumber,
+      participants: ids,
+      pairingRule: members.length > 2
+        ? getGroupPairingRule(members.map(m => m.treatmentGroup))
+        : getPairingRule(members[0].treatmentGroup, members[1].treatmentGroup),
+      rngSeed: engine.getMatchSeed(members, roundNumber),
+      matchedAt: now
+    });
+  };
+
+  const createFallbackMatch = (entry, now) => {
+    const { policy } = engine.getAIFallbackPolicy(entry);
+    if (policy === 'never') return;
+
+    const groupSize = engine.getGroupSize(entry.studyId);
+    const { roundNumber } = entry;
+
+    if (groupSize <= 2) {
+      removeFromQueue([entry.participantId]);
+      const seed = engine.getMatchSeed([entry], roundNumber);
+      const aiMatch = AIOpponentService.createAIMatch(entry.participantId, roundNumber, entry.skillLevel, seed);
+      const aiSettings = JSON.parse(aiMatch.aiSettings);
+
+      matches.push({
+        type: 'ai',
+        roundNumber,
+        participants: [entry.participantId],
+        pairingRule: PAIRING_RULES.AI_OPPONENT,
+        rngSeed: seed,
+        matchedAt: now,
+        ai: [{ opponent: JSON.parse(aiMatch.opponent), responses: simulateAI(aiSettings) }]
+      });
+      return;
+    }
+
+    // Group: whoever compatible is waiting, plus AI for the empty seats
+    const waiting = queue.filter(p => p.participantId !== entry.participantId && engine.inSamePool(entry, p));
+    const candidates = policy === 'immediate' ? [] : engine.rankGroupCandidates(entry, waiting, histories, now);
+    const members = formGroup(entry, candidates, groupSize, (a, b) => engine.canShareMatch(a, b, histories, now));
+    const ids = members.map(m => m.participantId);
+    const seed = engine.getMatchSeed(members, roundNumber);
+    const averageSkill = members.reduce((sum, m) => sum + (m.skillLevel || 7), 0) / members.length;
+
+    removeFromQueue(ids);
+    recordOpponents(ids);
+
+    matches.push({
+      type: 'group',
+      roundNumber,
+      participants: ids,
+      pairingRule: members.length === 1 ? PAIRING_RULES.AI_OPPONENT : getGroupPairingRule(members.map(m => m.treatmentGroup)),
+      rngSeed: seed,
+      matchedAt: now,
+      ai: Array.from({ length: groupSize - members.length }, (_, i) => {
+        const seat = AIOpponentService.createAIGroupMember(averageSkill, `${ids[0].slice(-3)}${i}`, deriveSeed(seed, 'seat', i));
+        return { opponent: { name: seat.name, participant_id: seat.participant_id, skill_level: seat.skill_level }, responses: simulateAI(seat.aiSettings) };
+      })
+    });
+  };
+
+  const tryMatch = (entry, now) => {
+    const groupSize = engine.getGroupSize(entry.studyId);
+    const waiting = queue.filter(p => p.participantId !== entry.participantId && engine.inSamePool(entry, p));
+    const searcher = { ...entry, opponentHistory: histories[entry.participantId] || {} };
+
+    if (groupSize > 2) {
+      const candidates = engine.rankGroupCandidates(searcher, waiting, histories, now);
+      const members = formGroup(searcher, candidates, groupSize, (a, b) => engine.canShareMatch(a, b, histories, now));
+      if (members.length === groupSize) createHumanMatch(members, now);
+      return;
+    }
+
+    const best = engine.findBestSkillMatch(searcher, waiting, now);
+    if (best) createHumanMatch([entry, best], now);
+  };
+
+  const runBatch = (now) => {
+    const waitMs = (entry) => now - entry.joinedAt;
+    const sizes = new Set(queue.map(entry => engine.getGroupSize(entry.studyId)));
+
+    for (const size of sizes) {
+      const entries = queue.filter(entry => engine.getGroupSize(entry.studyId) === size);
+
+      if (size > 2) {
+        const { groups } = formGroups(entries, size, (a, b) => engine.canShareMatch(a, b, histories, now));
+        groups.forEach(members => createHumanMatch(members, now));
+        continue;
+      }
+
+      const { pairs } = computeBatchPairing(entries, {
+        exactMaxSize: batch.exactMaxSize,
+        pairCost: (a, b) => engine.getPairDistance(a, b, histories, now),
+        unmatchedCost: (entry) => batch.unmatchedPenalty + batch.waitCostPerSecond * (waitMs(entry) / 1000)
+      });
+      pairs.forEach(pair => createHumanMatch(pair, now));
+    }
+  };
+
+  if (pending.length === 0) return { matches, unmatched: [] };
+
+  let nextTick = pending[0].arrivedAt + searchIntervalMs;
+  let lastBatchAt = 0;
+  const giveUpAt = pending[pending.length - 1].arrivedAt + humanSearchTimeoutMs;
+  const hasDeadlines = () => [...searches.values()].some(search => search.deadline !== null);
+
+  while (pending.length > 0 || hasDeadlines() || (searches.size > 0 && nextTick <= giveUpAt)) {
+    // Arrivals before the next tick are handled as they come in
+    if (pending.length > 0 && pending[0].arrivedAt < nextTick) {
+      const arrival = pending.shift();
+      const entry = {
+        ...arrival,
+        skillLevel: arrival.skillLevel || 7,
+        treatmentGroup: arrival.treatmentGroup || 'control',
+        sessionSeed,
+        joinedAt: arrival.arrivedAt
+      };
+      if (arrival.opponentHistory) histories[entry.participantId] = { ...arrival.opponentHistory };
+
+      const fallbackPolicy = engine.getAIFallbackPolicy(entry);
+      if (fallbackPolicy.policy === 'immediate') {
+        createFallbackMatch(entry, entry.joinedAt);
+        continue;
+      }
+
+      queue.push(entry);
+      searches.set(entry.participantId, { deadline: getAIFallbackDeadline(fallbackPolicy, entry.joinedAt), attempts: 0 });
+
+      if (pairingMode !== 'batch') tryMatch(entry, entry.joinedAt);
+      continue;
+    }
+
+    const now = nextTick;
+    nextTick += searchIntervalMs;
+
+    // AI fallback deadlines
+    for (const entry of [...queue]) {
+      const search = searches.get(entry.participantId);
+      if (search && search.deadline !== null && search.deadline <= now) createFallbackMatch(entry, now);
+    }
+
+    if (pairingMode === 'batch') {
+      if (now - lastBatchAt >= batch.intervalMs) {
+        lastBatchAt = now;
+        runBatch(now);
+      }
+      continue;
+    }
+
+    for (const entry of [...queue]) {
+      const search = searches.get(entry.participantId);
+      if (!search) continue;
+
+      search.attempts++;
+      tryMatch(entry, now);
+
+      // Inactivity fallback, as in the live engine
+      if (searches.has(entry.participantId) && search.attempts >= minSearchAttempts && search.deadline !== null) {
+        const recent = queue.filter(p => p.roundNumber === entry.roundNumber && now - p.joinedAt < 5 * 60 * 1000);
+        if (recent.length <= 1) createFallbackMatch(entry, now);
+      }
+    }
+  }
+
+  return { matches, unmatched: queue.map(entry => entry.participantId) };
+};
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.file) {
+  console.error('Usage: node scripts/replay.js arrivals.json [--seed <seed>] [--questions 10] [--difficulty 5]');
+  process.exit(1);
+}
+
+const log = loadArrivalLog(args.file);
+const sessionSeed = toSeed(args.seed) ?? toSeed(log.sessionSeed);
+
+// Engine and AI logging would drown the result
+const consoleLog = console.log;
+console.log = () => {};
+const result = replay(log.arrivals || [], sessionSeed, args);
+console.log = consoleLog;
+
+console.log(JSON.stringify({
+  sessionSeed,
+  settings: {
+    pairingMode: config.matchmaking.pairingMode,
+    matchingStrategy: config.matchmaking.strategy,
+    groupSize: config.matchmaking.groupSize,
+    treatmentPairingMode: config.matchmaking.treatmentPairing.mode,
+    rematchPolicy: config.matchmaking.rematch.policy,
+    aiFallback: config.matchmaking.aiFallback,
+    skillWindowCurve: config.matchmaking.skillWindow.curve
+  },
+  ...result
+}, null, 2));
+process.exit(0);
@@ -1,4 +1,6 @@
 import dotenv from 'dotenv';
+import { safeJsonParse } from '../utils/helpers.js';
+import { toSeed } from '../utils/random.js';
 
 dotenv.config();
 
@@ -27,15 +29,154 @@ export const config = {
   matchmaking: {
     humanSearchTimeoutMs: parseInt(process.env.HUMAN_SEARCH_TIMEOUT_MS) || 180000,
     aiFallbackEnabled: process.env.AI_FALLBACK_ENABLED !== 'false',
+    aiFallback: {
+      // Per treatment group: 'never' | 'after_timeout' | 'immediate', or {"policy": "after_timeout", "timeoutMs": 60000}
+      defaultPolicy: process.env.AI_FALLBACK_DEFAULT_POLICY || 'after_timeout',
+      // Blind-competition participants must never be given a bot without knowing it (override explicitly to change)
+      groups: {
+        'Group 5: Goal Setting + AI Assistant + Blind Competition': 'never',
+        ...safeJsonParse(process.env.AI_FALLBACK_POLICIES)
+      }
+    },
+    // A player who leaves a running match is replaced by an AI once this grace period ends;
+    // groups whose AI fallback policy is 'never' (or all groups, if disabled) end the match instead
+    substitution: {
+      enabled: process.env.AI_SUBSTITUTION_ENABLED !== 'false',
+      graceMs: parseInt(process.env.ABANDON_GRACE_MS || 20000)
+    },
+    // Matches scheduled in advance (brackets): once one player arrives the others have the
+    // no-show timeout before an AI stands in; a pairing nobody shows up for expires
+    scheduledPairings: {
+      noShowTimeoutMs: parseInt(process.env.SCHEDULED_NO_SHOW_TIMEOUT_MS) || 120000,
+      expiresAfterMs: parseInt(process.env.SCHEDULED_PAIRING_EXPIRY_MS) || 3600000
+    },
+    // Participants per round queue; per-round overrides e.g. {"1": 20}
     maxQueueSize: parseInt(process.env.MAX_QUEUE_SIZE) || 1000,
+    roundQueueCapacities: safeJsonParse(process.env.ROUND_QUEUE_CAPACITIES) || {},
+    waitlist: {
+      // Overflow participants wait here and are promoted as queue slots free up (otherwise turned away)
+      enabled: process.env.WAITLIST_ENABLED !== 'false',
+      maxSize: parseInt(process.env.MAX_WAITLIST_SIZE) || 0  // 0 = unlimited
+    },
+    waitTimeEstimates: {
+      // Recent matches and arrivals (per round) the wait-time estimates are built from
+      windowMs: parseInt(process.env.WAIT_ESTIMATE_WINDOW_MS) || 1800000,
+      minSamples: parseInt(process.env.WAIT_ESTIMATE_MIN_SAMPLES) || 5
+    },
     skillMatchingThreshold: parseFloat(process.env.SKILL_MATCHING_THRESHOLD) || 1.5,
     searchIntervalMs: 3000,
-    minSearchAttempts: 60  // 60 attempts * 3s = 3 minutes
+    leaderLeaseMs: parseInt(process.env.MATCHER_LEADER_LEASE_MS) || 10000,
+    minSearchAttempts: 60,  // 60 attempts * 3s = 3 minutes
+    // Seed for sessions outside a lobby; match seeds are derived from it (unset = random seed per match)
+    rngSeed: toSeed(process.env.MATCHMAKING_SEED),
+    // Players per match: 2 for pairs, 3-6 for group matches (AI fills empty seats at the fallback deadline)
+    groupSize: parseInt(process.env.MATCH_GROUP_SIZE) || 2,
+    strategy: {
+      // Who a searcher is paired with among eligible participants: 'fifo' | 'closest_skill' | 'random' | 'stratified'
+      default: process.env.MATCHING_STRATEGY || 'fifo',
+      // Per-round overrides, e.g. {"1": "random", "2": "closest_skill"}; lobbies can set settings.matchingStrategy
+      rounds: safeJsonParse(process.env.ROUND_MATCHING_STRATEGIES) || {}
+    },
+    // 'continuous' (each searcher looks for a partner) or 'batch' (one global pairing per tick)
+    pairingMode: process.env.PAIRING_MODE || 'continuous',
+    batch: {
+      intervalMs: parseInt(process.env.BATCH_PAIRING_INTERVAL_MS) || 5000,
+      waitCostPerSecond: parseFloat(process.env.BATCH_WAIT_COST_PER_SECOND) || 0.05,
+      unmatchedPenalty: parseFloat(process.env.BATCH_UNMATCHED_PENALTY) || 10,
+      exactMaxSize: 16  // Larger queues use greedy pairing
+    },
+    // 'skill' (the queue is matched by skill level) or 'swiss' (each round is paired by standings);
+    // studies (STUDY_SETTINGS) and lobbies (settings.pairingSystem) can set their own
+    pairingSystem: process.env.PAIRING_SYSTEM || 'skill',
+    swiss: {
+      // A round's Swiss players are paired together once nobody has joined for this long
+      settleMs: parseInt(process.env.SWISS_SETTLE_MS) || 5000
+    },
+    skillWindow: {
+      // How the acceptable skill gap grows with wait time: 'fixed' | 'linear' | 'step' | 'exponential'
+      curve: process.env.SKILL_WINDOW_CURVE || 'step',
+      stepMs: parseInt(process.env.SKILL_WINDOW_STEP_MS) || 15000,
+      stepSize: parseFloat(process.env.SKILL_WINDOW_STEP_SIZE) || 0.5,
+      growthRate: parseFloat(process.env.SKILL_WINDOW_GROWTH_RATE) || 1.25,
+      maxThreshold: parseFloat(process.env.SKILL_WINDOW_MAX) || 9
+    },
+    rematch: {
+      // 'allow', 'penalize' (add penalty per previous meeting to skill distance) or 'avoid'
+      policy: process.env.REMATCH_POLICY || 'avoid',
+      penalty: parseFloat(process.env.REMATCH_PENALTY) || 2
+    },
+    readyCheck: {
+      // Human matches are only committed once every player accepts within the timeout
+      enabled: process.env.READY_CHECK_ENABLED !== 'false',
+      timeoutMs: parseInt(process.env.READY_CHECK_TIMEOUT_MS) || 15000
+    },
+    treatmentPairing: {
+      // 'strict' (same group only), 'matrix' (same group or compatible groups), 'pooled' (any group)
+      mode: process.env.TREATMENT_PAIRING_MODE || 'strict',
+      // e.g. {"Group 1: Control": ["Group 2: Goal Setting Only"]} - compatibility is symmetric
+      compatibility: safeJsonParse(process.env.TREATMENT_COMPATIBILITY_MATRIX) || {}
+    },
+    visibility: {
+      // Per treatment group: 'full' | 'blind', or single rules e.g. {"opponentScore": false}
+      defaultRules: process.env.VISIBILITY_DEFAULT || 'full',
+      // Blind-competition participants only see their own performance (override explicitly to change)
+      groups: {
+        'Group 5: Goal Setting + AI Assistant + Blind Competition': 'blind',
+        ...safeJsonParse(process.env.VISIBILITY_RULES)
+      }
+    }
+  },
+  
+  // Per-study overrides, e.g. {"pilot-2": {"rematchPolicy": "penalize", "rematchPenalty": 1, "groupSize": 4}}
+  studies: safeJsonParse(process.env.STUDY_SETTINGS) || {},
+  
+  matchSessions: {
+    // The server runs each match's questions and scores the answers; clients can't report scores
+    enabled: process.env.MATCH_SESSIONS_ENABLED !== 'false',
+    // JSON file, or directory of JSON files, with the question bank
+    questionBankPath: process.env.QUESTION_BANK_PATH || 'src/data/questions',
+    questionsPerMatch: parseInt(process.env.QUESTIONS_PER_MATCH) || 10,
+    questionTimeMs: parseInt(process.env.QUESTION_TIME_MS) || 20000,
+    // The first question goes out once every player joined, or after this long
+    joinTimeoutMs: parseInt(process.env.SESSION_JOIN_TIMEOUT_MS) || 15000,
+    checkIntervalMs: 1000
+  },
+
+  lobbies: {
+    // Matching in a lobby starts once this many participants are waiting (or at its start deadline)
+    minParticipants: parseInt(process.env.LOBBY_MIN_PARTICIPANTS) || 2,
+    checkIntervalMs: 5000
+  },
+
+  brackets: {
+    // A player without an opponent in a bracket round gets a 'bye' or plays an 'ai' fill-in
+    fillMode: process.env.BRACKET_FILL_MODE || 'bye',
+    checkIntervalMs: 3000
+  },
+
+  ratings: {
+    // 'elo' or 'glicko2'; recalculate ratings after changing it
+    algorithm: process.env.RATING_ALGORITHM || 'glicko2',
+    eloKFactor: parseInt(process.env.ELO_K_FACTOR) || 32,
+    // How fast Glicko-2 volatility may change (0.3-1.2)
+    glickoTau: parseFloat(process.env.GLICKO_TAU) || 0.5,
+    // Rating points per skill level when ratings are turned into skill levels for matching (1500 = 7)
+    pointsPerSkillLevel: parseInt(process.env.RATING_POINTS_PER_SKILL_LEVEL) || 100
+  },
+
+  roundRobins: {
+    // The whole schedule is made up front, so its matches wait longer than other scheduled pairings
+    pairingExpiryMs: parseInt(process.env.ROUND_ROBIN_PAIRING_EXPIRY_MS) || 86400000,
+    checkIntervalMs: 3000
   },
   
   websocket: {
     heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000,
     connectionTimeout: parseInt(process.env.WS_CONNECTION_TIMEOUT) || 60000,
+    // How long a disconnected participant keeps their queue place and pending match (0 = leave at once)
+    reconnectGraceMs: parseInt(process.env.WS_RECONNECT_GRACE_MS || 30000),
+    // How often waiting participants get a queue_status_update with a fresh wait estimate
+    queueStatusInterval: parseInt(process.env.WS_QUEUE_STATUS_INTERVAL) || 10000,
     pingTimeout: 20000,
     pingInterval: 25000
   },
@@ -4,6 +4,11 @@ import DatabaseService from '../services/DatabaseService.js';
 import AnalyticsService from '../services/AnalyticsService.js';
 import WebSocketService from '../services/WebSocketService.js';
 import AIOpponentService from '../services/AIOpponentService.js';
+import LobbyService from '../services/LobbyService.js';
+import BracketService from '../services/BracketService.js';
+import RoundRobinService from '../services/RoundRobinService.js';
+import RatingService from '../services/RatingService.js';
+import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
 import { formatDuration } from '../utils/helpers.js';
 
@@ -20,12 +25,14 @@ class AdminController {
         dashboardData,
         matchmakingStats,
         queueStatus,
-        systemHealth
+        systemHealth,
+        lastRecovery
       ] = await Promise.all([
         AnalyticsService.getDashboardData(),
         MatchmakingEngine.getMatchmakingStats(),
         this.getAllQueueStatus(),
-        this.getSystemHealth()
+        this.getSystemHealth(),
+        RedisService.getRecoveryReport()
       ]);
 
       const dashboard = {
@@ -38,6 +45,7 @@ class AdminController {
         matchmaking: matchmakingStats,
         queues: queueStatus,
         system: systemHealth,
+        recovery: lastRecovery,
         lastUpdated: Date.now()
       };
 
@@ -501,6 +509,511 @@ class AdminController {
 
   // Helper methods
 
+  /**
+   * Create a scheduled session lobby
+   * POST /api/admin/lobbies
+   */
+  async createLobby(req, res) {
+    try {
+      const { name, roundNumber, studyId, opensAt, startDeadline, minParticipants, maxParticipants, seed, settings } = req.body;
+
+      const lobby = await LobbyService.createLobby({
+        name,
+        roundNumber,
+        studyId,
+        opensAt,
+        startDeadline,
+        minParticipants,
+        maxParticipants,
+        seed,
+        settings
+      });
+
+      logger.info(`🏛️ Admin created lobby ${lobby.lobbyId}`, { roundNumber, opensAt, startDeadline });
+
+      res.status(201).json({
+        success: true,
+        data: lobby,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error creating lobby:', { error: error.message });
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create lobby',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List session lobbies
+   * GET /api/admin/lobbies
+   */
+  async getLobbies(req, res) {
+    try {
+      const lobbies = await LobbyService.listLobbies();
+
+      res.json({
+        success: true,
+        data: lobbies,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting lobbies:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get lobbies',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one session lobby with its members
+   * GET /api/admin/lobbies/:lobbyId
+   */
+  async getLobby(req, res) {
+    try {
+      const lobby = await LobbyService.getLobbyState(req.params.lobbyId);
+
+      if (!lobby) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lobby not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: lobby,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting lobby:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get lobby',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Start matching in a lobby now, regardless of its minimum size
+   * POST /api/admin/lobbies/:lobbyId/start
+   */
+  async startLobby(req, res) {
+    try {
+      const lobby = await LobbyService.startLobby(req.params.lobbyId, 'admin');
+
+      if (!lobby) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lobby not found'
+        });
+      }
+
+      logger.info(`🚀 Admin started lobby ${lobby.lobbyId}`, { memberCount: lobby.memberCount });
+
+      res.json({
+        success: true,
+        data: lobby,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error starting lobby:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start lobby',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Close a lobby and cancel matchmaking for members still waiting
+   * POST /api/admin/lobbies/:lobbyId/close
+   */
+  async closeLobby(req, res) {
+    try {
+      const lobby = await LobbyService.closeLobby(req.params.lobbyId);
+
+      if (!lobby) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lobby not found'
+        });
+      }
+
+      logger.info(`🔒 Admin closed lobby ${lobby.lobbyId}`);
+
+      res.json({
+        success: true,
+        data: lobby,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error closing lobby:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to close lobby',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create an elimination bracket and schedule its first round
+   * POST /api/admin/brackets
+   */
+  async createBracket(req, res) {
+    try {
+      const { name, roundNumber, studyId, roster, fillMode, seed } = req.body;
+
+      const bracket = await BracketService.createBracket({
+        name,
+        roundNumber,
+        studyId,
+        roster,
+        fillMode,
+        seed
+      });
+
+      logger.info(`🏆 Admin created bracket ${bracket.bracketId}`, { roundNumber, players: bracket.roster.length, fillMode: bracket.fillMode });
+
+      res.status(201).json({
+        success: true,
+        data: bracket,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error creating bracket:', { error: error.message });
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create bracket',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List elimination brackets
+   * GET /api/admin/brackets
+   */
+  async getBrackets(req, res) {
+    try {
+      const brackets = await BracketService.listBrackets();
+
+      res.json({
+        success: true,
+        data: brackets,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting brackets:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get brackets',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one elimination bracket with its rounds
+   * GET /api/admin/brackets/:bracketId
+   */
+  async getBracket(req, res) {
+    try {
+      const bracket = await BracketService.getBracket(req.params.bracketId);
+
+      if (!bracket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bracket not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: bracket,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting bracket:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get bracket',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a bracket; players waiting for a bracket opponent go through normal matchmaking
+   * POST /api/admin/brackets/:bracketId/cancel
+   */
+  async cancelBracket(req, res) {
+    try {
+      const bracket = await BracketService.cancelBracket(req.params.bracketId);
+
+      if (!bracket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bracket not found'
+        });
+      }
+
+      logger.info(`🛑 Admin cancelled bracket ${bracket.bracketId}`, { round: bracket.currentRound });
+
+      res.json({
+        success: true,
+        data: bracket,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error cancelling bracket:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel bracket',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a round-robin schedule for a cohort and schedule all of its matches
+   * POST /api/admin/round-robins
+   */
+  async createRoundRobin(req, res) {
+    try {
+      const { name, roundNumber, studyId, roster } = req.body;
+
+      const schedule = await RoundRobinService.createSchedule({
+        name,
+        roundNumber,
+        studyId,
+        roster
+      });
+
+      logger.info(`🔁 Admin created round-robin ${schedule.scheduleId}`, { startRound: schedule.startRound, endRound: schedule.endRound, players: schedule.roster.length });
+
+      res.status(201).json({
+        success: true,
+        data: schedule,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error creating round-robin:', { error: error.message });
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create round-robin',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List round-robin schedules
+   * GET /api/admin/round-robins
+   */
+  async getRoundRobins(req, res) {
+    try {
+      const schedules = await RoundRobinService.listSchedules();
+
+      res.json({
+        success: true,
+        data: schedules,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting round-robins:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get round-robins',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one round-robin schedule with its matches and standings
+   * GET /api/admin/round-robins/:scheduleId
+   */
+  async getRoundRobin(req, res) {
+    try {
+      const schedule = await RoundRobinService.getSchedule(req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Round-robin not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: schedule,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting round-robin:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get round-robin',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a round-robin; its matches not started yet are removed
+   * POST /api/admin/round-robins/:scheduleId/cancel
+   */
+  async cancelRoundRobin(req, res) {
+    try {
+      const schedule = await RoundRobinService.cancelSchedule(req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Round-robin not found'
+        });
+      }
+
+      logger.info(`🛑 Admin cancelled round-robin ${schedule.scheduleId}`);
+
+      res.json({
+        success: true,
+        data: schedule,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error cancelling round-robin:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel round-robin',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a participant's rating and the skill level it gives them
+   * GET /api/admin/ratings/:participantId
+   */
+  async getRating(req, res) {
+    try {
+      const { participantId } = req.params;
+      const rating = await RatingService.getRating(participantId);
+      const { skillLevel } = await RatingService.getMatchingSkill({ participantId, skillLevel: null });
+
+      res.json({
+        success: true,
+        data: { participantId, ...rating, skillLevel },
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting rating:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get rating',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Rebuild every rating from match history with the configured algorithm
+   * POST /api/admin/ratings/recalculate
+   */
+  async recalculateRatings(req, res) {
+    try {
+      const summary = await RatingService.recalculate();
+
+      logger.info('📈 Admin recalculated ratings', summary);
+
+      res.json({
+        success: true,
+        data: summary,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error recalculating ratings:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to recalculate ratings',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Export a session's arrival log and seed for the replay tool
+   * GET /api/admin/arrivals?lobbyId=... or ?roundNumber=...
+   */
+  async getArrivalLog(req, res) {
+    try {
+      const { lobbyId, roundNumber } = req.query;
+
+      if (!lobbyId && !roundNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'lobbyId or roundNumber is required'
+        });
+      }
+
+      let sessionSeed = config.matchmaking.rngSeed;
+      if (lobbyId) {
+        const lobby = await LobbyService.getLobbyState(lobbyId);
+        if (!lobby) {
+          return res.status(404).json({
+            success: false,
+            error: 'Lobby not found'
+          });
+        }
+        sessionSeed = lobby.rngSeed;
+      }
+
+      const logKey = MatchmakingEngine.getArrivalLogKey({ lobbyId, roundNumber });
+      const arrivals = await RedisService.getArrivals(logKey);
+
+      res.json({
+        success: true,
+        data: {
+          logKey,
+          sessionSeed,
+          arrivals
+        },
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error getting arrival log:', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get arrival log',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get status for all active queues
    */
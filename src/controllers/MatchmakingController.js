@@ -2,6 +2,11 @@ import MatchmakingEngine from '../services/MatchmakingEngine.js';
 import RedisService from '../services/RedisService.js';
 import AIOpponentService from '../services/AIOpponentService.js';
 import DatabaseService from '../services/DatabaseService.js';
+import BracketService from '../services/BracketService.js';
+import RoundRobinService from '../services/RoundRobinService.js';
+import RatingService from '../services/RatingService.js';
+import { MATCH_STATUSES } from '../utils/matchLifecycle.js';
+import { isValidScore } from '../utils/matchResults.js';
 
 class MatchmakingController {
   /**
@@ -10,7 +15,7 @@ class MatchmakingController {
    */
   async startMatchmaking(req, res) {
     try {
-      const { participantId, roundNumber, skillLevel, treatmentGroup, participantName } = req.body;
+      const { participantId, roundNumber, skillLevel, treatmentGroup, participantName, studyId } = req.body;
 
       // Validate required fields
       if (!participantId || !roundNumber) {
@@ -27,7 +32,8 @@ class MatchmakingController {
         participantName,
         roundNumber,
         skillLevel: skillLevel || 7,
-        treatmentGroup: treatmentGroup || 'control'
+        treatmentGroup: treatmentGroup || 'control',
+        studyId
       });
 
       res.json({
@@ -133,6 +139,11 @@ class MatchmakingController {
       }
 
       const position = await MatchmakingEngine.getQueuePosition(participantId, parseInt(roundNumber));
+      const waitlistPosition = await MatchmakingEngine.getWaitlistPosition(participantId, parseInt(roundNumber));
+      const waiting = position !== -1 || waitlistPosition !== -1;
+      const queueStatus = waiting
+        ? await MatchmakingEngine.getParticipantQueueStatus(participantId, parseInt(roundNumber))
+        : null;
 
       res.json({
         success: true,
@@ -140,7 +151,11 @@ class MatchmakingController {
           participantId,
           roundNumber: parseInt(roundNumber),
           position,
-          inQueue: position !== -1
+          inQueue: position !== -1,
+          waitlistPosition,
+          waitlisted: waitlistPosition !== -1,
+          estimatedWaitTime: queueStatus ? queueStatus.estimatedWaitTime : null,
+          waitTimeEstimate: queueStatus ? queueStatus.waitTimeEstimate : null
         },
         timestamp: Date.now()
       });
@@ -156,7 +171,8 @@ class MatchmakingController {
   }
 
   /**
-   * Get skill level for a participant
+   * Get skill level for a participant: their rating, blended by its confidence with the
+   * accuracy of their recent rounds
    * GET /api/matchmaking/skill/:participantId
    */
   async getSkillLevel(req, res) {
@@ -172,14 +188,17 @@ class MatchmakingController {
 
       const previousRounds = await DatabaseService.getParticipantStats(participantId);
 
-      if (!previousRounds || previousRounds.length === 0) {
-        return res.json({ success: true, data: { skillLevel: 7 }, timestamp: Date.now() });
-      }
+      const accuracySkillLevel = !previousRounds || previousRounds.length === 0
+        ? 7
+        : Math.round(previousRounds.reduce((sum, round) => sum + round.total_correct, 0) / previousRounds.length);
 
-      const avgScore = previousRounds.reduce((sum, round) => sum + round.total_correct, 0) / previousRounds.length;
-      const skillLevel = Math.round(avgScore);
+      const { skillLevel, rating } = await RatingService.getMatchingSkill({ participantId, skillLevel: accuracySkillLevel });
 
-      res.json({ success: true, data: { skillLevel }, timestamp: Date.now() });
+      res.json({
+        success: true,
+        data: { skillLevel, rating: rating.rating, confidence: rating.confidence, algorithm: rating.algorithm },
+        timestamp: Date.now()
+      });
 
     } catch (error) {
       console.error('Error in getSkillLevel API:', error);
@@ -238,7 +257,7 @@ class MatchmakingController {
   async updateMatchStatus(req, res) {
     try {
       const { matchId } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
       if (!matchId || !status) {
         return res.status(400).json({
@@ -247,20 +266,36 @@ class MatchmakingController {
         });
       }
 
-      const validStatuses = ['active', 'completed', 'cancelled', 'paused'];
-      if (!validStatuses.includes(status)) {
+      if (!MATCH_STATUSES.includes(status)) {
         return res.status(400).json({
           success: false,
-          error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+          error: `Invalid status. Must be one of: ${MATCH_STATUSES.join(', ')}`
         });
       }
 
-      await RedisService.updateMatchStatus(matchId, status);
+      const result = await MatchmakingEngine.transitionMatch(matchId, status, { reason });
+
+      if (result.reason === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          error: 'Match not found'
+        });
+      }
+
+      if (!result.updated) {
+        return res.status(409).json({
+          success: false,
+          error: result.reason === 'invalid_transition'
+            ? `Cannot move match from ${result.from} to ${status}`
+            : 'Match status changed concurrently, please retry',
+          data: result
+        });
+      }
 
       res.json({
         success: true,
         message: 'Match status updated successfully',
-        data: { matchId, status },
+        data: result,
         timestamp: Date.now()
       });
 
@@ -274,6 +309,118 @@ class MatchmakingController {
     }
   }
 
+  /**
+   * Submit a player's match result
+   * POST /api/matchmaking/match/:matchId/result
+   */
+  async submitMatchResult(req, res) {
+    try {
+      const { matchId } = req.params;
+      const { participantId, score, opponentScore } = req.body;
+
+      if (!isValidScore(score) || (opponentScore !== undefined && opponentScore !== null && !isValidScore(opponentScore))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Scores must be non-negative numbers'
+        });
+      }
+
+      const result = await MatchmakingEngine.submitMatchResult(matchId, participantId, { score, opponentScore });
+
+      const rejections = {
+        not_found: [404, 'Match not found'],
+        not_participant: [403, 'Participant is not part of this match'],
+        not_active: [409, `Match is not active (${result.matchStatus})`],
+        already_reported: [409, 'Result already submitted for this participant'],
+        server_scored: [409, 'Scores for this match come from the server-run match session']
+      };
+
+      if (rejections[result.status]) {
+        const [statusCode, error] = rejections[result.status];
+        return res.status(statusCode).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error in submitMatchResult API:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a bracket as players see it
+   * GET /api/matchmaking/bracket/:bracketId
+   */
+  async getBracket(req, res) {
+    try {
+      const bracket = await BracketService.getBracket(req.params.bracketId);
+
+      if (!bracket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bracket not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: BracketService.toPublicBracket(bracket),
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error in getBracket API:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a round-robin schedule and standings as players see them
+   * GET /api/matchmaking/round-robin/:scheduleId
+   */
+  async getRoundRobin(req, res) {
+    try {
+      const schedule = await RoundRobinService.getSchedule(req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Round-robin not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: RoundRobinService.toPublicSchedule(schedule),
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error in getRoundRobin API:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get participant status
    * GET /api/matchmaking/participant/:participantId/status
@@ -360,13 +507,27 @@ class MatchmakingController {
         });
       }
 
+      // Fall back to the treatment group recorded when the participant started searching
+      const status = await RedisService.getParticipantStatus(participantId);
+      const treatmentGroup = req.body.treatmentGroup || status?.treatmentGroup || 'control';
+
+      if (MatchmakingEngine.getAIFallbackPolicy({ treatmentGroup }).policy === 'never') {
+        console.log(`🚫 API: AI match refused for ${participantId} (treatment group "${treatmentGroup}")`);
+        return res.status(403).json({
+          success: false,
+          error: 'AI matches are not allowed for this treatment group',
+          treatmentGroup
+        });
+      }
+
       console.log(`🤖 API: Creating AI match for ${participantId}`);
 
       const aiMatch = await MatchmakingEngine.createAIMatch({
         participantId,
         participantName,
         roundNumber,
-        skillLevel: skillLevel || 7
+        skillLevel: skillLevel || 7,
+        treatmentGroup
       });
 
       res.json({
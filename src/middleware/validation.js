@@ -114,6 +114,26 @@ export const validateSkillLevel = (req, res, next) => {
   next();
 };
 
+export const TREATMENT_GROUPS = [
+  'Group 1: Control',
+  'Group 2: Goal Setting Only',
+  'Group 3: Goal Setting + AI Assistant',
+  'Group 4: Goal Setting + AI Assistant + Competition',
+  'Group 5: Goal Setting + AI Assistant + Blind Competition',
+  // Keep the old short codes for backward compatibility
+  'control', 
+  'goal_setting', 
+  'goal_ai', 
+  'tournament'
+];
+
+/**
+ * Check that a treatment group is known
+ * @param {string} treatmentGroup - Treatment group
+ * @returns {boolean} Whether the group exists
+ */
+export const isValidTreatmentGroup = (treatmentGroup) => TREATMENT_GROUPS.includes(treatmentGroup);
+
 /**
  * Validation middleware for treatment group
  */
@@ -121,23 +141,10 @@ export const validateTreatmentGroup = (req, res, next) => {
   const { treatmentGroup } = req.body;
   
   if (treatmentGroup !== undefined) {
-    const validGroups = [
-      'Group 1: Control',
-      'Group 2: Goal Setting Only',
-      'Group 3: Goal Setting + AI Assistant',
-      'Group 4: Goal Setting + AI Assistant + Competition',
-      'Group 5: Goal Setting + AI Assistant + Blind Competition',
-      // Keep the old short codes for backward compatibility
-      'control', 
-      'goal_setting', 
-      'goal_ai', 
-      'tournament'
-    ];
-    
-    if (!validGroups.includes(treatmentGroup)) {
+    if (!isValidTreatmentGroup(treatmentGroup)) {
       return res.status(400).json({
         success: false,
-        error: `Invalid treatment group. Must be one of: ${validGroups.slice(0, 5).join(', ')}`
+        error: `Invalid treatment group. Must be one of: ${TREATMENT_GROUPS.slice(0, 5).join(', ')}`
       });
     }
   }
@@ -7,6 +7,10 @@ import { config } from './config/index.js';
 import RedisService from './services/RedisService.js';
 import WebSocketService from './services/WebSocketService.js';
 import MatchmakingEngine from './services/MatchmakingEngine.js';
+import LobbyService from './services/LobbyService.js';
+import BracketService from './services/BracketService.js';
+import RoundRobinService from './services/RoundRobinService.js';
+import MatchSessionService from './services/MatchSessionService.js';
 import DatabaseService from './services/DatabaseService.js';
 import AnalyticsService from './services/AnalyticsService.js';
 import MatchmakingController from './controllers/MatchmakingController.js';
@@ -69,6 +73,21 @@ class MatchmakingServer {
       WebSocketService.initialize(this.server);
       logger.info('✅ WebSocket setup completed');
 
+      // Start the matcher loop (leader election, pairing, AI fallback deadlines)
+      await MatchmakingEngine.start();
+
+      // Start the lobby loop (opens scheduled lobbies, starts them at their deadline)
+      LobbyService.start();
+
+      // Start the bracket loop (advances bracket winners to the next round)
+      BracketService.start();
+
+      // Start the round-robin loop (records results and standings of scheduled matches)
+      RoundRobinService.start();
+
+      // Start the match session loop (question timers of server-run matches)
+      MatchSessionService.start();
+
       // Setup cleanup interval
       this.setupCleanupInterval();
 
@@ -203,6 +222,23 @@ class MatchmakingServer {
       MatchmakingController.updateMatchStatus.bind(MatchmakingController)
     );
 
+    apiRouter.post('/match/:matchId/result',
+      matchmakingRateLimit,
+      validateMatchId,
+      validateParticipantId,
+      MatchmakingController.submitMatchResult.bind(MatchmakingController)
+    );
+
+    // Bracket endpoints
+    apiRouter.get('/bracket/:bracketId',
+      MatchmakingController.getBracket.bind(MatchmakingController)
+    );
+
+    // Round-robin endpoints
+    apiRouter.get('/round-robin/:scheduleId',
+      MatchmakingController.getRoundRobin.bind(MatchmakingController)
+    );
+
     // Participant endpoints
     apiRouter.get('/participant/:participantId/status', 
       validateParticipantId, 
@@ -219,6 +255,7 @@ class MatchmakingServer {
       validateParticipantId, 
       validateRoundNumber, 
       validateSkillLevel, 
+      validateTreatmentGroup,
       MatchmakingController.createAIMatch.bind(MatchmakingController)
     );
 
@@ -258,6 +295,32 @@ class MatchmakingServer {
     adminRouter.get('/logs', AdminController.getSystemLogs.bind(AdminController));
     adminRouter.put('/config', AdminController.updateConfig.bind(AdminController));
 
+    // Session lobbies
+    adminRouter.post('/lobbies', validateRoundNumber, AdminController.createLobby.bind(AdminController));
+    adminRouter.get('/lobbies', AdminController.getLobbies.bind(AdminController));
+    adminRouter.get('/lobbies/:lobbyId', AdminController.getLobby.bind(AdminController));
+    adminRouter.post('/lobbies/:lobbyId/start', AdminController.startLobby.bind(AdminController));
+    adminRouter.post('/lobbies/:lobbyId/close', AdminController.closeLobby.bind(AdminController));
+
+    // Bracket tournaments
+    adminRouter.post('/brackets', validateRoundNumber, AdminController.createBracket.bind(AdminController));
+    adminRouter.get('/brackets', AdminController.getBrackets.bind(AdminController));
+    adminRouter.get('/brackets/:bracketId', AdminController.getBracket.bind(AdminController));
+    adminRouter.post('/brackets/:bracketId/cancel', AdminController.cancelBracket.bind(AdminController));
+
+    // Round-robin schedules
+    adminRouter.post('/round-robins', validateRoundNumber, AdminController.createRoundRobin.bind(AdminController));
+    adminRouter.get('/round-robins', AdminController.getRoundRobins.bind(AdminController));
+    adminRouter.get('/round-robins/:scheduleId', AdminController.getRoundRobin.bind(AdminController));
+    adminRouter.post('/round-robins/:scheduleId/cancel', AdminController.cancelRoundRobin.bind(AdminController));
+
+    // Participant ratings
+    adminRouter.get('/ratings/:participantId', AdminController.getRating.bind(AdminController));
+    adminRouter.post('/ratings/recalculate', AdminController.recalculateRatings.bind(AdminController));
+
+    // Arrival logs for the replay tool
+    adminRouter.get('/arrivals', AdminController.getArrivalLog.bind(AdminController));
+
     // Mount API routes
     this.app.use('/api/matchmaking', apiRouter);
     this.app.use('/api/admin', adminRouter);
@@ -320,6 +383,11 @@ class MatchmakingServer {
 
         // Cleanup services
         await WebSocketService.cleanup();
+        LobbyService.stop();
+        BracketService.stop();
+        RoundRobinService.stop();
+        MatchSessionService.stop();
+        await MatchmakingEngine.stop();
         await MatchmakingEngine.cleanup();
         await AnalyticsService.shutdown();
         await DatabaseService.disconnect();
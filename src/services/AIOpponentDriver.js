@@ -0,0 +1,203 @@
+import RedisService from './RedisService.js';
+import MatchmakingEngine from './MatchmakingEngine.js';
+import AIOpponentService from './AIOpponentService.js';
+import DatabaseService from './DatabaseService.js';
+
+/**
+ * Live AI opponents of server-run match sessions.
+ *
+ * When a question goes out, every AI seat gets a timer for its simulated response time
+ * (from the match's stored aiSettings). When the timer fires the AI answers like a player
+ * would: its answer is scored, the players get a `session_ai_progress` event and the answer is
+ * logged for each of them. AIs that adapt to their opponent see the human answers given
+ * before theirs. Response times do not depend on what the human did, so the same match
+ * seed always gives the same timing.
+ *
+ * Timers live on the instance that sent the question; if they are lost (restart, other
+ * instance), the missing answers are filled in when the question closes.
+ */
+class AIOpponentDriver {
+  constructor() {
+    this.timers = new Map(); // Match ID -> pending answer timers
+  }
+
+  /**
+   * Start the AI seats on a question
+   * @param {Object} session - Session with the question just sent
+   * @param {Object} question - Question from the bank
+   * @param {Function} onAnswer - Called with the AI's ID after it answered (to publish scores and close the question)
+   */
+  async startQuestion(session, question, onAnswer) {
+    this.stopMatch(session.matchId);
+    if (session.aiPlayers.length === 0) return;
+
+    const questionIndex = session.currentIndex;
+    if (questionIndex === 0) {
+      console.log(`🤖 AI driver started for match ${session.matchId} (${session.aiPlayers.map(ai => ai.participantId).join(', ')})`);
+    }
+
+    for (const ai of session.aiPlayers) {
+      await this.addSeat(session, question, ai, onAnswer);
+    }
+  }
+
+  /**
+   * Start one AI seat on the current question (also used when an AI substitute joins mid-question)
+   * @param {Object} session - Session with the current question
+   * @param {Object} question - Question from the bank
+   * @param {Object} ai - { participantId, aiSettings }
+   * @param {Function} onAnswer - Called with the AI's ID after it answered
+   */
+  async addSeat(session, question, ai, onAnswer) {
+    const questionIndex = session.currentIndex;
+    const { responseTimeMs } = this.simulate(ai, question, questionIndex, null);
+
+    // Too slow for this question: the AI does not answer it
+    if (session.questionSentAt + responseTimeMs > session.deadline) return;
+
+    await this.publishProgress(session, ai, questionIndex, 'thinking');
+
+    const timer = setTimeout(async () => {
+      try {
+        if (await this.answer(session, question, ai, responseTimeMs)) {
+          await onAnswer(ai.participantId);
+        }
+      } catch (error) {
+        console.error(`Error playing AI ${ai.participantId} in match ${session.matchId}:`, error);
+      }
+    }, Math.max(0, session.questionSentAt + responseTimeMs - Date.now()));
+
+    this.timers.set(session.matchId, [...(this.timers.get(session.matchId) || []), timer]);
+  }
+
+  /**
+   * Answer for the AI seats whose timer was lost, at the time they would have answered.
+   * Called when a question closes.
+   * @param {Object} session - Session
+   * @param {Object} question - Question being closed
+   */
+  async answerMissing(session, question) {
+    this.stopMatch(session.matchId);
+
+    const answered = (await RedisService.getSessionAnswers(session.matchId))[session.currentIndex] || {};
+
+    for (const ai of session.aiPlayers) {
+      if (answered[ai.participantId]) continue;
+
+      const { responseTimeMs } = this.simulate(ai, question, session.currentIndex, null);
+      if (session.questionSentAt + responseTimeMs <= session.deadline) {
+        await this.answer(session, question, ai, responseTimeMs, false);
+      }
+    }
+  }
+
+  /**
+   * Record an AI seat's answer to the current question
+   * @param {Object} sentSession - Session the question was sent with
+   * @param {Object} question - Question from the bank
+   * @param {Object} ai - { participantId, aiSettings }
+   * @param {number} responseTimeMs - Simulated response time
+   * @param {boolean} checkCurrent - Skip the answer if the question is no longer open
+   * @returns {Promise<boolean>} Whether the answer was recorded
+   */
+  async answer(sentSession, question, ai, responseTimeMs, checkCurrent = true) {
+    const { matchId, currentIndex: questionIndex } = sentSession;
+
+    // Players may have been substituted since the question went out
+    const session = checkCurrent ? await RedisService.getMatchSession(matchId) : sentSession;
+    if (session?.status !== 'in_progress' || session.currentIndex !== questionIndex) return false;
+
+    // A substitute does not answer again for the player it replaced
+    const questionAnswers = (await RedisService.getSessionAnswers(matchId))[questionIndex] || {};
+    const originalId = session.substitutions?.[ai.participantId];
+    if (originalId && questionAnswers[originalId]) return false;
+
+    // The AI reacts to the human answers given before its own
+    const answeredAt = session.questionSentAt + responseTimeMs;
+    const humanAnswers = Object.entries(questionAnswers)
+      .filter(([id, answer]) => session.players.includes(id) && answer.answeredAt <= answeredAt)
+      .map(([, answer]) => answer);
+    const opponentCorrect = humanAnswers.length > 0 ? humanAnswers.some(answer => answer.correct) : null;
+
+    const response = this.simulate(ai, question, questionIndex, opponentCorrect);
+    const answer = {
+      // A wrong AI answer picks the option after the correct one
+      answerIndex: response.isCorrect ? question.answer : (question.answer + 1) % question.options.length,
+      correct: response.isCorrect,
+      answeredAt,
+      responseTimeMs
+    };
+
+    if (!(await RedisService.saveSessionAnswer(matchId, questionIndex, ai.participantId, answer))) {
+      return false;
+    }
+
+    console.log(`🤖 AI ${ai.participantId} answered question ${questionIndex + 1} of match ${matchId}: ${answer.correct ? 'correct' : 'wrong'} in ${responseTimeMs}ms`);
+
+    for (const participantId of session.players) {
+      await DatabaseService.recordActivity({
+        participantId,
+        type: 'ai_opponent_answer',
+        data: { matchId, aiParticipantId: ai.participantId, questionId: question.id, questionIndex, opponentCorrect, accuracy: response.accuracy, ...answer },
+        roundNumber: session.roundNumber
+      });
+    }
+
+    await this.publishProgress(session, ai, questionIndex, 'answered', { responseTimeMs });
+    return true;
+  }
+
+  /**
+   * Simulate an AI seat on a question
+   * @param {Object} ai - { participantId, aiSettings }
+   * @param {Object} question - Question from the bank
+   * @param {number} questionIndex - Question index
+   * @param {boolean|null} opponentCorrect - Whether the human got it right (null if unknown yet)
+   * @returns {Object} Simulated response
+   */
+  simulate(ai, question, questionIndex, opponentCorrect) {
+    return AIOpponentService.simulateAIResponse(ai.aiSettings, questionIndex + 1, question.difficulty, opponentCorrect);
+  }
+
+  /**
+   * Tell the players what an AI seat is doing
+   * @param {Object} session - Session
+   * @param {Object} ai - { participantId }
+   * @param {number} questionIndex - Question index
+   * @param {string} state - 'thinking' or 'answered'
+   * @param {Object} details - Extra event data
+   */
+  async publishProgress(session, ai, questionIndex, state, details = {}) {
+    await MatchmakingEngine.publishEvent('session_ai_progress', {
+      matchId: session.matchId,
+      participantIds: session.players,
+      treatmentGroups: session.treatmentGroups,
+      aiParticipantId: ai.participantId,
+      questionIndex,
+      state,
+      ...details
+    });
+  }
+
+  /**
+   * Cancel the pending AI answers of a match
+   * @param {string} matchId - Match ID
+   */
+  stopMatch(matchId) {
+    for (const timer of this.timers.get(matchId) || []) {
+      clearTimeout(timer);
+    }
+    this.timers.delete(matchId);
+  }
+
+  /**
+   * Cancel every pending AI answer (shutdown)
+   */
+  stop() {
+    for (const matchId of [...this.timers.keys()]) {
+      this.stopMatch(matchId);
+    }
+  }
+}
+
+export default new AIOpponentDriver();
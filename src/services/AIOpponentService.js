@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
 import { getBotName } from '../utils/nameUtils.js';
+import { createRandom, deriveSeed, generateSeed } from '../utils/random.js';
 
 class AIOpponentService {
   constructor() {
@@ -67,9 +68,10 @@ class AIOpponentService {
    * Select the best AI opponent based on participant's skill level
    * @param {number} participantSkillLevel - The participant's skill level (1-10)
    * @param {number} skillThreshold - Maximum skill difference allowed (default: 1.5)
+   * @param {Function} random - Random source (defaults to Math.random)
    * @returns {Object} Selected AI opponent
    */
-  selectOpponent(participantSkillLevel = 7, skillThreshold = 1.5) {
+  selectOpponent(participantSkillLevel = 7, skillThreshold = 1.5, random = Math.random) {
     console.log(`🤖 Selecting AI opponent for skill level: ${participantSkillLevel}`);
     
     // Find opponents within skill threshold
@@ -81,7 +83,7 @@ class AIOpponentService {
     
     if (suitableOpponents.length > 0) {
       // Select randomly from suitable opponents
-      selectedOpponent = suitableOpponents[Math.floor(Math.random() * suitableOpponents.length)];
+      selectedOpponent = suitableOpponents[Math.floor(random() * suitableOpponents.length)];
       console.log(`✅ Found ${suitableOpponents.length} suitable opponents, selected: ${selectedOpponent.id}`);
     } else {
       // Fallback: select the closest skill level
@@ -96,7 +98,7 @@ class AIOpponentService {
     return {
       ...selectedOpponent,
       // Add some randomization to skill level for variety
-      actualSkillLevel: this.randomizeSkillLevel(selectedOpponent.skillLevel),
+      actualSkillLevel: this.randomizeSkillLevel(selectedOpponent.skillLevel, random),
       matchId: uuidv4()
     };
   }
@@ -141,10 +143,11 @@ class AIOpponentService {
    * @param {string} participantId - The human participant's ID
    * @param {number} roundNumber - The round number
    * @param {number} participantSkillLevel - The participant's skill level
+   * @param {number} seed - Match seed; the same seed selects the same bot with the same behaviour
    * @returns {Object} Complete match object
    */
-  createAIMatch(participantId, roundNumber, participantSkillLevel = 7) {
-    const aiOpponent = this.selectOpponent(participantSkillLevel);
+  createAIMatch(participantId, roundNumber, participantSkillLevel = 7, seed = generateSeed()) {
+    const aiOpponent = this.selectOpponent(participantSkillLevel, 1.5, createRandom(seed));
     const matchId = uuidv4();
     
     // Generate a unique AI opponent ID based on participant and AI opponent
@@ -160,6 +163,7 @@ class AIOpponentService {
       status: 'active',
       created_at: new Date().toISOString(),
       isAI: true,
+      rng_seed: seed,
       opponent: JSON.stringify({
         id: aiOpponent.id,
         name: aiName,
@@ -172,7 +176,8 @@ class AIOpponentService {
       aiSettings: JSON.stringify({
         responseDelayMs: this.getResponseDelay(aiOpponent.responsePattern),
         accuracyVariation: this.getAccuracyVariation(aiOpponent.personality),
-        behaviorPattern: this.getBehaviorPattern(aiOpponent.personality)
+        behaviorPattern: this.getBehaviorPattern(aiOpponent.personality),
+        seed: deriveSeed(seed, 'responses')
       })
     };
 
@@ -180,6 +185,33 @@ class AIOpponentService {
     return matchData;
   }
 
+  /**
+   * Create an AI member to fill an empty seat in a group match
+   * @param {number} groupSkillLevel - Average skill level of the human members
+   * @param {string} seatId - Unique seat identifier (used for the bot's ID and name)
+   * @param {number} seed - Seat seed; the same seed selects the same bot with the same behaviour
+   * @returns {Object} Group member entry
+   */
+  createAIGroupMember(groupSkillLevel = 7, seatId, seed = generateSeed()) {
+    const aiOpponent = this.selectOpponent(groupSkillLevel, 1.5, createRandom(seed));
+    const aiParticipantId = `${aiOpponent.id}-${seatId.slice(-4)}`;
+
+    return {
+      participant_id: aiParticipantId,
+      name: getBotName(aiParticipantId),
+      skill_level: aiOpponent.actualSkillLevel,
+      is_ai: true,
+      personality: aiOpponent.personality,
+      responsePattern: aiOpponent.responsePattern,
+      aiSettings: {
+        responseDelayMs: this.getResponseDelay(aiOpponent.responsePattern),
+        accuracyVariation: this.getAccuracyVariation(aiOpponent.personality),
+        behaviorPattern: this.getBehaviorPattern(aiOpponent.personality),
+        seed: deriveSeed(seed, 'responses')
+      }
+    };
+  }
+
   /**
    * Simulate AI response times based on response pattern
    * @param {string} responsePattern - 'fast', 'medium', or 'slow'
@@ -258,11 +290,12 @@ class AIOpponentService {
   /**
    * Add slight randomization to skill level for variety
    * @param {number} baseSkillLevel - Base skill level
+   * @param {Function} random - Random source (defaults to Math.random)
    * @returns {number} Randomized skill level
    */
-  randomizeSkillLevel(baseSkillLevel) {
+  randomizeSkillLevel(baseSkillLevel, random = Math.random) {
     // Add ±0.3 random variation
-    const variation = (Math.random() - 0.5) * 0.6;
+    const variation = (random() - 0.5) * 0.6;
     return Math.max(1, Math.min(10, baseSkillLevel + variation));
   }
 
@@ -272,10 +305,15 @@ class AIOpponentService {
    * @param {number} questionNumber - Current question number (1-10)
    * @param {number} difficulty - Question difficulty (1-10)
    * @param {boolean} opponentCorrect - Whether human opponent got it right
+   * @param {Function} random - Random source; defaults to one seeded from aiSettings.seed
+   *   and the question number (so each question is reproducible), else Math.random
    * @returns {Object} AI response simulation
    */
-  simulateAIResponse(aiSettings, questionNumber, difficulty, opponentCorrect = null) {
-    const { responseDelayMs, accuracyVariation, behaviorPattern } = aiSettings;
+  simulateAIResponse(aiSettings, questionNumber, difficulty, opponentCorrect = null, random = null) {
+    const { responseDelayMs, accuracyVariation, behaviorPattern, seed } = aiSettings;
+    const rng = random || (seed !== undefined && seed !== null
+      ? createRandom(deriveSeed(seed, questionNumber))
+      : Math.random);
     
     // Calculate base accuracy adjusted for difficulty
     let accuracy = accuracyVariation.baseAccuracy - (difficulty - 5) * 0.02;
@@ -297,14 +335,14 @@ class AIOpponentService {
     }
     
     // Add random variance
-    accuracy += (Math.random() - 0.5) * accuracyVariation.variance;
+    accuracy += (rng() - 0.5) * accuracyVariation.variance;
     accuracy = Math.max(0, Math.min(1, accuracy)); // Clamp between 0 and 1
     
     // Determine if AI gets question correct
-    const isCorrect = Math.random() < accuracy;
+    const isCorrect = rng() < accuracy;
     
     // Calculate response time
-    let responseTime = responseDelayMs.min + Math.random() * (responseDelayMs.max - responseDelayMs.min);
+    let responseTime = responseDelayMs.min + rng() * (responseDelayMs.max - responseDelayMs.min);
     
     // Adjust response time based on personality
     if (behaviorPattern.speedIncreasesWithScore && questionNumber > 5) {
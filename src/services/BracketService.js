@@ -0,0 +1,427 @@
+import { v4 as uuidv4 } from 'uuid';
+import RedisService from './RedisService.js';
+import MatchmakingEngine from './MatchmakingEngine.js';
+import { config } from '../config/index.js';
+import { createRandom, generateSeed, toSeed } from '../utils/random.js';
+import { seedRoster, pairRound, getSlotWinner, getAdvancingPlayers, getRoundCount, isValidFillMode } from '../utils/bracket.js';
+import { getVisibilityRules } from '../utils/visibilityRules.js';
+
+const BRACKET_STATUSES = {
+  IN_PROGRESS: 'in_progress', // Bracket rounds are being played
+  FINISHED: 'finished',       // One player (or nobody) is left
+  CANCELLED: 'cancelled'      // Stopped by an admin
+};
+
+// Round numbers run from 1 to 10 (see validateRoundNumber)
+const MAX_ROUND_NUMBER = 10;
+
+/**
+ * Elimination bracket tournaments spanning rounds.
+ *
+ * An admin creates a bracket with a roster and the round it starts in. Each bracket
+ * round is scheduled as pairings for one matchmaking round: rostered players who join
+ * that round are matched with their bracket opponent directly instead of through the
+ * queue. Once every match of the round has a result, the winners are paired in the
+ * next round, until one player is left. Updates are pushed to the rooms of the rounds
+ * involved.
+ */
+class BracketService {
+  constructor() {
+    this.checkInterval = null;
+    this.checkRunning = false;
+  }
+
+  /**
+   * Start the bracket check loop (only the matcher leader does any work)
+   */
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.runBracketTick();
+    }, config.brackets.checkIntervalMs);
+  }
+
+  /**
+   * Stop the bracket check loop
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * One pass of the bracket loop (leader only)
+   */
+  async runBracketTick() {
+    if (this.checkRunning || !MatchmakingEngine.isLeader) return;
+    this.checkRunning = true;
+
+    try {
+      await this.processBrackets();
+    } catch (error) {
+      console.error('Error in bracket tick:', error);
+    } finally {
+      this.checkRunning = false;
+    }
+  }
+
+  /**
+   * Create a bracket and schedule its first round
+   * @param {Object} options - { name, roundNumber, studyId, roster: [{ participantId, participantName, skillLevel, treatmentGroup }], fillMode, seed }
+   * @returns {Promise<Object>} Bracket
+   */
+  async createBracket(options) {
+    const { roster } = options;
+    const roundNumber = parseInt(options.roundNumber);
+
+    if (!Array.isArray(roster) || roster.length < 2) {
+      throw new Error('roster must list at least two participants');
+    }
+
+    const participantIds = roster.map(entry => entry?.participantId && String(entry.participantId));
+    if (participantIds.some(participantId => !participantId)) {
+      throw new Error('every roster entry needs a participantId');
+    }
+
+    if (new Set(participantIds).size !== participantIds.length) {
+      throw new Error('roster lists a participant more than once');
+    }
+
+    const lastRound = roundNumber + getRoundCount(roster.length) - 1;
+    if (lastRound > MAX_ROUND_NUMBER) {
+      throw new Error(`a bracket of ${roster.length} players starting in round ${roundNumber} would end in round ${lastRound} (max ${MAX_ROUND_NUMBER})`);
+    }
+
+    // A player can only have one scheduled match per round
+    for (let round = roundNumber; round <= lastRound; round++) {
+      const [booked] = await this.getBookedParticipantIds(participantIds, round);
+      if (booked) {
+        throw new Error(`participant ${booked} already has a scheduled match in round ${round}`);
+      }
+    }
+
+    const fillMode = options.fillMode || config.brackets.fillMode;
+    if (!isValidFillMode(fillMode)) {
+      throw new Error(`Unknown fill mode: ${fillMode}`);
+    }
+
+    // Tournament seed: decides the seeding order of equally skilled players
+    const rngSeed = toSeed(options.seed) ?? generateSeed();
+    const seeded = seedRoster(roster.map(entry => ({
+      participantId: String(entry.participantId),
+      participantName: entry.participantName || null,
+      skillLevel: Number(entry.skillLevel) || 7,
+      treatmentGroup: entry.treatmentGroup || 'control'
+    })), createRandom(rngSeed));
+
+    const bracket = {
+      bracketId: uuidv4(),
+      name: options.name || `Bracket from round ${roundNumber}`,
+      studyId: options.studyId || null,
+      status: BRACKET_STATUSES.IN_PROGRESS,
+      fillMode,
+      startRound: roundNumber,
+      currentRound: roundNumber,
+      roster: seeded,
+      rounds: [],
+      // Players who already had a bye or AI fill-in
+      byes: [],
+      championId: null,
+      createdAt: Date.now(),
+      finishedAt: null,
+      rngSeed
+    };
+
+    const scheduled = await this.scheduleRound(bracket, roundNumber, seeded, true);
+    await RedisService.saveBracket(scheduled);
+
+    console.log(`🏆 Created bracket ${bracket.bracketId} with ${seeded.length} players from round ${roundNumber}`);
+    await this.publishBracketUpdate(scheduled, [roundNumber]);
+    return scheduled;
+  }
+
+  /**
+   * Find the players who already have a scheduled match in a round
+   * @param {Array<string>} participantIds - Players to check
+   * @param {number} roundNumber - Matchmaking round
+   * @returns {Promise<Array<string>>} IDs of the players who are booked
+   */
+  async getBookedParticipantIds(participantIds, roundNumber) {
+    const booked = [];
+    for (const participantId of participantIds) {
+      const existing = await RedisService.getParticipantPairing(roundNumber, participantId);
+      if (existing && ['pending', 'matched'].includes(existing.status)) {
+        booked.push(participantId);
+      }
+    }
+    return booked;
+  }
+
+  /**
+   * Pair a bracket round and schedule its matches. A player who was booked for another
+   * scheduled match in the round since the bracket was created forfeits their slot: the
+   * opponent wins by walkover (a lone player still advances, as with a bye).
+   * @param {Object} bracket - Bracket
+   * @param {number} roundNumber - Matchmaking round the bracket round is played in
+   * @param {Array} players - Roster entries of the players left, in bracket order
+   * @param {boolean} firstRound - Pair by seed (1 v N) rather than by bracket order
+   * @returns {Promise<Object>} Bracket with the new round
+   */
+  async scheduleRound(bracket, roundNumber, players, firstRound = false) {
+    const slots = [];
+    const byes = [...bracket.byes];
+
+    for (const slot of pairRound(players, { fillMode: bracket.fillMode, byes, fold: firstRound })) {
+      if (slot.fill) {
+        byes.push(slot.participantIds[0]);
+      }
+
+      if (slot.fill === 'bye') {
+        slots.push({ ...slot, pairingId: null, matchId: null, resolved: true, winnerId: slot.participantIds[0], result: 'bye' });
+        continue;
+      }
+
+      const booked = await this.getBookedParticipantIds(slot.participantIds, roundNumber);
+      if (booked.length > 0) {
+        const [winnerId = null] = slot.fill ? slot.participantIds : slot.participantIds.filter(id => !booked.includes(id));
+        console.log(`⚠️ Bracket ${bracket.bracketId}: ${booked.join(', ')} already booked in round ${roundNumber}, slot ${slot.slot} goes to ${winnerId || 'nobody'}`);
+        slots.push({ ...slot, pairingId: null, matchId: null, resolved: true, winnerId, result: slot.fill ? 'bye' : 'walkover' });
+        continue;
+      }
+
+      const pairing = await MatchmakingEngine.schedulePairing(slot.participantIds, roundNumber, {
+        type: 'bracket',
+        id: bracket.bracketId,
+        slot: slot.slot
+      });
+      slots.push({ ...slot, pairingId: pairing.pairingId, matchId: null, resolved: false, winnerId: null, result: null });
+    }
+
+    console.log(`🏆 Bracket ${bracket.bracketId}: round ${roundNumber} scheduled with ${slots.length} slots`);
+
+    return {
+      ...bracket,
+      currentRound: roundNumber,
+      byes,
+      rounds: [...bracket.rounds, { roundNumber, slots, scheduledAt: Date.now(), finishedAt: null }]
+    };
+  }
+
+  /**
+   * Get a bracket
+   * @param {string} bracketId - Bracket ID
+   * @returns {Promise<Object|null>} Bracket or null if not found
+   */
+  async getBracket(bracketId) {
+    return await RedisService.getBracket(bracketId);
+  }
+
+  /**
+   * List all known brackets
+   * @returns {Promise<Array>} Brackets, newest first
+   */
+  async listBrackets() {
+    const bracketIds = await RedisService.getBracketIds();
+    const brackets = [];
+
+    for (const bracketId of bracketIds) {
+      const bracket = await RedisService.getBracket(bracketId);
+      if (bracket) {
+        brackets.push(bracket);
+      } else {
+        // Bracket data expired
+        await RedisService.removeBracketId(bracketId);
+      }
+    }
+
+    return brackets.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Record the results of the current round and start the next one once every slot has a result
+   * @param {string} bracketId - Bracket ID
+   * @returns {Promise<Object|null>} Bracket or null if not found
+   */
+  async updateBracket(bracketId) {
+    const lockKey = `bracketlock:${bracketId}`;
+    const lockValue = `${MatchmakingEngine.instanceId}-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 10000))) {
+      console.log(`⏳ Bracket ${bracketId} is already being updated`);
+      return await RedisService.getBracket(bracketId);
+    }
+
+    try {
+      let bracket = await RedisService.getBracket(bracketId);
+      if (bracket?.status !== BRACKET_STATUSES.IN_PROGRESS) return bracket;
+
+      const seeds = Object.fromEntries(bracket.roster.map(p => [p.participantId, p.seed]));
+      const round = bracket.rounds[bracket.rounds.length - 1];
+      let changed = false;
+
+      const slots = [];
+      for (const slot of round.slots) {
+        if (slot.resolved) {
+          slots.push(slot);
+          continue;
+        }
+
+        const pairing = await RedisService.getPairing(slot.pairingId);
+        const { resolved, winnerId } = getSlotWinner(slot, pairing, seeds);
+        const matchId = pairing?.matchId || null;
+
+        changed = changed || resolved || matchId !== slot.matchId;
+        slots.push({ ...slot, matchId, resolved, winnerId, result: resolved ? (pairing?.status || 'expired') : null });
+      }
+
+      // A round can also start out finished, when every slot was decided by walkover
+      const roundFinished = slots.every(slot => slot.resolved);
+      if (!changed && !roundFinished) return bracket;
+
+      const updatedRound = { ...round, slots, finishedAt: roundFinished ? Date.now() : null };
+      bracket = { ...bracket, rounds: [...bracket.rounds.slice(0, -1), updatedRound] };
+      const roundNumbers = [round.roundNumber];
+
+      if (roundFinished) {
+        const advancing = getAdvancingPlayers(updatedRound);
+
+        if (advancing.length <= 1) {
+          bracket = {
+            ...bracket,
+            status: BRACKET_STATUSES.FINISHED,
+            championId: advancing[0] || null,
+            finishedAt: Date.now()
+          };
+          console.log(`🥇 Bracket ${bracketId} finished${bracket.championId ? `, won by ${bracket.championId}` : ' without a winner'}`);
+        } else {
+          const players = advancing.map(participantId => bracket.roster.find(p => p.participantId === participantId));
+          bracket = await this.scheduleRound(bracket, round.roundNumber + 1, players);
+          roundNumbers.push(round.roundNumber + 1);
+        }
+      }
+
+      await RedisService.saveBracket(bracket);
+      await this.publishBracketUpdate(bracket, roundNumbers);
+      return bracket;
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+  }
+
+  /**
+   * Cancel a bracket. Matches already running are played out; players waiting for a
+   * scheduled opponent go through normal matchmaking instead.
+   * @param {string} bracketId - Bracket ID
+   * @returns {Promise<Object|null>} Bracket or null if not found
+   */
+  async cancelBracket(bracketId) {
+    const lockKey = `bracketlock:${bracketId}`;
+    const lockValue = `${MatchmakingEngine.instanceId}-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 10000))) {
+      throw new Error(`Bracket ${bracketId} is being updated, try again`);
+    }
+
+    let bracket;
+    let cancelled;
+    try {
+      bracket = await RedisService.getBracket(bracketId);
+      if (!bracket) return null;
+      if (bracket.status !== BRACKET_STATUSES.IN_PROGRESS) return bracket;
+
+      cancelled = { ...bracket, status: BRACKET_STATUSES.CANCELLED, finishedAt: Date.now() };
+      await RedisService.saveBracket(cancelled);
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+
+    const round = bracket.rounds[bracket.rounds.length - 1];
+    for (const slot of round.slots) {
+      if (!slot.resolved && slot.pairingId) {
+        await MatchmakingEngine.cancelPairing(slot.pairingId);
+      }
+    }
+
+    console.log(`🛑 Bracket ${bracketId} cancelled in round ${round.roundNumber}`);
+    await this.publishBracketUpdate(cancelled, [round.roundNumber]);
+    return cancelled;
+  }
+
+  /**
+   * Update every bracket in progress (leader only)
+   */
+  async processBrackets() {
+    const bracketIds = await RedisService.getBracketIds();
+
+    for (const bracketId of bracketIds) {
+      try {
+        const bracket = await RedisService.getBracket(bracketId);
+        if (!bracket) {
+          await RedisService.removeBracketId(bracketId);
+          continue;
+        }
+
+        if (bracket.status === BRACKET_STATUSES.IN_PROGRESS) {
+          await this.updateBracket(bracketId);
+        }
+      } catch (error) {
+        console.error(`Error processing bracket ${bracketId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Build the bracket view players get. Treatment groups and skill levels are left out,
+   * and names too if any rostered player may not see their opponents' names; players
+   * are then known by their seed only (`seed-3`).
+   * @param {Object} bracket - Bracket
+   * @returns {Object} Bracket for players
+   */
+  toPublicBracket(bracket) {
+    const showNames = bracket.roster.every(p => getVisibilityRules(p.treatmentGroup, config.matchmaking.visibility).opponentName);
+    const seeds = Object.fromEntries(bracket.roster.map(p => [p.participantId, p.seed]));
+    const publicId = (participantId) => (showNames || !participantId ? participantId : `seed-${seeds[participantId]}`);
+
+    return {
+      bracketId: bracket.bracketId,
+      name: bracket.name,
+      status: bracket.status,
+      fillMode: bracket.fillMode,
+      startRound: bracket.startRound,
+      currentRound: bracket.currentRound,
+      rounds: bracket.rounds.map(round => ({
+        ...round,
+        slots: round.slots.map(slot => ({
+          ...slot,
+          participantIds: slot.participantIds.map(publicId),
+          winnerId: publicId(slot.winnerId)
+        }))
+      })),
+      championId: publicId(bracket.championId),
+      createdAt: bracket.createdAt,
+      finishedAt: bracket.finishedAt,
+      roster: bracket.roster.map(({ participantId, participantName, seed }) => ({
+        participantId: publicId(participantId),
+        participantName: showNames ? participantName : null,
+        seed
+      }))
+    };
+  }
+
+  /**
+   * Push the bracket to everyone in the given rounds (on every instance)
+   * @param {Object} bracket - Bracket
+   * @param {Array<number>} roundNumbers - Rounds whose players get the update
+   */
+  async publishBracketUpdate(bracket, roundNumbers) {
+    await MatchmakingEngine.publishEvent('bracket_update', {
+      roundNumbers,
+      bracket: this.toPublicBracket(bracket)
+    });
+  }
+}
+
+export default new BracketService();
@@ -2,6 +2,7 @@ import { createClient } from '@supabase/supabase-js';
 import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
 import { retryWithBackoff, generateUUID } from '../utils/helpers.js';
+import { getStatusTimestamps } from '../utils/matchLifecycle.js';
 
 class DatabaseService {
   constructor() {
@@ -95,10 +96,16 @@ class DatabaseService {
         id: matchData.id,
         participant1_id: matchData.participant1_id,
         participant2_id: matchData.participant2_id,
+        participant_ids: matchData.participant_ids || null,
         round_number: matchData.round_number,
         match_type: matchData.match_type,
         status: matchData.status || 'active',
-        created_at: new Date().toISOString(),
+        pairing_rule: matchData.pairing_rule || null,
+        match_quality: matchData.match_quality ?? null,
+        rng_seed: matchData.rng_seed ?? null,
+        ...getStatusTimestamps(matchData),
+        ended_reason: matchData.ended_reason || null,
+        created_at: matchData.created_at || new Date().toISOString(),
       };
 
       const { data, error } = await this.supabase
@@ -274,6 +281,79 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get the match results of a set of participants (for standings)
+   * @param {Array<string>} participantIds - Participant UUIDs
+   * @param {Array<string>} matchIds - Optional: only results of these matches
+   * @returns {Promise<Array>} Results: { participant_id, result, round_number }
+   */
+  async getResultsForParticipants(participantIds, matchIds = null) {
+    try {
+      let query = this.supabase
+        .from('tournament_results')
+        .select('participant_id, result, round_number')
+        .in('participant_id', participantIds);
+
+      if (matchIds) {
+        query = query.in('match_id', matchIds);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting participant results:', { 
+        participantCount: participantIds.length, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get how many times a participant has played each human opponent
+   * @param {string} participantId - Participant UUID
+   * @returns {Promise<Object>} Map of opponentId -> times played
+   */
+  async getOpponentHistory(participantId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('tournament_matches')
+        .select('participant1_id, participant2_id, participant_ids')
+        .or(`participant1_id.eq.${participantId},participant2_id.eq.${participantId},participant_ids.cs.{${participantId}}`)
+        .neq('status', 'cancelled');
+
+      if (error) {
+        throw error;
+      }
+
+      const history = {};
+      for (const match of data || []) {
+        // Group matches list every human member; pairs only have the two columns
+        const memberIds = match.participant_ids || [match.participant1_id, match.participant2_id];
+
+        // AI seats have no participant ID
+        for (const opponentId of memberIds) {
+          if (opponentId && opponentId !== participantId) {
+            history[opponentId] = (history[opponentId] || 0) + 1;
+          }
+        }
+      }
+
+      return history;
+    } catch (error) {
+      logger.error('Error getting opponent history:', { 
+        participantId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
   /**
    * Record participant activity for analytics
    * @param {Object} activityData - Activity data
@@ -461,6 +541,83 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get a participant's stored rating
+   * @param {string} participantId - Participant UUID
+   * @returns {Promise<Object|null>} participant_ratings row or null if not rated yet
+   */
+  async getParticipantRating(participantId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('participant_ratings')
+        .select('*')
+        .eq('participant_id', participantId)
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error('Error getting participant rating:', { 
+        participantId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Save participants' ratings (one row per participant)
+   * @param {Array} ratings - participant_ratings rows
+   * @returns {Promise<void>}
+   */
+  async saveParticipantRatings(ratings) {
+    if (ratings.length === 0) return;
+
+    try {
+      const { error } = await this.supabase
+        .from('participant_ratings')
+        .upsert(ratings, { onConflict: 'participant_id' });
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error saving participant ratings:', { 
+        participantCount: ratings.length, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get every result against human opponents, oldest first (to rebuild ratings)
+   * @returns {Promise<Array>} Results: { match_id, participant_id, participant_score, created_at }
+   */
+  async getHumanMatchResults() {
+    try {
+      const { data, error } = await this.supabase
+        .from('tournament_results')
+        .select('match_id, participant_id, participant_score, created_at')
+        .eq('ai_opponent', false)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting match results for ratings:', { 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
   /**
    * Health check for database connection
    * @returns {Promise<boolean>} Connection status
@@ -493,7 +650,7 @@ class DatabaseService {
       const { data, error } = await this.supabase
         .from('tournament_matches')
         .select('*')
-        .or(`participant1_id.eq.${participantId},participant2_id.eq.${participantId}`)
+        .or(`participant1_id.eq.${participantId},participant2_id.eq.${participantId},participant_ids.cs.{${participantId}}`)
         .eq('round_number', roundNumber)
         .in('status', ['active', 'pending'])
         .order('created_at', { ascending: false });
@@ -0,0 +1,464 @@
+import { v4 as uuidv4 } from 'uuid';
+import RedisService from './RedisService.js';
+import MatchmakingEngine from './MatchmakingEngine.js';
+import { config } from '../config/index.js';
+import { generateSeed, toSeed } from '../utils/random.js';
+import { isValidStrategy } from '../utils/matchingStrategies.js';
+import { isValidPairingSystem } from '../utils/swissPairing.js';
+import { getVisibilityRules } from '../utils/visibilityRules.js';
+import { retryWithBackoff } from '../utils/helpers.js';
+
+const LOBBY_STATUSES = {
+  SCHEDULED: 'scheduled', // Created, not accepting participants yet
+  OPEN: 'open',           // Accepting participants, matching not started
+  STARTED: 'started',     // Members handed to the matchmaking engine
+  CLOSED: 'closed'        // No longer accepting participants
+};
+
+/**
+ * Scheduled session lobbies.
+ *
+ * A lobby opens at a scheduled time and collects participants for a round.
+ * Matching starts once the minimum number of participants is waiting, when
+ * the start deadline passes, or when an admin starts it. Participants who
+ * arrive after the start go straight into matchmaking.
+ */
+class LobbyService {
+  constructor() {
+    this.checkInterval = null;
+    this.checkRunning = false;
+  }
+
+  /**
+   * Start the lobby check loop (only the matcher leader does any work)
+   */
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.runLobbyTick();
+    }, config.lobbies.checkIntervalMs);
+  }
+
+  /**
+   * Stop the lobby check loop
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * One pass of the lobby loop (leader only)
+   */
+  async runLobbyTick() {
+    if (this.checkRunning || !MatchmakingEngine.isLeader) return;
+    this.checkRunning = true;
+
+    try {
+      await this.processLobbies();
+    } catch (error) {
+      console.error('Error in lobby tick:', error);
+    } finally {
+      this.checkRunning = false;
+    }
+  }
+
+  /**
+   * Create a lobby
+   * @param {Object} options - { name, roundNumber, studyId, opensAt, startDeadline, minParticipants, maxParticipants, seed, settings }
+   * @returns {Promise<Object>} Lobby state
+   */
+  async createLobby(options) {
+    const now = Date.now();
+    const opensAt = options.opensAt ? new Date(options.opensAt).getTime() : now;
+    const startDeadline = options.startDeadline ? new Date(options.startDeadline).getTime() : null;
+
+    if (isNaN(opensAt) || (startDeadline !== null && isNaN(startDeadline))) {
+      throw new Error('opensAt and startDeadline must be valid dates');
+    }
+
+    if (startDeadline !== null && startDeadline < opensAt) {
+      throw new Error('startDeadline must not be before opensAt');
+    }
+
+    const matchingStrategy = options.settings?.matchingStrategy;
+    if (matchingStrategy && !isValidStrategy(matchingStrategy)) {
+      throw new Error(`Unknown matching strategy: ${matchingStrategy}`);
+    }
+
+    const pairingSystem = options.settings?.pairingSystem;
+    if (pairingSystem && !isValidPairingSystem(pairingSystem)) {
+      throw new Error(`Unknown pairing system: ${pairingSystem}`);
+    }
+
+    const lobby = {
+      lobbyId: uuidv4(),
+      name: options.name || `Round ${options.roundNumber} session`,
+      roundNumber: parseInt(options.roundNumber),
+      studyId: options.studyId || null,
+      opensAt,
+      startDeadline,
+      minParticipants: parseInt(options.minParticipants) || config.lobbies.minParticipants,
+      maxParticipants: parseInt(options.maxParticipants) || null,
+      status: opensAt <= now ? LOBBY_STATUSES.OPEN : LOBBY_STATUSES.SCHEDULED,
+      createdAt: now,
+      startedAt: null,
+      closedAt: null,
+      // Session seed: every match in the lobby derives its seed from this
+      rngSeed: toSeed(options.seed) ?? generateSeed(),
+      settings: options.settings || {}
+    };
+
+    await RedisService.saveLobby(lobby);
+
+    console.log(`🏛️ Created lobby ${lobby.lobbyId} for round ${lobby.roundNumber} (${lobby.status})`);
+    return await this.getLobbyState(lobby.lobbyId);
+  }
+
+  /**
+   * Get a lobby with its members
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Object|null>} Lobby state or null if not found
+   */
+  async getLobbyState(lobbyId) {
+    const lobby = await RedisService.getLobby(lobbyId);
+    if (!lobby) return null;
+
+    const members = await RedisService.getLobbyMembers(lobbyId);
+
+    return {
+      ...lobby,
+      members: members.map(({ participantId, participantName, treatmentGroup, joinedAt }) => ({
+        participantId,
+        participantName,
+        treatmentGroup,
+        joinedAt
+      })),
+      memberCount: members.length
+    };
+  }
+
+  /**
+   * Build the lobby view participants get: no treatment groups, settings or session seed
+   * (the seed would let players predict AI behaviour), and member names only if every
+   * member may see their opponents' names
+   * @param {Object} lobby - Lobby state (getLobbyState)
+   * @returns {Object} Lobby for participants
+   */
+  toPublicLobby(lobby) {
+    const showNames = lobby.members.every(m => getVisibilityRules(m.treatmentGroup, config.matchmaking.visibility).opponentName);
+
+    return {
+      lobbyId: lobby.lobbyId,
+      name: lobby.name,
+      roundNumber: lobby.roundNumber,
+      status: lobby.status,
+      opensAt: lobby.opensAt,
+      startDeadline: lobby.startDeadline,
+      minParticipants: lobby.minParticipants,
+      maxParticipants: lobby.maxParticipants,
+      startedAt: lobby.startedAt,
+      closedAt: lobby.closedAt,
+      memberCount: lobby.memberCount,
+      members: showNames
+        ? lobby.members.map(({ participantName, joinedAt }) => ({ participantName, joinedAt }))
+        : []
+    };
+  }
+
+  /**
+   * List all known lobbies
+   * @returns {Promise<Array>} Lobby states, newest first
+   */
+  async listLobbies() {
+    const lobbyIds = await RedisService.getLobbyIds();
+    const lobbies = [];
+
+    for (const lobbyId of lobbyIds) {
+      const lobby = await this.getLobbyState(lobbyId);
+      if (lobby) {
+        lobbies.push(lobby);
+      } else {
+        // Lobby data expired
+        await RedisService.removeLobbyId(lobbyId);
+      }
+    }
+
+    return lobbies.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Add a participant to a lobby
+   * @param {string} lobbyId - Lobby ID
+   * @param {Object} participantData - { participantId, participantName, skillLevel, treatmentGroup }
+   * @returns {Promise<Object>} { status, lobby?, opensAt?, matchmaking? }
+   */
+  async joinLobby(lobbyId, participantData) {
+    // startLobby snapshots the members under this lock, so nobody joins between its status change and snapshot
+    const lockValue = await this.acquireLobbyLock(lobbyId);
+
+    let lobby;
+    let member;
+    let memberCount;
+    try {
+      lobby = await RedisService.getLobby(lobbyId);
+      if (!lobby) {
+        return { status: 'not_found', lobbyId };
+      }
+
+      if (lobby.status === LOBBY_STATUSES.CLOSED) {
+        return { status: 'closed', lobbyId };
+      }
+
+      if (lobby.status === LOBBY_STATUSES.SCHEDULED && Date.now() < lobby.opensAt) {
+        return { status: 'not_open', lobbyId, opensAt: lobby.opensAt };
+      }
+
+      member = {
+        participantId: participantData.participantId,
+        participantName: participantData.participantName,
+        skillLevel: participantData.skillLevel || 7,
+        treatmentGroup: participantData.treatmentGroup || 'control',
+        joinedAt: Date.now()
+      };
+
+      if (lobby.status !== LOBBY_STATUSES.STARTED) {
+        const members = await RedisService.getLobbyMembers(lobbyId);
+        const alreadyMember = members.some(m => m.participantId === member.participantId);
+        if (!alreadyMember && lobby.maxParticipants && members.length >= lobby.maxParticipants) {
+          return { status: 'lobby_full', lobbyId };
+        }
+      }
+
+      memberCount = await RedisService.addLobbyMember(lobbyId, member);
+      if (lobby.status !== LOBBY_STATUSES.STARTED) {
+        await RedisService.setParticipantStatus(member.participantId, 'in_lobby', {
+          lobbyId,
+          roundNumber: lobby.roundNumber
+        });
+      }
+    } finally {
+      await RedisService.releaseLock(`lobbylock:${lobbyId}`, lockValue);
+    }
+
+    // Late arrivals go straight into matchmaking
+    if (lobby.status === LOBBY_STATUSES.STARTED) {
+      await this.publishLobbyUpdate(lobbyId);
+
+      const matchmaking = await MatchmakingEngine.startMatchmaking(this.toMatchmakingData(lobby, member));
+      return { status: 'started', lobbyId, matchmaking };
+    }
+
+    console.log(`🏛️ Participant ${member.participantId} joined lobby ${lobbyId} (${memberCount}/${lobby.minParticipants})`);
+
+    if (memberCount >= lobby.minParticipants) {
+      await this.startLobby(lobbyId, 'minimum_reached');
+    } else {
+      await this.publishLobbyUpdate(lobbyId);
+    }
+
+    return { status: 'joined', lobby: this.toPublicLobby(await this.getLobbyState(lobbyId)) };
+  }
+
+  /**
+   * Remove a participant from a lobby that hasn't started yet
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<boolean>} Whether the participant was removed
+   */
+  async leaveLobby(lobbyId, participantId) {
+    // Without the lock a starting lobby could hand the participant to matchmaking after the status reset
+    const lockValue = await this.acquireLobbyLock(lobbyId);
+
+    let removed;
+    try {
+      const lobby = await RedisService.getLobby(lobbyId);
+      if (!lobby || lobby.status === LOBBY_STATUSES.STARTED) {
+        // Once matching has started the member list is a record of the session
+        return false;
+      }
+
+      removed = await RedisService.removeLobbyMember(lobbyId, participantId);
+      if (removed) {
+        await RedisService.setParticipantStatus(participantId, 'idle');
+      }
+    } finally {
+      await RedisService.releaseLock(`lobbylock:${lobbyId}`, lockValue);
+    }
+
+    if (removed) {
+      console.log(`🚪 Participant ${participantId} left lobby ${lobbyId}`);
+      await this.publishLobbyUpdate(lobbyId);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Take a lobby's lock, retrying briefly while another update (usually a start) holds it
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<string>} Lock value to release the lock with
+   */
+  async acquireLobbyLock(lobbyId) {
+    const lockValue = `${MatchmakingEngine.instanceId}-${Date.now()}`;
+
+    await retryWithBackoff(async () => {
+      if (!(await RedisService.acquireLock(`lobbylock:${lobbyId}`, lockValue, 10000))) {
+        throw new Error(`Lobby ${lobbyId} is already being updated`);
+      }
+    }, 3, 100);
+
+    return lockValue;
+  }
+
+  /**
+   * Start matching for everyone waiting in a lobby
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} reason - 'minimum_reached', 'deadline' or 'admin'
+   * @returns {Promise<Object|null>} Lobby state or null if not found
+   */
+  async startLobby(lobbyId, reason = 'admin') {
+    const lockKey = `lobbylock:${lobbyId}`;
+    const lockValue = `${MatchmakingEngine.instanceId}-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 10000))) {
+      console.log(`⏳ Lobby ${lobbyId} is already being updated`);
+      return await this.getLobbyState(lobbyId);
+    }
+
+    let members = [];
+    let lobby;
+    try {
+      lobby = await RedisService.getLobby(lobbyId);
+      if (!lobby) return null;
+
+      if (lobby.status === LOBBY_STATUSES.STARTED || lobby.status === LOBBY_STATUSES.CLOSED) {
+        return await this.getLobbyState(lobbyId);
+      }
+
+      lobby = {
+        ...lobby,
+        status: LOBBY_STATUSES.STARTED,
+        startedAt: Date.now(),
+        startReason: reason
+      };
+      await RedisService.saveLobby(lobby);
+      members = await RedisService.getLobbyMembers(lobbyId);
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+
+    console.log(`🚀 Lobby ${lobbyId} started (${reason}) with ${members.length} participants`);
+    await this.publishLobbyUpdate(lobbyId);
+
+    // Hand everyone to the engine in arrival order
+    for (const member of members) {
+      try {
+        await MatchmakingEngine.startMatchmaking(this.toMatchmakingData(lobby, member));
+      } catch (error) {
+        console.error(`Error starting matchmaking for lobby member ${member.participantId}:`, error);
+      }
+    }
+
+    return await this.getLobbyState(lobbyId);
+  }
+
+  /**
+   * Close a lobby and cancel matchmaking for members who are still waiting
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Object|null>} Lobby state or null if not found
+   */
+  async closeLobby(lobbyId) {
+    const lobby = await RedisService.getLobby(lobbyId);
+    if (!lobby) return null;
+
+    if (lobby.status !== LOBBY_STATUSES.CLOSED) {
+      await RedisService.saveLobby({
+        ...lobby,
+        status: LOBBY_STATUSES.CLOSED,
+        closedAt: Date.now()
+      });
+
+      const members = await RedisService.getLobbyMembers(lobbyId);
+      for (const member of members) {
+        const status = await RedisService.getParticipantStatus(member.participantId);
+        if (status?.status === 'in_lobby' || status?.status === 'searching') {
+          await MatchmakingEngine.cancelMatchmaking(member.participantId, lobby.roundNumber);
+        }
+      }
+
+      console.log(`🔒 Lobby ${lobbyId} closed`);
+      await this.publishLobbyUpdate(lobbyId);
+    }
+
+    return await this.getLobbyState(lobbyId);
+  }
+
+  /**
+   * Open scheduled lobbies and start lobbies whose deadline has passed (leader only)
+   */
+  async processLobbies() {
+    const now = Date.now();
+    const lobbyIds = await RedisService.getLobbyIds();
+
+    for (const lobbyId of lobbyIds) {
+      try {
+        const lobby = await RedisService.getLobby(lobbyId);
+        if (!lobby) {
+          await RedisService.removeLobbyId(lobbyId);
+          continue;
+        }
+
+        if (lobby.status === LOBBY_STATUSES.SCHEDULED && now >= lobby.opensAt) {
+          await RedisService.saveLobby({ ...lobby, status: LOBBY_STATUSES.OPEN });
+          console.log(`🏛️ Lobby ${lobbyId} is now open`);
+          await this.publishLobbyUpdate(lobbyId);
+          continue;
+        }
+
+        if (lobby.status === LOBBY_STATUSES.OPEN && lobby.startDeadline && now >= lobby.startDeadline) {
+          await this.startLobby(lobbyId, 'deadline');
+        }
+      } catch (error) {
+        console.error(`Error processing lobby ${lobbyId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Build the matchmaking request for a lobby member
+   * @param {Object} lobby - Lobby data
+   * @param {Object} member - Lobby member
+   * @returns {Object} Participant data for MatchmakingEngine.startMatchmaking
+   */
+  toMatchmakingData(lobby, member) {
+    return {
+      participantId: member.participantId,
+      participantName: member.participantName,
+      roundNumber: lobby.roundNumber,
+      skillLevel: member.skillLevel,
+      treatmentGroup: member.treatmentGroup,
+      studyId: lobby.studyId,
+      lobbyId: lobby.lobbyId,
+      sessionSeed: lobby.rngSeed,
+      matchingStrategy: lobby.settings?.matchingStrategy || null,
+      pairingSystem: lobby.settings?.pairingSystem || null
+    };
+  }
+
+  /**
+   * Push the lobby's presence list to everyone in it (on every instance)
+   * @param {string} lobbyId - Lobby ID
+   */
+  async publishLobbyUpdate(lobbyId) {
+    const lobby = await this.getLobbyState(lobbyId);
+    if (lobby) {
+      await MatchmakingEngine.publishEvent('lobby_update', this.toPublicLobby(lobby));
+    }
+  }
+}
+
+export default new LobbyService();
@@ -0,0 +1,540 @@
+import RedisService from './RedisService.js';
+import MatchmakingEngine from './MatchmakingEngine.js';
+import AIOpponentDriver from './AIOpponentDriver.js';
+import DatabaseService from './DatabaseService.js';
+import { config } from '../config/index.js';
+import { loadQuestionBank, selectQuestions, toPublicQuestion } from '../utils/questionBank.js';
+import { createRandom, deriveSeed, toSeed } from '../utils/random.js';
+import { getVisibilityRules, getMatchTreatmentGroups, redactOpponents } from '../utils/visibilityRules.js';
+
+const SESSION_STATUSES = {
+  WAITING: 'waiting',         // Created, waiting for every player to join
+  IN_PROGRESS: 'in_progress', // Questions are being played
+  FINISHED: 'finished'        // All questions played (or the match ended early)
+};
+
+/**
+ * Server-run match sessions.
+ *
+ * The server owns the quiz of every active match: it picks the question sequence,
+ * sends each question to all players at once, timestamps and scores their answers
+ * against the question bank and broadcasts live scores. A question closes when every
+ * player (AI seats included) answered or its time runs out. After the last question the
+ * match is completed with the server's scores; clients never report scores themselves.
+ *
+ * AI seats are played live by the AIOpponentDriver.
+ */
+class MatchSessionService {
+  constructor() {
+    this.questionBank = null; // Question id -> question, loaded on first use
+    this.checkInterval = null;
+    this.checkRunning = false;
+  }
+
+  /**
+   * Start the session deadline loop (only the matcher leader does any work)
+   */
+  start() {
+    if (this.checkInterval || !config.matchSessions.enabled) return;
+
+    MatchmakingEngine.setSubstitutionHandler((matchId, participantId, substitute) =>
+      this.substituteSeat(matchId, participantId, substitute));
+
+    this.checkInterval = setInterval(() => {
+      this.runSessionTick();
+    }, config.matchSessions.checkIntervalMs);
+  }
+
+  /**
+   * Stop the session deadline loop
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    AIOpponentDriver.stop();
+  }
+
+  /**
+   * One pass of the session loop (leader only)
+   */
+  async runSessionTick() {
+    if (this.checkRunning || !MatchmakingEngine.isLeader) return;
+    this.checkRunning = true;
+
+    try {
+      await this.processSessionDeadlines();
+    } catch (error) {
+      console.error('Error in match session tick:', error);
+    } finally {
+      this.checkRunning = false;
+    }
+  }
+
+  /**
+   * Get the question bank, loading it on first use
+   * @returns {Map} Question id -> question
+   */
+  getQuestionBank() {
+    if (!this.questionBank) {
+      const { questionBankPath } = config.matchSessions;
+      const { questions, skipped } = loadQuestionBank(questionBankPath);
+
+      if (skipped.length > 0) {
+        console.warn(`⚠️ Skipped ${skipped.length} invalid question(s) in ${questionBankPath}: ${skipped.join(', ')}`);
+      }
+      if (questions.length === 0) {
+        throw new Error(`No usable questions in ${questionBankPath}`);
+      }
+
+      this.questionBank = new Map(questions.map(q => [q.id, q]));
+      console.log(`📚 Loaded ${questions.length} questions from ${questionBankPath}`);
+    }
+
+    return this.questionBank;
+  }
+
+  /**
+   * Join a player to their match's session, creating it on the first join.
+   * The first question goes out once every human player has joined.
+   * @param {string} matchId - Match ID
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object>} { status: 'joined', session } or a rejection reason
+   */
+  async joinSession(matchId, participantId) {
+    const match = await RedisService.getMatch(matchId);
+    if (!match || !match.status) {
+      return { status: 'not_found', matchId };
+    }
+
+    if (!MatchmakingEngine.getMatchParticipantIds(match).includes(participantId)) {
+      return { status: 'not_participant', matchId };
+    }
+
+    if (match.status !== 'active') {
+      return { status: 'not_active', matchId, matchStatus: match.status };
+    }
+
+    await RedisService.addSessionPlayer(matchId, participantId);
+
+    await this.withSessionLock(matchId, async () => {
+      const session = await RedisService.getMatchSession(matchId) || await this.createSession(matchId, match);
+      if (session.status !== SESSION_STATUSES.WAITING) return;
+
+      const joined = await RedisService.getSessionPlayers(matchId);
+      if (session.players.every(id => joined.includes(id))) {
+        await this.sendQuestion(session, 0);
+      }
+    });
+
+    console.log(`🎮 Participant ${participantId} joined the session of match ${matchId}`);
+    return { status: 'joined', matchId, session: await this.getSessionState(matchId, participantId) };
+  }
+
+  /**
+   * Create the session of a match with its question sequence
+   * @param {string} matchId - Match ID
+   * @param {Object} match - Match data (Redis hash)
+   * @returns {Promise<Object>} Session
+   */
+  async createSession(matchId, match) {
+    const { questionsPerMatch, joinTimeoutMs } = config.matchSessions;
+    const players = MatchmakingEngine.getMatchParticipantIds(match);
+    const aiPlayers = this.getAIPlayers(match);
+
+    // The same match seed always gives the same questions
+    const seed = toSeed(match.rng_seed);
+    const random = seed !== null ? createRandom(deriveSeed(seed, 'questions')) : Math.random;
+
+    const session = {
+      matchId,
+      roundNumber: parseInt(match.round_number),
+      status: SESSION_STATUSES.WAITING,
+      players,
+      aiPlayers,
+      treatmentGroups: getMatchTreatmentGroups(match),
+      questionIds: selectQuestions([...this.getQuestionBank().values()], questionsPerMatch, random),
+      currentIndex: -1,
+      questionSentAt: null,
+      deadline: Date.now() + joinTimeoutMs,
+      scores: Object.fromEntries([...players, ...aiPlayers.map(ai => ai.participantId)].map(id => [id, 0])),
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    await RedisService.saveMatchSession(session);
+    console.log(`🎮 Created session for match ${matchId} (${session.questionIds.length} questions)`);
+    return session;
+  }
+
+  /**
+   * Get the AI seats of a match with their behaviour settings
+   * @param {Object} match - Match data (Redis hash)
+   * @returns {Array} [{ participantId, aiSettings }]
+   */
+  getAIPlayers(match) {
+    if (match.participants) {
+      return JSON.parse(match.participants)
+        .filter(member => member.is_ai)
+        .map(member => ({ participantId: member.participant_id, aiSettings: member.aiSettings }));
+    }
+
+    if (match.isAI === 'true' && match.opponent && match.aiSettings) {
+      return [{ participantId: JSON.parse(match.opponent).participant_id, aiSettings: JSON.parse(match.aiSettings) }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Send a question to every player and start its timer
+   * @param {Object} session - Session
+   * @param {number} questionIndex - Index in the question sequence
+   */
+  async sendQuestion(session, questionIndex) {
+    const question = this.getQuestionBank().get(session.questionIds[questionIndex]);
+    if (!question) {
+      throw new Error(`Question ${session.questionIds[questionIndex]} is no longer in the question bank`);
+    }
+
+    const sentAt = Date.now();
+    const updated = {
+      ...session,
+      status: SESSION_STATUSES.IN_PROGRESS,
+      currentIndex: questionIndex,
+      questionSentAt: sentAt,
+      deadline: sentAt + config.matchSessions.questionTimeMs,
+      startedAt: session.startedAt ?? sentAt
+    };
+    await RedisService.saveMatchSession(updated);
+
+    await MatchmakingEngine.publishEvent('session_question', {
+      matchId: session.matchId,
+      participantIds: session.players,
+      treatmentGroups: session.treatmentGroups,
+      questionIndex,
+      totalQuestions: session.questionIds.length,
+      question: toPublicQuestion(question),
+      sentAt,
+      deadline: updated.deadline
+    });
+
+    await AIOpponentDriver.startQuestion(updated, question, (aiParticipantId) => this.afterAnswer(session.matchId, questionIndex, aiParticipantId));
+  }
+
+  /**
+   * Record and score a player's answer to the current question
+   * @param {string} matchId - Match ID
+   * @param {string} participantId - Participant ID
+   * @param {Object} submission - { questionIndex, answerIndex }
+   * @returns {Promise<Object>} { status: 'recorded', correct, ... } or a rejection reason
+   */
+  async submitAnswer(matchId, participantId, { questionIndex, answerIndex }) {
+    const session = await RedisService.getMatchSession(matchId);
+    if (!session) {
+      return { status: 'not_found', matchId };
+    }
+
+    if (!session.players.includes(participantId)) {
+      return { status: 'not_participant', matchId };
+    }
+
+    const answeredAt = Date.now();
+    if (session.status !== SESSION_STATUSES.IN_PROGRESS || questionIndex !== session.currentIndex || answeredAt > session.deadline) {
+      return { status: 'question_closed', matchId, currentIndex: session.currentIndex };
+    }
+
+    const question = this.getQuestionBank().get(session.questionIds[questionIndex]);
+    const answer = {
+      answerIndex,
+      correct: answerIndex === question.answer,
+      answeredAt,
+      responseTimeMs: answeredAt - session.questionSentAt
+    };
+
+    if (!(await RedisService.saveSessionAnswer(matchId, questionIndex, participantId, answer))) {
+      return { status: 'already_answered', matchId, questionIndex };
+    }
+
+    await DatabaseService.recordActivity({
+      participantId,
+      type: 'match_answer',
+      data: { matchId, questionId: question.id, questionIndex, ...answer },
+      roundNumber: session.roundNumber
+    });
+
+    await this.afterAnswer(matchId, questionIndex, participantId);
+
+    return { status: 'recorded', matchId, questionIndex, correct: answer.correct, responseTimeMs: answer.responseTimeMs };
+  }
+
+  /**
+   * Publish the live scores after an answer, and close the question once every player answered
+   * @param {string} matchId - Match ID
+   * @param {number} questionIndex - Question that was answered
+   * @param {string} answeredBy - Player (or AI seat) who answered
+   */
+  async afterAnswer(matchId, questionIndex, answeredBy) {
+    const session = await RedisService.getMatchSession(matchId);
+    if (!session) return;
+
+    const answers = await RedisService.getSessionAnswers(matchId);
+    const answered = Object.keys(answers[questionIndex] || {});
+
+    await MatchmakingEngine.publishEvent('session_score', {
+      matchId: session.matchId,
+      participantIds: session.players,
+      treatmentGroups: session.treatmentGroups,
+      questionIndex,
+      answeredBy,
+      answered,
+      scores: this.computeScores(session, answers)
+    });
+
+    // An answer given before a substitution counts for the substitute's seat
+    const answeredSeats = answered.map(id => this.getSeatId(session, id));
+    const seats = [...session.players, ...session.aiPlayers.map(ai => ai.participantId)];
+    if (seats.every(id => answeredSeats.includes(id))) {
+      await this.closeQuestion(session.matchId, questionIndex);
+    }
+  }
+
+  /**
+   * Close a question: reveal the answer and move on
+   * @param {string} matchId - Match ID
+   * @param {number} questionIndex - Question to close (ignored if it is no longer current)
+   */
+  async closeQuestion(matchId, questionIndex) {
+    await this.withSessionLock(matchId, async () => {
+      const session = await RedisService.getMatchSession(matchId);
+      if (!session || session.status !== SESSION_STATUSES.IN_PROGRESS || session.currentIndex !== questionIndex) return;
+
+      const question = this.getQuestionBank().get(session.questionIds[questionIndex]);
+      await AIOpponentDriver.answerMissing(session, question);
+
+      const answers = await RedisService.getSessionAnswers(matchId);
+      const scores = this.computeScores(session, answers);
+
+      await MatchmakingEngine.publishEvent('session_question_closed', {
+        matchId,
+        participantIds: session.players,
+        treatmentGroups: session.treatmentGroups,
+        questionIndex,
+        correctAnswer: question.answer,
+        answers: answers[questionIndex] || {},
+        scores
+      });
+
+      if (questionIndex + 1 < session.questionIds.length) {
+        await this.sendQuestion({ ...session, scores }, questionIndex + 1);
+      } else {
+        await this.finishSession({ ...session, scores });
+      }
+    });
+  }
+
+  /**
+   * End a session and complete the match with the server's scores
+   * @param {Object} session - Session with final scores
+   */
+  async finishSession(session) {
+    await RedisService.saveMatchSession({
+      ...session,
+      status: SESSION_STATUSES.FINISHED,
+      deadline: null,
+      finishedAt: Date.now()
+    });
+
+    console.log(`🏁 Session of match ${session.matchId} finished: ${JSON.stringify(session.scores)}`);
+
+    await MatchmakingEngine.publishEvent('session_finished', {
+      matchId: session.matchId,
+      participantIds: session.players,
+      treatmentGroups: session.treatmentGroups,
+      scores: session.scores
+    });
+
+    await MatchmakingEngine.completeMatchWithScores(session.matchId, session.scores);
+  }
+
+  /**
+   * Count correct answers per player
+   * @param {Object} session - Session
+   * @param {Object} answers - questionIndex -> participantId -> answer
+   * @returns {Object} participantId -> score
+   */
+  computeScores(session, answers) {
+    const scores = Object.fromEntries(Object.keys(session.scores).map(id => [id, 0]));
+
+    for (const questionAnswers of Object.values(answers)) {
+      for (const [participantId, answer] of Object.entries(questionAnswers)) {
+        const seatId = this.getSeatId(session, participantId);
+        if (answer.correct && seatId in scores) scores[seatId]++;
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Get the seat an answer counts for: an AI substitute continues the score of the player it replaced
+   * @param {Object} session - Session
+   * @param {string} participantId - Player who answered
+   * @returns {string} Participant ID of the seat
+   */
+  getSeatId(session, participantId) {
+    const substitution = Object.entries(session.substitutions || {}).find(([, originalId]) => originalId === participantId);
+    return substitution ? substitution[0] : participantId;
+  }
+
+  /**
+   * Hand an abandoned player's seat to their AI substitute, keeping their score
+   * @param {string} matchId - Match ID
+   * @param {string} participantId - Player who left
+   * @param {Object} substitute - AI group member entry (participant_id, aiSettings, ...)
+   * @returns {Promise<Object|null>} { scoreAtSubstitution, questionIndex }, or null if the match has no running session
+   */
+  async substituteSeat(matchId, participantId, substitute) {
+    // The lock is only held for a moment, so wait for it rather than lose the substitution
+    for (let attempt = 0; attempt < 5; attempt++) {
+      let handover = null;
+
+      const ran = await this.withSessionLock(matchId, async () => {
+        const session = await RedisService.getMatchSession(matchId);
+        if (!session || session.status === SESSION_STATUSES.FINISHED || !session.players.includes(participantId)) return;
+
+        const answers = await RedisService.getSessionAnswers(matchId);
+        const scoreAtSubstitution = this.computeScores(session, answers)[participantId] ?? 0;
+        const ai = { participantId: substitute.participant_id, aiSettings: substitute.aiSettings };
+
+        const scores = { ...session.scores, [ai.participantId]: scoreAtSubstitution };
+        delete scores[participantId];
+
+        const updated = {
+          ...session,
+          players: session.players.filter(id => id !== participantId),
+          aiPlayers: [...session.aiPlayers, ai],
+          substitutions: { ...session.substitutions, [ai.participantId]: participantId },
+          scores
+        };
+        await RedisService.saveMatchSession(updated);
+
+        if (updated.status === SESSION_STATUSES.IN_PROGRESS) {
+          // The substitute picks up the open question, unless the player already answered it
+          const question = this.getQuestionBank().get(updated.questionIds[updated.currentIndex]);
+          await AIOpponentDriver.addSeat(updated, question, ai, (aiParticipantId) =>
+            this.afterAnswer(matchId, updated.currentIndex, aiParticipantId));
+        } else {
+          const joined = await RedisService.getSessionPlayers(matchId);
+          if (updated.players.every(id => joined.includes(id))) {
+            await this.sendQuestion(updated, 0);
+          }
+        }
+
+        console.log(`🔄 ${ai.participantId} took over the seat of ${participantId} in match ${matchId} at ${scoreAtSubstitution} points`);
+        handover = { scoreAtSubstitution, questionIndex: updated.currentIndex };
+      });
+
+      if (ran) return handover;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    console.warn(`⚠️ Could not hand the seat of ${participantId} in match ${matchId} to ${substitute.participant_id}`);
+    return null;
+  }
+
+  /**
+   * Get what a player needs to (re)join a session: the current question and the scores
+   * @param {string} matchId - Match ID
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object|null>} Session state or null if there is no session
+   */
+  async getSessionState(matchId, participantId) {
+    const session = await RedisService.getMatchSession(matchId);
+    if (!session) return null;
+
+    const rules = getVisibilityRules(session.treatmentGroups?.[participantId], config.matchmaking.visibility);
+    const inProgress = session.status === SESSION_STATUSES.IN_PROGRESS;
+    const answers = await RedisService.getSessionAnswers(matchId);
+    const question = inProgress ? this.getQuestionBank().get(session.questionIds[session.currentIndex]) : null;
+
+    return {
+      matchId,
+      status: session.status,
+      totalQuestions: session.questionIds.length,
+      questionIndex: session.currentIndex,
+      question: question ? toPublicQuestion(question) : null,
+      sentAt: inProgress ? session.questionSentAt : null,
+      deadline: session.deadline,
+      answered: inProgress && Boolean(answers[session.currentIndex]?.[participantId]),
+      scores: redactOpponents(this.computeScores(session, answers), participantId, rules.opponentScore)
+    };
+  }
+
+  /**
+   * Start sessions whose join time ran out and close questions whose time ran out (leader only)
+   */
+  async processSessionDeadlines() {
+    const dueMatchIds = await RedisService.getDueMatchSessions(Date.now());
+
+    for (const matchId of dueMatchIds) {
+      try {
+        const session = await RedisService.getMatchSession(matchId);
+        const match = await RedisService.getMatch(matchId);
+
+        if (!session || match?.status !== 'active') {
+          // Session expired, or the match ended some other way (abandoned, cancelled, ...)
+          AIOpponentDriver.stopMatch(matchId);
+          if (session) {
+            await RedisService.saveMatchSession({ ...session, status: SESSION_STATUSES.FINISHED, deadline: null, finishedAt: Date.now() });
+          } else {
+            await RedisService.removeMatchSessionDeadline(matchId);
+          }
+          continue;
+        }
+
+        if (session.status === SESSION_STATUSES.WAITING) {
+          await this.withSessionLock(matchId, async () => {
+            const current = await RedisService.getMatchSession(matchId);
+            if (current?.status === SESSION_STATUSES.WAITING) {
+              console.log(`⏰ Not every player joined match ${matchId} in time, starting anyway`);
+              await this.sendQuestion(current, 0);
+            }
+          });
+        } else if (session.status === SESSION_STATUSES.IN_PROGRESS) {
+          await this.closeQuestion(matchId, session.currentIndex);
+        }
+      } catch (error) {
+        console.error(`Error processing session of match ${matchId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Run a session change under the session lock. If another change holds the lock
+   * nothing is done; the deadline loop picks up anything left waiting.
+   * @param {string} matchId - Match ID
+   * @param {Function} fn - Async change
+   * @returns {Promise<boolean>} Whether the change ran
+   */
+  async withSessionLock(matchId, fn) {
+    const lockKey = `sessionlock:${matchId}`;
+    const lockValue = `${MatchmakingEngine.instanceId}-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 5000))) {
+      console.log(`⏳ Session of match ${matchId} is already being updated`);
+      return false;
+    }
+
+    try {
+      await fn();
+      return true;
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+  }
+}
+
+export default new MatchSessionService();
@@ -3,13 +3,280 @@ import RedisService from './RedisService.js';
 import AIOpponentService from './AIOpponentService.js';
 import { config } from '../config/index.js';
 import DatabaseService from './DatabaseService.js';
+import RatingService from './RatingService.js';
 import { getBotName, getPlayerDisplayName } from '../utils/nameUtils.js';
+import { getPairingRule, getGroupPairingRule, filterCompatibleCandidates, PAIRING_RULES } from '../utils/pairingRules.js';
+import { calculateMatchQuality, calculateSkillWindow } from '../utils/helpers.js';
+import { computeBatchPairing } from '../utils/batchPairing.js';
+import { formGroup, formGroups } from '../utils/groupFormation.js';
+import { createRandom, deriveSeed, generateSeed, toSeed } from '../utils/random.js';
+import { rankCandidates, isValidStrategy, DEFAULT_MATCHING_STRATEGY } from '../utils/matchingStrategies.js';
+import { applyRematchPolicy, getTimesPlayed } from '../utils/rematchPolicy.js';
+import { getAIFallbackPolicy, getAIFallbackDeadline } from '../utils/aiFallbackPolicy.js';
+import { estimateWaitTime } from '../utils/waitTimeEstimator.js';
+import { canTransition, isFinalStatus, getStatusTimestampField, MATCH_TRANSITIONS } from '../utils/matchLifecycle.js';
+import { reconcileReports, decideOutcomes } from '../utils/matchResults.js';
+import { getVisibilityRules, getMatchTreatmentGroups, redactOutcome } from '../utils/visibilityRules.js';
+import { pairSwiss, tallyStandings, isValidPairingSystem } from '../utils/swissPairing.js';
+
+const EVENTS_CHANNEL = 'matchmaking:events';
+const LEADER_KEY = 'matcher:leader';
+const MAX_GROUP_SIZE = 6;
 
 class MatchmakingEngine {
   constructor() {
-    this.activeSearches = new Map(); // Track active searches to prevent duplicates
-    this.matchTimeouts = new Map(); // Track AI fallback timeouts
+    this.instanceId = uuidv4(); // Identifies this process in leader election
+    this.isLeader = false; // Whether this instance runs the matcher loop
+    this.matcherInterval = null; // Matcher loop (leader election, pairing, AI fallback deadlines)
+    this.matcherTickRunning = false;
+    this.recoveryPending = false; // Rebuild search state on the first tick after becoming leader
+    this.lastBatchAt = 0;
     this.onMatchFound = null; // Callback for when matches are found
+    this.eventCallbacks = new Map(); // Callbacks for other matchmaking events
+    this.onSubstitution = null; // Moves a substituted seat in the match session (set by MatchSessionService)
+  }
+
+  /**
+   * Start the matcher loop. Every instance runs the loop, but only the instance
+   * holding the Redis leader lease does pairing and AI fallback work.
+   */
+  async start() {
+    if (this.matcherInterval) return;
+
+    // Matches may be made on another instance, so deliver notifications through Redis
+    await RedisService.subscribe(EVENTS_CHANNEL, (message) => {
+      this.dispatchEvent(message.event, message.data);
+    });
+
+    this.matcherInterval = setInterval(() => {
+      this.runMatcherTick();
+    }, config.matchmaking.searchIntervalMs);
+
+    console.log(`🧭 Matcher loop started on instance ${this.instanceId} (${config.matchmaking.pairingMode} pairing)`);
+  }
+
+  /**
+   * Stop the matcher loop and hand leadership to another instance
+   */
+  async stop() {
+    if (this.matcherInterval) {
+      clearInterval(this.matcherInterval);
+      this.matcherInterval = null;
+    }
+
+    if (this.isLeader) {
+      await RedisService.releaseLock(LEADER_KEY, this.instanceId);
+      this.isLeader = false;
+      console.log(`👋 Instance ${this.instanceId} released matcher leadership`);
+    }
+  }
+
+  /**
+   * Acquire or renew the matcher leader lease
+   * @returns {Promise<boolean>} Whether this instance is the leader
+   */
+  async ensureLeadership() {
+    if (this.isLeader) {
+      return await this.renewLeadership();
+    }
+
+    try {
+      this.isLeader = await RedisService.acquireLock(LEADER_KEY, this.instanceId, config.matchmaking.leaderLeaseMs);
+    } catch (error) {
+      console.error('Error acquiring matcher leadership:', error);
+      this.isLeader = false;
+    }
+
+    if (this.isLeader) {
+      console.log(`👑 Instance ${this.instanceId} is now the matcher leader`);
+      this.recoveryPending = true;
+    }
+
+    return this.isLeader;
+  }
+
+  /**
+   * Renew the leader lease. Leadership is given up if the lease can't be renewed
+   * (lost to another instance or Redis failing), so no loop keeps acting as leader.
+   * @returns {Promise<boolean>} Whether this instance is still the leader
+   */
+  async renewLeadership() {
+    try {
+      this.isLeader = await RedisService.renewLock(LEADER_KEY, this.instanceId, config.matchmaking.leaderLeaseMs);
+    } catch (error) {
+      console.error('Error renewing matcher leadership:', error);
+      this.isLeader = false;
+    }
+
+    if (!this.isLeader) {
+      console.warn(`⚠️ Instance ${this.instanceId} lost matcher leadership`);
+    }
+
+    return this.isLeader;
+  }
+
+  /**
+   * One pass of the matcher loop (leader only)
+   */
+  async runMatcherTick() {
+    // Skip if the previous tick is still running
+    if (this.matcherTickRunning) return;
+    this.matcherTickRunning = true;
+
+    try {
+      if (!(await this.ensureLeadership())) return;
+
+      if (this.recoveryPending) {
+        this.recoveryPending = false;
+        await this.recoverState();
+      }
+
+      const passes = [
+        () => this.processReadyCheckDeadlines(),
+        () => this.processAIFallbackDeadlines(),
+        () => this.processReconnectDeadlines(),
+        () => this.processScheduledPairingDeadlines(),
+        () => this.processWaitlists(),
+        () => this.runPairingPass(),
+        // Swiss rounds are paired as a whole in either pairing mode
+        () => this.runSwissPairingTick()
+      ];
+
+      for (const pass of passes) {
+        // A slow tick must not outlive the lease: another instance could take over mid-tick
+        if (!(await this.renewLeadership())) {
+          console.warn(`⚠️ Stopping matcher tick on instance ${this.instanceId}: leadership lost`);
+          return;
+        }
+        await pass();
+      }
+    } catch (error) {
+      console.error('Error in matcher tick:', error);
+    } finally {
+      this.matcherTickRunning = false;
+    }
+  }
+
+  /**
+   * Pair the round queues: one batch pass per batch interval, or a continuous search pass
+   */
+  async runPairingPass() {
+    if (config.matchmaking.pairingMode === 'batch') {
+      if (Date.now() - this.lastBatchAt >= config.matchmaking.batch.intervalMs) {
+        this.lastBatchAt = Date.now();
+        await this.runBatchPairingTick();
+      }
+    } else {
+      await this.runSearchTick();
+    }
+  }
+
+  /**
+   * Rebuild search state after a restart or leader change. Every participant still
+   * waiting in a round queue gets their search back with the original AI fallback
+   * deadline; anyone whose deadline passed in the meantime gets an AI match now.
+   * Queue entries of participants who were matched or left are removed.
+   * @returns {Promise<Object>} Recovery report (also kept for the admin dashboard)
+   */
+  async recoverState() {
+    const report = {
+      instanceId: this.instanceId,
+      startedAt: Date.now(),
+      queuesScanned: 0,
+      entriesScanned: 0,
+      searchesRestored: 0,
+      deadlinesRestored: 0,
+      aiMatchesCreated: 0,
+      staleEntriesRemoved: 0,
+      orphanedSearchesRemoved: 0,
+      errors: 0
+    };
+
+    console.log('🩺 Running recovery pass over queues and searches');
+
+    try {
+      const queueKeys = await RedisService.getActiveQueueKeys();
+      for (const queueKey of queueKeys) {
+        report.queuesScanned++;
+
+        for (const entry of await RedisService.getQueueEntries(queueKey)) {
+          report.entriesScanned++;
+          try {
+            await this.recoverQueueEntry(queueKey, entry, report);
+          } catch (error) {
+            report.errors++;
+            console.error(`Error recovering queue entry for ${entry.participantId}:`, error);
+          }
+        }
+      }
+
+      // Search state can expire while no instance is running; drop its index entries
+      for (const participantId of await RedisService.getActiveSearchIds()) {
+        if (!(await RedisService.getSearch(participantId))) {
+          await RedisService.removeSearch(participantId);
+          report.orphanedSearchesRemoved++;
+        }
+      }
+    } catch (error) {
+      report.errors++;
+      console.error('Error in recovery pass:', error);
+    }
+
+    report.completedAt = Date.now();
+    await RedisService.saveRecoveryReport(report);
+
+    console.log(`🩺 Recovery pass done in ${report.completedAt - report.startedAt}ms: ` +
+      `${report.entriesScanned} queued, ${report.searchesRestored} searches and ${report.deadlinesRestored} deadlines restored, ` +
+      `${report.aiMatchesCreated} overdue AI matches, ${report.staleEntriesRemoved} stale entries removed, ${report.errors} errors`);
+
+    return report;
+  }
+
+  /**
+   * Restore the search and AI fallback deadline for one queue entry
+   * @param {string} queueKey - Queue the entry is in
+   * @param {Object} entry - Queue entry
+   * @param {Object} report - Recovery report to update
+   */
+  async recoverQueueEntry(queueKey, entry, report) {
+    const { joinedAt, ...participantData } = entry;
+    const { participantId } = participantData;
+
+    // Matched, cancelled or disconnected while nobody was watching the queue
+    const status = await RedisService.getParticipantStatus(participantId);
+    if (status?.status && status.status !== 'searching') {
+      await RedisService.removeFromQueue(queueKey, participantId);
+      report.staleEntriesRemoved++;
+      return;
+    }
+
+    const search = await RedisService.getSearch(participantId);
+    if (!search) {
+      await RedisService.saveSearch(participantId, {
+        participantData,
+        roundNumber: participantData.roundNumber,
+        startTime: joinedAt,
+        searchAttempts: 0
+      });
+      report.searchesRestored++;
+    }
+
+    const deadline = search?.aiFallbackAt ?? getAIFallbackDeadline(this.getAIFallbackPolicy(participantData), joinedAt);
+
+    if (deadline !== null && deadline <= Date.now()) {
+      console.log(`⏰ AI fallback deadline for ${participantId} passed during downtime`);
+      const aiMatch = await this.createFallbackMatch(participantData);
+      if (aiMatch) {
+        report.aiMatchesCreated++;
+        await this.notifyMatchFound(aiMatch);
+      }
+      return;
+    }
+
+    if (!search?.aiFallbackAt) {
+      await this.setAIFallbackTimeout(participantData, joinedAt);
+      if (deadline !== null) report.deadlinesRestored++;
+    }
   }
 
   /**
@@ -20,28 +287,101 @@ class MatchmakingEngine {
     this.onMatchFound = callback;
   }
 
+  /**
+   * Set callback for any other matchmaking event (e.g. match_proposed)
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function (data) => void
+   */
+  setEventCallback(event, callback) {
+    this.eventCallbacks.set(event, callback);
+  }
+
+  /**
+   * Set the handler that hands an abandoned player's seat in a running match to their AI substitute
+   * @param {Function} handler - async (matchId, participantId, substitute) => { scoreAtSubstitution, questionIndex } | null
+   */
+  setSubstitutionHandler(handler) {
+    this.onSubstitution = handler;
+  }
+
+  /**
+   * Publish a matchmaking event to every instance
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  async publishEvent(event, data) {
+    try {
+      await RedisService.publish(EVENTS_CHANNEL, { event, data, origin: this.instanceId });
+    } catch (error) {
+      console.error(`Error publishing ${event}, delivering locally:`, error);
+      this.dispatchEvent(event, data);
+    }
+  }
+
+  /**
+   * Deliver a matchmaking event to this instance's callbacks
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  dispatchEvent(event, data) {
+    if (event === 'match_found') {
+      if (this.onMatchFound) this.onMatchFound(data);
+      return;
+    }
+
+    const callback = this.eventCallbacks.get(event);
+    if (callback) {
+      callback(data);
+    }
+  }
+
+  /**
+   * Notify all instances that a match was found
+   * @param {Object} matchData - Match data
+   */
+  async notifyMatchFound(matchData) {
+    await this.publishEvent('match_found', matchData);
+  }
+
   /**
    * Start searching for a match for a participant
    * @param {Object} participantData - Participant information
+   * @param {Object} options - { fromWaitlist, waitlistedAt } when a waitlisted participant is promoted
    * @returns {Promise<Object>} Match result
    */
-  async startMatchmaking(participantData) {
-  const { participantId, participantName, roundNumber, skillLevel, treatmentGroup } = participantData;
+  async startMatchmaking(participantData, options = {}) {
+  const { participantId, roundNumber, treatmentGroup } = participantData;
 
   console.log(`🔍 Starting matchmaking for participant ${participantId} in round ${roundNumber}`);
 
-  if (this.activeSearches.has(participantId)) {
+  if (await RedisService.getSearch(participantId)) {
     console.log(`⚠️ Search already active for participant ${participantId}`);
     return { status: 'already_searching' };
   }
 
-  try {
-    this.activeSearches.set(participantId, {
-      startTime: Date.now(),
-      roundNumber,
-      searchAttempts: 0
-    });
+  const currentStatus = await RedisService.getParticipantStatus(participantId);
+  if (currentStatus?.status === 'matching') {
+    console.log(`⚠️ Participant ${participantId} has a proposed match ${currentStatus.matchId} awaiting acceptance`);
+    return { status: 'match_proposed', matchId: currentStatus.matchId };
+  }
+
+  // Players with a scheduled opponent this round (brackets, round-robins) skip skill matching
+  const pairing = await RedisService.getParticipantPairing(roundNumber, participantId);
+  if (pairing) {
+    return await this.joinScheduledPairing(participantData, pairing);
+  }
+
+  // Participants are matched on their rating, weighted by how confident it is
+  participantData = await this.applyRating(participantData);
+  const { skillLevel } = participantData;
+
+  // Full rounds put newcomers on the waitlist (AI-only treatment groups don't use the queue)
+  if (!options.fromWaitlist && this.getAIFallbackPolicy(participantData).policy !== 'immediate') {
+    const overflow = await this.checkQueueCapacity(participantData);
+    if (overflow) return overflow;
+  }
 
+  try {
     // Set participant status in Redis
     await RedisService.setParticipantStatus(participantId, 'searching', {
       roundNumber,
@@ -49,43 +389,103 @@ class MatchmakingEngine {
       treatmentGroup
     });
 
+    // Treatment groups that always play AI skip the human search entirely
+    if (this.getAIFallbackPolicy(participantData).policy === 'immediate') {
+      console.log(`🤖 Treatment group "${treatmentGroup}" always plays AI, skipping human search`);
+      await this.cleanupParticipantQueue(participantId, roundNumber);
+      const aiMatch = await this.createFallbackMatch(participantData);
+      await this.notifyMatchFound(aiMatch);
+      return aiMatch;
+    }
+
     // ✅ FIX: First add participant to the queue
     await this.cleanupParticipantQueue(participantId, roundNumber);
-    await this.joinQueue(participantData);
-
-    // ✅ Then try immediate match
-    const immediateMatch = await this.findImmediateMatch(participantData);
-    if (immediateMatch) {
-      this.activeSearches.delete(participantId);
-
-      if (this.onMatchFound) {
-        console.log('🔔 Triggering WebSocket callback for immediate human match');
-        this.onMatchFound(immediateMatch);
+    const queueEntry = await this.joinQueue(participantData, { capacity: this.getQueueCapacity(roundNumber) });
+    if (queueEntry === false) {
+      // Others took the last slots since the capacity check
+      const overflow = await this.overflowQueue(participantData, options);
+      if (overflow.status === 'queue_full') {
+        await RedisService.setParticipantStatus(participantId, 'cancelled');
       }
-
-      return immediateMatch;
+      return overflow;
     }
 
-    // Continue human search
-    this.startContinuousSearch(participantData);
-
-    // AI fallback
-    this.setAIFallbackTimeout(participantData);
+    // Register the search and AI fallback deadline for the matcher loop
+    await this.startContinuousSearch(participantData);
+    await this.setAIFallbackTimeout(participantData);
+
+    // ✅ The leader can try an immediate match; other instances leave pairing to the leader.
+    // In batch mode and Swiss rounds the global tick pairs everyone together.
+    if (this.isLeader && config.matchmaking.pairingMode !== 'batch' && this.getPairingSystem(participantData) !== 'swiss') {
+      const immediateMatch = await this.findImmediateMatch(participantData);
+      if (immediateMatch) {
+        // Proposed matches were already announced; they start once both players accept
+        if (immediateMatch.status === 'active') {
+          console.log('🔔 Publishing immediate human match');
+          await this.notifyMatchFound(immediateMatch);
+        }
+        return immediateMatch;
+      }
+    }
 
+    const waitTimeEstimate = await this.getWaitTimeEstimate(participantData);
     return {
       status: 'searching',
       queuePosition: await this.getQueuePosition(participantId, roundNumber),
-      estimatedWaitTime: config.matchmaking.humanSearchTimeoutMs / 1000
+      estimatedWaitTime: waitTimeEstimate.seconds,
+      waitTimeEstimate
     };
 
   } catch (error) {
     console.error('❌ Error in matchmaking:', error);
-    this.activeSearches.delete(participantId);
+    await this.clearSearch(participantId);
+
+    // Never fall back to a bot for groups that may not play one
+    if (this.getAIFallbackPolicy(participantData).policy === 'never') {
+      await this.cancelMatchmaking(participantId, roundNumber);
+      throw error;
+    }
 
     return await this.createAIMatch(participantData);
   }
   }
 
+  /**
+   * Replace a participant's reported skill level with the one they are matched on
+   * (their rating blended with the reported level by the rating's confidence)
+   * @param {Object} participantData - Participant information
+   * @returns {Promise<Object>} Participant data with skillLevel, reportedSkillLevel, rating and ratingConfidence
+   */
+  async applyRating(participantData) {
+    // Waitlist promotions were rated when they first joined
+    if (participantData.reportedSkillLevel !== undefined) return participantData;
+
+    try {
+      const { skillLevel, rating } = await RatingService.getMatchingSkill(participantData);
+      return {
+        ...participantData,
+        skillLevel,
+        reportedSkillLevel: participantData.skillLevel ?? null,
+        rating: rating.rating,
+        ratingConfidence: rating.confidence
+      };
+    } catch (error) {
+      console.error(`Error loading rating of ${participantData.participantId}, using the reported skill level:`, error);
+      return participantData;
+    }
+  }
+
+  /**
+   * End a search that outlived its AI fallback deadline and tell the participant
+   * @param {string} participantId - Participant ID
+   * @param {number} roundNumber - Round number
+   */
+  async expireSearch(participantId, roundNumber) {
+    console.log(`⌛ Search of participant ${participantId} in round ${roundNumber} expired`);
+    await this.cancelMatchmaking(participantId, roundNumber);
+    await this.publishEvent('search_expired', { participantId, roundNumber });
+  }
+
   /**
    * Cancel an active search
    * @param {string} participantId - Participant ID
@@ -94,418 +494,2263 @@ class MatchmakingEngine {
   async cancelMatchmaking(participantId, roundNumber) {
     console.log(`🛑 Canceling matchmaking for participant ${participantId}`);
     
-    // Clear active search
-    this.activeSearches.delete(participantId);
-    
-    // Clear timeout
-    if (this.matchTimeouts.has(participantId)) {
-      clearTimeout(this.matchTimeouts.get(participantId));
-      this.matchTimeouts.delete(participantId);
-    }
+    // Clear search state and AI fallback deadline
+    await this.clearSearch(participantId);
     
     // Remove from queue
     await this.cleanupParticipantQueue(participantId, roundNumber);
+
+    // Remove from the waitlist (any round if the round is unknown)
+    const waitlistRound = await RedisService.removeFromWaitlist(participantId, roundNumber || null);
+    if (waitlistRound !== null) {
+      await this.publishWaitlistUpdate(waitlistRound);
+    }
+
+    // Stop waiting for a scheduled opponent (the pairing itself stays)
+    const pairing = roundNumber ? await RedisService.getParticipantPairing(roundNumber, participantId) : null;
+    if (pairing?.status === 'pending') {
+      await RedisService.removePairingArrival(pairing.pairingId, participantId);
+    }
     
     // Update status
     await RedisService.setParticipantStatus(participantId, 'cancelled');
   }
 
   /**
-   * Look for immediate match with existing queue entries
-   * @param {Object} participantData - Participant information
-   * @returns {Promise<Object|null>} Match data or null
+   * Schedule a match for a round in advance (bracket tournaments, round-robin schedules).
+   * When the players join that round they are matched with each other directly instead
+   * of through the queue.
+   * @param {Array<string>} participantIds - Human players (one for an AI fill-in)
+   * @param {number} roundNumber - Round the match is played in
+   * @param {Object} source - What scheduled it, e.g. { type: 'bracket', id, slot }
+   * @param {Object} options - { expiresAfterMs } for pairings scheduled further ahead
+   * @returns {Promise<Object>} Pairing
    */
-  async findImmediateMatch(participantData) {
-    const { participantId, roundNumber, skillLevel } = participantData;
-    const queueKey = `queue:round:${roundNumber}`;
-    const lockKey = `matchlock:round:${roundNumber}`;
-    
-    // Use Redis-based distributed lock to prevent race conditions
-    const lockValue = `${participantId}-${Date.now()}`;
-    const lockTimeout = 5000; // 5 seconds max lock time
-    
-    try {
-      console.log(`🔍 Looking for immediate match for participant ${participantId}`);
-      
-      // Acquire distributed lock
-      const lockAcquired = await RedisService.acquireLock(lockKey, lockValue, lockTimeout);
-      if (!lockAcquired) {
-        console.log(`⏳ Match lock busy for round ${roundNumber}, participant ${participantId} waiting`);
-        return null;
+  async schedulePairing(participantIds, roundNumber, source = null, options = {}) {
+    const scheduledAt = Date.now();
+    const expiresAt = scheduledAt + (options.expiresAfterMs ?? config.matchmaking.scheduledPairings.expiresAfterMs);
+
+    const pairing = {
+      pairingId: uuidv4(),
+      roundNumber,
+      participantIds,
+      source,
+      status: 'pending',
+      matchId: null,
+      scheduledAt,
+      expiresAt,
+      // Moves closer once the first player arrives and the others get the no-show timeout
+      deadline: expiresAt
+    };
+
+    await RedisService.savePairing(pairing);
+    return pairing;
+  }
+
+  /**
+   * Cancel a scheduled pairing that hasn't started. Players already waiting for it
+   * go through normal matchmaking instead.
+   * @param {string} pairingId - Pairing ID
+   * @returns {Promise<boolean>} Whether the pairing was cancelled
+   */
+  async cancelPairing(pairingId) {
+    const pairing = await RedisService.getPairing(pairingId);
+    if (pairing?.status !== 'pending' || !(await RedisService.claimPairing(pairingId))) {
+      return false;
+    }
+
+    const arrivals = await RedisService.getPairingArrivals(pairingId);
+    await RedisService.deletePairing(pairing);
+    console.log(`🗑️ Cancelled scheduled pairing ${pairingId} (round ${pairing.roundNumber})`);
+
+    for (const participantData of Object.values(arrivals)) {
+      try {
+        const result = await this.startMatchmaking(participantData);
+        await this.publishEvent('scheduled_match_cancelled', {
+          participantId: participantData.participantId,
+          roundNumber: pairing.roundNumber,
+          result
+        });
+      } catch (error) {
+        console.error(`Error requeueing ${participantData.participantId} after pairing ${pairingId} was cancelled:`, error);
       }
-      
-      console.log(`🔒 Acquired match lock for round ${roundNumber}, participant ${participantId}`);
-      
+    }
+
+    return true;
+  }
+
+  /**
+   * Join the match scheduled for a participant this round. It starts once every scheduled
+   * player has arrived; opponents who don't arrive within the no-show timeout are replaced
+   * by an AI stand-in (see processScheduledPairingDeadlines).
+   * @param {Object} participantData - Participant information
+   * @param {Object} pairing - The participant's scheduled pairing
+   * @returns {Promise<Object>} Match data, or { status, pairingId, roundNumber } while waiting
+   */
+  async joinScheduledPairing(participantData, pairing) {
+    const { participantId, roundNumber } = participantData;
+    const { pairingId } = pairing;
+
+    if (pairing.status !== 'pending') {
+      // A scheduled match is only played once
+      console.log(`⚠️ Participant ${participantId} rejoined round ${roundNumber}, but pairing ${pairingId} is ${pairing.status}`);
+      return { status: 'pairing_closed', pairingId, roundNumber, pairingStatus: pairing.status, matchId: pairing.matchId };
+    }
+
+    await RedisService.addPairingArrival(pairingId, { ...participantData, joinedAt: Date.now() });
+    await RedisService.setParticipantStatus(participantId, 'waiting_for_opponent', { roundNumber, pairingId });
+
+    const arrivals = await RedisService.getPairingArrivals(pairingId);
+    const members = pairing.participantIds.map(id => arrivals[id]).filter(Boolean);
+
+    if (members.length === pairing.participantIds.length) {
+      return await this.startScheduledMatch(pairing, members);
+    }
+
+    // The others get the no-show timeout from the first arrival (but not beyond the pairing's expiry)
+    if (members.length === 1) {
+      const deadline = Math.min(pairing.expiresAt, Date.now() + config.matchmaking.scheduledPairings.noShowTimeoutMs);
+      await RedisService.setPairingDeadline(pairingId, deadline);
+    }
+
+    console.log(`📅 Participant ${participantId} is waiting for their scheduled opponent (pairing ${pairingId})`);
+    return { status: 'waiting_for_opponent', pairingId, roundNumber };
+  }
+
+  /**
+   * Start a scheduled pairing's match with the players who arrived. A lone player gets
+   * an AI opponent (fill-in or stand-in), or a walkover if their group may not play AI.
+   * @param {Object} pairing - Pending pairing
+   * @param {Array} members - Participant data of the arrived players
+   * @param {Array<string>} absentIds - Scheduled players who did not show up
+   * @returns {Promise<Object>} Match data, or { status, pairingId, roundNumber }
+   */
+  async startScheduledMatch(pairing, members, absentIds = []) {
+    const { pairingId, roundNumber } = pairing;
+
+    // Only one instance starts the match
+    if (!(await RedisService.claimPairing(pairingId))) {
+      return { status: 'waiting_for_opponent', pairingId, roundNumber };
+    }
+
+    if (members.length === 1 && this.getAIFallbackPolicy(members[0]).policy === 'never') {
+      const { participantId } = members[0];
+      console.log(`🚫 AI not allowed for ${participantId}, pairing ${pairingId} is a walkover`);
+      await this.recordPairingResult(pairingId, 'walkover', { walkoverIds: [participantId], absentIds });
+      await RedisService.setParticipantStatus(participantId, 'walkover', { roundNumber, pairingId });
+      return { status: 'walkover', pairingId, roundNumber };
+    }
+
+    console.log(`📅 Starting scheduled match for pairing ${pairingId}${absentIds.length ? ` (absent: ${absentIds.join(', ')})` : ''}`);
+
+    const match = members.length === 1
+      ? await this.createAIMatch(members[0], { pairingId })
+      : await this.createHumanMatch(members[0], members[1], { pairingId });
+
+    await RedisService.savePairing({ ...pairing, status: 'matched', matchId: match.id, absentIds });
+    await this.notifyMatchFound(match);
+    return match;
+  }
+
+  /**
+   * Start scheduled pairings whose players didn't all arrive in time (leader only).
+   * Arrived players get an AI stand-in for the absent ones; if nobody came the pairing is a no-show.
+   */
+  async processScheduledPairingDeadlines() {
+    const pairingIds = await RedisService.getDuePairings();
+
+    for (const pairingId of pairingIds) {
       try {
-        // First, let's see ALL participants in the queue
-        const allParticipants = await RedisService.getQueueEntries(queueKey);
-        console.log(`👥 ALL participants in queue ${queueKey}:`, allParticipants.map(p => `${p.participantId} (skill: ${p.skillLevel})`));
-        
-        // Get waiting participants (excluding self)
-        const waitingParticipants = await RedisService.getQueueEntries(queueKey, participantId);
-        console.log(`⏳ Waiting participants (excluding ${participantId}):`, waitingParticipants.map(p => `${p.participantId} (skill: ${p.skillLevel})`));
-        
-        if (waitingParticipants.length === 0) {
-          console.log('📭 No waiting participants found');
-          return null;
+        const pairing = await RedisService.getPairing(pairingId);
+        if (pairing?.status !== 'pending') {
+          await RedisService.removePairingDeadline(pairingId);
+          continue;
         }
 
-        console.log(`👥 Found ${waitingParticipants.length} waiting participants`);
+        const arrivals = await RedisService.getPairingArrivals(pairingId);
+        const members = pairing.participantIds.map(id => arrivals[id]).filter(Boolean);
+        const absentIds = pairing.participantIds.filter(id => !arrivals[id]);
+
+        for (const participantId of absentIds) {
+          await DatabaseService.recordActivity({
+            participantId,
+            type: 'scheduled_match_no_show',
+            data: { pairingId, source: pairing.source },
+            roundNumber: pairing.roundNumber
+          });
+        }
 
-        // Find best skill match
-        const bestMatch = this.findBestSkillMatch(skillLevel, waitingParticipants);
-        
-        if (bestMatch) {
-          console.log(`✅ Found skill match: ${bestMatch.participantId} (skill: ${bestMatch.skillLevel})`);
-          
-          // Create match while still holding the lock
-          const match = await this.createHumanMatch(participantData, bestMatch);
-          
-          console.log(`🔓 Releasing match lock for round ${roundNumber}, participant ${participantId}`);
+        if (members.length > 0) {
+          await this.startScheduledMatch(pairing, members, absentIds);
+        } else if (await RedisService.claimPairing(pairingId)) {
+          console.log(`🚫 Nobody showed up for scheduled pairing ${pairingId}`);
+          await this.recordPairingResult(pairingId, 'no_show', { absentIds });
+        }
+      } catch (error) {
+        console.error(`Error processing scheduled pairing ${pairingId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Record how a scheduled pairing ended
+   * @param {string} pairingId - Pairing ID
+   * @param {string} status - 'completed', 'walkover', 'no_show' or 'ended' (match ended without a result)
+   * @param {Object} fields - { outcomes, walkoverIds, absentIds, matchStatus }
+   */
+  async recordPairingResult(pairingId, status, fields = {}) {
+    const pairing = await RedisService.getPairing(pairingId);
+    if (!pairing || !['pending', 'matched'].includes(pairing.status)) return;
+
+    await RedisService.savePairing({ ...pairing, ...fields, status, finishedAt: Date.now() });
+    console.log(`📅 Scheduled pairing ${pairingId}: ${status}`);
+  }
+
+  /**
+   * Start the reconnection grace window for a participant whose socket dropped.
+   * Their queue entry, search and any pending match are kept until it ends.
+   * Players in a running match get the abandonment grace period instead.
+   * @param {string} participantId - Participant ID
+   * @param {string} reason - Disconnection reason
+   */
+  async handleDisconnect(participantId, reason) {
+    const status = await RedisService.getParticipantStatus(participantId);
+    const roundNumber = parseInt(status?.roundNumber) || null;
+    const graceMs = status?.status === 'matched'
+      ? config.matchmaking.substitution.graceMs
+      : config.websocket.reconnectGraceMs;
+
+    if (graceMs <= 0) {
+      await this.expireDisconnect(participantId, roundNumber, reason);
+      return;
+    }
+
+    const disconnectedAt = Date.now();
+    await RedisService.markDisconnected(participantId, {
+      roundNumber,
+      reason,
+      disconnectedAt,
+      graceUntil: disconnectedAt + graceMs
+    });
+
+    console.log(`⏳ Participant ${participantId} disconnected (${reason}), keeping their place for ${graceMs / 1000}s`);
+  }
+
+  /**
+   * End a participant's grace window because they reconnected
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object|null>} Their participant status to resume from, or null if
+   *   they weren't inside a grace window
+   */
+  async handleReconnect(participantId) {
+    const disconnect = await RedisService.getDisconnect(participantId);
+    if (!disconnect || !(await RedisService.clearDisconnect(participantId))) {
+      return null;
+    }
+
+    const status = await RedisService.getParticipantStatus(participantId);
+    console.log(`🔁 Participant ${participantId} reconnected after ${Math.round((Date.now() - disconnect.disconnectedAt) / 1000)}s (${status?.status || 'no status'})`);
+
+    return {
+      ...status,
+      roundNumber: parseInt(status?.roundNumber) || disconnect.roundNumber
+    };
+  }
+
+  /**
+   * Take participants whose grace window ended out of matchmaking (leader only)
+   */
+  async processReconnectDeadlines() {
+    const dueParticipantIds = await RedisService.getDueDisconnects(Date.now());
+
+    for (const participantId of dueParticipantIds) {
+      try {
+        const disconnect = await RedisService.getDisconnect(participantId);
+
+        // Whoever clears the disconnect first (a reconnect or this tick) handles it
+        if (!(await RedisService.clearDisconnect(participantId))) continue;
+
+        await this.expireDisconnect(participantId, disconnect?.roundNumber, disconnect?.reason);
+      } catch (error) {
+        console.error(`Error processing reconnection deadline for ${participantId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Remove a participant who did not come back from the queue and waitlist
+   * @param {string} participantId - Participant ID
+   * @param {number|null} roundNumber - Round they were searching in
+   * @param {string} reason - Disconnection reason
+   */
+  async expireDisconnect(participantId, roundNumber, reason) {
+    // A proposed match is settled by its ready check; a player who left a started match is substituted
+    const status = await RedisService.getParticipantStatus(participantId);
+    if (status?.status === 'matching') {
+      return;
+    }
+
+    if (status?.status === 'matched') {
+      if (status.matchId) {
+        await this.substituteAbandonedPlayer(status.matchId, participantId, reason);
+      }
+      return;
+    }
+
+    console.log(`❌ Participant ${participantId} did not reconnect, leaving matchmaking`);
+    await this.cancelMatchmaking(participantId, roundNumber || 0);
+    await RedisService.setParticipantStatus(participantId, 'disconnected', {
+      disconnectedAt: Date.now(),
+      reason
+    });
+  }
+
+  /**
+   * Replace a player who left a running match with an AI opponent of their skill. The AI
+   * takes over their seat and score; the match is flagged `substituted` and both the
+   * original player and the substitute are recorded. If the players left behind may not
+   * play AI (or substitution is off), the match is abandoned instead.
+   * @param {string} matchId - Match ID
+   * @param {string} participantId - Player who did not come back
+   * @param {string} reason - Disconnection reason
+   * @returns {Promise<Object>} { status: 'substituted' | 'abandoned' | 'not_active' | 'kept', ... }
+   */
+  async substituteAbandonedPlayer(matchId, participantId, reason) {
+    const match = await RedisService.getMatch(matchId);
+    const participantIds = match?.status ? this.getMatchParticipantIds(match) : [];
+    if (match?.status !== 'active' || !participantIds.includes(participantId)) {
+      return { status: 'not_active', matchId };
+    }
+
+    // Nobody is left to play against: keep the match as it is
+    const remainingIds = participantIds.filter(id => id !== participantId);
+    if (remainingIds.length === 0) {
+      return { status: 'kept', matchId };
+    }
+
+    const treatmentGroups = getMatchTreatmentGroups(match);
+    const aiAllowed = config.matchmaking.substitution.enabled &&
+      remainingIds.every(id => this.getAIFallbackPolicy({ treatmentGroup: treatmentGroups[id] }).policy !== 'never');
+
+    if (!aiAllowed) {
+      console.log(`🚪 Participant ${participantId} abandoned match ${matchId}, ending it`);
+      await this.transitionMatch(matchId, 'abandoned', { reason: 'opponent_abandoned' });
+      await RedisService.setParticipantStatus(participantId, 'disconnected', { disconnectedAt: Date.now(), reason });
+      return { status: 'abandoned', matchId };
+    }
+
+    // The substitute plays at the skill of the player it replaces
+    const participants = match.participants ? JSON.parse(match.participants) : null;
+    const participantStatus = await RedisService.getParticipantStatus(participantId);
+    const skillLevel = parseFloat(participantStatus?.skillLevel) ||
+      participants?.find(member => member.participant_id === participantId)?.skill_level || 7;
+    const seed = deriveSeed(toSeed(match.rng_seed) ?? generateSeed(), 'substitute', participantId);
+    const substitute = AIOpponentService.createAIGroupMember(skillLevel, participantId, seed);
+
+    const substitutedAt = new Date().toISOString();
+    const substitutions = [
+      ...(match.substitutions ? JSON.parse(match.substitutions) : []),
+      {
+        original_id: participantId,
+        substitute_id: substitute.participant_id,
+        substitute_name: substitute.name,
+        skill_level: substitute.skill_level,
+        reason: reason || null,
+        substituted_at: substitutedAt
+      }
+    ];
+
+    let fields;
+    if (participants) {
+      fields = {
+        participants: JSON.stringify(participants.map(member => member.participant_id === participantId
+          ? { ...substitute, substitutes_for: participantId }
+          : member)),
+        participant_ids: JSON.stringify(remainingIds),
+        participant1_id: remainingIds[0],
+        participant2_id: remainingIds[1] || '',
+        ai_seats: (parseInt(match.ai_seats) || 0) + 1
+      };
+    } else {
+      // A pair match becomes a match against the substitute
+      fields = {
+        participant1_id: remainingIds[0],
+        participant2_id: '',
+        participant1_name: match.participant1_id === remainingIds[0] ? match.participant1_name : match.participant2_name,
+        participant2_name: '',
+        opponent: JSON.stringify({
+          name: substitute.name,
+          participant_id: substitute.participant_id,
+          skill_level: substitute.skill_level,
+          personality: substitute.personality,
+          responsePattern: substitute.responsePattern
+        }),
+        aiSettings: JSON.stringify(substitute.aiSettings)
+      };
+    }
+
+    if (!(await RedisService.updateMatchIfStatus(matchId, 'active', {
+      ...fields,
+      isAI: 'true',
+      substituted: 'true',
+      substitutions: JSON.stringify(substitutions)
+    }))) {
+      return { status: 'not_active', matchId };
+    }
+
+    // The substitute takes over the seat (and score) in the running match session
+    const handover = this.onSubstitution ? await this.onSubstitution(matchId, participantId, substitute) : null;
+    if (handover) {
+      Object.assign(substitutions[substitutions.length - 1], {
+        score_at_substitution: handover.scoreAtSubstitution,
+        question_index: handover.questionIndex
+      });
+    }
+
+    try {
+      await DatabaseService.updateTournamentMatch(matchId, 'active', { substituted: true, substitutions });
+    } catch (dbError) {
+      console.error(`❌ Error saving substitution of match ${matchId} to database:`, dbError);
+    }
+
+    await RedisService.setParticipantStatus(participantId, 'disconnected', {
+      disconnectedAt: Date.now(),
+      reason,
+      abandonedMatchId: matchId
+    });
+    await RedisService.incrementMatchStats('substitutions');
+    await DatabaseService.recordActivity({
+      participantId,
+      type: 'match_abandoned',
+      data: { matchId, substituteId: substitute.participant_id, reason },
+      roundNumber: parseInt(match.round_number)
+    });
+
+    console.log(`🔄 Participant ${participantId} abandoned match ${matchId}, replaced by ${substitute.name} (${substitute.participant_id})`);
+
+    await this.publishEvent('match_substituted', {
+      matchId,
+      participantIds: remainingIds,
+      abandonedParticipantId: participantId,
+      substituteId: substitute.participant_id,
+      match: { ...(await RedisService.getMatch(matchId)), id: matchId }
+    });
+
+    return { status: 'substituted', matchId, substitute };
+  }
+
+  /**
+   * Get the queue capacity for a round
+   * @param {number} roundNumber - Round number
+   * @returns {number} Maximum participants in the round's queue
+   */
+  getQueueCapacity(roundNumber) {
+    const { maxQueueSize, roundQueueCapacities } = config.matchmaking;
+    return parseInt(roundQueueCapacities[roundNumber]) || maxQueueSize;
+  }
+
+  /**
+   * Check the round's queue has room for a participant. If it doesn't, the participant
+   * is waitlisted, or turned away when the waitlist is disabled or full.
+   * @param {Object} participantData - Participant information
+   * @returns {Promise<Object|null>} null if the participant may join the queue, otherwise
+   *   { status: 'waitlisted', position, ... } or { status: 'queue_full', ... }
+   */
+  async checkQueueCapacity(participantData) {
+    const { participantId, roundNumber } = participantData;
+    const queueCapacity = this.getQueueCapacity(roundNumber);
+    const waitlist = await RedisService.getWaitlistEntries(roundNumber);
+
+    const waitlistIndex = waitlist.findIndex(entry => entry.participantId === participantId);
+    if (waitlistIndex !== -1) {
+      return { status: 'waitlisted', roundNumber, position: waitlistIndex + 1, waitlistSize: waitlist.length, queueCapacity };
+    }
+
+    // Participants already in the queue keep their place; newcomers don't jump the waitlist
+    const queueSize = await RedisService.getQueueSize(`queue:round:${roundNumber}`);
+    const alreadyQueued = (await this.getQueuePosition(participantId, roundNumber)) !== -1;
+    if (alreadyQueued || (queueSize < queueCapacity && waitlist.length === 0)) {
+      return null;
+    }
+
+    return await this.overflowQueue(participantData);
+  }
+
+  /**
+   * Waitlist a participant who doesn't fit in the round's queue, or turn them away when
+   * the waitlist is disabled or full
+   * @param {Object} participantData - Participant information
+   * @param {Object} options - { waitlistedAt } to keep a promoted participant's place
+   * @returns {Promise<Object>} { status: 'waitlisted', position, ... } or { status: 'queue_full', ... }
+   */
+  async overflowQueue(participantData, options = {}) {
+    const { participantId, roundNumber } = participantData;
+    const queueCapacity = this.getQueueCapacity(roundNumber);
+    const waitlist = await RedisService.getWaitlistEntries(roundNumber);
+
+    const { enabled, maxSize } = config.matchmaking.waitlist;
+    if (!enabled || (maxSize > 0 && waitlist.length >= maxSize)) {
+      console.log(`🚫 Round ${roundNumber} queue is full (capacity ${queueCapacity}), turning away ${participantId}`);
+      return { status: 'queue_full', roundNumber, queueCapacity };
+    }
+
+    await RedisService.addToWaitlist(roundNumber, participantData, { waitlistedAt: options.waitlistedAt });
+    const position = await this.getWaitlistPosition(participantId, roundNumber);
+    await RedisService.setParticipantStatus(participantId, 'waitlisted', { roundNumber, position });
+
+    console.log(`📋 Round ${roundNumber} queue is full (capacity ${queueCapacity}), waitlisted ${participantId} at #${position}`);
+    await this.publishWaitlistUpdate(roundNumber);
+
+    return { status: 'waitlisted', roundNumber, position, waitlistSize: waitlist.length + 1, queueCapacity };
+  }
+
+  /**
+   * Promote waitlisted participants into queues that have free slots (leader only)
+   */
+  async processWaitlists() {
+    const roundNumbers = await RedisService.getActiveWaitlistRounds();
+
+    for (const roundNumber of roundNumbers) {
+      try {
+        const queueSize = await RedisService.getQueueSize(`queue:round:${roundNumber}`);
+        const freeSlots = this.getQueueCapacity(roundNumber) - queueSize;
+        if (freeSlots <= 0) continue;
+
+        const promoted = (await RedisService.getWaitlistEntries(roundNumber)).slice(0, freeSlots);
+        for (const { waitlistedAt, ...participantData } of promoted) {
+          const { participantId } = participantData;
+          await RedisService.removeFromWaitlist(participantId, roundNumber);
+
+          console.log(`⬆️ Promoting ${participantId} from the round ${roundNumber} waitlist after ${Math.round((Date.now() - waitlistedAt) / 1000)}s`);
+          try {
+            const result = await this.startMatchmaking(participantData, { fromWaitlist: true, waitlistedAt });
+            await this.publishEvent('waitlist_promoted', { participantId, roundNumber, result });
+          } catch (error) {
+            console.error(`Error promoting ${participantId} from the waitlist:`, error);
+          }
+        }
+
+        await this.publishWaitlistUpdate(roundNumber);
+      } catch (error) {
+        console.error(`Error processing waitlist for round ${roundNumber}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Tell everyone on a round's waitlist their current position (on every instance)
+   * @param {number} roundNumber - Round number
+   */
+  async publishWaitlistUpdate(roundNumber) {
+    const entries = await RedisService.getWaitlistEntries(roundNumber);
+
+    await this.publishEvent('waitlist_update', {
+      roundNumber,
+      waitlistSize: entries.length,
+      positions: entries.map((entry, index) => ({ participantId: entry.participantId, position: index + 1 }))
+    });
+  }
+
+  /**
+   * Get a participant's waitlist position
+   * @param {string} participantId - Participant ID
+   * @param {number} roundNumber - Round number
+   * @returns {Promise<number>} Waitlist position (1-based) or -1 if not waitlisted
+   */
+  async getWaitlistPosition(participantId, roundNumber) {
+    const entries = await RedisService.getWaitlistEntries(roundNumber);
+    const index = entries.findIndex(entry => entry.participantId === participantId);
+    return index === -1 ? -1 : index + 1;
+  }
+
+  /**
+   * Look for immediate match with existing queue entries
+   * @param {Object} participantData - Participant information
+   * @returns {Promise<Object|null>} Match data or null
+   */
+  async findImmediateMatch(participantData) {
+    const { participantId, roundNumber } = participantData;
+    const queueKey = `queue:round:${roundNumber}`;
+    const lockKey = `matchlock:round:${roundNumber}`;
+    
+    // Use Redis-based distributed lock to prevent race conditions
+    const lockValue = `${participantId}-${Date.now()}`;
+    const lockTimeout = 5000; // 5 seconds max lock time
+    
+    try {
+      console.log(`🔍 Looking for immediate match for participant ${participantId}`);
+      
+      // Acquire distributed lock
+      const lockAcquired = await RedisService.acquireLock(lockKey, lockValue, lockTimeout);
+      if (!lockAcquired) {
+        console.log(`⏳ Match lock busy for round ${roundNumber}, participant ${participantId} waiting`);
+        return null;
+      }
+      
+      console.log(`🔒 Acquired match lock for round ${roundNumber}, participant ${participantId}`);
+      
+      try {
+        // First, let's see ALL participants in the queue
+        const allParticipants = await RedisService.getQueueEntries(queueKey);
+        console.log(`👥 ALL participants in queue ${queueKey}:`, allParticipants.map(p => `${p.participantId} (skill: ${p.skillLevel})`));
+        
+        // Get waiting participants (excluding self)
+        const waitingParticipants = await RedisService.getQueueEntries(queueKey, participantId);
+        console.log(`⏳ Waiting participants (excluding ${participantId}):`, waitingParticipants.map(p => `${p.participantId} (skill: ${p.skillLevel})`));
+        
+        if (waitingParticipants.length === 0) {
+          console.log('📭 No waiting participants found');
+          return null;
+        }
+
+        console.log(`👥 Found ${waitingParticipants.length} waiting participants`);
+
+        // Use own queue entry so the skill window knows how long we've been waiting
+        const ownEntry = allParticipants.find(p => p.participantId === participantId);
+        const searcher = {
+          ...participantData,
+          joinedAt: ownEntry?.joinedAt || Date.now(),
+          opponentHistory: await this.getOpponentHistory(participantId)
+        };
+
+        // Only participants in the same pool (match size and lobby) can play together
+        const groupSize = this.getGroupSize(participantData.studyId);
+        const sameSizeParticipants = waitingParticipants.filter(p => this.inSamePool(participantData, p));
+
+        if (groupSize > 2) {
+          const members = await this.findGroupMembers(searcher, sameSizeParticipants, groupSize);
+          if (members.length < groupSize) {
+            console.log(`👥 Only ${members.length}/${groupSize} compatible participants for a group`);
+            return null;
+          }
+
+          return await this.createGroupMatch(members);
+        }
+
+        // Find best skill match
+        const bestMatch = this.findBestSkillMatch(searcher, sameSizeParticipants);
+        
+        if (bestMatch) {
+          console.log(`✅ Found skill match: ${bestMatch.participantId} (skill: ${bestMatch.skillLevel})`);
+          
+          // Create match while still holding the lock
+          const match = await this.createHumanMatch(searcher, bestMatch);
+          
+          console.log(`🔓 Releasing match lock for round ${roundNumber}, participant ${participantId}`);
           await RedisService.releaseLock(lockKey, lockValue);
           
           return match;
         }
 
-        console.log('❌ No suitable skill matches found');
-      } finally {
-        // Always release the lock, even if an error occurs
-        await RedisService.releaseLock(lockKey, lockValue);
-        console.log(`🔓 Released match lock for round ${roundNumber}, participant ${participantId}`);
+        console.log('❌ No suitable skill matches found');
+      } finally {
+        // Always release the lock, even if an error occurs
+        await RedisService.releaseLock(lockKey, lockValue);
+        console.log(`🔓 Released match lock for round ${roundNumber}, participant ${participantId}`);
+      }
+      return null;
+
+    } catch (error) {
+      console.error('Error finding immediate match:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the best skill match from waiting participants.
+   * Skill levels come from the participants' ratings (see applyRating).
+   * The acceptable skill gap widens with the longer wait of the two participants.
+   * Previous opponents are avoided or penalised according to the rematch policy.
+   * The matching strategy for the round or session picks among the eligible participants.
+   * @param {Object} participantData - Searching participant (skillLevel, treatmentGroup, joinedAt, opponentHistory)
+   * @param {Array} waitingParticipants - Array of waiting participants
+   * @param {number} now - Current time (replays pass their simulated clock)
+   * @returns {Object|null} Best match or null
+   */
+  findBestSkillMatch(participantData, waitingParticipants, now = Date.now()) {
+    const { treatmentGroup, opponentHistory = {} } = participantData;
+    const rematchSettings = this.getRematchSettings(participantData.studyId);
+    const participantSkillLevel = participantData.skillLevel || 7;
+    const participantWaitMs = participantData.joinedAt ? now - participantData.joinedAt : 0;
+
+    // Only consider participants the treatment pairing rules allow
+    const compatibleParticipants = filterCompatibleCandidates(treatmentGroup, waitingParticipants);
+    if (compatibleParticipants.length === 0) {
+      console.log(`🚧 No treatment-compatible participants for group "${treatmentGroup || 'control'}"`);
+      return null;
+    }
+
+    // Filter by the wait-time-adjusted skill window, counting any rematch penalty
+    const suitableMatches = [];
+    for (const participant of compatibleParticipants) {
+      const candidateWaitMs = participant.joinedAt ? now - participant.joinedAt : 0;
+      const threshold = this.getSkillWindow(Math.max(participantWaitMs, candidateWaitMs));
+      const skillDiff = Math.abs(participant.skillLevel - participantSkillLevel);
+      const timesPlayed = getTimesPlayed(opponentHistory, participant.participantId);
+      const distance = applyRematchPolicy(skillDiff, timesPlayed, rematchSettings);
+      if (distance !== null && distance <= threshold) {
+        suitableMatches.push({ entry: participant, distance, timesPlayed });
+      }
+    }
+
+    if (suitableMatches.length === 0) {
+      console.log(`📏 No participants within skill window ${this.getSkillWindow(participantWaitMs).toFixed(2)} of ${participantSkillLevel}`);
+      return null;
+    }
+
+    const [bestMatch] = this.rankWithStrategy(participantData, suitableMatches);
+    return bestMatch;
+  }
+
+  /**
+   * Get the matching strategy for a participant: the session's (lobby) setting,
+   * then the round's, then the global default
+   * @param {Object} participantData - Participant data or queue entry
+   * @returns {string} Strategy name
+   */
+  getMatchingStrategy(participantData) {
+    const { strategy } = config.matchmaking;
+    const candidates = [
+      participantData.matchingStrategy,
+      strategy.rounds[participantData.roundNumber],
+      strategy.default
+    ];
+
+    return candidates.find(name => name && isValidStrategy(name)) || DEFAULT_MATCHING_STRATEGY;
+  }
+
+  /**
+   * Get the pairing system for a participant: the session's (lobby) setting, then the
+   * study's, then the global default. Swiss pairing only applies to one-on-one matches.
+   * @param {Object} participantData - Participant data or queue entry
+   * @returns {string} 'skill' or 'swiss'
+   */
+  getPairingSystem(participantData) {
+    if (this.getGroupSize(participantData.studyId) !== 2) return 'skill';
+
+    const studySettings = (participantData.studyId && config.studies[participantData.studyId]) || {};
+    const candidates = [
+      participantData.pairingSystem,
+      studySettings.pairingSystem,
+      config.matchmaking.pairingSystem
+    ];
+
+    return candidates.find(name => name && isValidPairingSystem(name)) || 'skill';
+  }
+
+  /**
+   * Order eligible candidates with the participant's matching strategy. Within a seeded
+   * session the random strategy draws from a generator seeded by the session, searcher
+   * and candidates, so a replay makes the same choice.
+   * @param {Object} participantData - Searching participant
+   * @param {Array} candidates - Eligible candidates { entry, distance, timesPlayed } in queue order
+   * @returns {Array} Queue entries in order of preference
+   */
+  rankWithStrategy(participantData, candidates) {
+    const sessionSeed = participantData.sessionSeed ?? config.matchmaking.rngSeed;
+    const random = sessionSeed === null || sessionSeed === undefined
+      ? Math.random
+      : createRandom(deriveSeed(
+        sessionSeed,
+        participantData.roundNumber,
+        participantData.participantId,
+        ...candidates.map(c => c.entry.participantId).sort()
+      ));
+
+    return rankCandidates(this.getMatchingStrategy(participantData), participantData, candidates, { random });
+  }
+
+  /**
+   * Get the rematch policy for a study (falls back to the global setting)
+   * @param {string} studyId - Optional study ID
+   * @returns {Object} { policy, penalty }
+   */
+  getRematchSettings(studyId) {
+    const studySettings = (studyId && config.studies[studyId]) || {};
+    return {
+      policy: studySettings.rematchPolicy || config.matchmaking.rematch.policy,
+      penalty: studySettings.rematchPenalty ?? config.matchmaking.rematch.penalty
+    };
+  }
+
+  /**
+   * Get a participant's previous opponents, loading them from tournament_matches
+   * into Redis the first time they're needed
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object>} Map of opponentId -> times played
+   */
+  async getOpponentHistory(participantId) {
+    try {
+      const cached = await RedisService.getOpponentHistory(participantId);
+      if (cached) return cached;
+
+      let history = {};
+      try {
+        history = await DatabaseService.getOpponentHistory(participantId);
+      } catch (dbError) {
+        console.warn(`⚠️ Failed to load opponent history for ${participantId} from DB, starting empty`);
+      }
+
+      await RedisService.setOpponentHistory(participantId, history);
+      return history;
+    } catch (error) {
+      console.error('Error getting opponent history:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Record that two participants have played each other
+   * @param {string} participant1Id - First participant ID
+   * @param {string} participant2Id - Second participant ID
+   */
+  async recordOpponents(participant1Id, participant2Id) {
+    try {
+      // Make sure both histories are loaded before adding to them
+      await Promise.all([
+        this.getOpponentHistory(participant1Id),
+        this.getOpponentHistory(participant2Id)
+      ]);
+
+      await Promise.all([
+        RedisService.incrementOpponentCount(participant1Id, participant2Id),
+        RedisService.incrementOpponentCount(participant2Id, participant1Id)
+      ]);
+    } catch (error) {
+      console.error('Error recording opponent history:', error);
+    }
+  }
+
+  /**
+   * Get the acceptable skill gap after waiting for a given time
+   * @param {number} waitMs - Time spent waiting in milliseconds
+   * @returns {number} Maximum allowed skill difference
+   */
+  getSkillWindow(waitMs) {
+    return calculateSkillWindow(waitMs, {
+      baseThreshold: config.matchmaking.skillMatchingThreshold,
+      ...config.matchmaking.skillWindow
+    });
+  }
+
+  /**
+   * Get the number of players per match for a study (falls back to the global setting)
+   * @param {string} studyId - Optional study ID
+   * @returns {number} Group size (2 for pairs)
+   */
+  getGroupSize(studyId) {
+    const studySettings = (studyId && config.studies[studyId]) || {};
+    const size = parseInt(studySettings.groupSize) || config.matchmaking.groupSize;
+    return Math.min(Math.max(size, 2), MAX_GROUP_SIZE);
+  }
+
+  /**
+   * Get the seed for a new match. Within a seeded session the seed depends only on
+   * the session seed, round and members, so a replay of the session gets the same seed.
+   * @param {Array} members - Participant data of the human members
+   * @param {number} roundNumber - Round number
+   * @returns {number} Match seed
+   */
+  getMatchSeed(members, roundNumber) {
+    const sessionSeed = members[0]?.sessionSeed ?? config.matchmaking.rngSeed;
+    if (sessionSeed === null || sessionSeed === undefined) {
+      return generateSeed();
+    }
+
+    const memberIds = members.map(m => m.participantId).sort();
+    return deriveSeed(sessionSeed, roundNumber, ...memberIds);
+  }
+
+  /**
+   * Check whether two participants are drawn from the same pool:
+   * the same match size and the same lobby (or both outside any lobby)
+   * @param {Object} a - Participant data or queue entry
+   * @param {Object} b - Participant data or queue entry
+   * @returns {boolean} Whether they may be matched at all
+   */
+  inSamePool(a, b) {
+    return this.getGroupSize(a.studyId) === this.getGroupSize(b.studyId) &&
+      (a.lobbyId || null) === (b.lobbyId || null) &&
+      this.getPairingSystem(a) === this.getPairingSystem(b);
+  }
+
+  /**
+   * Effective distance between two queue entries, or null if they may not play together
+   * (pool, treatment pairing rules, rematch policy and wait-time skill window)
+   * @param {Object} a - Queue entry
+   * @param {Object} b - Queue entry
+   * @param {Object} histories - Map of participantId -> opponent history
+   * @param {number} now - Current time
+   * @returns {number|null} Skill distance including any rematch penalty
+   */
+  getPairDistance(a, b, histories, now = Date.now()) {
+    if (!this.inSamePool(a, b)) return null;
+    if (!getPairingRule(a.treatmentGroup, b.treatmentGroup)) return null;
+
+    const waitMs = (entry) => (entry.joinedAt ? now - entry.joinedAt : 0);
+    const skillDiff = Math.abs((a.skillLevel || 7) - (b.skillLevel || 7));
+    const timesPlayed = getTimesPlayed(histories[a.participantId], b.participantId);
+    const distance = applyRematchPolicy(skillDiff, timesPlayed, this.getRematchSettings(a.studyId));
+
+    return distance !== null && distance <= this.getSkillWindow(Math.max(waitMs(a), waitMs(b))) ? distance : null;
+  }
+
+  /**
+   * Check whether two queue entries may play in the same match
+   * @param {Object} a - Queue entry
+   * @param {Object} b - Queue entry
+   * @param {Object} histories - Map of participantId -> opponent history
+   * @param {number} now - Current time
+   * @returns {boolean} Whether the entries are compatible
+   */
+  canShareMatch(a, b, histories, now = Date.now()) {
+    return this.getPairDistance(a, b, histories, now) !== null;
+  }
+
+  /**
+   * Find compatible waiting participants to fill a group around the searcher
+   * @param {Object} searcher - Searching participant (with joinedAt and opponentHistory)
+   * @param {Array} waitingParticipants - Waiting queue entries in queue order
+   * @param {number} groupSize - Target group size
+   * @returns {Promise<Array>} Members, searcher first (may be fewer than groupSize)
+   */
+  async findGroupMembers(searcher, waitingParticipants, groupSize) {
+    const histories = { [searcher.participantId]: searcher.opponentHistory || {} };
+    for (const entry of waitingParticipants) {
+      histories[entry.participantId] = await this.getOpponentHistory(entry.participantId);
+    }
+
+    const now = Date.now();
+    const candidates = this.rankGroupCandidates(searcher, waitingParticipants, histories, now);
+    return formGroup(searcher, candidates, groupSize, (a, b) => this.canShareMatch(a, b, histories, now));
+  }
+
+  /**
+   * Order the participants a searcher could share a group with by the matching strategy
+   * @param {Object} searcher - Searching participant
+   * @param {Array} waitingParticipants - Waiting queue entries in queue order
+   * @param {Object} histories - Map of participantId -> opponent history
+   * @param {number} now - Current time
+   * @returns {Array} Eligible queue entries in order of preference
+   */
+  rankGroupCandidates(searcher, waitingParticipants, histories, now = Date.now()) {
+    const candidates = [];
+    for (const entry of waitingParticipants) {
+      const distance = this.getPairDistance(searcher, entry, histories, now);
+      if (distance !== null) {
+        candidates.push({ entry, distance, timesPlayed: getTimesPlayed(histories[searcher.participantId], entry.participantId) });
+      }
+    }
+
+    return this.rankWithStrategy(searcher, candidates);
+  }
+
+  /**
+   * Run one batch pairing pass over every active round queue
+   */
+  async runBatchPairingTick() {
+    try {
+      const queueKeys = await RedisService.getActiveQueueKeys();
+      for (const queueKey of queueKeys) {
+        const roundNumber = parseInt(queueKey.split(':')[2]);
+        if (!isNaN(roundNumber)) {
+          await this.runBatchPairing(roundNumber);
+        }
+      }
+    } catch (error) {
+      console.error('Error in batch pairing tick:', error);
+    }
+  }
+
+  /**
+   * Pair the whole queue for a round at once, minimising total skill distance
+   * plus the wait-time cost of anyone left unpaired
+   * @param {number} roundNumber - Round number
+   * @returns {Promise<Array>} Matches created this tick
+   */
+  async runBatchPairing(roundNumber) {
+    const queueKey = `queue:round:${roundNumber}`;
+    const lockKey = `matchlock:round:${roundNumber}`;
+    const lockValue = `batch-${Date.now()}`;
+    const created = [];
+
+    const lockAcquired = await RedisService.acquireLock(lockKey, lockValue, 10000);
+    if (!lockAcquired) {
+      console.log(`⏳ Match lock busy for round ${roundNumber}, skipping batch tick`);
+      return created;
+    }
+
+    try {
+      // Swiss players are paired by runSwissPairing
+      const entries = (await RedisService.getQueueEntries(queueKey))
+        .filter(entry => this.getPairingSystem(entry) !== 'swiss');
+      if (entries.length < 2) return created;
+
+      const now = Date.now();
+      const { waitCostPerSecond, unmatchedPenalty, exactMaxSize } = config.matchmaking.batch;
+      const waitMs = (entry) => (entry.joinedAt ? now - entry.joinedAt : 0);
+
+      const histories = {};
+      for (const entry of entries) {
+        histories[entry.participantId] = await this.getOpponentHistory(entry.participantId);
+      }
+
+      // Group matches are formed oldest-first; the min-cost solver only handles pairs
+      const entriesBySize = new Map();
+      for (const entry of entries) {
+        const size = this.getGroupSize(entry.studyId);
+        entriesBySize.set(size, [...(entriesBySize.get(size) || []), entry]);
+      }
+
+      for (const [size, sizeEntries] of entriesBySize) {
+        if (size === 2) continue;
+
+        const { groups } = formGroups(sizeEntries, size, (a, b) => this.canShareMatch(a, b, histories, now));
+        console.log(`🧮 Batch grouping round ${roundNumber}: ${sizeEntries.length} waiting, ${groups.length} groups of ${size}`);
+
+        for (const members of groups) {
+          try {
+            created.push(await this.createGroupMatch(members));
+          } catch (error) {
+            console.error(`❌ Error creating batch group match in round ${roundNumber}:`, error);
+          }
+        }
+      }
+
+      const pairEntries = entriesBySize.get(2) || [];
+      const { pairs, unmatched, totalCost } = computeBatchPairing(pairEntries, {
+        exactMaxSize,
+        pairCost: (a, b) => this.getPairDistance(a, b, histories, now),
+        unmatchedCost: (entry) => unmatchedPenalty + waitCostPerSecond * (waitMs(entry) / 1000)
+      });
+
+      console.log(`🧮 Batch pairing round ${roundNumber}: ${pairEntries.length} waiting, ${pairs.length} pairs, ${unmatched.length} left (cost ${totalCost.toFixed(2)})`);
+
+      for (const [participant1, participant2] of pairs) {
+        try {
+          const match = await this.createHumanMatch(participant1, participant2);
+          created.push(match);
+        } catch (error) {
+          console.error(`❌ Error creating batch match ${participant1.participantId} vs ${participant2.participantId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error(`Error in batch pairing for round ${roundNumber}:`, error);
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+
+    // Notify once every match in the batch has been written
+    for (const match of created.filter(m => m.status === 'active')) {
+      await this.notifyMatchFound(match);
+    }
+
+    return created;
+  }
+
+  /**
+   * Run one Swiss pairing pass over every active round queue
+   */
+  async runSwissPairingTick() {
+    try {
+      const queueKeys = await RedisService.getActiveQueueKeys();
+      for (const queueKey of queueKeys) {
+        const roundNumber = parseInt(queueKey.split(':')[2]);
+        if (!isNaN(roundNumber)) {
+          await this.runSwissPairing(roundNumber);
+        }
+      }
+    } catch (error) {
+      console.error('Error in Swiss pairing tick:', error);
+    }
+  }
+
+  /**
+   * Pair the Swiss players waiting in a round by standings. Each pool (lobby and study)
+   * is paired once nobody has joined it for the settle time; with an odd number of
+   * players one of them gets a bye against an AI.
+   * @param {number} roundNumber - Round number
+   * @returns {Promise<Array>} Matches created this tick
+   */
+  async runSwissPairing(roundNumber) {
+    const queueKey = `queue:round:${roundNumber}`;
+    const isSwiss = (entry) => this.getPairingSystem(entry) === 'swiss';
+    const created = [];
+
+    // Most rounds have no Swiss players: don't take the lock for nothing
+    if (!(await RedisService.getQueueEntries(queueKey)).some(isSwiss)) return created;
+
+    const lockKey = `matchlock:round:${roundNumber}`;
+    const lockValue = `swiss-${Date.now()}`;
+    const lockAcquired = await RedisService.acquireLock(lockKey, lockValue, 10000);
+    if (!lockAcquired) {
+      console.log(`⏳ Match lock busy for round ${roundNumber}, skipping Swiss pairing`);
+      return created;
+    }
+
+    try {
+      const entries = (await RedisService.getQueueEntries(queueKey)).filter(isSwiss);
+      const now = Date.now();
+
+      const pools = new Map();
+      for (const entry of entries) {
+        const poolKey = this.getSwissPoolKey(entry);
+        pools.set(poolKey, [...(pools.get(poolKey) || []), entry]);
+      }
+
+      for (const poolEntries of pools.values()) {
+        // Wait until everyone playing this round has had time to join
+        const lastJoinedAt = Math.max(...poolEntries.map(entry => entry.joinedAt || 0));
+        if (now - lastJoinedAt < config.matchmaking.swiss.settleMs) continue;
+
+        created.push(...(await this.pairSwissPool(roundNumber, poolEntries)));
+      }
+    } catch (error) {
+      console.error(`Error in Swiss pairing for round ${roundNumber}:`, error);
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+
+    for (const match of created.filter(m => m.status === 'active')) {
+      await this.notifyMatchFound(match);
+    }
+
+    return created;
+  }
+
+  /**
+   * Get the Swiss pool of a player: the session (lobby) they joined through, and their
+   * study. Players are paired within their pool, which also keeps its own byes and standings.
+   * @param {Object} entry - Queue entry
+   * @returns {string} Pool key
+   */
+  getSwissPoolKey(entry) {
+    return `${entry.lobbyId || ''}|${entry.studyId || ''}`;
+  }
+
+  /**
+   * Pair one pool of Swiss players (called with the round's match lock held)
+   * @param {number} roundNumber - Round number
+   * @param {Array} entries - The pool's queue entries in queue order
+   * @returns {Promise<Array>} Matches created
+   */
+  async pairSwissPool(roundNumber, entries) {
+    const created = [];
+    const poolKey = this.getSwissPoolKey(entries[0]);
+
+    const standings = await this.getStandings(entries.map(entry => entry.participantId), poolKey);
+    const histories = {};
+    for (const entry of entries) {
+      histories[entry.participantId] = await this.getOpponentHistory(entry.participantId);
+    }
+
+    const { pairs, bye, unmatched } = pairSwiss(entries, {
+      standings,
+      histories,
+      byes: await RedisService.getSwissByes(poolKey),
+      canPair: (a, b) => getPairingRule(a.treatmentGroup, b.treatmentGroup) !== null,
+      canTakeBye: (entry) => this.getAIFallbackPolicy(entry).policy !== 'never',
+      exactMaxSize: config.matchmaking.batch.exactMaxSize
+    });
+
+    console.log(`♟️ Swiss pairing round ${roundNumber}: ${entries.length} waiting, ${pairs.length} pairs, bye ${bye ? bye.participantId : 'none'}, ${unmatched.length} left`);
+
+    for (const [participant1, participant2] of pairs) {
+      try {
+        const match = await this.createHumanMatch(participant1, participant2);
+        await RedisService.addSwissMatch(poolKey, match.id);
+        created.push(match);
+      } catch (error) {
+        console.error(`❌ Error creating Swiss match ${participant1.participantId} vs ${participant2.participantId}:`, error);
+      }
+    }
+
+    if (bye) {
+      try {
+        const match = await this.createAIMatch(bye, { swissBye: true });
+        await RedisService.addSwissMatch(poolKey, match.id);
+        await RedisService.addSwissBye(poolKey, bye.participantId);
+        created.push(match);
+        await DatabaseService.recordActivity({
+          participantId: bye.participantId,
+          type: 'swiss_bye',
+          data: { points: standings[bye.participantId]?.points || 0, poolSize: entries.length },
+          roundNumber
+        });
+      } catch (error) {
+        console.error(`❌ Error creating Swiss bye for ${bye.participantId}:`, error);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Get the standings of a set of players in a Swiss pool, from the recorded results of
+   * the pool's matches (results from other sessions or studies don't count)
+   * @param {Array<string>} participantIds - Participant IDs
+   * @param {string} poolKey - Swiss pool
+   * @returns {Promise<Object>} participantId -> { points, wins, losses, ties, played }
+   */
+  async getStandings(participantIds, poolKey) {
+    try {
+      const matchIds = await RedisService.getSwissMatches(poolKey);
+      if (matchIds.length === 0) return {};
+
+      return tallyStandings(await DatabaseService.getResultsForParticipants(participantIds, matchIds));
+    } catch (error) {
+      // Without standings everyone starts level; repeat opponents are still avoided
+      console.error('Error loading standings, pairing without them:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Stop tracking a participant's search and AI fallback deadline
+   * @param {string} participantId - Participant ID
+   */
+  async clearSearch(participantId) {
+    await RedisService.removeSearch(participantId);
+  }
+
+  /**
+ * Join the matchmaking queue
+ * @param {Object} participantData - Participant information
+ * @param {Object} options - { capacity } to only join while the queue has room
+ * @returns {Promise<Object|null|false>} Queue entry, null if the participant is already in a match,
+ *   false if the queue was full
+ */
+async joinQueue(participantData, options = {}) {
+  const { participantId, participantName, roundNumber, skillLevel, treatmentGroup, studyId, lobbyId, sessionSeed, matchingStrategy, pairingSystem } = participantData;
+  const queueKey = `queue:round:${roundNumber}`;
+
+  try {
+    // 🔒 Check if participant already has an active match (Redis quick check first)
+    const status = await RedisService.getParticipantStatus(participantId);
+    if (status?.status === 'matched') {
+      console.warn(`⚠️ Participant ${participantId} already in match ${status.matchId}, skipping queue`);
+      return null; // Don’t enqueue
+    }
+
+    // Optional DB-level check for safety
+    const existingMatch = await DatabaseService.getActiveMatchForParticipant(participantId, roundNumber);
+    if (existingMatch) {
+      console.warn(`⚠️ Participant ${participantId} already has DB match ${existingMatch.id}, skipping queue`);
+      return null;
+    }
+
+    // ✅ Safe to enqueue
+    const queueEntry = {
+      participantId,
+      participantName: participantName || getPlayerDisplayName({ id: participantId }),
+      roundNumber,
+      skillLevel: skillLevel || 7,
+      treatmentGroup: treatmentGroup || 'control',
+      studyId: studyId || null,
+      lobbyId: lobbyId || null,
+      sessionSeed: sessionSeed ?? null,
+      matchingStrategy: matchingStrategy || null,
+      pairingSystem: pairingSystem || null,
+      joinedAt: Date.now(),
+      status: 'waiting'
+    };
+
+    if (!(await RedisService.addToQueue(queueKey, queueEntry, { capacity: options.capacity }))) {
+      // Blocked because a match came in meanwhile, or because the queue is full
+      const current = await RedisService.getParticipantStatus(participantId);
+      return current?.status === 'matched' ? null : false;
+    }
+
+    // Keep the arrival log so the session can be replayed
+    await RedisService.recordArrival(this.getArrivalLogKey(queueEntry), {
+      participantId,
+      participantName: queueEntry.participantName,
+      roundNumber,
+      skillLevel: queueEntry.skillLevel,
+      treatmentGroup: queueEntry.treatmentGroup,
+      studyId: queueEntry.studyId,
+      lobbyId: queueEntry.lobbyId,
+      matchingStrategy: queueEntry.matchingStrategy,
+      arrivedAt: queueEntry.joinedAt
+    });
+
+    // Arrival rates feed the wait-time estimates
+    await RedisService.recordWaitStat(roundNumber, 'arrivals', {
+      treatmentGroup: queueEntry.treatmentGroup,
+      arrivedAt: queueEntry.joinedAt
+    });
+
+    // Increment queue stats
+    await RedisService.incrementMatchStats('queue_joins');
+
+    console.log(`✅ Participant ${participantId} joined queue for round ${roundNumber}`);
+    return queueEntry;
+
+  } catch (error) {
+    console.error('Error joining queue:', error);
+    throw error;
+  }
+}
+
+  /**
+   * Arrival log a participant belongs to: their lobby, or the round for walk-in participants
+   * @param {Object} participantData - Participant information
+   * @returns {string} Arrival log key suffix
+   */
+  getArrivalLogKey(participantData) {
+    return participantData.lobbyId
+      ? `lobby:${participantData.lobbyId}`
+      : `round:${participantData.roundNumber}`;
+  }
+
+  /**
+   * Register a search so the matcher loop keeps looking for human opponents
+   * @param {Object} participantData - Participant information
+   * @returns {Promise<boolean>} Whether a search was registered
+   */
+  async startContinuousSearch(participantData) {
+    const { participantId, roundNumber } = participantData;
+
+    if (this.getAIFallbackPolicy(participantData).policy === 'immediate') {
+      console.log(`🤖 Not searching for humans for ${participantId}: treatment group always plays AI`);
+      return false;
+    }
+
+    await RedisService.saveSearch(participantId, {
+      participantData,
+      roundNumber,
+      startTime: Date.now(),
+      searchAttempts: 0
+    });
+    return true;
+  }
+
+  /**
+   * Run one search attempt for every active search (leader only)
+   */
+  async runSearchTick() {
+    const participantIds = await RedisService.getActiveSearchIds();
+
+    for (const participantId of participantIds) {
+      const search = await RedisService.getSearch(participantId);
+      if (!search) {
+        // Search state expired; drop it from the index
+        await RedisService.removeSearch(participantId);
+        continue;
+      }
+
+      await this.runSearchAttempt(search);
+    }
+  }
+
+  /**
+   * Look for a human opponent for one active search
+   * @param {Object} search - Search state from Redis
+   */
+  async runSearchAttempt(search) {
+    const { participantId, participantData } = search;
+
+    // Swiss players wait for their round to be paired as a whole
+    if (this.getPairingSystem(participantData) === 'swiss') return;
+
+    try {
+      const searchAttempts = await RedisService.incrementSearchAttempts(participantId);
+      console.log(`🔍 Search attempt #${searchAttempts} for participant ${participantId}`);
+
+      // Check if we've been matched by another participant
+      const status = await RedisService.getParticipantStatus(participantId);
+      if (status?.status === 'matched' || status?.status === 'matching') {
+        console.log(`✅ Participant ${participantId} was matched by another participant`);
+        await this.clearSearch(participantId);
+        return;
+      }
+
+      // ADDITIONAL CHECK: Database level check for extra safety
+      try {
+        const existingMatch = await DatabaseService.getActiveMatchForParticipant(participantId, participantData.roundNumber);
+        if (existingMatch) {
+          console.log(`✅ Participant ${participantId} has active DB match ${existingMatch.id}, stopping search`);
+          await this.clearSearch(participantId);
+          
+          // Update Redis status if it's out of sync
+          await RedisService.setParticipantStatus(participantId, 'matched', { matchId: existingMatch.id });
+          return;
+        }
+      } catch (dbError) {
+        console.error('Error checking database for existing match:', dbError);
+        // Continue if database check fails
+      }
+
+      // Look for new opponents
+      const match = await this.findImmediateMatch(participantData);
+      if (match) {
+        if (match.status === 'active') {
+          await this.notifyMatchFound(match);
+        }
+        return;
+      }
+
+      // Check if we should fallback to AI due to inactivity (unless the treatment group never plays AI)
+      if (searchAttempts >= config.matchmaking.minSearchAttempts && this.getAIFallbackPolicy(participantData).policy !== 'never') {
+        const queueActivity = await this.checkQueueActivity(participantData.roundNumber);
+        if (!queueActivity) {
+          console.log(`🤖 No queue activity after ${searchAttempts} attempts, falling back to AI`);
+          
+          const aiMatch = await this.createFallbackMatch(participantData);
+          if (aiMatch) {
+            await this.notifyMatchFound(aiMatch);
+          }
+        }
+      }
+
+    } catch (error) {
+      console.error('Error in continuous search:', error);
+    }
+  }
+
+  /**
+   * Get the AI fallback policy for a participant's treatment group
+   * @param {Object} participantData - Participant information
+   * @returns {Object} { policy, timeoutMs }
+   */
+  getAIFallbackPolicy(participantData) {
+    const { aiFallbackEnabled, aiFallback, humanSearchTimeoutMs } = config.matchmaking;
+
+    return getAIFallbackPolicy(participantData.treatmentGroup, {
+      enabled: aiFallbackEnabled,
+      defaultPolicy: aiFallback.defaultPolicy,
+      timeoutMs: humanSearchTimeoutMs,
+      groups: aiFallback.groups
+    });
+  }
+
+  /**
+   * Record the AI fallback deadline for a search, following the treatment group's policy.
+   * Groups that never play AI get no deadline and keep waiting for a human.
+   * @param {Object} participantData - Participant information
+   * @param {number} startTime - When the wait started (defaults to now)
+   */
+  async setAIFallbackTimeout(participantData, startTime = Date.now()) {
+    const { participantId } = participantData;
+    const deadline = getAIFallbackDeadline(this.getAIFallbackPolicy(participantData), startTime);
+
+    if (deadline === null) {
+      console.log(`🚫 No AI fallback for ${participantId} (treatment group "${participantData.treatmentGroup}")`);
+      await RedisService.removeSearchDeadline(participantId);
+      return;
+    }
+
+    await RedisService.setSearchDeadline(participantId, deadline);
+  }
+
+  /**
+   * Create AI matches for searches whose fallback deadline has passed (leader only)
+   */
+  async processAIFallbackDeadlines() {
+    const dueParticipantIds = await RedisService.getDueSearchDeadlines(Date.now());
+
+    for (const participantId of dueParticipantIds) {
+      try {
+        await RedisService.removeSearchDeadline(participantId);
+
+        const search = await RedisService.getSearch(participantId);
+        if (!search) continue;
+
+        // Don't replace a human match that was made in the meantime
+        const status = await RedisService.getParticipantStatus(participantId);
+        if (status?.status === 'matched' || status?.status === 'matching') {
+          await this.clearSearch(participantId);
+          continue;
+        }
+
+        console.log(`⏰ AI fallback timeout reached for participant ${participantId}`);
+
+        const aiMatch = await this.createFallbackMatch(search.participantData);
+        if (aiMatch) {
+          await this.notifyMatchFound(aiMatch);
+        }
+      } catch (error) {
+        console.error(`Error processing AI fallback for participant ${participantId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Create the AI fallback match for a search: a 1v1 AI match for pairs,
+   * or a group with AI fill-ins for the empty seats
+   * @param {Object} participantData - Participant information
+   * @returns {Promise<Object|null>} Match data, or null if no AI match may be made now
+   */
+  async createFallbackMatch(participantData) {
+    const { policy } = this.getAIFallbackPolicy(participantData);
+    if (policy === 'never') {
+      console.log(`🚫 AI fallback not allowed for ${participantData.participantId}, still waiting for a human`);
+      return null;
+    }
+
+    const groupSize = this.getGroupSize(participantData.studyId);
+    if (groupSize <= 2) {
+      return await this.createAIMatch(participantData);
+    }
+
+    // Always-AI groups don't take other humans into the match
+    if (policy === 'immediate') {
+      return await this.createGroupMatch([{ ...participantData, joinedAt: Date.now() }], groupSize - 1);
+    }
+
+    return await this.fillGroupWithAI(participantData, groupSize);
+  }
+
+  /**
+   * Form a group with whoever compatible is waiting and fill the remaining seats with AI
+   * @param {Object} participantData - Participant whose deadline passed
+   * @param {number} groupSize - Target group size
+   * @returns {Promise<Object|null>} Match data, or null if the round is locked
+   */
+  async fillGroupWithAI(participantData, groupSize) {
+    const { participantId, roundNumber } = participantData;
+    const queueKey = `queue:round:${roundNumber}`;
+    const lockKey = `matchlock:round:${roundNumber}`;
+    const lockValue = `${participantId}-fill-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 5000))) {
+      // Try again on the next tick
+      await RedisService.setSearchDeadline(participantId, Date.now());
+      return null;
+    }
+
+    try {
+      const entries = await RedisService.getQueueEntries(queueKey);
+      const ownEntry = entries.find(p => p.participantId === participantId);
+      const searcher = {
+        ...participantData,
+        joinedAt: ownEntry?.joinedAt || Date.now(),
+        opponentHistory: await this.getOpponentHistory(participantId)
+      };
+
+      const waiting = entries.filter(p =>
+        p.participantId !== participantId && this.inSamePool(participantData, p)
+      );
+      const members = await this.findGroupMembers(searcher, waiting, groupSize);
+
+      console.log(`🤖 Filling group for ${participantId}: ${members.length} human(s), ${groupSize - members.length} AI`);
+      return await this.createGroupMatch(members, groupSize - members.length);
+    } catch (error) {
+      console.error(`❌ Error filling group with AI for ${participantId}, falling back to 1v1 AI match:`, error);
+      return await this.createAIMatch(participantData);
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+  }
+
+  /**
+   * Check if there's recent activity in the queue
+   * @param {number} roundNumber - Round number to check
+   * @returns {Promise<boolean>} Whether there's recent activity
+   */
+  async checkQueueActivity(roundNumber) {
+    const queueKey = `queue:round:${roundNumber}`;
+    const entries = await RedisService.getQueueEntries(queueKey);
+    
+    const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
+    const recentEntries = entries.filter(entry => entry.joinedAt > fiveMinutesAgo);
+    
+    return recentEntries.length > 1; // More than just current participant
+  }
+
+  /**
+   * Create a human vs human match
+   * @param {Object} participant1Data - First participant data
+   * @param {Object} participant2Data - Second participant data
+   * @param {Object} options - { pairingId } for a scheduled match (no pairing rule check or ready check)
+   * @returns {Promise<Object>} Match data
+   */
+  async createHumanMatch(participant1Data, participant2Data, options = {}) {
+    const matchId = uuidv4();
+    const { roundNumber } = participant1Data;
+    
+    try {
+      console.log(`🤝 Creating human match: ${participant1Data.participantId} vs ${participant2Data.participantId}`);
+      
+      // Prevent self-matches (double-check)
+      if (participant1Data.participantId === participant2Data.participantId) {
+        console.error('❌ CRITICAL: Attempted self-match detected!');
+        throw new Error('Self-match attempted');
+      }
+
+      // Get both participant names from database if not provided
+      const [participant1Name, participant2Name] = await Promise.all([
+        this.resolveParticipantName(participant1Data),
+        this.resolveParticipantName(participant2Data)
+      ]);
+
+      // Record which treatment pairing rule allowed this match
+      const pairingRule = options.pairingId
+        ? PAIRING_RULES.SCHEDULED
+        : getPairingRule(participant1Data.treatmentGroup, participant2Data.treatmentGroup);
+      if (!pairingRule) {
+        throw new Error(`Treatment groups "${participant1Data.treatmentGroup}" and "${participant2Data.treatmentGroup}" may not be paired`);
+      }
+
+      // Score the pairing for later analysis of matchmaking quality
+      const matchQuality = calculateMatchQuality(
+        { skillLevel: participant1Data.skillLevel || 7, joinedAt: participant1Data.joinedAt },
+        { skillLevel: participant2Data.skillLevel || 7, joinedAt: participant2Data.joinedAt }
+      );
+
+      const matchData = {
+        id: matchId,
+        participant1_id: participant1Data.participantId,
+        participant2_id: participant2Data.participantId,
+        round_number: roundNumber,
+        match_type: 'live',
+        // Scheduled players already showed up for this match, so they skip the ready check
+        status: config.matchmaking.readyCheck.enabled && !options.pairingId ? 'proposed' : 'active',
+        created_at: new Date().toISOString(),
+        isAI: false,
+        pairing_rule: pairingRule,
+        ...(options.pairingId ? { pairing_id: options.pairingId } : {}),
+        match_quality: Math.round(matchQuality * 1000) / 1000,
+        rng_seed: this.getMatchSeed([participant1Data, participant2Data], roundNumber),
+        // Store both participant names for WebSocket service to use
+        participant1_name: participant1Name,
+        participant2_name: participant2Name,
+        // Treatment groups decide what each player sees of the other
+        treatment_groups: {
+          [participant1Data.participantId]: participant1Data.treatmentGroup || 'control',
+          [participant2Data.participantId]: participant2Data.treatmentGroup || 'control'
+        },
+        // Legacy opponent field for backward compatibility (contains participant2's info)
+        opponent: JSON.stringify({ 
+          name: participant2Name,
+          participant_id: participant2Data.participantId,
+          skill_level: participant2Data.skillLevel
+        })
+      };
+
+      // Store match in Redis
+      await RedisService.createMatch(matchId, matchData);
+      await this.recordMatchWaits([participant1Data, participant2Data], matchData.match_type);
+
+      // Remove both participants from queue
+      const queueKey = `queue:round:${roundNumber}`;
+      await Promise.all([
+        RedisService.removeFromQueue(queueKey, participant1Data.participantId),
+        RedisService.removeFromQueue(queueKey, participant2Data.participantId)
+      ]);
+
+      // Both searches are over
+      await Promise.all([
+        this.clearSearch(participant1Data.participantId),
+        this.clearSearch(participant2Data.participantId)
+      ]);
+
+      if (matchData.status === 'proposed') {
+        await this.proposeMatch(matchData, [participant1Data, participant2Data]);
+        return matchData;
+      }
+
+      return await this.commitMatch(matchData);
+
+    } catch (error) {
+      console.error('❌ Error creating human match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a participant's display name, looking it up in the database if not provided
+   * @param {Object} participantData - Participant information
+   * @returns {Promise<string>} Display name
+   */
+  async resolveParticipantName(participantData) {
+    if (participantData.participantName) {
+      return participantData.participantName;
+    }
+
+    try {
+      const participantInfo = await DatabaseService.getParticipant(participantData.participantId);
+      const name = getPlayerDisplayName(participantInfo || { id: participantData.participantId });
+      console.log(`📝 Retrieved participant name from DB: ${name}`);
+      return name;
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to get name for ${participantData.participantId} from DB, using fallback`);
+      return getPlayerDisplayName({ id: participantData.participantId });
+    }
+  }
+
+  /**
+   * Create an N-player group match
+   * @param {Array} members - Queue entries of the human members
+   * @param {number} aiSeats - Number of seats filled by AI opponents
+   * @returns {Promise<Object>} Match data
+   */
+  async createGroupMatch(members, aiSeats = 0) {
+    const matchId = uuidv4();
+    const { roundNumber } = members[0];
+    const participantIds = members.map(m => m.participantId);
+    const seed = this.getMatchSeed(members, roundNumber);
+
+    try {
+      console.log(`👥 Creating group match: ${participantIds.join(', ')}${aiSeats ? ` + ${aiSeats} AI` : ''}`);
+
+      if (new Set(participantIds).size !== participantIds.length) {
+        console.error('❌ CRITICAL: Attempted group with duplicate participants!');
+        throw new Error('Duplicate group member');
+      }
+
+      const humanMembers = await Promise.all(members.map(async (member) => ({
+        participant_id: member.participantId,
+        name: await this.resolveParticipantName(member),
+        skill_level: member.skillLevel || 7,
+        treatment_group: member.treatmentGroup || 'control',
+        is_ai: false
+      })));
+
+      const averageSkill = humanMembers.reduce((sum, m) => sum + m.skill_level, 0) / humanMembers.length;
+      const aiMembers = Array.from({ length: aiSeats }, (_, i) =>
+        AIOpponentService.createAIGroupMember(averageSkill, `${participantIds[0].slice(-3)}${i}`, deriveSeed(seed, 'seat', i))
+      );
+
+      // A lone human with AI fill-ins is an AI match; otherwise every pair must be compatible
+      const pairingRule = members.length === 1
+        ? PAIRING_RULES.AI_OPPONENT
+        : getGroupPairingRule(members.map(m => m.treatmentGroup));
+      if (!pairingRule) {
+        throw new Error(`Treatment groups ${members.map(m => `"${m.treatmentGroup}"`).join(', ')} may not be grouped`);
+      }
+
+      // Average pairwise quality of the human members
+      const qualities = [];
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          qualities.push(calculateMatchQuality(
+            { skillLevel: members[i].skillLevel || 7, joinedAt: members[i].joinedAt },
+            { skillLevel: members[j].skillLevel || 7, joinedAt: members[j].joinedAt }
+          ));
+        }
+      }
+      const matchQuality = qualities.length > 0
+        ? Math.round((qualities.reduce((a, b) => a + b, 0) / qualities.length) * 1000) / 1000
+        : null;
+
+      const matchData = {
+        id: matchId,
+        // First two humans kept for consumers of the pair schema
+        participant1_id: participantIds[0],
+        participant2_id: participantIds[1] || null,
+        participant_ids: participantIds,
+        participants: [...humanMembers, ...aiMembers],
+        treatment_groups: Object.fromEntries(humanMembers.map(m => [m.participant_id, m.treatment_group])),
+        group_size: members.length + aiSeats,
+        ai_seats: aiSeats,
+        round_number: roundNumber,
+        match_type: 'group',
+        status: config.matchmaking.readyCheck.enabled && members.length > 1 ? 'proposed' : 'active',
+        created_at: new Date().toISOString(),
+        isAI: aiSeats > 0,
+        pairing_rule: pairingRule,
+        match_quality: matchQuality,
+        rng_seed: seed
+      };
+
+      await RedisService.createMatch(matchId, matchData);
+      await this.recordMatchWaits(members, matchData.match_type);
+
+      // Remove every member from the queue and stop their searches
+      const queueKey = `queue:round:${roundNumber}`;
+      await Promise.all(participantIds.map(id => RedisService.removeFromQueue(queueKey, id)));
+      await Promise.all(participantIds.map(id => this.clearSearch(id)));
+
+      if (matchData.status === 'proposed') {
+        await this.proposeMatch(matchData, members);
+        return matchData;
+      }
+
+      return await this.commitMatch(matchData);
+
+    } catch (error) {
+      console.error('❌ Error creating group match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Commit a human match: mark the players matched and persist it
+   * @param {Object} matchData - Match data
+   * @returns {Promise<Object>} Active match data
+   */
+  async commitMatch(matchData) {
+    const { id: matchId } = matchData;
+    const participantIds = matchData.participant_ids || [matchData.participant1_id, matchData.participant2_id];
+    const activeMatch = { ...matchData, status: 'active' };
+
+    // Proposed matches become active once accepted; others were created active
+    if (matchData.status === 'proposed') {
+      activeMatch.proposed_at = matchData.proposed_at || matchData.created_at;
+      activeMatch.active_at = new Date().toISOString();
+      await RedisService.transitionMatchStatus(matchId, 'proposed', 'active', { active_at: activeMatch.active_at });
+    }
+
+    // Remember every pairing for rematch avoidance (before the DB copy exists)
+    for (let i = 0; i < participantIds.length; i++) {
+      for (let j = i + 1; j < participantIds.length; j++) {
+        await this.recordOpponents(participantIds[i], participantIds[j]);
+      }
+    }
+
+    // Also save to persistent database
+    try {
+      await DatabaseService.createTournamentMatch(activeMatch);
+      console.log(`💾 Human match ${matchId} saved to database`);
+    } catch (dbError) {
+      console.error(`❌ Error saving human match ${matchId} to database:`, dbError);
+      // Non-critical, Redis is the primary store for active matches
+    }
+
+    // Update every participant's status
+    await Promise.all(participantIds.map(participantId =>
+      RedisService.setParticipantStatus(participantId, 'matched', { matchId })
+    ));
+
+    // Increment stats
+    await RedisService.incrementMatchStats(matchData.match_type === 'group' ? 'group_matches' : 'human_matches');
+
+    console.log(`✅ Human match created successfully: ${matchId}`);
+    return activeMatch;
+  }
+
+  /**
+   * Propose a human match and wait for every player to accept it
+   * @param {Object} matchData - Proposed match data
+   * @param {Array} participants - Queue entries of the matched players
+   */
+  async proposeMatch(matchData, participants) {
+    const { id: matchId } = matchData;
+    const deadline = Date.now() + config.matchmaking.readyCheck.timeoutMs;
+
+    await RedisService.createReadyCheck(matchId, {
+      participants: participants.map(({ opponentHistory, ...entry }) => entry),
+      match: matchData,
+      deadline
+    });
+
+    await Promise.all(participants.map(p =>
+      RedisService.setParticipantStatus(p.participantId, 'matching', { matchId })
+    ));
+
+    await RedisService.incrementMatchStats('matches_proposed');
+
+    console.log(`📨 Proposed human match ${matchId}, waiting for acceptance until ${new Date(deadline).toISOString()}`);
+    await this.publishEvent('match_proposed', { ...matchData, acceptDeadline: deadline });
+  }
+
+  /**
+   * Record a player's acceptance of a proposed match.
+   * The match is committed once every player has accepted.
+   * @param {string} matchId - Match ID
+   * @param {string} participantId - Accepting participant ID
+   * @returns {Promise<Object>} { status, matchId, accepted? }
+   */
+  async acceptMatch(matchId, participantId) {
+    const readyCheck = await RedisService.getReadyCheck(matchId);
+    if (!readyCheck) {
+      return { status: 'expired', matchId };
+    }
+
+    const participantIds = readyCheck.participants.map(p => p.participantId);
+    if (!participantIds.includes(participantId)) {
+      throw new Error(`Participant ${participantId} is not part of match ${matchId}`);
+    }
+
+    const { accepted } = await RedisService.acceptReadyCheck(matchId, participantId);
+    console.log(`👍 Participant ${participantId} accepted match ${matchId} (${accepted.length}/${participantIds.length})`);
+
+    if (!participantIds.every(id => accepted.includes(id))) {
+      return { status: 'waiting', matchId, accepted };
+    }
+
+    // Whoever claims the ready check first (this or the deadline) decides the outcome
+    if (!(await RedisService.claimReadyCheck(matchId))) {
+      return { status: 'expired', matchId };
+    }
+
+    const match = await this.commitMatch(readyCheck.match);
+    await RedisService.deleteReadyCheck(matchId);
+    await this.notifyMatchFound(match);
+
+    return { status: 'active', matchId };
+  }
+
+  /**
+   * Resolve proposed matches whose acceptance deadline has passed (leader only)
+   */
+  async processReadyCheckDeadlines() {
+    const dueMatchIds = await RedisService.getDueReadyChecks(Date.now());
+
+    for (const matchId of dueMatchIds) {
+      try {
+        if (!(await RedisService.claimReadyCheck(matchId))) continue;
+        await this.failReadyCheck(matchId);
+      } catch (error) {
+        console.error(`Error processing ready check for match ${matchId}:`, error);
       }
-      return null;
-
-    } catch (error) {
-      console.error('Error finding immediate match:', error);
-      return null;
     }
   }
 
   /**
-   * Find the best skill match from waiting participants
-   * @param {number} participantSkillLevel - Current participant's skill level
-   * @param {Array} waitingParticipants - Array of waiting participants
-   * @returns {Object|null} Best match or null
+   * Cancel a proposed match that was not accepted in time.
+   * Players who accepted go back to the front of the queue; the others count as no-shows.
+   * @param {string} matchId - Match ID
    */
-  findBestSkillMatch(participantSkillLevel, waitingParticipants) {
-    if (waitingParticipants.length === 0) return null;
+  async failReadyCheck(matchId) {
+    const readyCheck = await RedisService.getReadyCheck(matchId);
+    if (!readyCheck) return;
 
-    const threshold = config.matchmaking.skillMatchingThreshold;
-    
-    // Filter by skill threshold
-    const suitableMatches = waitingParticipants.filter(participant => {
-      const skillDiff = Math.abs(participant.skillLevel - participantSkillLevel);
-      return skillDiff <= threshold;
-    });
+    const responsive = readyCheck.participants.filter(p => readyCheck.accepted.includes(p.participantId));
+    const absent = readyCheck.participants.filter(p => !readyCheck.accepted.includes(p.participantId));
 
-    if (suitableMatches.length === 0) {
-      // If no suitable matches, return the closest skill level
-      return waitingParticipants.reduce((closest, current) => {
-        const currentDiff = Math.abs(current.skillLevel - participantSkillLevel);
-        const closestDiff = Math.abs(closest.skillLevel - participantSkillLevel);
-        return currentDiff < closestDiff ? current : closest;
-      });
+    console.log(`⌛ Match ${matchId} was not accepted in time (${absent.length} no-show(s))`);
+
+    await this.applyMatchTransition(readyCheck.match, 'cancelled', { reason: 'not_accepted' });
+
+    for (const participant of absent) {
+      await this.recordNoShow(participant, matchId);
+    }
+
+    for (const participant of responsive) {
+      await this.requeueAtFront(participant);
     }
 
-    // Return the first suitable match (FIFO)
-    return suitableMatches[0];
+    await RedisService.deleteReadyCheck(matchId);
+
+    await this.publishEvent('match_proposal_failed', {
+      matchId,
+      requeued: responsive.map(p => p.participantId),
+      noShows: absent.map(p => p.participantId)
+    });
   }
 
   /**
- * Join the matchmaking queue
- * @param {Object} participantData - Participant information
- */
-async joinQueue(participantData) {
-  const { participantId, participantName, roundNumber, skillLevel, treatmentGroup } = participantData;
-  const queueKey = `queue:round:${roundNumber}`;
-
-  try {
-    // 🔒 Check if participant already has an active match (Redis quick check first)
-    const status = await RedisService.getParticipantStatus(participantId);
-    if (status?.status === 'matched') {
-      console.warn(`⚠️ Participant ${participantId} already in match ${status.matchId}, skipping queue`);
-      return null; // Don’t enqueue
+   * Move a match to a new lifecycle status (e.g. PUT /match/:matchId/status).
+   * Illegal transitions are rejected; a proposed match is taken over from its ready check.
+   * @param {string} matchId - Match ID
+   * @param {string} status - Requested status
+   * @param {Object} details - { reason }
+   * @returns {Promise<Object>} { updated, matchId, from, status } or { updated: false, reason }
+   */
+  async transitionMatch(matchId, status, details = {}) {
+    const match = await RedisService.getMatch(matchId);
+    if (!match || !match.status) {
+      return { updated: false, reason: 'not_found', matchId };
     }
 
-    // Optional DB-level check for safety
-    const existingMatch = await DatabaseService.getActiveMatchForParticipant(participantId, roundNumber);
-    if (existingMatch) {
-      console.warn(`⚠️ Participant ${participantId} already has DB match ${existingMatch.id}, skipping queue`);
-      return null;
+    const from = match.status;
+    if (!canTransition(from, status)) {
+      return { updated: false, reason: 'invalid_transition', matchId, from, status, allowed: MATCH_TRANSITIONS[from] || [] };
     }
 
-    // ✅ Safe to enqueue
-    const queueEntry = {
-      participantId,
-      participantName: participantName || getPlayerDisplayName({ id: participantId }),
-      roundNumber,
-      skillLevel: skillLevel || 7,
-      treatmentGroup: treatmentGroup || 'control',
-      joinedAt: Date.now(),
-      status: 'waiting'
-    };
-
-    await RedisService.addToQueue(queueKey, queueEntry);
+    if (from !== 'proposed') {
+      return await this.applyMatchTransition({ ...match, id: matchId }, status, details);
+    }
 
-    // Increment queue stats
-    await RedisService.incrementMatchStats('queue_joins');
+    // Claim the ready check so a last acceptance or the deadline can't resolve it as well
+    const readyCheck = await RedisService.getReadyCheck(matchId);
+    if (!readyCheck || !(await RedisService.claimReadyCheck(matchId))) {
+      return { updated: false, reason: 'conflict', matchId, from, status };
+    }
+    await RedisService.deleteReadyCheck(matchId);
 
-    console.log(`✅ Participant ${participantId} joined queue for round ${roundNumber}`);
-    return queueEntry;
+    if (status === 'active') {
+      const activeMatch = await this.commitMatch(readyCheck.match);
+      await this.notifyMatchFound(activeMatch);
+      return { updated: true, matchId, from, status, at: activeMatch.active_at };
+    }
 
-  } catch (error) {
-    console.error('Error joining queue:', error);
-    throw error;
+    return await this.applyMatchTransition(readyCheck.match, status, details);
   }
-}
 
   /**
-   * Start continuous search for human opponents
-   * @param {Object} participantData - Participant information
+   * Record a status change in Redis and the database and tell the players.
+   * Redis decides: the change only applies if the match is still in the status it was read in.
+   * @param {Object} match - Match data (Redis hash or match object) in its current status
+   * @param {string} status - New status
+   * @param {Object} details - { reason }
+   * @returns {Promise<Object>} Transition result
    */
-  startContinuousSearch(participantData) {
-    const { participantId } = participantData;
-    
-    const searchInterval = setInterval(async () => {
-      if (!this.activeSearches.has(participantId)) {
-        clearInterval(searchInterval);
-        return;
+  async applyMatchTransition(match, status, details = {}) {
+    const { id: matchId, status: from } = match;
+    const at = new Date().toISOString();
+    const fields = { [getStatusTimestampField(status)]: at };
+    if (details.reason) fields.ended_reason = details.reason;
+
+    if (!(await RedisService.transitionMatchStatus(matchId, from, status, fields))) {
+      return { updated: false, reason: 'conflict', matchId, from, status };
+    }
+
+    // Proposed matches were never saved to the database, so save the whole record
+    try {
+      if (from === 'proposed') {
+        await DatabaseService.syncMatchToDatabase({ ...match, status, ...fields });
+      } else {
+        await DatabaseService.updateTournamentMatch(matchId, status, fields);
       }
+    } catch (dbError) {
+      console.error(`❌ Error saving status of match ${matchId} to database:`, dbError);
+    }
 
-      const searchData = this.activeSearches.get(participantId);
-      searchData.searchAttempts++;
-      
-      console.log(`🔍 Search attempt #${searchData.searchAttempts} for participant ${participantId}`);
-      
-      try {
-        // Check if we've been matched by another participant
-        const status = await RedisService.getParticipantStatus(participantId);
-        if (status?.status === 'matched' || status?.status === 'matching') {
-          console.log(`✅ Participant ${participantId} was matched by another participant`);
-          clearInterval(searchInterval);
-          this.activeSearches.delete(participantId);
-          return;
-        }
+    const participantIds = this.getMatchParticipantIds(match);
 
-        // ADDITIONAL CHECK: Database level check for extra safety
-        try {
-          const existingMatch = await DatabaseService.getActiveMatchForParticipant(participantId, participantData.roundNumber);
-          if (existingMatch) {
-            console.log(`✅ Participant ${participantId} has active DB match ${existingMatch.id}, stopping search`);
-            clearInterval(searchInterval);
-            this.activeSearches.delete(participantId);
-            
-            // Update Redis status if it's out of sync
-            await RedisService.setParticipantStatus(participantId, 'matched', { matchId: existingMatch.id });
-            return;
-          }
-        } catch (dbError) {
-          console.error('Error checking database for existing match:', dbError);
-          // Continue if database check fails
+    // Players whose status still points at this match are free again
+    if (isFinalStatus(status)) {
+      await Promise.all(participantIds.map(async (participantId) => {
+        const participantStatus = await RedisService.getParticipantStatus(participantId);
+        if (participantStatus?.matchId === matchId) {
+          await RedisService.setParticipantStatus(participantId, 'match_ended', { matchStatus: status });
         }
+      }));
+    }
 
-        // Look for new opponents
-        const match = await this.findImmediateMatch(participantData);
-        if (match) {
-          clearInterval(searchInterval);
-          this.activeSearches.delete(participantId);
-          
-          // Clear AI fallback timeout
-          if (this.matchTimeouts.has(participantId)) {
-            clearTimeout(this.matchTimeouts.get(participantId));
-            this.matchTimeouts.delete(participantId);
-          }
+    console.log(`🔁 Match ${matchId}: ${from} → ${status}${details.reason ? ` (${details.reason})` : ''}`);
 
-          // Notify match found
-          if (this.onMatchFound) {
-            this.onMatchFound(match);
-          }
-        }
+    // Completed matches record their pairing's result with the outcomes (completeMatch)
+    if (match.pairing_id && isFinalStatus(status) && status !== 'completed') {
+      await this.recordPairingResult(match.pairing_id, 'ended', { matchStatus: status });
+    }
 
-        // Check if we should fallback to AI due to inactivity
-        if (searchData.searchAttempts >= config.matchmaking.minSearchAttempts) {
-          const queueActivity = await this.checkQueueActivity(participantData.roundNumber);
-          if (!queueActivity) {
-            console.log(`🤖 No queue activity after ${searchData.searchAttempts} attempts, falling back to AI`);
-            clearInterval(searchInterval);
-            
-            const aiMatch = await this.createAIMatch(participantData);
-            this.activeSearches.delete(participantId);
-            
-            if (this.onMatchFound) {
-              this.onMatchFound(aiMatch);
-            }
-          }
-        }
+    await this.publishEvent('match_status_changed', {
+      matchId,
+      participantIds,
+      from,
+      status,
+      at,
+      reason: details.reason || null
+    });
 
-      } catch (error) {
-        console.error('Error in continuous search:', error);
-      }
-    }, config.matchmaking.searchIntervalMs);
+    return { updated: true, matchId, from, status, at };
   }
 
   /**
-   * Set AI fallback timeout
-   * @param {Object} participantData - Participant information
+   * Record a player's result report. Once every human player has reported, the
+   * outcome is decided, result rows are written for each player and the match completes.
+   * With server-run match sessions, scores only come from the session.
+   * @param {string} matchId - Match ID
+   * @param {string} participantId - Reporting participant
+   * @param {Object} report - { score, opponentScore }
+   * @returns {Promise<Object>} { status: 'waiting' | 'completed' | rejection reason, ... }
    */
-  setAIFallbackTimeout(participantData) {
-    const { participantId } = participantData;
-    
-    const timeout = setTimeout(async () => {
-      if (this.activeSearches.has(participantId)) {
-        console.log(`⏰ AI fallback timeout reached for participant ${participantId}`);
-        
-        const aiMatch = await this.createAIMatch(participantData);
-        this.activeSearches.delete(participantId);
-        
-        if (this.onMatchFound) {
-          this.onMatchFound(aiMatch);
-        }
-      }
-    }, config.matchmaking.humanSearchTimeoutMs);
+  async submitMatchResult(matchId, participantId, report) {
+    const match = await RedisService.getMatch(matchId);
+    if (!match || !match.status) {
+      return { status: 'not_found', matchId };
+    }
+
+    const participantIds = this.getMatchParticipantIds(match);
+    if (!participantIds.includes(participantId)) {
+      return { status: 'not_participant', matchId };
+    }
+
+    if (match.status !== 'active') {
+      return { status: 'not_active', matchId, matchStatus: match.status };
+    }
+
+    if (config.matchSessions.enabled) {
+      return { status: 'server_scored', matchId };
+    }
+
+    const saved = await RedisService.saveResultReport(matchId, participantId, {
+      score: report.score,
+      opponentScore: report.opponentScore ?? null,
+      reportedAt: Date.now()
+    });
+    if (!saved) {
+      return { status: 'already_reported', matchId };
+    }
+
+    console.log(`📝 Participant ${participantId} reported ${report.score} for match ${matchId}`);
+
+    const reports = await RedisService.getResultReports(matchId);
+    const aiOpponent = match.isAI === 'true' && match.opponent ? JSON.parse(match.opponent) : null;
+    const { complete, disputed, outcomes } = reconcileReports(participantIds, reports, aiOpponent?.participant_id || null);
+
+    if (!complete) {
+      return { status: 'waiting', matchId, reported: Object.keys(reports) };
+    }
+
+    const completed = await this.completeMatch(match, matchId, outcomes, disputed);
+    if (completed.status !== 'completed') return completed;
 
-    this.matchTimeouts.set(participantId, timeout);
+    // The reporter only gets what their treatment group may see of the result
+    const rules = this.getVisibilityRules(match, participantId);
+    return {
+      ...completed,
+      outcomes: completed.outcomes
+        .filter(outcome => outcome.participantId === participantId || rules.opponentResult)
+        .map(outcome => redactOutcome(outcome, rules))
+    };
   }
 
   /**
-   * Check if there's recent activity in the queue
-   * @param {number} roundNumber - Round number to check
-   * @returns {Promise<boolean>} Whether there's recent activity
+   * Get what a player of a match may see of their opponents
+   * @param {Object} match - Match data (from the engine or Redis)
+   * @param {string} participantId - Player
+   * @returns {Object} Visibility rules of the player's treatment group
    */
-  async checkQueueActivity(roundNumber) {
-    const queueKey = `queue:round:${roundNumber}`;
-    const entries = await RedisService.getQueueEntries(queueKey);
-    
-    const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-    const recentEntries = entries.filter(entry => entry.joinedAt > fiveMinutesAgo);
-    
-    return recentEntries.length > 1; // More than just current participant
+  getVisibilityRules(match, participantId) {
+    return getVisibilityRules(getMatchTreatmentGroups(match)[participantId], config.matchmaking.visibility);
   }
 
   /**
-   * Create a human vs human match
-   * @param {Object} participant1Data - First participant data
-   * @param {Object} participant2Data - Second participant data
-   * @returns {Promise<Object>} Match data
+   * Complete a match from the final scores of a server-run match session
+   * @param {string} matchId - Match ID
+   * @param {Object} scores - participantId -> score, for every player (AI seats included)
+   * @returns {Promise<Object>} { status: 'completed' | 'not_found' | 'not_active', ... }
    */
-  async createHumanMatch(participant1Data, participant2Data) {
-    const matchId = uuidv4();
-    const { roundNumber } = participant1Data;
-    
+  async completeMatchWithScores(matchId, scores) {
+    const match = await RedisService.getMatch(matchId);
+    if (!match || !match.status) {
+      return { status: 'not_found', matchId };
+    }
+
+    return await this.completeMatch(match, matchId, decideOutcomes(this.getMatchParticipantIds(match), scores), false);
+  }
+
+  /**
+   * Mark a match completed, write a result row per human player and announce the result
+   * @param {Object} match - Match data (Redis hash)
+   * @param {string} matchId - Match ID
+   * @param {Array} outcomes - Outcome per human player
+   * @param {boolean} disputed - Whether the players' reports disagreed
+   * @returns {Promise<Object>} { status: 'completed', ... } or { status: 'not_active' }
+   */
+  async completeMatch(match, matchId, outcomes, disputed) {
+    // Only one caller gets to complete the match and write the results
+    const transition = await this.transitionMatch(matchId, 'completed', disputed ? { reason: 'disputed_scores' } : {});
+    if (!transition.updated) {
+      return { status: 'not_active', matchId, matchStatus: transition.from };
+    }
+
+    const matchDurationMs = Date.parse(transition.at) - Date.parse(match.active_at || match.created_at);
     try {
-      console.log(`🤝 Creating human match: ${participant1Data.participantId} vs ${participant2Data.participantId}`);
-      
-      // Prevent self-matches (double-check)
-      if (participant1Data.participantId === participant2Data.participantId) {
-        console.error('❌ CRITICAL: Attempted self-match detected!');
-        throw new Error('Self-match attempted');
-      }
+      await Promise.all(outcomes.map(outcome => DatabaseService.recordMatchResult({
+        matchId,
+        participantId: outcome.participantId,
+        opponentId: outcome.opponentId,
+        participantScore: outcome.score,
+        opponentScore: outcome.opponentScore,
+        result: outcome.result,
+        roundNumber: parseInt(match.round_number),
+        matchDurationMs,
+        isAI: match.isAI === 'true'
+      })));
+    } catch (dbError) {
+      console.error(`❌ Error saving results of match ${matchId} to database:`, dbError);
+    }
 
-      // Get both participant names from database if not provided
-      let participant1Name = participant1Data.participantName;
-      if (!participant1Name) {
-        try {
-          const participant1Info = await DatabaseService.getParticipant(participant1Data.participantId);
-          participant1Name = getPlayerDisplayName(participant1Info || { id: participant1Data.participantId });
-          console.log(`📝 Retrieved participant1 name from DB: ${participant1Name}`);
-        } catch (dbError) {
-          console.warn('⚠️ Failed to get participant1 name from DB, using fallback');
-          participant1Name = getPlayerDisplayName({ id: participant1Data.participantId });
-        }
-      }
+    try {
+      await RatingService.recordMatch(match, outcomes);
+    } catch (ratingError) {
+      console.error(`❌ Error updating ratings after match ${matchId}:`, ratingError);
+    }
 
-      let participant2Name = participant2Data.participantName;
-      if (!participant2Name) {
-        try {
-          const participant2Info = await DatabaseService.getParticipant(participant2Data.participantId);
-          participant2Name = getPlayerDisplayName(participant2Info || { id: participant2Data.participantId });
-          console.log(`📝 Retrieved participant2 name from DB: ${participant2Name}`);
-        } catch (dbError) {
-          console.warn('⚠️ Failed to get participant2 name from DB, using fallback');
-          participant2Name = getPlayerDisplayName({ id: participant2Data.participantId });
-        }
-      }
+    await this.publishEvent('match_result', { matchId, disputed, outcomes, treatmentGroups: getMatchTreatmentGroups(match) });
 
-      const matchData = {
-        id: matchId,
-        participant1_id: participant1Data.participantId,
-        participant2_id: participant2Data.participantId,
-        round_number: roundNumber,
-        match_type: 'live',
-        status: 'active',
-        created_at: new Date().toISOString(),
-        isAI: false,
-        // Store both participant names for WebSocket service to use
-        participant1_name: participant1Name,
-        participant2_name: participant2Name,
-        // Legacy opponent field for backward compatibility (contains participant2's info)
-        opponent: JSON.stringify({ 
-          name: participant2Name,
-          participant_id: participant2Data.participantId,
-          skill_level: participant2Data.skillLevel
-        })
-      };
+    if (match.pairing_id) {
+      await this.recordPairingResult(match.pairing_id, 'completed', { outcomes });
+    }
 
-      // Store match in Redis
-      await RedisService.createMatch(matchId, matchData);
+    return { status: 'completed', matchId, disputed, outcomes };
+  }
 
-      // Also save to persistent database
-      try {
-        await DatabaseService.createTournamentMatch(matchData);
-        console.log(`💾 Human match ${matchId} saved to database`);
-      } catch (dbError) {
-        console.error(`❌ Error saving human match ${matchId} to database:`, dbError);
-        // Non-critical, Redis is the primary store for active matches
-      }
+  /**
+   * Get the human players of a match, from a match object or its Redis hash
+   * @param {Object} match - Match data
+   * @returns {Array<string>} Participant IDs
+   */
+  getMatchParticipantIds(match) {
+    const participantIds = typeof match.participant_ids === 'string' && match.participant_ids
+      ? JSON.parse(match.participant_ids)
+      : match.participant_ids;
 
-      // Update both participants' status
-      await Promise.all([
-        RedisService.setParticipantStatus(participant1Data.participantId, 'matched', { matchId }),
-        RedisService.setParticipantStatus(participant2Data.participantId, 'matched', { matchId })
-      ]);
+    return (participantIds || [match.participant1_id, match.participant2_id]).filter(Boolean);
+  }
 
-      // Remove both participants from queue
-      const queueKey = `queue:round:${roundNumber}`;
-      await Promise.all([
-        RedisService.removeFromQueue(queueKey, participant1Data.participantId),
-        RedisService.removeFromQueue(queueKey, participant2Data.participantId)
-      ]);
+  /**
+   * Count a no-show for a player who did not accept a proposed match
+   * @param {Object} participant - Queue entry of the absent player
+   * @param {string} matchId - Match ID
+   */
+  async recordNoShow(participant, matchId) {
+    const { participantId, roundNumber } = participant;
 
-      // Increment stats
-      await RedisService.incrementMatchStats('human_matches');
+    const noShows = await RedisService.incrementNoShowCount(participantId);
+    await RedisService.setParticipantStatus(participantId, 'no_show', { matchId, roundNumber });
+    await RedisService.incrementMatchStats('no_shows');
 
-      console.log(`✅ Human match created successfully: ${matchId}`);
-      return matchData;
+    await DatabaseService.recordActivity({
+      participantId,
+      type: 'match_no_show',
+      data: { matchId, noShows },
+      roundNumber
+    });
 
-    } catch (error) {
-      console.error('❌ Error creating human match:', error);
-      throw error;
-    }
+    console.log(`🚫 Participant ${participantId} did not accept match ${matchId} (no-show #${noShows})`);
+  }
+
+  /**
+   * Put a player back at the front of the queue after their partner failed to accept.
+   * Their original join time is kept, so the skill window and AI fallback deadline carry on.
+   * @param {Object} participant - Queue entry of the responsive player
+   */
+  async requeueAtFront(participant) {
+    const { participantId, roundNumber, skillLevel, treatmentGroup, joinedAt } = participant;
+    const queueKey = `queue:round:${roundNumber}`;
+
+    await RedisService.setParticipantStatus(participantId, 'searching', {
+      roundNumber,
+      skillLevel,
+      treatmentGroup
+    });
+
+    await RedisService.addToQueue(queueKey, participant, { front: true, joinedAt });
+    await this.startContinuousSearch(participant);
+    await this.setAIFallbackTimeout(participant, joinedAt);
+
+    console.log(`↩️ Participant ${participantId} returned to the front of queue ${queueKey}`);
   }
 
   /**
    * Create an AI match
    * @param {Object} participantData - Participant information
+   * @param {Object} options - { pairingId } for a scheduled match's AI fill-in or stand-in, { swissBye } for a Swiss bye
    * @returns {Promise<Object>} AI match data
    */
-  async createAIMatch(participantData) {
+  async createAIMatch(participantData, options = {}) {
     const { participantId, roundNumber, skillLevel } = participantData;
     
     try {
       console.log(`🤖 Creating AI match for participant ${participantId}`);
       
-      // Clean up queue and timeouts
+      // The search started when the participant joined the queue
+      const search = await RedisService.getSearch(participantId);
+
+      // Clean up queue and search state
       await this.cleanupParticipantQueue(participantId, roundNumber);
-      if (this.matchTimeouts.has(participantId)) {
-        clearTimeout(this.matchTimeouts.get(participantId));
-        this.matchTimeouts.delete(participantId);
-      }
+      await this.clearSearch(participantId);
 
       // Create AI match using AIOpponentService
-      const aiMatchData = AIOpponentService.createAIMatch(participantId, roundNumber, skillLevel);
+      const seed = this.getMatchSeed([participantData], roundNumber);
+      const aiMatchData = {
+        ...AIOpponentService.createAIMatch(participantId, roundNumber, skillLevel, seed),
+        pairing_rule: PAIRING_RULES.AI_OPPONENT,
+        treatment_groups: { [participantId]: participantData.treatmentGroup || 'control' },
+        ...(options.pairingId ? { pairing_id: options.pairingId } : {}),
+        ...(options.swissBye ? { swiss_bye: true } : {})
+      };
 
       // Store match in Redis
       await RedisService.createMatch(aiMatchData.id, aiMatchData);
+      await this.recordMatchWaits([{ ...participantData, joinedAt: participantData.joinedAt ?? search?.startTime }], 'ai');
 
       // Also save to persistent database
       try {
@@ -542,6 +2787,7 @@ async joinQueue(participantData) {
         status: 'active',
         created_at: new Date().toISOString(),
         isAI: true,
+        pairing_rule: PAIRING_RULES.AI_OPPONENT,
         opponent: JSON.stringify({ // Stringify the nested object
                 id: 'ai_fallback',
                 name: getBotName(fallbackOpponentId),
@@ -570,19 +2816,96 @@ async joinQueue(participantData) {
   /**
    * Get queue status for a round
    * @param {number} roundNumber - Round number
+   * @param {Object} participantData - Participant to estimate the wait for (default: a newcomer)
    * @returns {Promise<Object>} Queue status information
    */
-  async getQueueStatus(roundNumber) {
+  async getQueueStatus(roundNumber, participantData = null) {
     const queueKey = `queue:round:${roundNumber}`;
     const queueSize = await RedisService.getQueueSize(queueKey);
     const entries = await RedisService.getQueueEntries(queueKey);
+    const waitTimeEstimate = await this.getWaitTimeEstimate({ ...participantData, roundNumber });
     
     return {
       totalWaiting: queueSize,
+      queueCapacity: this.getQueueCapacity(roundNumber),
+      waitlisted: await RedisService.getWaitlistSize(roundNumber),
       averageWaitTime: this.calculateAverageWaitTime(entries),
       recentMatches: await this.getRecentMatchCount(),
-      estimatedWaitTime: config.matchmaking.humanSearchTimeoutMs / 1000
+      estimatedWaitTime: waitTimeEstimate.seconds,
+      waitTimeEstimate
+    };
+  }
+
+  /**
+   * Get queue status for a round with the wait estimate for one waiting participant
+   * @param {string} participantId - Participant ID
+   * @param {number} roundNumber - Round number
+   * @returns {Promise<Object>} Queue status information
+   */
+  async getParticipantQueueStatus(participantId, roundNumber) {
+    const entries = await RedisService.getQueueEntries(`queue:round:${roundNumber}`);
+    const queueEntry = entries.find(entry => entry.participantId === participantId);
+
+    // Not queued (e.g. waitlisted): estimate as if joining now
+    const participantData = queueEntry || {
+      participantId,
+      treatmentGroup: (await RedisService.getParticipantStatus(participantId))?.treatmentGroup
     };
+
+    return await this.getQueueStatus(roundNumber, participantData);
+  }
+
+  /**
+   * Record how long matched participants waited, for wait-time estimates
+   * @param {Array} members - Matched participants (with joinedAt)
+   * @param {string} matchType - Match type (live, group, ai)
+   */
+  async recordMatchWaits(members, matchType) {
+    const matchedAt = Date.now();
+
+    try {
+      await Promise.all(members
+        .filter(member => member.joinedAt)
+        .map(member => RedisService.recordWaitStat(member.roundNumber, 'matches', {
+          treatmentGroup: member.treatmentGroup || 'control',
+          matchType,
+          waitMs: matchedAt - member.joinedAt,
+          matchedAt
+        })));
+    } catch (error) {
+      // Statistics only; never fail a match over them
+      console.error('❌ Error recording match wait times:', error);
+    }
+  }
+
+  /**
+   * Estimate the remaining wait from recent time-to-match and arrivals in the round.
+   * Without a treatment group the estimate is for the whole round; without joinedAt
+   * it is for someone joining now.
+   * @param {Object} participantData - { participantId, roundNumber, treatmentGroup, joinedAt }
+   * @returns {Promise<Object>} { seconds, low, high, basis, sampleSize }
+   */
+  async getWaitTimeEstimate(participantData) {
+    const { participantId, roundNumber, treatmentGroup, joinedAt } = participantData;
+    const now = Date.now();
+    const inGroup = (group) => !treatmentGroup || group === treatmentGroup;
+    const canPair = (group) => !treatmentGroup || getPairingRule(treatmentGroup, group) !== null;
+
+    const [matches, arrivals, entries] = await Promise.all([
+      RedisService.getWaitStats(roundNumber, 'matches'),
+      RedisService.getWaitStats(roundNumber, 'arrivals'),
+      RedisService.getQueueEntries(`queue:round:${roundNumber}`, participantId || null)
+    ]);
+
+    const { policy, timeoutMs } = this.getAIFallbackPolicy({ treatmentGroup });
+
+    return estimateWaitTime({
+      samples: matches.filter(match => inGroup(match.treatmentGroup)),
+      arrivals: arrivals.filter(arrival => canPair(arrival.treatmentGroup)).map(arrival => arrival.arrivedAt),
+      waitingAhead: entries.filter(entry => canPair(entry.treatmentGroup)).length,
+      waitedMs: joinedAt ? now - joinedAt : 0,
+      timeoutMs: policy === 'immediate' ? 0 : timeoutMs
+    }, now, config.matchmaking.waitTimeEstimates);
   }
 
   /**
@@ -642,33 +2965,49 @@ async joinQueue(participantData) {
         queueJoins: parseInt(stats.queue_joins) || 0,
         totalMatches: (parseInt(stats.human_matches) || 0) + (parseInt(stats.ai_matches) || 0)
       },
-      activeSearches: this.activeSearches.size,
+      activeSearches: await RedisService.getActiveSearchCount(),
+      matcher: {
+        instanceId: this.instanceId,
+        isLeader: this.isLeader
+      },
       aiOpponents: aiStats,
       system: {
         humanSearchTimeoutMs: config.matchmaking.humanSearchTimeoutMs,
         searchIntervalMs: config.matchmaking.searchIntervalMs,
-        skillMatchingThreshold: config.matchmaking.skillMatchingThreshold
+        skillMatchingThreshold: config.matchmaking.skillMatchingThreshold,
+        treatmentPairingMode: config.matchmaking.treatmentPairing.mode,
+        skillWindowCurve: config.matchmaking.skillWindow.curve,
+        pairingMode: config.matchmaking.pairingMode,
+        rematchPolicy: config.matchmaking.rematch.policy,
+        groupSize: config.matchmaking.groupSize
       }
     };
   }
 
   /**
-   * Cleanup expired searches and timeouts
+   * Cleanup expired searches and deadlines
    */
   async cleanup() {
-    // Clean up expired searches (older than 10 minutes)
+    // Clean up searches older than 10 minutes
     const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
     
-    for (const [participantId, searchData] of this.activeSearches.entries()) {
-      if (searchData.startTime < tenMinutesAgo) {
-        console.log(`🧹 Cleaning up expired search for participant ${participantId}`);
-        this.activeSearches.delete(participantId);
-        
-        if (this.matchTimeouts.has(participantId)) {
-          clearTimeout(this.matchTimeouts.get(participantId));
-          this.matchTimeouts.delete(participantId);
-        }
+    for (const participantId of await RedisService.getActiveSearchIds()) {
+      const search = await RedisService.getSearch(participantId);
+      if (search && search.startTime >= tenMinutesAgo) continue;
+
+      const status = search ? await RedisService.getParticipantStatus(participantId) : null;
+      if (status?.status !== 'searching') {
+        // Left over after a match or cancellation
+        console.log(`🧹 Cleaning up stale search for participant ${participantId}`);
+        await this.clearSearch(participantId);
+        continue;
       }
+
+      // Groups that never play AI keep waiting for a human
+      if (this.getAIFallbackPolicy(search.participantData).policy === 'never') continue;
+
+      // Anyone else should have had an AI match by now: end the search and tell them
+      await this.expireSearch(participantId, search.roundNumber);
     }
 
     // Clean up expired queue entries in Redis
@@ -0,0 +1,179 @@
+import RedisService from './RedisService.js';
+import DatabaseService from './DatabaseService.js';
+import { config } from '../config/index.js';
+import { DEFAULT_RATING, rateMatch, recalculateRatings, getConfidence, getMatchingSkillLevel, isValidRatingAlgorithm } from '../utils/ratings.js';
+
+/**
+ * Participant ratings.
+ *
+ * Every completed match between humans updates the players' ratings with the configured
+ * algorithm (Elo or Glicko-2). Ratings are stored per participant in participant_ratings
+ * and cached in Redis. Matchmaking turns a participant's rating into the skill level they
+ * are matched on, weighted by how confident the rating is. Matches with AI players don't
+ * change ratings. Ratings can be rebuilt from the match history at any time, e.g. after
+ * changing the algorithm.
+ */
+class RatingService {
+  /**
+   * Get the configured rating algorithm and its settings
+   * @returns {Object} { algorithm, eloKFactor, glickoTau, pointsPerSkillLevel }
+   */
+  getSettings() {
+    const { algorithm, eloKFactor, glickoTau, pointsPerSkillLevel } = config.ratings;
+    return {
+      algorithm: isValidRatingAlgorithm(algorithm) ? algorithm : 'glicko2',
+      eloKFactor,
+      glickoTau,
+      pointsPerSkillLevel
+    };
+  }
+
+  /**
+   * Get a participant's rating (a new player's default rating if they have none)
+   * @param {string} participantId - Participant ID
+   * @returns {Promise<Object>} { rating, deviation, volatility, games, confidence, algorithm, updatedAt }
+   */
+  async getRating(participantId) {
+    const cached = await RedisService.getRating(participantId);
+    if (cached) return cached;
+
+    let row = null;
+    try {
+      row = await DatabaseService.getParticipantRating(participantId);
+    } catch (error) {
+      console.error(`Error loading rating of ${participantId}, using the default:`, error);
+      return this.toRating(DEFAULT_RATING);
+    }
+
+    const rating = row
+      ? this.toRating({ rating: row.rating, deviation: row.deviation, volatility: row.volatility, games: row.games }, row.algorithm, Date.parse(row.updated_at))
+      : this.toRating(DEFAULT_RATING);
+
+    await RedisService.saveRating(participantId, rating);
+    return rating;
+  }
+
+  /**
+   * Get the skill level a participant is matched on
+   * @param {Object} participantData - { participantId, skillLevel } (skillLevel as reported by the client)
+   * @returns {Promise<Object>} { skillLevel, rating }
+   */
+  async getMatchingSkill(participantData) {
+    const rating = await this.getRating(participantData.participantId);
+    const skillLevel = getMatchingSkillLevel(participantData.skillLevel, rating, this.getSettings().pointsPerSkillLevel);
+    return { skillLevel, rating };
+  }
+
+  /**
+   * Update the ratings of the humans in a completed match
+   * @param {Object} match - Match data (Redis hash)
+   * @param {Array} outcomes - [{ participantId, score }] per human player
+   * @returns {Promise<Object>} participantId -> updated rating (empty if the match isn't rated)
+   */
+  async recordMatch(match, outcomes) {
+    if (match.isAI === 'true' || match.isAI === true || outcomes.length < 2) return {};
+
+    const { algorithm, ...settings } = this.getSettings();
+    const current = {};
+    for (const { participantId } of outcomes) {
+      current[participantId] = await this.getRating(participantId);
+    }
+
+    const updated = rateMatch(outcomes, current, algorithm, settings);
+    const ratings = {};
+    for (const [participantId, rating] of Object.entries(updated)) {
+      ratings[participantId] = this.toRating(rating, algorithm);
+      await RedisService.saveRating(participantId, ratings[participantId]);
+    }
+
+    try {
+      await DatabaseService.saveParticipantRatings(Object.entries(ratings).map(([participantId, rating]) => this.toRow(participantId, rating)));
+    } catch (error) {
+      console.error(`❌ Error saving ratings of match ${match.id} to database:`, error);
+    }
+
+    console.log(`📈 Ratings updated (${algorithm}): ${Object.entries(ratings).map(([id, r]) => `${id} ${Math.round(current[id].rating)} → ${Math.round(r.rating)}`).join(', ')}`);
+    return ratings;
+  }
+
+  /**
+   * Rebuild every rating from the recorded results of matches between humans
+   * @returns {Promise<Object>} { algorithm, matches, participants }
+   */
+  async recalculate() {
+    const lockKey = 'ratings:recalculate';
+    const lockValue = `recalculate-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 60000))) {
+      throw new Error('Ratings are already being recalculated');
+    }
+
+    try {
+      const { algorithm, ...settings } = this.getSettings();
+
+      // Results come oldest first, so matches keep the order they were played in
+      const matches = new Map();
+      for (const row of await DatabaseService.getHumanMatchResults()) {
+        const players = matches.get(row.match_id) || [];
+        matches.set(row.match_id, [...players, { participantId: row.participant_id, score: Number(row.participant_score) || 0 }]);
+      }
+
+      const history = [...matches.values()].filter(players => players.length >= 2).map(players => ({ players }));
+      const ratings = recalculateRatings(history, algorithm, settings);
+      const updatedAt = Date.now();
+
+      const rows = [];
+      for (const [participantId, rating] of Object.entries(ratings)) {
+        const stored = this.toRating(rating, algorithm, updatedAt);
+        await RedisService.saveRating(participantId, stored);
+        rows.push(this.toRow(participantId, stored));
+      }
+      await DatabaseService.saveParticipantRatings(rows);
+
+      console.log(`📈 Recalculated ${rows.length} ratings from ${history.length} matches (${algorithm})`);
+      return { algorithm, matches: history.length, participants: rows.length };
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+  }
+
+  /**
+   * Build a stored rating
+   * @param {Object} rating - { rating, deviation, volatility, games }
+   * @param {string} algorithm - Algorithm that produced it
+   * @param {number} updatedAt - When it was last updated
+   * @returns {Object} Rating with its confidence
+   */
+  toRating(rating, algorithm = this.getSettings().algorithm, updatedAt = Date.now()) {
+    return {
+      rating: Number(rating.rating),
+      deviation: Number(rating.deviation),
+      volatility: Number(rating.volatility),
+      games: Number(rating.games) || 0,
+      confidence: getConfidence(rating),
+      algorithm,
+      updatedAt
+    };
+  }
+
+  /**
+   * Build a participant_ratings row
+   * @param {string} participantId - Participant ID
+   * @param {Object} rating - Stored rating
+   * @returns {Object} Database row
+   */
+  toRow(participantId, rating) {
+    return {
+      participant_id: participantId,
+      rating: rating.rating,
+      deviation: rating.deviation,
+      volatility: rating.volatility,
+      games: rating.games,
+      confidence: rating.confidence,
+      algorithm: rating.algorithm,
+      updated_at: new Date(rating.updatedAt).toISOString()
+    };
+  }
+}
+
+export default new RatingService();
@@ -4,6 +4,7 @@ import { config } from '../config/index.js';
 class RedisService {
   constructor() {
     this.client = null;
+    this.subscriber = null; // Dedicated connection for pub/sub
     this.isConnected = false;
   }
 
@@ -42,6 +43,11 @@ class RedisService {
   }
 
   async disconnect() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+
     if (this.client) {
       await this.client.quit();
       this.isConnected = false;
@@ -50,7 +56,10 @@ class RedisService {
   }
 
   // Queue Management
-  async addToQueue(queueKey, participantData) {
+  // options.front puts the entry ahead of everyone already waiting;
+  // options.joinedAt keeps an earlier join time (e.g. when requeueing);
+  // options.capacity only adds the entry while the queue has fewer entries (checked atomically)
+  async addToQueue(queueKey, participantData, options = {}) {
   try {
     // 🔒 Check if participant is already matched
     const status = await this.getParticipantStatus(participantData.participantId);
@@ -61,18 +70,39 @@ class RedisService {
 
     const queueEntry = {
       ...participantData,
-      joinedAt: Date.now(),
+      joinedAt: options.joinedAt || Date.now(),
       status: 'waiting'
     };
     
     // Add to sorted set with timestamp as score for FIFO ordering
-    await this.client.zAdd(queueKey, {
-      score: Date.now(),
-      value: JSON.stringify(queueEntry)
-    });
+    const score = options.front ? 0 : Date.now();
+
+    if (options.capacity !== undefined) {
+      // Use Lua script so concurrent joins can't both take the last slot
+      const script = `
+        if redis.call("zcard", KEYS[1]) >= tonumber(ARGV[1]) then
+          return 0
+        end
+        redis.call("zadd", KEYS[1], ARGV[2], ARGV[3])
+        redis.call("expire", KEYS[1], 600)
+        return 1
+      `;
+
+      const result = await this.client.eval(script, {
+        keys: [queueKey],
+        arguments: [options.capacity.toString(), score.toString(), JSON.stringify(queueEntry)]
+      });
+
+      if (result !== 1) {
+        console.log(`🚫 Queue ${queueKey} is full (${options.capacity}), not adding participant ${participantData.participantId}`);
+        return false;
+      }
+    } else {
+      await this.client.zAdd(queueKey, { score, value: JSON.stringify(queueEntry) });
 
-    // Set TTL for queue entry (cleanup after 10 minutes)
-    await this.client.expire(queueKey, 600);
+      // Set TTL for queue entry (cleanup after 10 minutes)
+      await this.client.expire(queueKey, 600);
+    }
     
     console.log(`✅ Added participant ${participantData.participantId} to queue ${queueKey}`);
     return true;
@@ -139,6 +169,15 @@ class RedisService {
     }
   }
 
+  async getActiveQueueKeys() {
+    try {
+      return await this.client.keys('queue:round:*');
+    } catch (error) {
+      console.error('Error getting active queue keys:', error);
+      throw error;
+    }
+  }
+
   async getQueueSize(queueKey) {
     try {
       return await this.client.zCard(queueKey);
@@ -148,6 +187,81 @@ class RedisService {
     }
   }
 
+  // Waitlists (participants who arrived while a round's queue was full)
+  // options.waitlistedAt keeps an earlier place (e.g. a promotion that found the queue full again)
+  async addToWaitlist(roundNumber, participantData, options = {}) {
+    try {
+      const waitlistKey = `waitlist:round:${roundNumber}`;
+      const waitlistedAt = options.waitlistedAt || Date.now();
+
+      await this.client.zAdd(waitlistKey, {
+        score: waitlistedAt,
+        value: JSON.stringify({ ...participantData, waitlistedAt })
+      });
+
+      // Set TTL for waitlist (cleanup after 1 hour)
+      await this.client.expire(waitlistKey, 3600);
+      return true;
+    } catch (error) {
+      console.error('Error adding to waitlist:', error);
+      throw error;
+    }
+  }
+
+  async getWaitlistEntries(roundNumber) {
+    try {
+      const entries = await this.client.zRange(`waitlist:round:${roundNumber}`, 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    } catch (error) {
+      console.error('Error getting waitlist entries:', error);
+      throw error;
+    }
+  }
+
+  async getWaitlistSize(roundNumber) {
+    try {
+      return await this.client.zCard(`waitlist:round:${roundNumber}`);
+    } catch (error) {
+      console.error('Error getting waitlist size:', error);
+      throw error;
+    }
+  }
+
+  // Returns the round the participant was waitlisted for, or null.
+  // Without a round number every waitlist is searched.
+  async removeFromWaitlist(participantId, roundNumber = null) {
+    try {
+      const waitlistKeys = roundNumber
+        ? [`waitlist:round:${roundNumber}`]
+        : await this.client.keys('waitlist:round:*');
+
+      for (const waitlistKey of waitlistKeys) {
+        const entries = await this.client.zRange(waitlistKey, 0, -1);
+        for (const entry of entries) {
+          if (JSON.parse(entry).participantId === participantId) {
+            await this.client.zRem(waitlistKey, entry);
+            return parseInt(waitlistKey.split(':')[2]);
+          }
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error removing from waitlist:', error);
+      throw error;
+    }
+  }
+
+  async getActiveWaitlistRounds() {
+    try {
+      const waitlistKeys = await this.client.keys('waitlist:round:*');
+      return waitlistKeys.map(key => parseInt(key.split(':')[2])).filter(round => !isNaN(round));
+    } catch (error) {
+      console.error('Error getting active waitlists:', error);
+      throw error;
+    }
+  }
+
   // Match Management
   async createMatch(matchId, matchData) {
     try {
@@ -167,10 +281,13 @@ class RedisService {
         }
       }
       
+      const status = redisData.status || 'active';
       await this.client.hSet(matchKey, {
         ...redisData,
         createdAt: Date.now().toString(),
-        status: 'active'
+        status,
+        // Lifecycle timestamp of the starting status
+        [`${status}_at`]: redisData[`${status}_at`] || redisData.created_at || new Date().toISOString()
       });
       
       // Set TTL for match data (cleanup after 2 hours)
@@ -194,131 +311,1115 @@ class RedisService {
     }
   }
 
-  async updateMatchStatus(matchId, status) {
+  // Only changes the status if it is still `fromStatus`; returns whether it did
+  async transitionMatchStatus(matchId, fromStatus, toStatus, fields = {}) {
     try {
-      const matchKey = `match:${matchId}`;
-      await this.client.hSet(matchKey, 'status', status);
+      // Use Lua script to atomically check the current status and update it
+      const script = `
+        if redis.call("hget", KEYS[1], "status") ~= ARGV[1] then
+          return 0
+        end
+        redis.call("hset", KEYS[1], unpack(ARGV, 2))
+        return 1
+      `;
+
+      const updates = Object.entries({ ...fields, status: toStatus })
+        .flatMap(([key, value]) => [key, value === null || value === undefined ? '' : value.toString()]);
+
+      const result = await this.client.eval(script, {
+        keys: [`match:${matchId}`],
+        arguments: [fromStatus, ...updates]
+      });
+
+      return result === 1;
+    } catch (error) {
+      console.error('Error transitioning match status:', error);
+      throw error;
+    }
+  }
+
+  // Only updates the fields while the match is still in `status`; returns whether it did
+  async updateMatchIfStatus(matchId, status, fields) {
+    return await this.transitionMatchStatus(matchId, status, status, fields);
+  }
+
+  // Search State (shared by all instances so any of them can run the matcher)
+  async saveSearch(participantId, searchData) {
+    try {
+      const searchKey = `search:${participantId}`;
+      await this.client.hSet(searchKey, {
+        participantData: JSON.stringify(searchData.participantData),
+        roundNumber: searchData.roundNumber.toString(),
+        startTime: searchData.startTime.toString(),
+        searchAttempts: (searchData.searchAttempts || 0).toString()
+      });
+
+      // Set TTL for search state (cleanup after 1 hour)
+      await this.client.expire(searchKey, 3600);
+
+      // Index active searches by start time so older searches are processed first
+      await this.client.zAdd('searches:active', {
+        score: searchData.startTime,
+        value: participantId
+      });
+
       return true;
     } catch (error) {
-      console.error('Error updating match status:', error);
+      console.error('Error saving search:', error);
       throw error;
     }
   }
 
-  // Participant Status Management
-  async setParticipantStatus(participantId, status, data = {}) {
+  async getSearch(participantId) {
     try {
-      const statusKey = `participant:${participantId}:status`;
-      await this.client.hSet(statusKey, {
-        status,
-        lastUpdated: Date.now(),
-        ...data
+      const search = await this.client.hGetAll(`search:${participantId}`);
+      if (!search || Object.keys(search).length === 0) {
+        return null;
+      }
+
+      return {
+        participantId,
+        participantData: JSON.parse(search.participantData),
+        roundNumber: parseInt(search.roundNumber),
+        startTime: parseInt(search.startTime),
+        searchAttempts: parseInt(search.searchAttempts) || 0,
+        aiFallbackAt: search.aiFallbackAt ? parseInt(search.aiFallbackAt) : null
+      };
+    } catch (error) {
+      console.error('Error getting search:', error);
+      throw error;
+    }
+  }
+
+  async incrementSearchAttempts(participantId) {
+    try {
+      return await this.client.hIncrBy(`search:${participantId}`, 'searchAttempts', 1);
+    } catch (error) {
+      console.error('Error incrementing search attempts:', error);
+      throw error;
+    }
+  }
+
+  async removeSearch(participantId) {
+    try {
+      await Promise.all([
+        this.client.del(`search:${participantId}`),
+        this.client.zRem('searches:active', participantId),
+        this.client.zRem('searches:deadlines', participantId)
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Error removing search:', error);
+      throw error;
+    }
+  }
+
+  async getActiveSearchIds() {
+    try {
+      return await this.client.zRange('searches:active', 0, -1);
+    } catch (error) {
+      console.error('Error getting active searches:', error);
+      throw error;
+    }
+  }
+
+  async getActiveSearchCount() {
+    try {
+      return await this.client.zCard('searches:active');
+    } catch (error) {
+      console.error('Error counting active searches:', error);
+      throw error;
+    }
+  }
+
+  async setSearchDeadline(participantId, deadline) {
+    try {
+      await this.client.hSet(`search:${participantId}`, 'aiFallbackAt', deadline.toString());
+      await this.client.zAdd('searches:deadlines', {
+        score: deadline,
+        value: participantId
       });
-      
-      // Set TTL for participant status (cleanup after 1 hour)
-      await this.client.expire(statusKey, 3600);
-      
       return true;
     } catch (error) {
-      console.error('Error setting participant status:', error);
+      console.error('Error setting search deadline:', error);
       throw error;
     }
   }
 
-  async getParticipantStatus(participantId) {
+  async getDueSearchDeadlines(now = Date.now()) {
     try {
-      const statusKey = `participant:${participantId}:status`;
-      return await this.client.hGetAll(statusKey);
+      return await this.client.zRangeByScore('searches:deadlines', 0, now);
     } catch (error) {
-      console.error('Error getting participant status:', error);
+      console.error('Error getting due search deadlines:', error);
       throw error;
     }
   }
 
-  // Statistics and Monitoring
-  async incrementMatchStats(statType) {
+  async removeSearchDeadline(participantId) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const statsKey = `stats:${today}`;
-      await this.client.hIncrBy(statsKey, statType, 1);
-      
-      // Set TTL for stats (cleanup after 7 days)
-      await this.client.expire(statsKey, 604800);
-      
+      await this.client.zRem('searches:deadlines', participantId);
       return true;
     } catch (error) {
-      console.error('Error incrementing match stats:', error);
+      console.error('Error removing search deadline:', error);
       throw error;
     }
   }
 
-  async getMatchStats() {
+  // Ready Checks (proposed matches waiting for every player to accept)
+  async createReadyCheck(matchId, readyCheck) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const statsKey = `stats:${today}`;
-      return await this.client.hGetAll(statsKey);
+      const readyCheckKey = `readycheck:${matchId}`;
+      await this.client.hSet(readyCheckKey, {
+        participants: JSON.stringify(readyCheck.participants),
+        match: JSON.stringify(readyCheck.match),
+        deadline: readyCheck.deadline.toString()
+      });
+
+      // Set TTL for ready check state (cleanup after 10 minutes)
+      await this.client.expire(readyCheckKey, 600);
+
+      await this.client.zAdd('readychecks:deadlines', {
+        score: readyCheck.deadline,
+        value: matchId
+      });
+
+      return true;
     } catch (error) {
-      console.error('Error getting match stats:', error);
+      console.error('Error creating ready check:', error);
       throw error;
     }
   }
 
-  // Cleanup utilities
-  async cleanupExpiredQueues() {
+  async getReadyCheck(matchId) {
     try {
-      const keys = await this.client.keys('queue:*');
-      let cleanedCount = 0;
-      
-      for (const key of keys) {
-        const entries = await this.client.zRange(key, 0, -1);
-        const now = Date.now();
-        
-        for (const entry of entries) {
-          const data = JSON.parse(entry);
-          // Remove entries older than 5 minutes
-          if (now - data.joinedAt > 300000) {
-            await this.client.zRem(key, entry);
-            cleanedCount++;
-          }
+      const readyCheck = await this.client.hGetAll(`readycheck:${matchId}`);
+      if (!readyCheck || Object.keys(readyCheck).length === 0) {
+        return null;
+      }
+
+      const accepted = Object.keys(readyCheck)
+        .filter(field => field.startsWith('accepted:'))
+        .map(field => field.slice('accepted:'.length));
+
+      return {
+        matchId,
+        participants: JSON.parse(readyCheck.participants),
+        match: JSON.parse(readyCheck.match),
+        deadline: parseInt(readyCheck.deadline),
+        accepted
+      };
+    } catch (error) {
+      console.error('Error getting ready check:', error);
+      throw error;
+    }
+  }
+
+  async acceptReadyCheck(matchId, participantId) {
+    try {
+      await this.client.hSet(`readycheck:${matchId}`, `accepted:${participantId}`, Date.now().toString());
+      return await this.getReadyCheck(matchId);
+    } catch (error) {
+      console.error('Error accepting ready check:', error);
+      throw error;
+    }
+  }
+
+  // Only one caller (commit or expiry) gets true for a given ready check
+  async claimReadyCheck(matchId) {
+    try {
+      return (await this.client.zRem('readychecks:deadlines', matchId)) === 1;
+    } catch (error) {
+      console.error('Error claiming ready check:', error);
+      throw error;
+    }
+  }
+
+  async getDueReadyChecks(now = Date.now()) {
+    try {
+      return await this.client.zRangeByScore('readychecks:deadlines', 0, now);
+    } catch (error) {
+      console.error('Error getting due ready checks:', error);
+      throw error;
+    }
+  }
+
+  async deleteReadyCheck(matchId) {
+    try {
+      await Promise.all([
+        this.client.del(`readycheck:${matchId}`),
+        this.client.zRem('readychecks:deadlines', matchId)
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Error deleting ready check:', error);
+      throw error;
+    }
+  }
+
+  async incrementNoShowCount(participantId) {
+    try {
+      const noShowKey = `participant:${participantId}:no_shows`;
+      const count = await this.client.incr(noShowKey);
+
+      // Set TTL for no-show count (cleanup after 24 hours)
+      await this.client.expire(noShowKey, 86400);
+
+      return count;
+    } catch (error) {
+      console.error('Error incrementing no-show count:', error);
+      throw error;
+    }
+  }
+
+  // Lobbies (scheduled sessions)
+  async saveLobby(lobby) {
+    try {
+      const lobbyKey = `lobby:${lobby.lobbyId}`;
+
+      const redisData = {};
+      for (const [key, value] of Object.entries(lobby)) {
+        if (value === null || value === undefined) {
+          redisData[key] = '';
+        } else if (typeof value === 'object') {
+          redisData[key] = JSON.stringify(value);
+        } else {
+          redisData[key] = value.toString();
         }
       }
-      
-      if (cleanedCount > 0) {
-        console.log(`🧹 Cleaned up ${cleanedCount} expired queue entries`);
+
+      await this.client.hSet(lobbyKey, redisData);
+
+      // Set TTL for lobby data (cleanup after 24 hours)
+      await this.client.expire(lobbyKey, 86400);
+      await this.client.sAdd('lobbies', lobby.lobbyId);
+
+      return true;
+    } catch (error) {
+      console.error('Error saving lobby:', error);
+      throw error;
+    }
+  }
+
+  async getLobby(lobbyId) {
+    try {
+      const lobby = await this.client.hGetAll(`lobby:${lobbyId}`);
+      if (!lobby || Object.keys(lobby).length === 0) {
+        return null;
       }
-      
-      return cleanedCount;
+
+      const toNumber = (value) => (value === '' || value === undefined ? null : Number(value));
+
+      return {
+        ...lobby,
+        studyId: lobby.studyId || null,
+        roundNumber: toNumber(lobby.roundNumber),
+        opensAt: toNumber(lobby.opensAt),
+        startDeadline: toNumber(lobby.startDeadline),
+        minParticipants: toNumber(lobby.minParticipants),
+        maxParticipants: toNumber(lobby.maxParticipants),
+        createdAt: toNumber(lobby.createdAt),
+        startedAt: toNumber(lobby.startedAt),
+        closedAt: toNumber(lobby.closedAt),
+        rngSeed: toNumber(lobby.rngSeed),
+        settings: lobby.settings ? JSON.parse(lobby.settings) : {}
+      };
     } catch (error) {
-      console.error('Error cleaning up expired queues:', error);
+      console.error('Error getting lobby:', error);
       throw error;
     }
   }
 
-  // Distributed locking for race condition prevention
-  async acquireLock(lockKey, lockValue, timeoutMs = 5000) {
+  async getLobbyIds() {
     try {
-      // Use SET with NX (only set if not exists) and PX (expiry in milliseconds)
-      const result = await this.client.set(lockKey, lockValue, {
-        NX: true,  // Only set if key doesn't exist
-        PX: timeoutMs  // Expire after timeoutMs milliseconds
-      });
-      
-      return result === 'OK';
+      return await this.client.sMembers('lobbies');
     } catch (error) {
-      console.error('Error acquiring lock:', error);
-      return false;
+      console.error('Error getting lobby IDs:', error);
+      throw error;
     }
   }
 
-  async releaseLock(lockKey, lockValue) {
+  async removeLobbyId(lobbyId) {
     try {
-      // Use Lua script to atomically check value and delete if it matches
-      // This prevents releasing someone else's lock
-      const script = `
-        if redis.call("get", KEYS[1]) == ARGV[1] then
-          return redis.call("del", KEYS[1])
-        else
-          return 0
+      await this.client.sRem('lobbies', lobbyId);
+      return true;
+    } catch (error) {
+      console.error('Error removing lobby ID:', error);
+      throw error;
+    }
+  }
+
+  async addLobbyMember(lobbyId, member) {
+    try {
+      const membersKey = `lobby:${lobbyId}:members`;
+      await this.client.hSet(membersKey, member.participantId, JSON.stringify(member));
+      await this.client.expire(membersKey, 86400);
+      return await this.client.hLen(membersKey);
+    } catch (error) {
+      console.error('Error adding lobby member:', error);
+      throw error;
+    }
+  }
+
+  async removeLobbyMember(lobbyId, participantId) {
+    try {
+      return (await this.client.hDel(`lobby:${lobbyId}:members`, participantId)) === 1;
+    } catch (error) {
+      console.error('Error removing lobby member:', error);
+      throw error;
+    }
+  }
+
+  async getLobbyMembers(lobbyId) {
+    try {
+      const members = await this.client.hVals(`lobby:${lobbyId}:members`);
+      return members
+        .map(member => JSON.parse(member))
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+    } catch (error) {
+      console.error('Error getting lobby members:', error);
+      throw error;
+    }
+  }
+
+  // Tournament brackets (kept for a week, they span several rounds)
+  async saveBracket(bracket) {
+    try {
+      await this.client.set(`bracket:${bracket.bracketId}`, JSON.stringify(bracket), { EX: 604800 });
+      await this.client.sAdd('brackets', bracket.bracketId);
+      return true;
+    } catch (error) {
+      console.error('Error saving bracket:', error);
+      throw error;
+    }
+  }
+
+  async getBracket(bracketId) {
+    try {
+      const bracket = await this.client.get(`bracket:${bracketId}`);
+      return bracket ? JSON.parse(bracket) : null;
+    } catch (error) {
+      console.error('Error getting bracket:', error);
+      throw error;
+    }
+  }
+
+  async getBracketIds() {
+    try {
+      return await this.client.sMembers('brackets');
+    } catch (error) {
+      console.error('Error getting bracket IDs:', error);
+      throw error;
+    }
+  }
+
+  async removeBracketId(bracketId) {
+    try {
+      await this.client.sRem('brackets', bracketId);
+      return true;
+    } catch (error) {
+      console.error('Error removing bracket ID:', error);
+      throw error;
+    }
+  }
+
+  // Round-robin schedules (kept for a week, they span several rounds)
+  async saveRoundRobin(schedule) {
+    try {
+      await this.client.set(`roundrobin:${schedule.scheduleId}`, JSON.stringify(schedule), { EX: 604800 });
+      await this.client.sAdd('roundrobins', schedule.scheduleId);
+      return true;
+    } catch (error) {
+      console.error('Error saving round-robin schedule:', error);
+      throw error;
+    }
+  }
+
+  async getRoundRobin(scheduleId) {
+    try {
+      const schedule = await this.client.get(`roundrobin:${scheduleId}`);
+      return schedule ? JSON.parse(schedule) : null;
+    } catch (error) {
+      console.error('Error getting round-robin schedule:', error);
+      throw error;
+    }
+  }
+
+  async getRoundRobinIds() {
+    try {
+      return await this.client.sMembers('roundrobins');
+    } catch (error) {
+      console.error('Error getting round-robin schedule IDs:', error);
+      throw error;
+    }
+  }
+
+  async removeRoundRobinId(scheduleId) {
+    try {
+      await this.client.sRem('roundrobins', scheduleId);
+      return true;
+    } catch (error) {
+      console.error('Error removing round-robin schedule ID:', error);
+      throw error;
+    }
+  }
+
+  // Scheduled pairings (matches set up in advance for a round, e.g. by a bracket or round-robin)
+  async savePairing(pairing) {
+    try {
+      await this.client.set(`pairing:${pairing.pairingId}`, JSON.stringify(pairing), { EX: 604800 });
+
+      // Each player finds their pairing by round
+      const roundKey = `pairings:round:${pairing.roundNumber}`;
+      for (const participantId of pairing.participantIds) {
+        await this.client.hSet(roundKey, participantId, pairing.pairingId);
+      }
+      await this.client.expire(roundKey, 604800);
+
+      // Pending pairings wait for their players until the deadline
+      if (pairing.status === 'pending') {
+        await this.client.zAdd('pairings:deadlines', { score: pairing.deadline, value: pairing.pairingId });
+      } else {
+        await this.client.zRem('pairings:deadlines', pairing.pairingId);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving pairing:', error);
+      throw error;
+    }
+  }
+
+  async getPairing(pairingId) {
+    try {
+      const pairing = await this.client.get(`pairing:${pairingId}`);
+      return pairing ? JSON.parse(pairing) : null;
+    } catch (error) {
+      console.error('Error getting pairing:', error);
+      throw error;
+    }
+  }
+
+  async getParticipantPairing(roundNumber, participantId) {
+    try {
+      const pairingId = await this.client.hGet(`pairings:round:${roundNumber}`, participantId);
+      return pairingId ? await this.getPairing(pairingId) : null;
+    } catch (error) {
+      console.error('Error getting participant pairing:', error);
+      throw error;
+    }
+  }
+
+  async deletePairing(pairing) {
+    try {
+      await this.client.del([`pairing:${pairing.pairingId}`, `pairing:${pairing.pairingId}:arrivals`, `pairing:${pairing.pairingId}:claim`]);
+      await this.client.zRem('pairings:deadlines', pairing.pairingId);
+
+      const roundKey = `pairings:round:${pairing.roundNumber}`;
+      for (const participantId of pairing.participantIds) {
+        if ((await this.client.hGet(roundKey, participantId)) === pairing.pairingId) {
+          await this.client.hDel(roundKey, participantId);
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error('Error deleting pairing:', error);
+      throw error;
+    }
+  }
+
+  async setPairingDeadline(pairingId, deadline) {
+    try {
+      await this.client.zAdd('pairings:deadlines', { score: deadline, value: pairingId });
+      return true;
+    } catch (error) {
+      console.error('Error setting pairing deadline:', error);
+      throw error;
+    }
+  }
+
+  async getDuePairings(now = Date.now()) {
+    try {
+      return await this.client.zRangeByScore('pairings:deadlines', 0, now);
+    } catch (error) {
+      console.error('Error getting due pairings:', error);
+      throw error;
+    }
+  }
+
+  async removePairingDeadline(pairingId) {
+    try {
+      await this.client.zRem('pairings:deadlines', pairingId);
+      return true;
+    } catch (error) {
+      console.error('Error removing pairing deadline:', error);
+      throw error;
+    }
+  }
+
+  async addPairingArrival(pairingId, participantData) {
+    try {
+      const arrivalsKey = `pairing:${pairingId}:arrivals`;
+      await this.client.hSet(arrivalsKey, participantData.participantId, JSON.stringify(participantData));
+      await this.client.expire(arrivalsKey, 604800);
+      return true;
+    } catch (error) {
+      console.error('Error adding pairing arrival:', error);
+      throw error;
+    }
+  }
+
+  async removePairingArrival(pairingId, participantId) {
+    try {
+      return (await this.client.hDel(`pairing:${pairingId}:arrivals`, participantId)) === 1;
+    } catch (error) {
+      console.error('Error removing pairing arrival:', error);
+      throw error;
+    }
+  }
+
+  // Returns participantId -> participant data of everyone who arrived
+  async getPairingArrivals(pairingId) {
+    try {
+      const arrivals = await this.client.hGetAll(`pairing:${pairingId}:arrivals`);
+      return Object.fromEntries(
+        Object.entries(arrivals || {}).map(([participantId, data]) => [participantId, JSON.parse(data)])
+      );
+    } catch (error) {
+      console.error('Error getting pairing arrivals:', error);
+      throw error;
+    }
+  }
+
+  // Only one caller gets to start a pairing's match
+  async claimPairing(pairingId) {
+    try {
+      const result = await this.client.set(`pairing:${pairingId}:claim`, Date.now().toString(), { NX: true, EX: 604800 });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Error claiming pairing:', error);
+      throw error;
+    }
+  }
+
+  // Participant ratings (cached from participant_ratings)
+  async getRating(participantId) {
+    try {
+      const rating = await this.client.get(`rating:${participantId}`);
+      return rating ? JSON.parse(rating) : null;
+    } catch (error) {
+      console.error('Error getting rating:', error);
+      throw error;
+    }
+  }
+
+  async saveRating(participantId, rating) {
+    try {
+      await this.client.set(`rating:${participantId}`, JSON.stringify(rating), { EX: 2592000 });
+      return true;
+    } catch (error) {
+      console.error('Error saving rating:', error);
+      throw error;
+    }
+  }
+
+  // Swiss pools: byes (players who already played an AI for lack of an opponent)
+  // and the matches whose results make up the pool's standings
+  async getSwissByes(key) {
+    try {
+      return await this.client.sMembers(`swiss:byes:${key}`);
+    } catch (error) {
+      console.error('Error getting Swiss byes:', error);
+      throw error;
+    }
+  }
+
+  async addSwissBye(key, participantId) {
+    try {
+      await this.client.sAdd(`swiss:byes:${key}`, participantId);
+      await this.client.expire(`swiss:byes:${key}`, 604800);
+      return true;
+    } catch (error) {
+      console.error('Error adding Swiss bye:', error);
+      throw error;
+    }
+  }
+
+  async getSwissMatches(key) {
+    try {
+      return await this.client.sMembers(`swiss:matches:${key}`);
+    } catch (error) {
+      console.error('Error getting Swiss matches:', error);
+      throw error;
+    }
+  }
+
+  async addSwissMatch(key, matchId) {
+    try {
+      await this.client.sAdd(`swiss:matches:${key}`, matchId);
+      await this.client.expire(`swiss:matches:${key}`, 604800);
+      return true;
+    } catch (error) {
+      console.error('Error adding Swiss match:', error);
+      throw error;
+    }
+  }
+
+  // Result reports (one per player until the match result is final)
+  // Returns false if the player already reported
+  async saveResultReport(matchId, participantId, report) {
+    try {
+      const resultsKey = `results:${matchId}`;
+      const saved = await this.client.hSetNX(resultsKey, participantId, JSON.stringify(report));
+
+      // Set TTL for result reports (same lifetime as match data)
+      await this.client.expire(resultsKey, 7200);
+
+      return saved;
+    } catch (error) {
+      console.error('Error saving result report:', error);
+      throw error;
+    }
+  }
+
+  async getResultReports(matchId) {
+    try {
+      const reports = await this.client.hGetAll(`results:${matchId}`);
+      return Object.fromEntries(
+        Object.entries(reports || {}).map(([participantId, report]) => [participantId, JSON.parse(report)])
+      );
+    } catch (error) {
+      console.error('Error getting result reports:', error);
+      throw error;
+    }
+  }
+
+  // Match sessions (server-run questions and answers)
+  async saveMatchSession(session) {
+    try {
+      await this.client.set(`matchsession:${session.matchId}`, JSON.stringify(session), { EX: 7200 });
+
+      // The next thing the session waits for: the start or the current question's deadline
+      if (session.deadline) {
+        await this.client.zAdd('matchsessions:deadlines', { score: session.deadline, value: session.matchId });
+      } else {
+        await this.client.zRem('matchsessions:deadlines', session.matchId);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving match session:', error);
+      throw error;
+    }
+  }
+
+  async getMatchSession(matchId) {
+    try {
+      const session = await this.client.get(`matchsession:${matchId}`);
+      return session ? JSON.parse(session) : null;
+    } catch (error) {
+      console.error('Error getting match session:', error);
+      throw error;
+    }
+  }
+
+  async getDueMatchSessions(now = Date.now()) {
+    try {
+      return await this.client.zRangeByScore('matchsessions:deadlines', 0, now);
+    } catch (error) {
+      console.error('Error getting due match sessions:', error);
+      throw error;
+    }
+  }
+
+  async removeMatchSessionDeadline(matchId) {
+    try {
+      await this.client.zRem('matchsessions:deadlines', matchId);
+      return true;
+    } catch (error) {
+      console.error('Error removing match session deadline:', error);
+      throw error;
+    }
+  }
+
+  async addSessionPlayer(matchId, participantId) {
+    try {
+      const playersKey = `matchsession:${matchId}:joined`;
+      await this.client.sAdd(playersKey, participantId);
+      await this.client.expire(playersKey, 7200);
+      return true;
+    } catch (error) {
+      console.error('Error adding session player:', error);
+      throw error;
+    }
+  }
+
+  async getSessionPlayers(matchId) {
+    try {
+      return await this.client.sMembers(`matchsession:${matchId}:joined`);
+    } catch (error) {
+      console.error('Error getting session players:', error);
+      throw error;
+    }
+  }
+
+  // Returns false if the player already answered this question
+  async saveSessionAnswer(matchId, questionIndex, participantId, answer) {
+    try {
+      const answersKey = `matchsession:${matchId}:answers`;
+      const saved = await this.client.hSetNX(answersKey, `${questionIndex}:${participantId}`, JSON.stringify(answer));
+      await this.client.expire(answersKey, 7200);
+      return saved;
+    } catch (error) {
+      console.error('Error saving session answer:', error);
+      throw error;
+    }
+  }
+
+  // Returns questionIndex -> participantId -> answer
+  async getSessionAnswers(matchId) {
+    try {
+      const answers = await this.client.hGetAll(`matchsession:${matchId}:answers`);
+      const byQuestion = {};
+      for (const [field, answer] of Object.entries(answers || {})) {
+        const [questionIndex, participantId] = field.split(':');
+        byQuestion[questionIndex] = { ...byQuestion[questionIndex], [participantId]: JSON.parse(answer) };
+      }
+      return byQuestion;
+    } catch (error) {
+      console.error('Error getting session answers:', error);
+      throw error;
+    }
+  }
+
+  // Arrival Logs (for replaying sessions)
+  async recordArrival(logKey, arrival) {
+    try {
+      const arrivalsKey = `arrivals:${logKey}`;
+      await this.client.rPush(arrivalsKey, JSON.stringify(arrival));
+
+      // Set TTL for arrival logs (cleanup after 7 days)
+      await this.client.expire(arrivalsKey, 604800);
+
+      return true;
+    } catch (error) {
+      console.error('Error recording arrival:', error);
+      throw error;
+    }
+  }
+
+  async getArrivals(logKey) {
+    try {
+      const arrivals = await this.client.lRange(`arrivals:${logKey}`, 0, -1);
+      return arrivals.map(arrival => JSON.parse(arrival));
+    } catch (error) {
+      console.error('Error getting arrivals:', error);
+      throw error;
+    }
+  }
+
+  // Wait-time statistics (recent arrivals and time-to-match per round)
+  async recordWaitStat(roundNumber, type, stat) {
+    try {
+      const statsKey = `waitstats:round:${roundNumber}:${type}`;
+      await this.client.lPush(statsKey, JSON.stringify(stat));
+
+      // Only the most recent entries are kept
+      await this.client.lTrim(statsKey, 0, 499);
+
+      // Set TTL for wait-time statistics (cleanup after 1 day)
+      await this.client.expire(statsKey, 86400);
+
+      return true;
+    } catch (error) {
+      console.error('Error recording wait stat:', error);
+      throw error;
+    }
+  }
+
+  async getWaitStats(roundNumber, type) {
+    try {
+      const stats = await this.client.lRange(`waitstats:round:${roundNumber}:${type}`, 0, -1);
+      return stats.map(stat => JSON.parse(stat));
+    } catch (error) {
+      console.error('Error getting wait stats:', error);
+      throw error;
+    }
+  }
+
+  // Disconnected participants inside the reconnection grace window
+  async markDisconnected(participantId, disconnect) {
+    try {
+      const disconnectKey = `disconnect:${participantId}`;
+      await this.client.hSet(disconnectKey, {
+        roundNumber: disconnect.roundNumber ? disconnect.roundNumber.toString() : '',
+        reason: disconnect.reason || '',
+        disconnectedAt: disconnect.disconnectedAt.toString(),
+        graceUntil: disconnect.graceUntil.toString()
+      });
+
+      // Set TTL for disconnect state (cleanup after 1 hour)
+      await this.client.expire(disconnectKey, 3600);
+
+      await this.client.zAdd('disconnects:deadlines', {
+        score: disconnect.graceUntil,
+        value: participantId
+      });
+      return true;
+    } catch (error) {
+      console.error('Error marking participant disconnected:', error);
+      throw error;
+    }
+  }
+
+  async getDisconnect(participantId) {
+    try {
+      const disconnect = await this.client.hGetAll(`disconnect:${participantId}`);
+      if (!disconnect || Object.keys(disconnect).length === 0) {
+        return null;
+      }
+
+      return {
+        participantId,
+        roundNumber: disconnect.roundNumber ? parseInt(disconnect.roundNumber) : null,
+        reason: disconnect.reason || null,
+        disconnectedAt: parseInt(disconnect.disconnectedAt),
+        graceUntil: parseInt(disconnect.graceUntil)
+      };
+    } catch (error) {
+      console.error('Error getting disconnect:', error);
+      throw error;
+    }
+  }
+
+  // Returns whether there was a disconnect to clear
+  async clearDisconnect(participantId) {
+    try {
+      const [removed] = await Promise.all([
+        this.client.zRem('disconnects:deadlines', participantId),
+        this.client.del(`disconnect:${participantId}`)
+      ]);
+      return removed === 1;
+    } catch (error) {
+      console.error('Error clearing disconnect:', error);
+      throw error;
+    }
+  }
+
+  async getDueDisconnects(now = Date.now()) {
+    try {
+      return await this.client.zRangeByScore('disconnects:deadlines', 0, now);
+    } catch (error) {
+      console.error('Error getting due disconnects:', error);
+      throw error;
+    }
+  }
+
+  // Recovery reports (startup recovery pass of the matcher leader)
+  async saveRecoveryReport(report) {
+    try {
+      await this.client.set('matcher:recovery:last', JSON.stringify(report), { EX: 604800 });
+      return true;
+    } catch (error) {
+      console.error('Error saving recovery report:', error);
+      throw error;
+    }
+  }
+
+  async getRecoveryReport() {
+    try {
+      const report = await this.client.get('matcher:recovery:last');
+      return report ? JSON.parse(report) : null;
+    } catch (error) {
+      console.error('Error getting recovery report:', error);
+      throw error;
+    }
+  }
+
+  // Participant Status Management
+  async setParticipantStatus(participantId, status, data = {}) {
+    try {
+      const statusKey = `participant:${participantId}:status`;
+      await this.client.hSet(statusKey, {
+        status,
+        lastUpdated: Date.now(),
+        ...data
+      });
+      
+      // Set TTL for participant status (cleanup after 1 hour)
+      await this.client.expire(statusKey, 3600);
+      
+      return true;
+    } catch (error) {
+      console.error('Error setting participant status:', error);
+      throw error;
+    }
+  }
+
+  async getParticipantStatus(participantId) {
+    try {
+      const statusKey = `participant:${participantId}:status`;
+      return await this.client.hGetAll(statusKey);
+    } catch (error) {
+      console.error('Error getting participant status:', error);
+      throw error;
+    }
+  }
+
+  // Opponent History (for rematch avoidance)
+  async getOpponentHistory(participantId) {
+    try {
+      const history = await this.client.hGetAll(`participant:${participantId}:opponents`);
+      if (!history || !history._loaded) {
+        return null; // Not loaded from the database yet
+      }
+
+      const { _loaded, ...opponents } = history;
+      return Object.fromEntries(
+        Object.entries(opponents).map(([opponentId, count]) => [opponentId, parseInt(count) || 0])
+      );
+    } catch (error) {
+      console.error('Error getting opponent history:', error);
+      throw error;
+    }
+  }
+
+  async setOpponentHistory(participantId, history) {
+    try {
+      const historyKey = `participant:${participantId}:opponents`;
+      await this.client.del(historyKey);
+      await this.client.hSet(historyKey, {
+        ...Object.fromEntries(Object.entries(history).map(([id, count]) => [id, count.toString()])),
+        _loaded: Date.now().toString()
+      });
+
+      // Keep history for the length of a study session (cleanup after 24 hours)
+      await this.client.expire(historyKey, 86400);
+      return true;
+    } catch (error) {
+      console.error('Error setting opponent history:', error);
+      throw error;
+    }
+  }
+
+  async incrementOpponentCount(participantId, opponentId) {
+    try {
+      const historyKey = `participant:${participantId}:opponents`;
+      await this.client.hIncrBy(historyKey, opponentId, 1);
+      await this.client.expire(historyKey, 86400);
+      return true;
+    } catch (error) {
+      console.error('Error incrementing opponent count:', error);
+      throw error;
+    }
+  }
+
+  // Statistics and Monitoring
+  async incrementMatchStats(statType) {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const statsKey = `stats:${today}`;
+      await this.client.hIncrBy(statsKey, statType, 1);
+      
+      // Set TTL for stats (cleanup after 7 days)
+      await this.client.expire(statsKey, 604800);
+      
+      return true;
+    } catch (error) {
+      console.error('Error incrementing match stats:', error);
+      throw error;
+    }
+  }
+
+  async getMatchStats() {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const statsKey = `stats:${today}`;
+      return await this.client.hGetAll(statsKey);
+    } catch (error) {
+      console.error('Error getting match stats:', error);
+      throw error;
+    }
+  }
+
+  // Cleanup utilities
+  async cleanupExpiredQueues() {
+    try {
+      const keys = await this.client.keys('queue:*');
+      let cleanedCount = 0;
+      
+      for (const key of keys) {
+        const entries = await this.client.zRange(key, 0, -1);
+        const now = Date.now();
+        
+        for (const entry of entries) {
+          const data = JSON.parse(entry);
+          // Remove entries older than 5 minutes, unless their search is still live: those
+          // end through the matcher (match, AI fallback or cancellation), and groups that
+          // never play AI may wait longer for a human
+          if (now - data.joinedAt > 300000 && !(await this.client.exists(`search:${data.participantId}`))) {
+            await this.client.zRem(key, entry);
+            cleanedCount++;
+          }
+        }
+      }
+      
+      if (cleanedCount > 0) {
+        console.log(`🧹 Cleaned up ${cleanedCount} expired queue entries`);
+      }
+      
+      return cleanedCount;
+    } catch (error) {
+      console.error('Error cleaning up expired queues:', error);
+      throw error;
+    }
+  }
+
+  // Distributed locking for race condition prevention
+  async acquireLock(lockKey, lockValue, timeoutMs = 5000) {
+    try {
+      // Use SET with NX (only set if not exists) and PX (expiry in milliseconds)
+      const result = await this.client.set(lockKey, lockValue, {
+        NX: true,  // Only set if key doesn't exist
+        PX: timeoutMs  // Expire after timeoutMs milliseconds
+      });
+      
+      return result === 'OK';
+    } catch (error) {
+      console.error('Error acquiring lock:', error);
+      return false;
+    }
+  }
+
+  async renewLock(lockKey, lockValue, timeoutMs = 5000) {
+    try {
+      // Only extend the lock if we still own it
+      const script = `
+        if redis.call("get", KEYS[1]) == ARGV[1] then
+          return redis.call("pexpire", KEYS[1], ARGV[2])
+        else
+          return 0
+        end
+      `;
+
+      const result = await this.client.eval(script, {
+        keys: [lockKey],
+        arguments: [lockValue, timeoutMs.toString()]
+      });
+
+      return result === 1;
+    } catch (error) {
+      console.error('Error renewing lock:', error);
+      return false;
+    }
+  }
+
+  async releaseLock(lockKey, lockValue) {
+    try {
+      // Use Lua script to atomically check value and delete if it matches
+      // This prevents releasing someone else's lock
+      const script = `
+        if redis.call("get", KEYS[1]) == ARGV[1] then
+          return redis.call("del", KEYS[1])
+        else
+          return 0
         end
       `;
       
@@ -333,6 +1434,44 @@ class RedisService {
       return false;
     }
   }
+
+  // Pub/Sub for cross-instance events
+  async publish(channel, message) {
+    try {
+      await this.client.publish(channel, JSON.stringify(message));
+      return true;
+    } catch (error) {
+      console.error('Error publishing message:', error);
+      throw error;
+    }
+  }
+
+  async subscribe(channel, handler) {
+    try {
+      if (!this.subscriber) {
+        // A subscribed connection can't run other commands, so use a dedicated one
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (err) => {
+          console.error('Redis Subscriber Error:', err);
+        });
+        await this.subscriber.connect();
+      }
+
+      await this.subscriber.subscribe(channel, (message) => {
+        try {
+          handler(JSON.parse(message));
+        } catch (error) {
+          console.error(`Error handling message on ${channel}:`, error);
+        }
+      });
+
+      console.log(`📡 Subscribed to ${channel}`);
+      return true;
+    } catch (error) {
+      console.error('Error subscribing to channel:', error);
+      throw error;
+    }
+  }
 }
 
-export default new RedisService();
\ No newline at end of file
+export default new RedisService();
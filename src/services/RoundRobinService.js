@@ -0,0 +1,363 @@
+import { v4 as uuidv4 } from 'uuid';
+import RedisService from './RedisService.js';
+import MatchmakingEngine from './MatchmakingEngine.js';
+import { config } from '../config/index.js';
+import { generateRoundRobinSchedule, getRoundRobinRoundCount, isPairingFinished, getPairingResults, getRoundRobinStandings } from '../utils/roundRobin.js';
+import { getVisibilityRules } from '../utils/visibilityRules.js';
+
+const ROUND_ROBIN_STATUSES = {
+  IN_PROGRESS: 'in_progress', // Scheduled matches are being played
+  FINISHED: 'finished',       // Every scheduled match has a result
+  CANCELLED: 'cancelled'      // Stopped by an admin
+};
+
+// Round numbers run from 1 to 10 (see validateRoundNumber)
+const MAX_ROUND_NUMBER = 10;
+
+/**
+ * Round-robin schedules for small cohorts.
+ *
+ * An admin creates a schedule with the cohort roster and the round it starts in. The
+ * whole schedule is generated and stored up front: every match is a scheduled pairing
+ * for its round, so a rostered player who joins that round is matched with their
+ * scheduled opponent directly instead of through the queue. Absent opponents are
+ * replaced by AI stand-ins after the no-show timeout. Standings are kept up to date
+ * as results come in and pushed to the cohort.
+ */
+class RoundRobinService {
+  constructor() {
+    this.checkInterval = null;
+    this.checkRunning = false;
+  }
+
+  /**
+   * Start the schedule check loop (only the matcher leader does any work)
+   */
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.runScheduleTick();
+    }, config.roundRobins.checkIntervalMs);
+  }
+
+  /**
+   * Stop the schedule check loop
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * One pass of the schedule loop (leader only)
+   */
+  async runScheduleTick() {
+    if (this.checkRunning || !MatchmakingEngine.isLeader) return;
+    this.checkRunning = true;
+
+    try {
+      await this.processSchedules();
+    } catch (error) {
+      console.error('Error in round-robin tick:', error);
+    } finally {
+      this.checkRunning = false;
+    }
+  }
+
+  /**
+   * Create a round-robin schedule and schedule all of its matches
+   * @param {Object} options - { name, roundNumber, studyId, roster: [{ participantId, participantName, treatmentGroup }] }
+   * @returns {Promise<Object>} Schedule
+   */
+  async createSchedule(options) {
+    const { roster } = options;
+    const roundNumber = parseInt(options.roundNumber);
+
+    if (!Array.isArray(roster) || roster.length < 2) {
+      throw new Error('roster must list at least two participants');
+    }
+
+    const participantIds = roster.map(entry => entry?.participantId && String(entry.participantId));
+    if (participantIds.some(participantId => !participantId)) {
+      throw new Error('every roster entry needs a participantId');
+    }
+
+    if (new Set(participantIds).size !== participantIds.length) {
+      throw new Error('roster lists a participant more than once');
+    }
+
+    const lastRound = roundNumber + getRoundRobinRoundCount(roster.length) - 1;
+    if (lastRound > MAX_ROUND_NUMBER) {
+      throw new Error(`a round-robin of ${roster.length} players starting in round ${roundNumber} would end in round ${lastRound} (max ${MAX_ROUND_NUMBER})`);
+    }
+
+    // A player can only have one scheduled match per round
+    for (let round = roundNumber; round <= lastRound; round++) {
+      for (const participantId of participantIds) {
+        const existing = await RedisService.getParticipantPairing(round, participantId);
+        if (existing && ['pending', 'matched'].includes(existing.status)) {
+          throw new Error(`participant ${participantId} already has a scheduled match in round ${round}`);
+        }
+      }
+    }
+
+    const schedule = {
+      scheduleId: uuidv4(),
+      name: options.name || `Round-robin from round ${roundNumber}`,
+      studyId: options.studyId || null,
+      status: ROUND_ROBIN_STATUSES.IN_PROGRESS,
+      startRound: roundNumber,
+      endRound: lastRound,
+      roster: roster.map((entry, i) => ({
+        participantId: participantIds[i],
+        participantName: entry.participantName || null,
+        treatmentGroup: entry.treatmentGroup || 'control'
+      })),
+      rounds: [],
+      standings: getRoundRobinStandings(participantIds, []),
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+
+    const rounds = [];
+    for (const [index, matches] of generateRoundRobinSchedule(participantIds).entries()) {
+      rounds.push(await this.scheduleRound(schedule, roundNumber + index, matches));
+    }
+
+    const scheduled = { ...schedule, rounds };
+    await RedisService.saveRoundRobin(scheduled);
+
+    console.log(`🔁 Created round-robin ${schedule.scheduleId} with ${participantIds.length} players in rounds ${roundNumber}-${lastRound}`);
+    await this.publishScheduleUpdate(scheduled);
+    return scheduled;
+  }
+
+  /**
+   * Schedule the matches of one round
+   * @param {Object} schedule - Schedule
+   * @param {number} roundNumber - Matchmaking round the matches are played in
+   * @param {Array} matches - [{ participantIds, fill }] from the generated schedule
+   * @returns {Promise<Object>} Round: { roundNumber, matches }
+   */
+  async scheduleRound(schedule, roundNumber, matches) {
+    const scheduled = [];
+
+    for (const [index, match] of matches.entries()) {
+      const pairing = await MatchmakingEngine.schedulePairing(match.participantIds, roundNumber, {
+        type: 'round_robin',
+        id: schedule.scheduleId,
+        match: index
+      }, { expiresAfterMs: config.roundRobins.pairingExpiryMs });
+
+      scheduled.push({ match: index, ...match, pairingId: pairing.pairingId, matchId: null, resolved: false, result: null });
+    }
+
+    return { roundNumber, matches: scheduled };
+  }
+
+  /**
+   * Get a round-robin schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null if not found
+   */
+  async getSchedule(scheduleId) {
+    return await RedisService.getRoundRobin(scheduleId);
+  }
+
+  /**
+   * List all known round-robin schedules
+   * @returns {Promise<Array>} Schedules, newest first
+   */
+  async listSchedules() {
+    const scheduleIds = await RedisService.getRoundRobinIds();
+    const schedules = [];
+
+    for (const scheduleId of scheduleIds) {
+      const schedule = await RedisService.getRoundRobin(scheduleId);
+      if (schedule) {
+        schedules.push(schedule);
+      } else {
+        // Schedule data expired
+        await RedisService.removeRoundRobinId(scheduleId);
+      }
+    }
+
+    return schedules.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Record the results of finished matches and update the standings
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null if not found
+   */
+  async updateSchedule(scheduleId) {
+    const lockKey = `roundrobinlock:${scheduleId}`;
+    const lockValue = `${MatchmakingEngine.instanceId}-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 10000))) {
+      console.log(`⏳ Round-robin ${scheduleId} is already being updated`);
+      return await RedisService.getRoundRobin(scheduleId);
+    }
+
+    try {
+      let schedule = await RedisService.getRoundRobin(scheduleId);
+      if (schedule?.status !== ROUND_ROBIN_STATUSES.IN_PROGRESS) return schedule;
+
+      let changed = false;
+      const rounds = [];
+      for (const round of schedule.rounds) {
+        const matches = [];
+        for (const match of round.matches) {
+          if (match.resolved) {
+            matches.push(match);
+            continue;
+          }
+
+          const pairing = await RedisService.getPairing(match.pairingId);
+          const resolved = isPairingFinished(pairing);
+          const matchId = pairing?.matchId || null;
+
+          changed = changed || resolved || matchId !== match.matchId;
+          matches.push({
+            ...match,
+            matchId,
+            resolved,
+            result: resolved ? (pairing?.status || 'expired') : null,
+            results: resolved ? getPairingResults(match.participantIds, pairing) : []
+          });
+        }
+        rounds.push({ ...round, matches });
+      }
+
+      if (!changed) return schedule;
+
+      const participantIds = schedule.roster.map(p => p.participantId);
+      const results = rounds.flatMap(round => round.matches.flatMap(match => match.results || []));
+      const finished = rounds.every(round => round.matches.every(match => match.resolved));
+
+      schedule = {
+        ...schedule,
+        rounds,
+        standings: getRoundRobinStandings(participantIds, results),
+        status: finished ? ROUND_ROBIN_STATUSES.FINISHED : schedule.status,
+        finishedAt: finished ? Date.now() : null
+      };
+
+      if (finished) {
+        console.log(`🥇 Round-robin ${scheduleId} finished, led by ${schedule.standings[0].participantId}`);
+      }
+
+      await RedisService.saveRoundRobin(schedule);
+      await this.publishScheduleUpdate(schedule);
+      return schedule;
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+  }
+
+  /**
+   * Cancel a round-robin. Matches already running are played out; the matches not
+   * started yet are removed, and players waiting for them go through normal matchmaking.
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null if not found
+   */
+  async cancelSchedule(scheduleId) {
+    const lockKey = `roundrobinlock:${scheduleId}`;
+    const lockValue = `${MatchmakingEngine.instanceId}-${Date.now()}`;
+
+    if (!(await RedisService.acquireLock(lockKey, lockValue, 10000))) {
+      throw new Error(`Round-robin ${scheduleId} is being updated, try again`);
+    }
+
+    let schedule;
+    let cancelled;
+    try {
+      schedule = await RedisService.getRoundRobin(scheduleId);
+      if (!schedule) return null;
+      if (schedule.status !== ROUND_ROBIN_STATUSES.IN_PROGRESS) return schedule;
+
+      cancelled = { ...schedule, status: ROUND_ROBIN_STATUSES.CANCELLED, finishedAt: Date.now() };
+      await RedisService.saveRoundRobin(cancelled);
+    } finally {
+      await RedisService.releaseLock(lockKey, lockValue);
+    }
+
+    let removed = 0;
+    for (const round of schedule.rounds) {
+      for (const match of round.matches) {
+        if (!match.resolved && (await MatchmakingEngine.cancelPairing(match.pairingId))) {
+          removed++;
+        }
+      }
+    }
+
+    console.log(`🛑 Round-robin ${scheduleId} cancelled, ${removed} scheduled matches removed`);
+    await this.publishScheduleUpdate(cancelled);
+    return cancelled;
+  }
+
+  /**
+   * Update every schedule in progress (leader only)
+   */
+  async processSchedules() {
+    const scheduleIds = await RedisService.getRoundRobinIds();
+
+    for (const scheduleId of scheduleIds) {
+      try {
+        const schedule = await RedisService.getRoundRobin(scheduleId);
+        if (!schedule) {
+          await RedisService.removeRoundRobinId(scheduleId);
+          continue;
+        }
+
+        if (schedule.status === ROUND_ROBIN_STATUSES.IN_PROGRESS) {
+          await this.updateSchedule(scheduleId);
+        }
+      } catch (error) {
+        console.error(`Error processing round-robin ${scheduleId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Build the schedule view players get. Treatment groups are left out, and names too
+   * if any rostered player may not see their opponents' names.
+   * @param {Object} schedule - Schedule
+   * @returns {Object} Schedule for players
+   */
+  toPublicSchedule(schedule) {
+    const showNames = schedule.roster.every(p => getVisibilityRules(p.treatmentGroup, config.matchmaking.visibility).opponentName);
+
+    return {
+      scheduleId: schedule.scheduleId,
+      name: schedule.name,
+      status: schedule.status,
+      startRound: schedule.startRound,
+      endRound: schedule.endRound,
+      rounds: schedule.rounds,
+      standings: schedule.standings,
+      createdAt: schedule.createdAt,
+      finishedAt: schedule.finishedAt,
+      roster: schedule.roster.map(({ participantId, participantName }) => ({
+        participantId,
+        participantName: showNames ? participantName : null
+      }))
+    };
+  }
+
+  /**
+   * Push the schedule to its cohort (on every instance)
+   * @param {Object} schedule - Schedule
+   */
+  async publishScheduleUpdate(schedule) {
+    await MatchmakingEngine.publishEvent('round_robin_update', {
+      participantIds: schedule.roster.map(p => p.participantId),
+      schedule: this.toPublicSchedule(schedule)
+    });
+  }
+}
+
+export default new RoundRobinService();
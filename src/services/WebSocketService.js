@@ -1,13 +1,25 @@
 import { Server } from 'socket.io';
 import { config } from '../config/index.js';
 import MatchmakingEngine from './MatchmakingEngine.js';
+import LobbyService from './LobbyService.js';
 import RedisService from './RedisService.js';
+import { isValidScore } from '../utils/matchResults.js';
+import { isValidTreatmentGroup } from '../middleware/validation.js';
+import MatchSessionService from './MatchSessionService.js';
+import { getVisibilityRules, getMatchTreatmentGroups, redactOpponents, redactOutcome, redactMatchData } from '../utils/visibilityRules.js';
+
+// Match update types owned by the server-run match session
+const SESSION_UPDATE_TYPES = ['question', 'answer', 'score', 'result'];
+
+// Visibility rule that decides whether a relayed match update reaches the other players
+const UPDATE_VISIBILITY = { answer: 'opponentScore', score: 'opponentScore', result: 'opponentResult' };
 
 class WebSocketService {
   constructor() {
     this.io = null;
     this.connectedClients = new Map(); // participantId -> socket info
     this.heartbeatInterval = null;
+    this.queueStatusInterval = null;
   }
 
   /**
@@ -28,6 +40,7 @@ class WebSocketService {
 
     this.setupEventHandlers();
     this.startHeartbeat();
+    this.startQueueStatusUpdates();
     
     console.log('✅ WebSocket server initialized');
   }
@@ -54,6 +67,34 @@ class WebSocketService {
         this.handleCancelMatchmaking(socket, data);
       });
 
+      // Handle session lobby presence
+      socket.on('join_lobby', (data) => {
+        this.handleJoinLobby(socket, data);
+      });
+
+      socket.on('leave_lobby', (data) => {
+        this.handleLeaveLobby(socket, data);
+      });
+
+      // Handle acceptance of a proposed match (ready check)
+      socket.on('match_accept', (data) => {
+        this.handleMatchAccept(socket, data);
+      });
+
+      // Handle server-run match sessions
+      socket.on('join_match_session', (data) => {
+        this.handleJoinMatchSession(socket, data);
+      });
+
+      socket.on('submit_answer', (data) => {
+        this.handleSubmitAnswer(socket, data);
+      });
+
+      // Handle match result reports
+      socket.on('submit_result', (data) => {
+        this.handleSubmitResult(socket, data);
+      });
+
       // Handle queue status requests
       socket.on('get_queue_status', (data) => {
         this.handleGetQueueStatus(socket, data);
@@ -94,6 +135,123 @@ class WebSocketService {
     MatchmakingEngine.setMatchFoundCallback((matchData) => {
       this.notifyMatchFound(matchData);
     });
+
+    MatchmakingEngine.setEventCallback('match_proposed', (matchData) => {
+      this.notifyMatchProposed(matchData);
+    });
+
+    MatchmakingEngine.setEventCallback('match_proposal_failed', (result) => {
+      this.notifyMatchProposalFailed(result);
+    });
+
+    MatchmakingEngine.setEventCallback('match_status_changed', ({ participantIds, ...change }) => {
+      for (const participantId of participantIds) {
+        this.sendToParticipant(participantId, 'match_status_update', {
+          ...change,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    MatchmakingEngine.setEventCallback('match_result', ({ matchId, disputed, outcomes, treatmentGroups }) => {
+      for (const { participantId, ...outcome } of outcomes) {
+        this.sendToParticipant(participantId, 'match_result', {
+          matchId,
+          ...redactOutcome(outcome, this.getVisibilityRules(treatmentGroups, participantId)),
+          disputed,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    MatchmakingEngine.setEventCallback('match_substituted', ({ matchId, participantIds, abandonedParticipantId, substituteId, match }) => {
+      // Everyone left gets the updated match, with the substitute as (one of) their opponents
+      const matchData = this.buildMatchFoundData(match);
+      const substitution = this.applyVisibility(match, Object.fromEntries(participantIds.map(participantId =>
+        [participantId, { matchId, abandonedParticipantId, substituteId }]
+      )));
+      for (const participantId of participantIds) {
+        this.sendToParticipant(participantId, 'opponent_substituted', {
+          ...substitution[participantId],
+          match: matchData[participantId],
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    // Match session events go to every player of the match, as far as their treatment group may see them
+    const sessionEvents = {
+      session_question: 'match_question',
+      session_score: 'match_score_update',
+      session_question_closed: 'match_question_result',
+      session_ai_progress: 'match_ai_progress',
+      session_finished: 'match_session_finished'
+    };
+    for (const [event, clientEvent] of Object.entries(sessionEvents)) {
+      MatchmakingEngine.setEventCallback(event, ({ participantIds, treatmentGroups, ...data }) => {
+        for (const participantId of participantIds) {
+          const visibleData = this.redactSessionEvent(event, data, participantId, this.getVisibilityRules(treatmentGroups, participantId));
+          if (visibleData) {
+            this.sendToParticipant(participantId, clientEvent, { ...visibleData, timestamp: Date.now() });
+          }
+        }
+      });
+    }
+
+    MatchmakingEngine.setEventCallback('waitlist_update', ({ roundNumber, waitlistSize, positions }) => {
+      for (const { participantId, position } of positions) {
+        this.sendToParticipant(participantId, 'waitlist_position', {
+          roundNumber,
+          position,
+          waitlistSize,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    MatchmakingEngine.setEventCallback('waitlist_promoted', ({ participantId, roundNumber, result }) => {
+      this.sendToParticipant(participantId, 'waitlist_promoted', { roundNumber, timestamp: Date.now() });
+      this.sendToParticipant(participantId, 'matchmaking_status', result);
+    });
+
+    MatchmakingEngine.setEventCallback('scheduled_match_cancelled', ({ participantId, roundNumber, result }) => {
+      this.sendToParticipant(participantId, 'scheduled_match_cancelled', { roundNumber, timestamp: Date.now() });
+      this.sendToParticipant(participantId, 'matchmaking_status', result);
+    });
+
+    MatchmakingEngine.setEventCallback('bracket_update', ({ roundNumbers, bracket }) => {
+      for (const roundNumber of roundNumbers) {
+        this.broadcastToRound(roundNumber, 'bracket_update', {
+          ...bracket,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    MatchmakingEngine.setEventCallback('search_expired', ({ participantId, roundNumber }) => {
+      this.sendToParticipant(participantId, 'matchmaking_cancelled', {
+        participantId,
+        roundNumber,
+        reason: 'expired',
+        cancelledAt: Date.now()
+      });
+    });
+
+    MatchmakingEngine.setEventCallback('round_robin_update', ({ participantIds, schedule }) => {
+      for (const participantId of participantIds) {
+        this.sendToParticipant(participantId, 'round_robin_update', {
+          ...schedule,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    MatchmakingEngine.setEventCallback('lobby_update', (lobby) => {
+      this.io.to(`lobby:${lobby.lobbyId}`).emit('lobby_update', {
+        ...lobby,
+        timestamp: Date.now()
+      });
+    });
   }
 
   /**
@@ -141,16 +299,70 @@ class WebSocketService {
 
       // Send current queue status if in a round
       if (roundNumber) {
-        const queueStatus = await MatchmakingEngine.getQueueStatus(roundNumber);
+        const queueStatus = await MatchmakingEngine.getParticipantQueueStatus(participantId, roundNumber);
         socket.emit('queue_status_update', queueStatus);
       }
 
+      // Pick up where a dropped connection left off
+      await this.resumeParticipant(socket, participantId);
+
     } catch (error) {
       console.error('Error in participant registration:', error);
       socket.emit('error', { message: 'Registration failed' });
     }
   }
 
+  /**
+   * Resume matchmaking for a participant who reconnected inside the grace window:
+   * confirm their search or waitlist place, or deliver the match they missed
+   * @param {Object} socket - New socket instance
+   * @param {string} participantId - Participant ID
+   */
+  async resumeParticipant(socket, participantId) {
+    const status = await MatchmakingEngine.handleReconnect(participantId);
+    if (!status) return;
+
+    const { roundNumber, matchId } = status;
+    if (roundNumber) {
+      socket.join(`round:${roundNumber}`);
+    }
+
+    if (status.status === 'searching') {
+      socket.emit('matchmaking_resumed', {
+        participantId,
+        roundNumber,
+        status: 'searching',
+        queuePosition: await MatchmakingEngine.getQueuePosition(participantId, roundNumber),
+        timestamp: Date.now()
+      });
+    } else if (status.status === 'waitlisted') {
+      socket.emit('matchmaking_resumed', {
+        participantId,
+        roundNumber,
+        status: 'waitlisted',
+        position: await MatchmakingEngine.getWaitlistPosition(participantId, roundNumber),
+        timestamp: Date.now()
+      });
+    } else if (status.status === 'matching') {
+      const readyCheck = await RedisService.getReadyCheck(matchId);
+      if (readyCheck) {
+        const proposal = this.buildProposalData({ ...readyCheck.match, acceptDeadline: readyCheck.deadline });
+        socket.emit('match_proposed', {
+          ...proposal[participantId],
+          accepted: readyCheck.accepted.includes(participantId)
+        });
+      }
+    } else if (status.status === 'matched') {
+      const match = await RedisService.getMatch(matchId);
+      if (match && Object.keys(match).length > 0) {
+        const matchFound = this.buildMatchFoundData(match)[participantId];
+        if (matchFound) socket.emit('match_found', matchFound);
+      }
+    }
+
+    console.log(`🔁 Resumed ${participantId} in state ${status.status}`);
+  }
+
   /**
    * Handle start matchmaking request
    * @param {Object} socket - Socket instance
@@ -158,7 +370,7 @@ class WebSocketService {
    */
   async handleStartMatchmaking(socket, data) {
     try {
-      const { participantId, roundNumber, skillLevel, treatmentGroup, participantName } = data;
+      const { participantId, roundNumber, skillLevel, treatmentGroup, participantName, studyId } = data;
       
       if (!participantId || !roundNumber) {
         socket.emit('error', { message: 'Participant ID and round number required' });
@@ -167,6 +379,9 @@ class WebSocketService {
 
       console.log(`🎯 Starting matchmaking for ${participantId} in round ${roundNumber}`);
 
+      // Round broadcasts (e.g. bracket updates) reach players in the round they are playing
+      socket.join(`round:${roundNumber}`);
+
       // Emit matchmaking started
       socket.emit('matchmaking_started', {
         participantId,
@@ -185,7 +400,8 @@ class WebSocketService {
         participantName: finalParticipantName,
         roundNumber,
         skillLevel: skillLevel || 7,
-        treatmentGroup: treatmentGroup || 'control'
+        treatmentGroup: treatmentGroup || 'control',
+        studyId
       });
 
       // Send initial result
@@ -230,6 +446,236 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Get the connection info of a participant if this socket registered as them
+   * @param {Object} socket - Socket instance
+   * @param {string} participantId - Participant the event claims to come from
+   * @returns {Object|null} Client info, or null if the socket isn't that participant's
+   */
+  getRegisteredClient(socket, participantId) {
+    const clientInfo = participantId ? this.connectedClients.get(participantId) : null;
+    return clientInfo?.socketId === socket.id ? clientInfo : null;
+  }
+
+  /**
+   * Handle a participant joining a session lobby. The treatment group is the one the
+   * participant registered with, never taken from the event.
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - { lobbyId, participantId, participantName, skillLevel }
+   */
+  async handleJoinLobby(socket, data) {
+    try {
+      const { lobbyId, participantId, participantName, skillLevel } = data;
+
+      if (!lobbyId || !participantId) {
+        socket.emit('error', { message: 'Lobby ID and participant ID required' });
+        return;
+      }
+
+      const clientInfo = this.getRegisteredClient(socket, participantId);
+      if (!clientInfo) {
+        socket.emit('error', { message: 'Register as this participant before joining a lobby' });
+        return;
+      }
+
+      const treatmentGroup = clientInfo.treatmentGroup || 'control';
+      if (!isValidTreatmentGroup(treatmentGroup)) {
+        socket.emit('error', { message: `Invalid treatment group: ${treatmentGroup}` });
+        return;
+      }
+
+      // Join the room first so this socket sees the presence update for its own arrival
+      socket.join(`lobby:${lobbyId}`);
+
+      const result = await LobbyService.joinLobby(lobbyId, {
+        participantId,
+        participantName: participantName || clientInfo.name,
+        skillLevel: skillLevel || 7,
+        treatmentGroup
+      });
+
+      if (result.status === 'joined' || result.status === 'started') {
+        clientInfo.lobbyId = lobbyId;
+      } else {
+        socket.leave(`lobby:${lobbyId}`);
+      }
+
+      socket.emit('lobby_joined', {
+        ...result,
+        participantId,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error joining lobby:', error);
+      socket.emit('error', { message: 'Failed to join lobby' });
+    }
+  }
+
+  /**
+   * Handle a participant leaving a session lobby
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - { lobbyId, participantId }
+   */
+  async handleLeaveLobby(socket, data) {
+    try {
+      const { lobbyId, participantId } = data;
+
+      const clientInfo = this.getRegisteredClient(socket, participantId);
+      if (!clientInfo) {
+        socket.emit('error', { message: 'Register as this participant before leaving a lobby' });
+        return;
+      }
+
+      await LobbyService.leaveLobby(lobbyId, participantId);
+      socket.leave(`lobby:${lobbyId}`);
+      clientInfo.lobbyId = null;
+
+      socket.emit('lobby_left', { lobbyId, participantId, timestamp: Date.now() });
+
+    } catch (error) {
+      console.error('Error leaving lobby:', error);
+      socket.emit('error', { message: 'Failed to leave lobby' });
+    }
+  }
+
+  /**
+   * Handle a participant accepting a proposed match
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - Acceptance data
+   */
+  async handleMatchAccept(socket, data) {
+    try {
+      const { matchId, participantId } = data;
+
+      if (!matchId || !participantId) {
+        socket.emit('error', { message: 'Match ID and participant ID required' });
+        return;
+      }
+
+      if (!this.getRegisteredClient(socket, participantId)) {
+        socket.emit('error', { message: 'Register as this participant before accepting a match' });
+        return;
+      }
+
+      const result = await MatchmakingEngine.acceptMatch(matchId, participantId);
+
+      socket.emit('match_accept_status', {
+        ...result,
+        participantId,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error accepting match:', error);
+      socket.emit('error', { message: 'Failed to accept match' });
+    }
+  }
+
+  /**
+   * Handle a player joining (or rejoining) their match's session
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - { matchId, participantId }
+   */
+  async handleJoinMatchSession(socket, data) {
+    try {
+      const { matchId, participantId } = data;
+
+      if (!matchId || !participantId) {
+        socket.emit('error', { message: 'Match ID and participant ID required' });
+        return;
+      }
+
+      if (!this.getRegisteredClient(socket, participantId)) {
+        socket.emit('error', { message: 'Register as this participant before joining a match session' });
+        return;
+      }
+
+      const result = await MatchSessionService.joinSession(matchId, participantId);
+
+      socket.emit('match_session_state', {
+        ...result,
+        participantId,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error joining match session:', error);
+      socket.emit('error', { message: 'Failed to join match session' });
+    }
+  }
+
+  /**
+   * Handle a player's answer to the current question
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - { matchId, participantId, questionIndex, answerIndex }
+   */
+  async handleSubmitAnswer(socket, data) {
+    try {
+      const { matchId, participantId, questionIndex, answerIndex } = data;
+
+      if (!matchId || !participantId || !Number.isInteger(questionIndex) || !Number.isInteger(answerIndex)) {
+        socket.emit('error', { message: 'Match ID, participant ID, question index and answer index required' });
+        return;
+      }
+
+      if (!this.getRegisteredClient(socket, participantId)) {
+        socket.emit('error', { message: 'Register as this participant before submitting answers' });
+        return;
+      }
+
+      const result = await MatchSessionService.submitAnswer(matchId, participantId, { questionIndex, answerIndex });
+
+      socket.emit('answer_status', {
+        ...result,
+        participantId,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error submitting answer:', error);
+      socket.emit('error', { message: 'Failed to submit answer' });
+    }
+  }
+
+  /**
+   * Handle a player's match result report
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - { matchId, participantId, score, opponentScore }
+   */
+  async handleSubmitResult(socket, data) {
+    try {
+      const { matchId, participantId, score, opponentScore } = data;
+
+      if (!matchId || !participantId) {
+        socket.emit('error', { message: 'Match ID and participant ID required' });
+        return;
+      }
+
+      if (!isValidScore(score) || (opponentScore !== undefined && opponentScore !== null && !isValidScore(opponentScore))) {
+        socket.emit('error', { message: 'Scores must be non-negative numbers' });
+        return;
+      }
+
+      if (!this.getRegisteredClient(socket, participantId)) {
+        socket.emit('error', { message: 'Register as this participant before reporting a result' });
+        return;
+      }
+
+      const result = await MatchmakingEngine.submitMatchResult(matchId, participantId, { score, opponentScore });
+
+      socket.emit('result_status', {
+        ...result,
+        participantId,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Error submitting match result:', error);
+      socket.emit('error', { message: 'Failed to submit result' });
+    }
+  }
+
   /**
    * Handle queue status request
    * @param {Object} socket - Socket instance
@@ -261,7 +707,12 @@ class WebSocketService {
   async handleMatchUpdate(socket, data) {
     try {
       const { matchId, participantId, updateType, updateData } = data;
-      
+
+      if (!this.getRegisteredClient(socket, participantId)) {
+        socket.emit('error', { message: 'Register as this participant before sending match updates' });
+        return;
+      }
+
       // Validate match exists
       const match = await RedisService.getMatch(matchId);
       if (!match || Object.keys(match).length === 0) {
@@ -269,26 +720,25 @@ class WebSocketService {
         return;
       }
 
-      // Broadcast update to both participants in the match
-      const participant1Id = match.participant1_id;
-      const participant2Id = match.participant2_id;
+      if (!MatchmakingEngine.getMatchParticipantIds(match).includes(participantId)) {
+        socket.emit('error', { message: 'Not a participant of this match' });
+        return;
+      }
 
-      if (participant2Id) { // Human vs Human
-        this.sendToParticipant(participant1Id, 'match_update', {
-          matchId,
-          updateType,
-          updateData,
-          timestamp: Date.now()
-        });
-        
-        this.sendToParticipant(participant2Id, 'match_update', {
-          matchId,
-          updateType,
-          updateData,
-          timestamp: Date.now()
-        });
-      } else { // Human vs AI
-        this.sendToParticipant(participant1Id, 'match_update', {
+      // Questions, answers and scores come from the server-run match session
+      if (config.matchSessions.enabled && SESSION_UPDATE_TYPES.includes(updateType)) {
+        socket.emit('error', { message: `Match updates of type "${updateType}" are sent by the server` });
+        return;
+      }
+
+      // Broadcast update to every human in the match whose treatment group may see it
+      const treatmentGroups = getMatchTreatmentGroups(match);
+      const rule = UPDATE_VISIBILITY[updateType] || 'opponentProgress';
+
+      for (const recipientId of MatchmakingEngine.getMatchParticipantIds(match)) {
+        if (recipientId !== participantId && !this.getVisibilityRules(treatmentGroups, recipientId)[rule]) continue;
+
+        this.sendToParticipant(recipientId, 'match_update', {
           matchId,
           updateType,
           updateData,
@@ -374,9 +824,11 @@ class WebSocketService {
 
     // Find and remove client from connected clients
     let disconnectedParticipant = null;
+    let disconnectedLobbyId = null;
     for (const [participantId, clientInfo] of this.connectedClients.entries()) {
       if (clientInfo.socketId === socket.id) {
         disconnectedParticipant = participantId;
+        disconnectedLobbyId = clientInfo.lobbyId;
         this.connectedClients.delete(participantId);
         break;
       }
@@ -384,18 +836,21 @@ class WebSocketService {
 
     if (disconnectedParticipant) {
       console.log(`❌ Participant ${disconnectedParticipant} disconnected`);
-      
-      // Update participant status
-      await RedisService.setParticipantStatus(disconnectedParticipant, 'disconnected', {
-        disconnectedAt: Date.now(),
-        reason
-      });
 
-      // Cancel any active matchmaking
+      // Drop out of a lobby that is still gathering participants
+      if (disconnectedLobbyId) {
+        try {
+          await LobbyService.leaveLobby(disconnectedLobbyId, disconnectedParticipant);
+        } catch (error) {
+          console.warn('Error leaving lobby on disconnect:', error);
+        }
+      }
+
+      // Keep their queue place for the reconnection grace window
       try {
-        await MatchmakingEngine.cancelMatchmaking(disconnectedParticipant, 0); // Use 0 as fallback round
+        await MatchmakingEngine.handleDisconnect(disconnectedParticipant, reason);
       } catch (error) {
-        console.warn('Error canceling matchmaking on disconnect:', error);
+        console.warn('Error handling matchmaking on disconnect:', error);
       }
     }
   }
@@ -417,65 +872,250 @@ class WebSocketService {
       console.log(`🎉 Notifying match found: ${participant1_id} vs ${participant2_id || 'AI'}`);
       console.log(`🔍 Match isAI value: ${isAI} (type: ${typeof isAI})`);
 
-      if (isAI) {
-        // For AI matches, send same data to participant1 (only they exist)
-        this.sendToParticipant(participant1_id, 'match_found', {
+      const participantMatchData = this.buildMatchFoundData(processedMatchData);
+      for (const [participantId, data] of Object.entries(participantMatchData)) {
+        this.sendToParticipant(participantId, 'match_found', data);
+      }
+
+    } catch (error) {
+      console.error('Error notifying match found:', error);
+    }
+  }
+
+  /**
+   * Build the match_found data for every human in a match
+   * @param {Object} matchData - Match data (from the engine or Redis)
+   * @returns {Object} Map of participantId -> match data
+   */
+  buildMatchFoundData(matchData) {
+    const processedMatchData = { ...matchData };
+    if (typeof processedMatchData.isAI === 'string') {
+      processedMatchData.isAI = processedMatchData.isAI === 'true';
+    }
+
+    if (processedMatchData.match_type === 'group') {
+      // For group matches, each human member gets the other members' info
+      return this.applyVisibility(processedMatchData, this.buildGroupMatchData(processedMatchData));
+    }
+
+    if (processedMatchData.isAI) {
+      // For AI matches, send same data to participant1 (only they exist)
+      return this.applyVisibility(processedMatchData, {
+        [processedMatchData.participant1_id]: {
           ...processedMatchData,
           myRole: 'participant1',
           timestamp: Date.now()
-        });
-      } else {
-        // For human vs human matches, we need to create different opponent data for each participant
-        
-        // Get participant names from match data (preferred) or connected clients (fallback)
-        const participant1Name = processedMatchData.participant1_name || 
-                                this.connectedClients.get(participant1_id)?.name || 
-                                `Player ${participant1_id.slice(-4)}`;
-        const participant2Name = processedMatchData.participant2_name || 
-                                this.connectedClients.get(participant2_id)?.name || 
-                                `Player ${participant2_id.slice(-4)}`;
-
-        // Parse the current opponent data (which is participant2's info)
-        let originalOpponent = {};
-        try {
-          originalOpponent = typeof processedMatchData.opponent === 'string' 
-            ? JSON.parse(processedMatchData.opponent) 
-            : processedMatchData.opponent;
-        } catch (e) {
-          console.warn('Failed to parse opponent data, using fallback');
         }
+      });
+    }
 
-        // Create participant1's match data (opponent is participant2)
-        const participant1MatchData = {
-          ...processedMatchData,
-          opponent: JSON.stringify({
-            name: participant2Name,
-            participant_id: participant2_id,
-            skill_level: originalOpponent.skill_level
-          }),
-          myRole: 'participant1',
-          timestamp: Date.now()
-        };
+    // For human vs human matches, each participant gets their own opponent data
+    return this.applyVisibility(processedMatchData, this.buildHumanMatchData(processedMatchData));
+  }
 
-        // Create participant2's match data (opponent is participant1)
-        const participant2MatchData = {
-          ...processedMatchData,
-          opponent: JSON.stringify({
-            name: participant1Name,
-            participant_id: participant1_id,
-            skill_level: 7 // Default skill level, could be retrieved if needed
-          }),
-          myRole: 'participant2',
-          timestamp: Date.now()
+  /**
+   * Build the match_proposed data for every human in a proposed match
+   * @param {Object} matchData - Proposed match data (includes acceptDeadline)
+   * @returns {Object} Map of participantId -> match data
+   */
+  buildProposalData(matchData) {
+    return this.applyVisibility(matchData, matchData.match_type === 'group'
+      ? this.buildGroupMatchData(matchData)
+      : this.buildHumanMatchData({ ...matchData, isAI: false }));
+  }
+
+  /**
+   * Remove from each participant's match data what their treatment group may not see
+   * @param {Object} matchData - Match data (from the engine or Redis)
+   * @param {Object} participantMatchData - Map of participantId -> match data (or event data about the match)
+   * @returns {Object} Map of participantId -> match data
+   */
+  applyVisibility(matchData, participantMatchData) {
+    const treatmentGroups = getMatchTreatmentGroups(matchData);
+
+    return Object.fromEntries(Object.entries(participantMatchData).map(([participantId, data]) =>
+      [participantId, redactMatchData(data, participantId, this.getVisibilityRules(treatmentGroups, participantId), matchData)]
+    ));
+  }
+
+  /**
+   * Get what a participant may see of their opponents
+   * @param {Object} treatmentGroups - participantId -> treatment group of a match
+   * @param {string} participantId - Participant
+   * @returns {Object} Visibility rules
+   */
+  getVisibilityRules(treatmentGroups, participantId) {
+    return getVisibilityRules(treatmentGroups?.[participantId], config.matchmaking.visibility);
+  }
+
+  /**
+   * Remove what a player may not see from a match session event
+   * @param {string} event - Session event name
+   * @param {Object} data - Event data
+   * @param {string} participantId - Player receiving the event
+   * @param {Object} rules - Player's visibility rules
+   * @returns {Object|null} Event data to send, or null if the event is hidden entirely
+   */
+  redactSessionEvent(event, data, participantId, rules) {
+    switch (event) {
+      case 'session_score':
+        // Without opponent progress a player only hears about their own answers
+        if (!rules.opponentProgress && data.answeredBy !== participantId) return null;
+        return {
+          ...data,
+          answered: rules.opponentProgress ? data.answered : data.answered.filter(id => id === participantId),
+          scores: redactOpponents(data.scores, participantId, rules.opponentScore)
         };
+      case 'session_question_closed':
+        return {
+          ...data,
+          answers: redactOpponents(data.answers, participantId, rules.opponentScore),
+          scores: redactOpponents(data.scores, participantId, rules.opponentScore)
+        };
+      case 'session_ai_progress':
+        return rules.opponentProgress ? data : null;
+      case 'session_finished':
+        return { ...data, scores: redactOpponents(data.scores, participantId, rules.opponentResult) };
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * Build the match data each participant of a human match receives,
+   * with the other participant as their opponent
+   * @param {Object} processedMatchData - Match data (isAI already a boolean)
+   * @returns {Object} Map of participantId -> match data
+   */
+  buildHumanMatchData(processedMatchData) {
+    const { participant1_id, participant2_id } = processedMatchData;
+
+    // Get participant names from match data (preferred) or connected clients (fallback)
+    const participant1Name = processedMatchData.participant1_name || 
+                            this.connectedClients.get(participant1_id)?.name || 
+                            `Player ${participant1_id.slice(-4)}`;
+    const participant2Name = processedMatchData.participant2_name || 
+                            this.connectedClients.get(participant2_id)?.name || 
+                            `Player ${participant2_id.slice(-4)}`;
+
+    // Parse the current opponent data (which is participant2's info)
+    let originalOpponent = {};
+    try {
+      originalOpponent = typeof processedMatchData.opponent === 'string' 
+        ? JSON.parse(processedMatchData.opponent) 
+        : processedMatchData.opponent;
+    } catch (e) {
+      console.warn('Failed to parse opponent data, using fallback');
+    }
+
+    // Create participant1's match data (opponent is participant2)
+    const participant1MatchData = {
+      ...processedMatchData,
+      opponent: JSON.stringify({
+        name: participant2Name,
+        participant_id: participant2_id,
+        skill_level: originalOpponent.skill_level
+      }),
+      myRole: 'participant1',
+      timestamp: Date.now()
+    };
+
+    // Create participant2's match data (opponent is participant1)
+    const participant2MatchData = {
+      ...processedMatchData,
+      opponent: JSON.stringify({
+        name: participant1Name,
+        participant_id: participant1_id,
+        skill_level: 7 // Default skill level, could be retrieved if needed
+      }),
+      myRole: 'participant2',
+      timestamp: Date.now()
+    };
+
+    return {
+      [participant1_id]: participant1MatchData,
+      [participant2_id]: participant2MatchData
+    };
+  }
 
-        // Send customized data to each participant
-        this.sendToParticipant(participant1_id, 'match_found', participant1MatchData);
-        this.sendToParticipant(participant2_id, 'match_found', participant2MatchData);
+  /**
+   * Build the match data each human member of a group match receives,
+   * with every other member (human or AI) listed in `members`
+   * @param {Object} matchData - Group match data
+   * @returns {Object} Map of participantId -> match data
+   */
+  buildGroupMatchData(matchData) {
+    // Participants come back from Redis as a JSON string
+    const participants = typeof matchData.participants === 'string'
+      ? JSON.parse(matchData.participants)
+      : matchData.participants || [];
+
+    const memberMatchData = {};
+    participants.filter(p => !p.is_ai).forEach((member) => {
+      memberMatchData[member.participant_id] = {
+        ...matchData,
+        participants,
+        members: participants
+          .filter(p => p.participant_id !== member.participant_id)
+          .map(p => ({
+            participant_id: p.participant_id,
+            name: p.name,
+            skill_level: p.skill_level,
+            is_ai: p.is_ai
+          })),
+        myRole: 'member',
+        mySeat: participants.indexOf(member),
+        timestamp: Date.now()
+      };
+    });
+
+    return memberMatchData;
+  }
+
+  /**
+   * Ask every participant of a proposed match to accept it
+   * @param {Object} matchData - Proposed match data (includes acceptDeadline)
+   */
+  notifyMatchProposed(matchData) {
+    try {
+      console.log(`📨 Notifying match proposed: ${matchData.participant_ids?.join(', ') || `${matchData.participant1_id} vs ${matchData.participant2_id}`}`);
+
+      const participantMatchData = this.buildProposalData(matchData);
+      for (const [participantId, data] of Object.entries(participantMatchData)) {
+        this.sendToParticipant(participantId, 'match_proposed', data);
+      }
+    } catch (error) {
+      console.error('Error notifying match proposed:', error);
+    }
+  }
+
+  /**
+   * Tell participants that a proposed match was not accepted in time
+   * @param {Object} result - { matchId, requeued, noShows }
+   */
+  notifyMatchProposalFailed(result) {
+    try {
+      const { matchId, requeued = [], noShows = [] } = result;
+
+      for (const participantId of requeued) {
+        this.sendToParticipant(participantId, 'match_proposal_expired', {
+          matchId,
+          reason: 'opponent_no_show',
+          requeued: true,
+          timestamp: Date.now()
+        });
       }
 
+      for (const participantId of noShows) {
+        this.sendToParticipant(participantId, 'match_proposal_expired', {
+          matchId,
+          reason: 'not_accepted',
+          requeued: false,
+          timestamp: Date.now()
+        });
+      }
     } catch (error) {
-      console.error('Error notifying match found:', error);
+      console.error('Error notifying match proposal failure:', error);
     }
   }
 
@@ -557,6 +1197,42 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Periodically push queue status with a fresh wait estimate to every
+   * connected participant who is searching or waitlisted
+   */
+  startQueueStatusUpdates() {
+    this.queueStatusInterval = setInterval(async () => {
+      for (const [participantId, clientInfo] of this.connectedClients.entries()) {
+        try {
+          const status = await RedisService.getParticipantStatus(participantId);
+          if (!['searching', 'waitlisted'].includes(status?.status) || !status.roundNumber) continue;
+
+          const roundNumber = parseInt(status.roundNumber);
+          const queueStatus = await MatchmakingEngine.getParticipantQueueStatus(participantId, roundNumber);
+          // Emit directly: server pushes must not count as the client being seen
+          clientInfo.socket.emit('queue_status_update', {
+            roundNumber,
+            ...queueStatus,
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error(`Error pushing queue status to ${participantId}:`, error);
+        }
+      }
+    }, config.websocket.queueStatusInterval);
+  }
+
+  /**
+   * Stop queue status updates
+   */
+  stopQueueStatusUpdates() {
+    if (this.queueStatusInterval) {
+      clearInterval(this.queueStatusInterval);
+      this.queueStatusInterval = null;
+    }
+  }
+
   /**
    * Get connected clients count
    * @returns {number} Number of connected clients
@@ -593,6 +1269,7 @@ class WebSocketService {
    */
   async cleanup() {
     this.stopHeartbeat();
+    this.stopQueueStatusUpdates();
     
     if (this.io) {
       // Disconnect all clients
@@ -0,0 +1,80 @@
+// Tests for global batch pairing (pure functions, no Redis required)
+describe('computeBatchPairing', () => {
+  let computeBatchPairing;
+
+  const skillCost = (threshold = 10) => (a, b) => {
+    const diff = Math.abs(a.skillLevel - b.skillLevel);
+    return diff <= threshold ? diff : null;
+  };
+
+  beforeAll(async () => {
+    const module = await import('../utils/batchPairing.js');
+    computeBatchPairing = module.computeBatchPairing;
+  });
+
+  const ids = (pairs) => pairs
+    .map(pair => pair.map(p => p.participantId).sort().join('-'))
+    .sort();
+
+  test('should pair by total skill distance rather than arrival order', () => {
+    // FIFO would pair a-b (diff 2) and c-d (diff 2); optimal is a-c and b-d
+    const entries = [
+      { participantId: 'a', skillLevel: 5 },
+      { participantId: 'b', skillLevel: 7 },
+      { participantId: 'c', skillLevel: 5.1 },
+      { participantId: 'd', skillLevel: 7.1 }
+    ];
+
+    const result = computeBatchPairing(entries, {
+      pairCost: skillCost(),
+      unmatchedCost: () => 10
+    });
+
+    expect(ids(result.pairs)).toEqual(['a-c', 'b-d']);
+    expect(result.unmatched).toHaveLength(0);
+  });
+
+  test('should leave the participant with the lowest wait cost unpaired', () => {
+    const entries = [
+      { participantId: 'a', skillLevel: 7, waited: 60 },
+      { participantId: 'b', skillLevel: 7, waited: 5 },
+      { participantId: 'c', skillLevel: 7, waited: 30 }
+    ];
+
+    const result = computeBatchPairing(entries, {
+      pairCost: skillCost(),
+      unmatchedCost: (entry) => 10 + entry.waited
+    });
+
+    expect(ids(result.pairs)).toEqual(['a-c']);
+    expect(result.unmatched.map(e => e.participantId)).toEqual(['b']);
+  });
+
+  test('should never pair disallowed combinations', () => {
+    const entries = [
+      { participantId: 'a', skillLevel: 2 },
+      { participantId: 'b', skillLevel: 9 }
+    ];
+
+    const result = computeBatchPairing(entries, {
+      pairCost: skillCost(1.5),
+      unmatchedCost: () => 10
+    });
+
+    expect(result.pairs).toHaveLength(0);
+    expect(result.unmatched).toHaveLength(2);
+  });
+
+  test('should fall back to greedy pairing for large batches', () => {
+    const entries = Array.from({ length: 20 }, (_, i) => ({ participantId: `p${i}`, skillLevel: 1 + (i % 10) * 0.5 }));
+
+    const result = computeBatchPairing(entries, {
+      pairCost: skillCost(),
+      unmatchedCost: () => 10,
+      exactMaxSize: 8
+    });
+
+    expect(result.pairs).toHaveLength(10);
+    expect(result.unmatched).toHaveLength(0);
+  });
+});
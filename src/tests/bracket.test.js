@@ -0,0 +1,68 @@
+// Tests for elimination brackets (pure functions, no Redis required)
+describe('Elimination brackets', () => {
+  let bracket;
+  let createRandom;
+
+  const player = (participantId, seed) => ({ participantId, seed });
+  const seeds = { p1: 1, p2: 2, p3: 3, p4: 4 };
+
+  beforeAll(async () => {
+    bracket = await import('../utils/bracket.js');
+    ({ createRandom } = await import('../utils/random.js'));
+  });
+
+  test('should seed by skill and break ties the same way for the same seed', () => {
+    const roster = [
+      { participantId: 'a', skillLevel: 5 },
+      { participantId: 'b', skillLevel: 9 },
+      { participantId: 'c', skillLevel: 5 },
+      { participantId: 'd', skillLevel: 5 }
+    ];
+
+    const seeded = bracket.seedRoster(roster, createRandom(3));
+    expect(seeded[0]).toEqual({ participantId: 'b', skillLevel: 9, seed: 1 });
+    expect(seeded.map(p => p.seed)).toEqual([1, 2, 3, 4]);
+    expect(bracket.seedRoster(roster, createRandom(3))).toEqual(seeded);
+  });
+
+  test('should pair the best seed against the worst in the first round', () => {
+    const slots = bracket.pairRound([1, 2, 3, 4].map(seed => player(`p${seed}`, seed)), { fold: true });
+
+    expect(slots.map(s => s.participantIds)).toEqual([['p1', 'p4'], ['p2', 'p3']]);
+    expect(slots.every(s => s.fill === null)).toBe(true);
+  });
+
+  test('should give the bye to the best seed who has not had one', () => {
+    const players = [player('p1', 1), player('p2', 2), player('p3', 3)];
+
+    expect(bracket.pairRound(players, { fillMode: 'bye' })[0]).toEqual({ slot: 0, participantIds: ['p1'], fill: 'bye' });
+    expect(bracket.pairRound(players, { fillMode: 'ai', byes: ['p1'] })[0]).toEqual({ slot: 0, participantIds: ['p2'], fill: 'ai' });
+  });
+
+  test('should advance the winner, the better seed on a tie and the human against an AI', () => {
+    const slot = { participantIds: ['p2', 'p3'], fill: null };
+    const outcome = (participantId, result) => ({ participantId, result });
+
+    expect(bracket.getSlotWinner(slot, { status: 'completed', outcomes: [outcome('p2', 'loss'), outcome('p3', 'win')] }, seeds))
+      .toEqual({ resolved: true, winnerId: 'p3' });
+    expect(bracket.getSlotWinner(slot, { status: 'completed', outcomes: [outcome('p3', 'tie'), outcome('p2', 'tie')] }, seeds))
+      .toEqual({ resolved: true, winnerId: 'p2' });
+    expect(bracket.getSlotWinner(slot, { status: 'completed', outcomes: [outcome('p3', 'loss')] }, seeds))
+      .toEqual({ resolved: true, winnerId: 'p3' });
+    expect(bracket.getSlotWinner(slot, { status: 'matched' }, seeds)).toEqual({ resolved: false, winnerId: null });
+  });
+
+  test('should advance nobody from a slot nobody played', () => {
+    const slot = { participantIds: ['p1', 'p4'], fill: null };
+
+    expect(bracket.getSlotWinner(slot, { status: 'no_show' }, seeds)).toEqual({ resolved: true, winnerId: null });
+    expect(bracket.getSlotWinner(slot, null, seeds)).toEqual({ resolved: true, winnerId: null });
+    expect(bracket.getAdvancingPlayers({ slots: [{ winnerId: 'p2' }, { winnerId: null }] })).toEqual(['p2']);
+  });
+
+  test('should count the rounds down to one player', () => {
+    expect(bracket.getRoundCount(2)).toBe(1);
+    expect(bracket.getRoundCount(5)).toBe(3);
+    expect(bracket.getRoundCount(8)).toBe(3);
+  });
+});
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+
+// Tests for scheduling bracket rounds around other scheduled matches (Redis calls are stubbed)
+describe('Bracket scheduling', () => {
+  let BracketService;
+  let MatchmakingEngine;
+  let RedisService;
+
+  const GROUP_5 = 'Group 5: Goal Setting + AI Assistant + Blind Competition';
+
+  const roster = (treatmentGroup = 'Group 1: Control') => ['p1', 'p2', 'p3', 'p4'].map((participantId, i) => ({
+    participantId,
+    participantName: `Player ${i + 1}`,
+    skillLevel: 9 - i,
+    treatmentGroup
+  }));
+
+  let bookings;
+  let schedulePairing;
+
+  beforeAll(async () => {
+    BracketService = (await import('../services/BracketService.js')).default;
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // roundNumber -> participantId -> pairing booked by something else
+    bookings = {};
+    jest.spyOn(RedisService, 'getParticipantPairing').mockImplementation(async (roundNumber, participantId) => bookings[roundNumber]?.[participantId] || null);
+    jest.spyOn(RedisService, 'saveBracket').mockResolvedValue(true);
+    jest.spyOn(MatchmakingEngine, 'publishEvent').mockResolvedValue();
+    let pairings = 0;
+    schedulePairing = jest.spyOn(MatchmakingEngine, 'schedulePairing').mockImplementation(async (participantIds, roundNumber) => ({
+      pairingId: `pairing-${++pairings}`,
+      participantIds,
+      roundNumber
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refuse a roster player who already has a scheduled match in a bracket round', async () => {
+    bookings[2] = { p3: { pairingId: 'rr-1', status: 'pending' } };
+
+    await expect(BracketService.createBracket({ roundNumber: 1, roster: roster() }))
+      .rejects.toThrow('participant p3 already has a scheduled match in round 2');
+    expect(schedulePairing).not.toHaveBeenCalled();
+  });
+
+  test('should ignore finished bookings', async () => {
+    bookings[1] = { p3: { pairingId: 'rr-1', status: 'completed' } };
+
+    const bracket = await BracketService.createBracket({ roundNumber: 1, roster: roster() });
+
+    expect(bracket.rounds[0].slots).toHaveLength(2);
+    expect(schedulePairing).toHaveBeenCalledTimes(2);
+  });
+
+  test('should give the opponent a walkover when a player was booked for the next round meanwhile', async () => {
+    const bracket = await BracketService.createBracket({ roundNumber: 1, roster: roster() });
+    bookings[2] = { p2: { pairingId: 'rr-1', status: 'pending' } };
+    schedulePairing.mockClear();
+
+    const next = await BracketService.scheduleRound(bracket, 2, bracket.roster.filter(p => ['p1', 'p2'].includes(p.participantId)));
+    const [slot] = next.rounds[1].slots;
+
+    expect(schedulePairing).not.toHaveBeenCalled();
+    expect(slot).toMatchObject({ participantIds: ['p1', 'p2'], pairingId: null, resolved: true, winnerId: 'p1', result: 'walkover' });
+  });
+
+  test('should move on from a round decided entirely by walkovers', async () => {
+    const bracket = await BracketService.createBracket({ roundNumber: 1, roster: roster() });
+    bookings[2] = { p2: { pairingId: 'rr-1', status: 'pending' } };
+    const final = await BracketService.scheduleRound(bracket, 2, bracket.roster.filter(p => ['p1', 'p2'].includes(p.participantId)));
+
+    jest.spyOn(RedisService, 'acquireLock').mockResolvedValue(true);
+    jest.spyOn(RedisService, 'releaseLock').mockResolvedValue(true);
+    jest.spyOn(RedisService, 'getBracket').mockResolvedValue(final);
+
+    const updated = await BracketService.updateBracket(final.bracketId);
+
+    expect(updated.status).toBe('finished');
+    expect(updated.championId).toBe('p1');
+  });
+
+  test('should show players by seed only when names are hidden', async () => {
+    const bracket = await BracketService.createBracket({ roundNumber: 1, roster: roster(GROUP_5) });
+    const view = BracketService.toPublicBracket({ ...bracket, championId: 'p1' });
+
+    expect(view.roster.map(p => p.participantId)).toEqual(['seed-1', 'seed-2', 'seed-3', 'seed-4']);
+    expect(view.rounds[0].slots.map(slot => slot.participantIds)).toEqual([['seed-1', 'seed-4'], ['seed-2', 'seed-3']]);
+    expect(view.championId).toBe('seed-1');
+    expect(JSON.stringify(view)).not.toMatch(/"p[1-4]"|Player/);
+  });
+
+  test('should keep participant IDs when everyone may see names', async () => {
+    const bracket = await BracketService.createBracket({ roundNumber: 1, roster: roster() });
+    const view = BracketService.toPublicBracket(bracket);
+
+    expect(view.rounds[0].slots.map(slot => slot.participantIds)).toEqual([['p1', 'p4'], ['p2', 'p3']]);
+    expect(view.roster[0]).toEqual({ participantId: 'p1', participantName: 'Player 1', seed: 1 });
+  });
+});
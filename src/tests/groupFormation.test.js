@@ -0,0 +1,46 @@
+// Tests for N-player group formation (pure functions, no Redis required)
+describe('Group formation', () => {
+  let formGroup;
+  let formGroups;
+
+  const withinSkill = (threshold) => (a, b) => Math.abs(a.skillLevel - b.skillLevel) <= threshold;
+
+  beforeAll(async () => {
+    const module = await import('../utils/groupFormation.js');
+    formGroup = module.formGroup;
+    formGroups = module.formGroups;
+  });
+
+  test('should add compatible candidates in queue order', () => {
+    const seed = { participantId: 'a', skillLevel: 5 };
+    const candidates = [
+      { participantId: 'b', skillLevel: 9 },
+      { participantId: 'c', skillLevel: 5.5 },
+      { participantId: 'd', skillLevel: 6 },
+      { participantId: 'e', skillLevel: 5 }
+    ];
+
+    const members = formGroup(seed, candidates, 3, withinSkill(1));
+    expect(members.map(m => m.participantId)).toEqual(['a', 'c', 'd']);
+  });
+
+  test('should require every member to be compatible with each other', () => {
+    const seed = { participantId: 'a', skillLevel: 5 };
+    const candidates = [
+      { participantId: 'b', skillLevel: 6 },
+      { participantId: 'c', skillLevel: 4 }
+    ];
+
+    // c is within 1 of a but 2 away from b
+    const members = formGroup(seed, candidates, 3, withinSkill(1));
+    expect(members.map(m => m.participantId)).toEqual(['a', 'b']);
+  });
+
+  test('should split a queue into full groups and leave the rest waiting', () => {
+    const entries = ['a', 'b', 'c', 'd', 'e'].map(id => ({ participantId: id, skillLevel: 7 }));
+
+    const { groups, unmatched } = formGroups(entries, 3, withinSkill(1));
+    expect(groups.map(g => g.map(m => m.participantId))).toEqual([['a', 'b', 'c']]);
+    expect(unmatched.map(m => m.participantId)).toEqual(['d', 'e']);
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+
+// Tests for joining and leaving session lobbies (Redis calls are stubbed)
+describe('Lobby membership', () => {
+  let LobbyService;
+  let WebSocketService;
+  let MatchmakingEngine;
+  let RedisService;
+
+  let lobby;
+  let calls;
+
+  const fakeSocket = (id) => ({ id, join: jest.fn(), leave: jest.fn(), emit: jest.fn() });
+
+  // Records the order in which the lobby lock, the member list and the participant status change
+  const record = (entry, value) => async (...args) => {
+    calls.push(entry(...args));
+    return value;
+  };
+
+  beforeAll(async () => {
+    LobbyService = (await import('../services/LobbyService.js')).default;
+    WebSocketService = (await import('../services/WebSocketService.js')).default;
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    WebSocketService.connectedClients.set('p1', { socketId: 'socket-1', participantId: 'p1', lobbyId: 'lobby-1' });
+
+    lobby = { lobbyId: 'lobby-1', roundNumber: 1, status: 'open', opensAt: 0, minParticipants: 4, maxParticipants: null, rngSeed: 42, settings: {} };
+    calls = [];
+    jest.spyOn(RedisService, 'acquireLock').mockImplementation(record(key => `lock ${key}`, true));
+    jest.spyOn(RedisService, 'releaseLock').mockImplementation(record(key => `unlock ${key}`, true));
+    jest.spyOn(RedisService, 'getLobby').mockImplementation(async () => ({ ...lobby }));
+    jest.spyOn(RedisService, 'getLobbyMembers').mockResolvedValue([]);
+    jest.spyOn(RedisService, 'addLobbyMember').mockImplementation(record((lobbyId, member) => `add ${member.participantId}`, 1));
+    jest.spyOn(RedisService, 'setParticipantStatus').mockImplementation(record((participantId, status) => `${status} ${participantId}`, true));
+    jest.spyOn(LobbyService, 'publishLobbyUpdate').mockResolvedValue();
+    jest.spyOn(LobbyService, 'getLobbyState').mockImplementation(async () => ({ ...lobby, members: [], memberCount: 1 }));
+    jest.spyOn(MatchmakingEngine, 'startMatchmaking').mockResolvedValue({ status: 'searching' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    WebSocketService.connectedClients.clear();
+  });
+
+  test('should not let a socket remove someone else from a lobby', async () => {
+    const leaveLobby = jest.spyOn(LobbyService, 'leaveLobby').mockResolvedValue(true);
+    const socket = fakeSocket('socket-2');
+
+    await WebSocketService.handleLeaveLobby(socket, { lobbyId: 'lobby-1', participantId: 'p1' });
+
+    expect(leaveLobby).not.toHaveBeenCalled();
+    expect(socket.emit).toHaveBeenCalledWith('error', { message: expect.stringContaining('Register as this participant') });
+    expect(WebSocketService.connectedClients.get('p1').lobbyId).toBe('lobby-1');
+  });
+
+  test('should let the registered socket leave its lobby', async () => {
+    const leaveLobby = jest.spyOn(LobbyService, 'leaveLobby').mockResolvedValue(true);
+    const socket = fakeSocket('socket-1');
+
+    await WebSocketService.handleLeaveLobby(socket, { lobbyId: 'lobby-1', participantId: 'p1' });
+
+    expect(leaveLobby).toHaveBeenCalledWith('lobby-1', 'p1');
+    expect(socket.emit).toHaveBeenCalledWith('lobby_left', expect.objectContaining({ lobbyId: 'lobby-1', participantId: 'p1' }));
+    expect(WebSocketService.connectedClients.get('p1').lobbyId).toBeNull();
+  });
+
+  test('should add a joiner to the lobby while holding the lobby lock', async () => {
+    const result = await LobbyService.joinLobby('lobby-1', { participantId: 'p1', participantName: 'Alice' });
+
+    expect(result.status).toBe('joined');
+    expect(calls).toEqual(['lock lobbylock:lobby-1', 'add p1', 'in_lobby p1', 'unlock lobbylock:lobby-1']);
+  });
+
+  test('should send a joiner into matchmaking when the lobby started while they waited for the lock', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    RedisService.acquireLock.mockImplementationOnce(async () => {
+      // startLobby holds the lock, saves the start and snapshots the members without this joiner
+      lobby.status = 'started';
+      return false;
+    });
+
+    const result = await LobbyService.joinLobby('lobby-1', { participantId: 'p1', participantName: 'Alice' });
+
+    expect(result).toEqual({ status: 'started', lobbyId: 'lobby-1', matchmaking: { status: 'searching' } });
+    expect(RedisService.addLobbyMember).toHaveBeenCalledWith('lobby-1', expect.objectContaining({ participantId: 'p1' }));
+    expect(RedisService.setParticipantStatus).not.toHaveBeenCalledWith('p1', 'in_lobby', expect.anything());
+    expect(MatchmakingEngine.startMatchmaking).toHaveBeenCalledWith(expect.objectContaining({ participantId: 'p1', roundNumber: 1, lobbyId: 'lobby-1' }));
+  });
+
+  test('should reset the status of a participant who leaves a lobby', async () => {
+    jest.spyOn(RedisService, 'removeLobbyMember').mockImplementation(record((lobbyId, participantId) => `remove ${participantId}`, true));
+
+    const removed = await LobbyService.leaveLobby('lobby-1', 'p1');
+
+    expect(removed).toBe(true);
+    expect(calls).toEqual(['lock lobbylock:lobby-1', 'remove p1', 'idle p1', 'unlock lobbylock:lobby-1']);
+  });
+
+  test('should leave the status alone once the lobby has started', async () => {
+    lobby.status = 'started';
+    const removeLobbyMember = jest.spyOn(RedisService, 'removeLobbyMember').mockResolvedValue(true);
+
+    const removed = await LobbyService.leaveLobby('lobby-1', 'p1');
+
+    expect(removed).toBe(false);
+    expect(removeLobbyMember).not.toHaveBeenCalled();
+    expect(RedisService.setParticipantStatus).not.toHaveBeenCalled();
+  });
+});
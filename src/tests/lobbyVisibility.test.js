@@ -0,0 +1,48 @@
+// Tests for the lobby view participants get (no Redis required)
+describe('Public lobby view', () => {
+  let LobbyService;
+
+  const lobby = (groups) => ({
+    lobbyId: 'lobby-1',
+    name: 'Round 1 session',
+    roundNumber: 1,
+    status: 'open',
+    opensAt: 1000,
+    startDeadline: null,
+    minParticipants: 4,
+    maxParticipants: null,
+    createdAt: 900,
+    startedAt: null,
+    closedAt: null,
+    rngSeed: 12345,
+    settings: { matchingStrategy: 'random' },
+    studyId: 'study-a',
+    members: groups.map((treatmentGroup, i) => ({ participantId: `p${i}`, participantName: `Player ${i}`, treatmentGroup, joinedAt: 1000 + i })),
+    memberCount: groups.length
+  });
+
+  beforeAll(async () => {
+    LobbyService = (await import('../services/LobbyService.js')).default;
+  });
+
+  test('should leave out treatment groups, settings and the session seed', () => {
+    const view = LobbyService.toPublicLobby(lobby(['Group 1: Control', 'Group 1: Control']));
+
+    expect(view).not.toHaveProperty('rngSeed');
+    expect(view).not.toHaveProperty('settings');
+    expect(view).not.toHaveProperty('studyId');
+    expect(view.memberCount).toBe(2);
+    expect(view.members).toEqual([
+      { participantName: 'Player 0', joinedAt: 1000 },
+      { participantName: 'Player 1', joinedAt: 1001 }
+    ]);
+  });
+
+  test('should hide member names when a blind group is in the lobby', () => {
+    const view = LobbyService.toPublicLobby(lobby(['Group 1: Control', 'Group 5: Goal Setting + AI Assistant + Blind Competition']));
+
+    expect(view.memberCount).toBe(2);
+    expect(view.members).toEqual([]);
+    expect(JSON.stringify(view)).not.toContain('Group 5');
+  });
+});
@@ -0,0 +1,36 @@
+// Tests for the match lifecycle (pure functions, no Redis required)
+describe('Match lifecycle', () => {
+  let lifecycle;
+
+  beforeAll(async () => {
+    lifecycle = await import('../utils/matchLifecycle.js');
+  });
+
+  test('should allow the documented transitions', () => {
+    expect(lifecycle.canTransition('proposed', 'active')).toBe(true);
+    expect(lifecycle.canTransition('proposed', 'cancelled')).toBe(true);
+    ['completed', 'abandoned', 'forfeited', 'cancelled'].forEach(status => {
+      expect(lifecycle.canTransition('active', status)).toBe(true);
+    });
+  });
+
+  test('should reject illegal transitions', () => {
+    expect(lifecycle.canTransition('proposed', 'completed')).toBe(false);
+    expect(lifecycle.canTransition('active', 'proposed')).toBe(false);
+    expect(lifecycle.canTransition('active', 'active')).toBe(false);
+    expect(lifecycle.canTransition('completed', 'active')).toBe(false);
+    expect(lifecycle.canTransition('paused', 'active')).toBe(false);
+  });
+
+  test('should treat the end states as final', () => {
+    expect(lifecycle.isFinalStatus('completed')).toBe(true);
+    expect(lifecycle.isFinalStatus('cancelled')).toBe(true);
+    expect(lifecycle.isFinalStatus('active')).toBe(false);
+    expect(lifecycle.isFinalStatus('unknown')).toBe(false);
+  });
+
+  test('should collect lifecycle timestamps', () => {
+    const match = { id: 'm1', status: 'completed', active_at: 'a', completed_at: 'b', created_at: 'c' };
+    expect(lifecycle.getStatusTimestamps(match)).toEqual({ active_at: 'a', completed_at: 'b' });
+  });
+});
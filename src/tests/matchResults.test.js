@@ -0,0 +1,66 @@
+// Tests for match result reconciliation (pure functions, no Redis required)
+describe('Match results', () => {
+  let results;
+
+  beforeAll(async () => {
+    results = await import('../utils/matchResults.js');
+  });
+
+  test('should derive win, loss and tie from scores', () => {
+    expect(results.getOutcome(5, 3)).toBe('win');
+    expect(results.getOutcome(3, 5)).toBe('loss');
+    expect(results.getOutcome(4, 4)).toBe('tie');
+  });
+
+  test('should only accept non-negative numeric scores', () => {
+    expect(results.isValidScore(0)).toBe(true);
+    expect(results.isValidScore(7.5)).toBe(true);
+    expect(results.isValidScore(-1)).toBe(false);
+    expect(results.isValidScore('5')).toBe(false);
+    expect(results.isValidScore(NaN)).toBe(false);
+  });
+
+  test('should wait until every human player has reported', () => {
+    const reconciled = results.reconcileReports(['p1', 'p2'], { p1: { score: 5 } });
+    expect(reconciled.complete).toBe(false);
+  });
+
+  test('should decide a human match from each player\'s own score', () => {
+    const reconciled = results.reconcileReports(['p1', 'p2'], {
+      p1: { score: 5, opponentScore: 3 },
+      p2: { score: 3, opponentScore: 5 }
+    });
+
+    expect(reconciled.disputed).toBe(false);
+    expect(reconciled.outcomes).toEqual([
+      { participantId: 'p1', opponentId: 'p2', score: 5, opponentScore: 3, result: 'win' },
+      { participantId: 'p2', opponentId: 'p1', score: 3, opponentScore: 5, result: 'loss' }
+    ]);
+  });
+
+  test('should flag reports that disagree about the other player\'s score', () => {
+    const reconciled = results.reconcileReports(['p1', 'p2'], {
+      p1: { score: 5, opponentScore: 1 },
+      p2: { score: 3, opponentScore: 5 }
+    });
+
+    expect(reconciled.disputed).toBe(true);
+    expect(reconciled.outcomes[0].opponentScore).toBe(3);
+  });
+
+  test('should take the AI score from a lone human\'s report', () => {
+    const reconciled = results.reconcileReports(['p1'], { p1: { score: 4, opponentScore: 4 } }, 'ai-1');
+    expect(reconciled.outcomes).toEqual([
+      { participantId: 'p1', opponentId: 'ai-1', score: 4, opponentScore: 4, result: 'tie' }
+    ]);
+  });
+
+  test('should compare group players against the best other score', () => {
+    const reconciled = results.reconcileReports(['p1', 'p2', 'p3'], {
+      p1: { score: 2 }, p2: { score: 6 }, p3: { score: 4 }
+    });
+
+    expect(reconciled.outcomes.map(o => o.result)).toEqual(['loss', 'win', 'loss']);
+    expect(reconciled.outcomes[0].opponentId).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+
+// Tests for the matcher leader lease (Redis calls are stubbed)
+describe('Matcher leadership', () => {
+  let MatchmakingEngine;
+  let RedisService;
+
+  beforeAll(async () => {
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    MatchmakingEngine.isLeader = false;
+    MatchmakingEngine.recoveryPending = false;
+  });
+
+  test('should give up leadership when renewing the lease fails with an error', async () => {
+    MatchmakingEngine.isLeader = true;
+    jest.spyOn(RedisService, 'renewLock').mockRejectedValue(new Error('connection lost'));
+
+    expect(await MatchmakingEngine.ensureLeadership()).toBe(false);
+    expect(MatchmakingEngine.isLeader).toBe(false);
+  });
+
+  test('should renew the lease between passes and stop the tick once it is lost', async () => {
+    MatchmakingEngine.isLeader = true;
+    // Renewed at the start of the tick and before the first two passes, then lost
+    const renewLock = jest.spyOn(RedisService, 'renewLock')
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(true)
+      .mockResolvedValue(false);
+    const readyChecks = jest.spyOn(MatchmakingEngine, 'processReadyCheckDeadlines').mockResolvedValue();
+    const aiFallbacks = jest.spyOn(MatchmakingEngine, 'processAIFallbackDeadlines').mockResolvedValue();
+    const reconnects = jest.spyOn(MatchmakingEngine, 'processReconnectDeadlines').mockResolvedValue();
+    const pairing = jest.spyOn(MatchmakingEngine, 'runPairingPass').mockResolvedValue();
+
+    await MatchmakingEngine.runMatcherTick();
+
+    expect(readyChecks).toHaveBeenCalled();
+    expect(aiFallbacks).toHaveBeenCalled();
+    expect(reconnects).not.toHaveBeenCalled();
+    expect(pairing).not.toHaveBeenCalled();
+    expect(renewLock).toHaveBeenCalledTimes(4);
+    expect(MatchmakingEngine.isLeader).toBe(false);
+    expect(MatchmakingEngine.matcherTickRunning).toBe(false);
+  });
+});
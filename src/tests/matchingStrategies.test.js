@@ -0,0 +1,56 @@
+// Tests for matching strategies (pure functions, no Redis required)
+describe('Matching strategies', () => {
+  let strategies;
+  let createRandom;
+
+  const searcher = { participantId: 's', treatmentGroup: 'control', skillLevel: 7 };
+  const candidate = (participantId, treatmentGroup, distance, timesPlayed = 0) => ({
+    entry: { participantId, treatmentGroup },
+    distance,
+    timesPlayed
+  });
+  const ids = (entries) => entries.map(e => e.participantId);
+
+  const candidates = [
+    candidate('a', 'goal_setting', 1.0),
+    candidate('b', 'control', 0.8, 1),
+    candidate('c', 'control', 0.2),
+    candidate('d', 'goal_setting', 0.2)
+  ];
+
+  beforeAll(async () => {
+    strategies = await import('../utils/matchingStrategies.js');
+    ({ createRandom } = await import('../utils/random.js'));
+  });
+
+  test('fifo keeps queue order, preferring opponents not played before', () => {
+    expect(ids(strategies.rankCandidates('fifo', searcher, candidates))).toEqual(['a', 'c', 'd', 'b']);
+  });
+
+  test('closest_skill orders by distance, ties in queue order', () => {
+    expect(ids(strategies.rankCandidates('closest_skill', searcher, candidates))).toEqual(['c', 'd', 'b', 'a']);
+  });
+
+  test('random is reproducible with a seeded generator', () => {
+    const first = strategies.rankCandidates('random', searcher, candidates, { random: createRandom(5) });
+    const second = strategies.rankCandidates('random', searcher, candidates, { random: createRandom(5) });
+
+    expect(ids(first)).toEqual(ids(second));
+    expect(ids(first).sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('stratified puts the searcher\'s treatment group first', () => {
+    expect(ids(strategies.rankCandidates('stratified', searcher, candidates))).toEqual(['b', 'c', 'a', 'd']);
+  });
+
+  test('unknown strategies fall back to fifo', () => {
+    expect(strategies.isValidStrategy('nearest')).toBe(false);
+    expect(ids(strategies.rankCandidates('nearest', searcher, candidates))).toEqual(['a', 'c', 'd', 'b']);
+  });
+
+  test('should not modify the candidate list', () => {
+    const before = ids(candidates.map(c => c.entry));
+    strategies.rankCandidates('closest_skill', searcher, candidates);
+    expect(ids(candidates.map(c => c.entry))).toEqual(before);
+  });
+});
@@ -249,6 +249,38 @@ describe('Helper Functions', () => {
     });
   });
 
+  describe('calculateSkillWindow', () => {
+    const options = { baseThreshold: 1.5, stepMs: 10000, stepSize: 0.5, growthRate: 2, maxThreshold: 4 };
+
+    test('should start at the base threshold', () => {
+      expect(helpers.calculateSkillWindow(0, { ...options, curve: 'step' })).toBe(1.5);
+      expect(helpers.calculateSkillWindow(60000, { ...options, curve: 'fixed' })).toBe(1.5);
+    });
+
+    test('should widen according to the configured curve', () => {
+      expect(helpers.calculateSkillWindow(15000, { ...options, curve: 'step' })).toBe(2);
+      expect(helpers.calculateSkillWindow(15000, { ...options, curve: 'linear' })).toBe(2.25);
+      expect(helpers.calculateSkillWindow(10000, { ...options, curve: 'exponential' })).toBe(3);
+    });
+
+    test('should not exceed the maximum threshold', () => {
+      expect(helpers.calculateSkillWindow(600000, { ...options, curve: 'linear' })).toBe(4);
+      expect(helpers.calculateSkillWindow(600000, { ...options, curve: 'exponential' })).toBe(4);
+    });
+  });
+
+  describe('calculateMatchQuality', () => {
+    test('should score closer skill levels higher', () => {
+      const joinedAt = Date.now();
+      const close = helpers.calculateMatchQuality({ skillLevel: 7, joinedAt }, { skillLevel: 7.2, joinedAt });
+      const far = helpers.calculateMatchQuality({ skillLevel: 7, joinedAt }, { skillLevel: 10, joinedAt });
+
+      expect(close).toBeGreaterThan(far);
+      expect(close).toBeLessThanOrEqual(1);
+      expect(far).toBeGreaterThanOrEqual(0);
+    });
+  });
+
   describe('clamp', () => {
     test('should clamp values within range', () => {
       expect(helpers.clamp(5, 1, 10)).toBe(5);
@@ -285,4 +317,60 @@ describe('Configuration', () => {
     expect(config.matchmaking.skillMatchingThreshold).toBeGreaterThan(0);
     expect(typeof config.matchmaking.aiFallbackEnabled).toBe('boolean');
   });
+
+  test('should have valid queue capacity configuration', () => {
+    expect(config.matchmaking.maxQueueSize).toBeGreaterThan(0);
+    expect(typeof config.matchmaking.roundQueueCapacities).toBe('object');
+    expect(typeof config.matchmaking.waitlist.enabled).toBe('boolean');
+    expect(config.matchmaking.waitlist.maxSize).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should have a valid reconnection grace period', () => {
+    expect(Number.isInteger(config.websocket.reconnectGraceMs)).toBe(true);
+    expect(config.websocket.reconnectGraceMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should have valid wait-time estimate settings', () => {
+    expect(config.matchmaking.waitTimeEstimates.windowMs).toBeGreaterThan(0);
+    expect(config.matchmaking.waitTimeEstimates.minSamples).toBeGreaterThan(0);
+    expect(config.websocket.queueStatusInterval).toBeGreaterThan(0);
+  });
+
+  test('should have valid match session settings', () => {
+    expect(config.matchSessions.questionsPerMatch).toBeGreaterThan(0);
+    expect(config.matchSessions.questionTimeMs).toBeGreaterThan(0);
+    expect(config.matchSessions.joinTimeoutMs).toBeGreaterThan(0);
+  });
+
+  test('should have valid substitution settings', () => {
+    expect(typeof config.matchmaking.substitution.enabled).toBe('boolean');
+    expect(config.matchmaking.substitution.graceMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should have valid bracket and scheduled pairing settings', () => {
+    expect(['bye', 'ai']).toContain(config.brackets.fillMode);
+    expect(config.matchmaking.scheduledPairings.noShowTimeoutMs).toBeGreaterThan(0);
+    expect(config.matchmaking.scheduledPairings.expiresAfterMs).toBeGreaterThan(config.matchmaking.scheduledPairings.noShowTimeoutMs);
+  });
+
+  test('should have valid rating settings', () => {
+    expect(['elo', 'glicko2']).toContain(config.ratings.algorithm);
+    expect(config.ratings.eloKFactor).toBeGreaterThan(0);
+    expect(config.ratings.glickoTau).toBeGreaterThan(0);
+    expect(config.ratings.pointsPerSkillLevel).toBeGreaterThan(0);
+  });
+
+  test('should keep round-robin matches longer than other scheduled pairings', () => {
+    expect(config.roundRobins.pairingExpiryMs).toBeGreaterThan(config.matchmaking.scheduledPairings.noShowTimeoutMs);
+    expect(config.roundRobins.checkIntervalMs).toBeGreaterThan(0);
+  });
+
+  test('should have a valid pairing system', () => {
+    expect(['skill', 'swiss']).toContain(config.matchmaking.pairingSystem);
+    expect(config.matchmaking.swiss.settleMs).toBeGreaterThan(0);
+  });
+
+  test('should keep blind competition blind by default', () => {
+    expect(config.matchmaking.visibility.groups['Group 5: Goal Setting + AI Assistant + Blind Competition']).toBe('blind');
+  });
 });
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Tests for treatment-group pairing rules (pure functions, no Redis required)
+describe('Treatment pairing rules', () => {
+  let pairingRules;
+
+  const GROUP_4 = 'Group 4: Goal Setting + AI Assistant + Competition';
+  const GROUP_5 = 'Group 5: Goal Setting + AI Assistant + Blind Competition';
+
+  beforeAll(async () => {
+    pairingRules = await import('../utils/pairingRules.js');
+  });
+
+  describe('getPairingRule', () => {
+    test('strict mode only pairs the same treatment group', () => {
+      const options = { mode: 'strict', compatibility: {} };
+
+      expect(pairingRules.getPairingRule(GROUP_4, GROUP_4, options)).toBe('same_group');
+      expect(pairingRules.getPairingRule(GROUP_4, GROUP_5, options)).toBeNull();
+    });
+
+    test('matrix mode allows listed groups in either direction', () => {
+      const options = { mode: 'matrix', compatibility: { control: ['goal_setting'] } };
+
+      expect(pairingRules.getPairingRule('control', 'goal_setting', options)).toBe('compatibility_matrix');
+      expect(pairingRules.getPairingRule('goal_setting', 'control', options)).toBe('compatibility_matrix');
+      expect(pairingRules.getPairingRule('control', 'control', options)).toBe('same_group');
+      expect(pairingRules.getPairingRule(GROUP_4, GROUP_5, options)).toBeNull();
+    });
+
+    test('matrix compatibility is ignored in strict mode', () => {
+      const options = { mode: 'strict', compatibility: { control: ['goal_setting'] } };
+      expect(pairingRules.getPairingRule('control', 'goal_setting', options)).toBeNull();
+    });
+
+    test('pooled mode pairs any groups', () => {
+      const options = { mode: 'pooled' };
+      expect(pairingRules.getPairingRule(GROUP_4, GROUP_5, options)).toBe('pooled');
+    });
+
+    test('missing groups are treated as control', () => {
+      const options = { mode: 'strict' };
+      expect(pairingRules.getPairingRule(undefined, 'control', options)).toBe('same_group');
+    });
+  });
+
+  describe('getGroupPairingRule', () => {
+    test('should record the loosest rule any pair of members needed', () => {
+      const options = { mode: 'matrix', compatibility: { control: ['goal_setting'] } };
+
+      expect(pairingRules.getGroupPairingRule(['control', 'control', 'control'], options)).toBe('same_group');
+      expect(pairingRules.getGroupPairingRule(['control', 'goal_setting', 'control'], options)).toBe('compatibility_matrix');
+    });
+
+    test('should reject a group with any incompatible pair', () => {
+      const options = { mode: 'matrix', compatibility: { control: ['goal_setting'] } };
+      expect(pairingRules.getGroupPairingRule(['control', 'goal_setting', GROUP_4], options)).toBeNull();
+    });
+  });
+
+  describe('filterCompatibleCandidates', () => {
+    test('should keep only compatible queue entries', () => {
+      const candidates = [
+        { participantId: 'a', treatmentGroup: GROUP_4 },
+        { participantId: 'b', treatmentGroup: GROUP_5 },
+        { participantId: 'c', treatmentGroup: GROUP_4 }
+      ];
+
+      const compatible = pairingRules.filterCompatibleCandidates(GROUP_4, candidates, { mode: 'strict' });
+      expect(compatible.map(c => c.participantId)).toEqual(['a', 'c']);
+    });
+  });
+});
+
+describe('Rematch policy', () => {
+  let rematchPolicy;
+
+  beforeAll(async () => {
+    rematchPolicy = await import('../utils/rematchPolicy.js');
+  });
+
+  test('should count previous meetings from opponent history', () => {
+    const history = { a: 2 };
+    expect(rematchPolicy.getTimesPlayed(history, 'a')).toBe(2);
+    expect(rematchPolicy.getTimesPlayed(history, 'b')).toBe(0);
+    expect(rematchPolicy.getTimesPlayed(undefined, 'a')).toBe(0);
+  });
+
+  test('should leave first meetings untouched', () => {
+    expect(rematchPolicy.applyRematchPolicy(1.2, 0, { policy: 'avoid' })).toBe(1.2);
+  });
+
+  test('should apply the configured policy to repeat opponents', () => {
+    expect(rematchPolicy.applyRematchPolicy(1, 1, { policy: 'allow', penalty: 2 })).toBe(1);
+    expect(rematchPolicy.applyRematchPolicy(1, 2, { policy: 'penalize', penalty: 2 })).toBe(5);
+    expect(rematchPolicy.applyRematchPolicy(1, 1, { policy: 'avoid', penalty: 2 })).toBeNull();
+  });
+});
+
+describe('AI fallback policy', () => {
+  let aiFallbackPolicy;
+
+  const GROUP_5 = 'Group 5: Goal Setting + AI Assistant + Blind Competition';
+  const settings = {
+    enabled: true,
+    defaultPolicy: 'after_timeout',
+    timeoutMs: 180000,
+    groups: { [GROUP_5]: 'never', control: { policy: 'after_timeout', timeoutMs: 60000 }, goal_ai: 'immediate' }
+  };
+
+  beforeAll(async () => {
+    aiFallbackPolicy = await import('../utils/aiFallbackPolicy.js');
+  });
+
+  test('should resolve per-group policies and timeouts', () => {
+    expect(aiFallbackPolicy.getAIFallbackPolicy(GROUP_5, settings)).toEqual({ policy: 'never', timeoutMs: null });
+    expect(aiFallbackPolicy.getAIFallbackPolicy('control', settings)).toEqual({ policy: 'after_timeout', timeoutMs: 60000 });
+    expect(aiFallbackPolicy.getAIFallbackPolicy('goal_ai', settings)).toEqual({ policy: 'immediate', timeoutMs: null });
+  });
+
+  test('should use the default policy for unlisted groups', () => {
+    expect(aiFallbackPolicy.getAIFallbackPolicy('tournament', settings)).toEqual({ policy: 'after_timeout', timeoutMs: 180000 });
+  });
+
+  test('should never use AI when fallback is disabled or the policy is unknown', () => {
+    expect(aiFallbackPolicy.getAIFallbackPolicy('control', { ...settings, enabled: false }).policy).toBe('never');
+    expect(aiFallbackPolicy.getAIFallbackPolicy('x', { ...settings, groups: { x: 'sometimes' } }).policy).toBe('never');
+  });
+
+  test('should compute the fallback deadline from the policy', () => {
+    expect(aiFallbackPolicy.getAIFallbackDeadline({ policy: 'after_timeout', timeoutMs: 60000 }, 1000)).toBe(61000);
+    expect(aiFallbackPolicy.getAIFallbackDeadline({ policy: 'immediate', timeoutMs: null }, 1000)).toBe(1000);
+    expect(aiFallbackPolicy.getAIFallbackDeadline({ policy: 'never', timeoutMs: null }, 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+// Tests for the question bank (pure functions and the bundled bank, no Redis required)
+describe('Question bank', () => {
+  let bank;
+  let createRandom;
+
+  const question = (id, overrides = {}) => ({ id, text: `Question ${id}`, options: ['a', 'b', 'c'], answer: 0, ...overrides });
+
+  beforeAll(async () => {
+    bank = await import('../utils/questionBank.js');
+    ({ createRandom } = await import('../utils/random.js'));
+  });
+
+  test('should fill in defaults for valid questions', () => {
+    expect(bank.normalizeQuestion(question('q1'))).toEqual({
+      id: 'q1', text: 'Question q1', options: ['a', 'b', 'c'], answer: 0, difficulty: 5, category: null
+    });
+  });
+
+  test('should reject unusable questions', () => {
+    expect(bank.normalizeQuestion(question('q1', { answer: 3 }))).toBeNull();
+    expect(bank.normalizeQuestion(question('q1', { options: ['only'] }))).toBeNull();
+    expect(bank.normalizeQuestion(question('q1', { text: '' }))).toBeNull();
+  });
+
+  test('should pick the same questions for the same seed', () => {
+    const questions = ['q1', 'q2', 'q3', 'q4', 'q5'].map(id => question(id));
+    const first = bank.selectQuestions(questions, 3, createRandom(11));
+
+    expect(first).toHaveLength(3);
+    expect(new Set(first).size).toBe(3);
+    expect(bank.selectQuestions(questions, 3, createRandom(11))).toEqual(first);
+  });
+
+  test('should never send the correct answer to players', () => {
+    expect(bank.toPublicQuestion(bank.normalizeQuestion(question('q1')))).not.toHaveProperty('answer');
+  });
+
+  test('should load the bundled question bank', () => {
+    const { questions, skipped } = bank.loadQuestionBank('src/data/questions');
+
+    expect(questions.length).toBeGreaterThanOrEqual(10);
+    expect(skipped).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+
+// Tests for round queue capacity under concurrent joins (Redis calls are stubbed)
+describe('Queue capacity', () => {
+  let MatchmakingEngine;
+  let RedisService;
+  let DatabaseService;
+  let config;
+
+  beforeAll(async () => {
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+    DatabaseService = (await import('../services/DatabaseService.js')).default;
+    ({ config } = await import('../config/index.js'));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    RedisService.client = null;
+    delete config.matchmaking.roundQueueCapacities[1];
+  });
+
+  test('should not let two joins racing for the last slot both into the queue', async () => {
+    config.matchmaking.roundQueueCapacities[1] = 2;
+    const queue = ['waiting'];
+    const waitlist = [];
+
+    // Both joins read the queue size before either of them is added
+    let sizeReads = 0;
+    let release;
+    const bothRead = new Promise(resolve => { release = resolve; });
+    jest.spyOn(RedisService, 'getQueueSize').mockImplementation(async () => {
+      const size = queue.length;
+      if (++sizeReads === 2) release();
+      await bothRead;
+      return size;
+    });
+
+    // The queue add is atomic: it only succeeds while there is room
+    const addToQueue = jest.spyOn(RedisService, 'addToQueue').mockImplementation(async (queueKey, entry, options = {}) => {
+      if (options.capacity !== undefined && queue.length >= options.capacity) return false;
+      queue.push(entry.participantId);
+      return true;
+    });
+
+    jest.spyOn(RedisService, 'getSearch').mockResolvedValue(null);
+    jest.spyOn(RedisService, 'getParticipantStatus').mockResolvedValue({});
+    jest.spyOn(RedisService, 'getParticipantPairing').mockResolvedValue(null);
+    jest.spyOn(RedisService, 'setParticipantStatus').mockResolvedValue(true);
+    jest.spyOn(RedisService, 'getWaitlistEntries').mockImplementation(async () => [...waitlist]);
+    jest.spyOn(RedisService, 'addToWaitlist').mockImplementation(async (roundNumber, participantData) => {
+      waitlist.push(participantData);
+      return true;
+    });
+    jest.spyOn(RedisService, 'recordArrival').mockResolvedValue();
+    jest.spyOn(RedisService, 'recordWaitStat').mockResolvedValue();
+    jest.spyOn(RedisService, 'incrementMatchStats').mockResolvedValue();
+    jest.spyOn(DatabaseService, 'getActiveMatchForParticipant').mockResolvedValue(null);
+    jest.spyOn(MatchmakingEngine, 'applyRating').mockImplementation(async (participantData) => participantData);
+    jest.spyOn(MatchmakingEngine, 'getQueuePosition').mockImplementation(async (participantId) => queue.indexOf(participantId));
+    jest.spyOn(MatchmakingEngine, 'cleanupParticipantQueue').mockResolvedValue();
+    jest.spyOn(MatchmakingEngine, 'startContinuousSearch').mockResolvedValue();
+    jest.spyOn(MatchmakingEngine, 'setAIFallbackTimeout').mockResolvedValue();
+    jest.spyOn(MatchmakingEngine, 'getWaitTimeEstimate').mockResolvedValue({ seconds: 30 });
+    jest.spyOn(MatchmakingEngine, 'publishWaitlistUpdate').mockResolvedValue();
+
+    const join = (participantId) => MatchmakingEngine.startMatchmaking({
+      participantId,
+      roundNumber: 1,
+      skillLevel: 5,
+      treatmentGroup: 'control'
+    });
+
+    const results = await Promise.all([join('p1'), join('p2')]);
+
+    expect(sizeReads).toBe(2);
+    expect(queue).toHaveLength(2);
+    expect(addToQueue).toHaveBeenCalledWith('queue:round:1', expect.anything(), { capacity: 2 });
+    expect(results.map(r => r.status).sort()).toEqual(['searching', 'waitlisted']);
+    expect(waitlist).toHaveLength(1);
+    expect(queue).not.toContain(waitlist[0].participantId);
+  });
+
+  test('should add to the queue through one atomic size check when a capacity is given', async () => {
+    const zAdd = jest.fn();
+    const evalScript = jest.fn().mockResolvedValue(0);
+    RedisService.client = { hGetAll: jest.fn().mockResolvedValue({}), eval: evalScript, zAdd, expire: jest.fn() };
+
+    const added = await RedisService.addToQueue('queue:round:1', { participantId: 'p1' }, { capacity: 3 });
+
+    expect(added).toBe(false);
+    expect(zAdd).not.toHaveBeenCalled();
+    expect(evalScript).toHaveBeenCalledWith(expect.stringContaining('zcard'), expect.objectContaining({
+      keys: ['queue:round:1'],
+      arguments: expect.arrayContaining(['3'])
+    }));
+  });
+});
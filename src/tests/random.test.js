@@ -0,0 +1,80 @@
+// Tests for seeded randomness (pure functions, no Redis required)
+describe('Seeded random', () => {
+  let random;
+
+  beforeAll(async () => {
+    random = await import('../utils/random.js');
+  });
+
+  test('should repeat the same sequence for the same seed', () => {
+    const a = random.createRandom(42);
+    const b = random.createRandom(42);
+    const sequenceA = Array.from({ length: 5 }, () => a());
+    const sequenceB = Array.from({ length: 5 }, () => b());
+
+    expect(sequenceA).toEqual(sequenceB);
+    sequenceA.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('should give different sequences for different seeds', () => {
+    expect(random.createRandom(1)()).not.toBe(random.createRandom(2)());
+  });
+
+  test('should derive stable child seeds', () => {
+    expect(random.deriveSeed(42, 1, 'p1')).toBe(random.deriveSeed(42, 1, 'p1'));
+    expect(random.deriveSeed(42, 1, 'p1')).not.toBe(random.deriveSeed(42, 1, 'p2'));
+  });
+
+  test('should accept integers and strings as seeds', () => {
+    expect(random.toSeed('1234')).toBe(1234);
+    expect(random.toSeed('lab-session')).toBe(random.toSeed('lab-session'));
+    expect(random.toSeed('')).toBeNull();
+    expect(random.toSeed(undefined)).toBeNull();
+  });
+});
+
+describe('Seeded AI behaviour', () => {
+  let AIOpponentService;
+  let helpers;
+
+  beforeAll(async () => {
+    const aiModule = await import('../services/AIOpponentService.js');
+    AIOpponentService = aiModule.default;
+    helpers = await import('../utils/helpers.js');
+  });
+
+  test('should pick the same AI opponent for the same seed', () => {
+    const a = AIOpponentService.createAIMatch('participant-1', 1, 7, 99);
+    const b = AIOpponentService.createAIMatch('participant-1', 1, 7, 99);
+
+    expect(a.opponent).toBe(b.opponent);
+    expect(a.aiSettings).toBe(b.aiSettings);
+    expect(a.rng_seed).toBe(99);
+  });
+
+  test('should give the same AI answers for the same seed', () => {
+    const aiSettings = JSON.parse(AIOpponentService.createAIMatch('participant-1', 1, 7, 99).aiSettings);
+    const answers = () => [1, 2, 3].map(q => AIOpponentService.simulateAIResponse(aiSettings, q, 5));
+
+    expect(answers()).toEqual(answers());
+  });
+
+  test('should keep AI response times independent of the opponent', () => {
+    const aiSettings = JSON.parse(AIOpponentService.createAIMatch('participant-1', 1, 7, 99).aiSettings);
+    const timing = (opponentCorrect) => AIOpponentService.simulateAIResponse(aiSettings, 4, 5, opponentCorrect).responseTimeMs;
+
+    expect(timing(true)).toBe(timing(null));
+    expect(timing(false)).toBe(timing(null));
+  });
+
+  test('should compute skill levels deterministically with a seeded generator', async () => {
+    const { createRandom } = await import('../utils/random.js');
+    const rounds = [{ total_correct: 6, total_questions: 10 }];
+
+    expect(helpers.calculateSkillLevel(rounds, createRandom(7)))
+      .toBe(helpers.calculateSkillLevel(rounds, createRandom(7)));
+  });
+});
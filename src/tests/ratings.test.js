@@ -0,0 +1,71 @@
+// Tests for participant ratings (pure functions, no Redis required)
+describe('Ratings', () => {
+  let ratings;
+
+  const player = (rating, deviation = 350, games = 0) => ({ rating, deviation, volatility: 0.06, games });
+
+  beforeAll(async () => {
+    ratings = await import('../utils/ratings.js');
+  });
+
+  test('should match the Glicko-2 reference example', () => {
+    const updated = ratings.updateGlicko2(player(1500, 200), [
+      { rating: 1400, deviation: 30, score: 1 },
+      { rating: 1550, deviation: 100, score: 0 },
+      { rating: 1700, deviation: 300, score: 0 }
+    ], { tau: 0.5 });
+
+    expect(updated.rating).toBeCloseTo(1464.06, 1);
+    expect(updated.deviation).toBeCloseTo(151.52, 1);
+    expect(updated.volatility).toBeCloseTo(0.05999, 4);
+    expect(updated.games).toBe(3);
+  });
+
+  test('should move Elo ratings by K times the surprise', () => {
+    const updated = ratings.updateElo(player(1500), [{ rating: 1500, score: 1 }], { kFactor: 32 });
+
+    expect(updated.rating).toBe(1516);
+    expect(updated.deviation).toBeLessThan(350);
+    expect(ratings.updateElo(player(1500), [{ rating: 1500, score: 0.5 }], { kFactor: 32 }).rating).toBe(1500);
+  });
+
+  test('should rate every human in a match against the others by score', () => {
+    const updated = ratings.rateMatch(
+      [{ participantId: 'a', score: 8 }, { participantId: 'b', score: 5 }],
+      {},
+      'elo',
+      { eloKFactor: 32 }
+    );
+
+    expect(updated.a.rating).toBe(1516);
+    expect(updated.b.rating).toBe(1484);
+    expect(ratings.rateMatch([{ participantId: 'a', score: 8 }], {}, 'elo')).toEqual({});
+  });
+
+  test('should rebuild ratings from history in order', () => {
+    const history = [
+      { players: [{ participantId: 'a', score: 5 }, { participantId: 'b', score: 3 }] },
+      { players: [{ participantId: 'b', score: 4 }, { participantId: 'c', score: 4 }] }
+    ];
+    const rebuilt = ratings.recalculateRatings(history, 'glicko2', { glickoTau: 0.5 });
+
+    expect(Object.keys(rebuilt).sort()).toEqual(['a', 'b', 'c']);
+    expect(rebuilt.a.rating).toBeGreaterThan(1500);
+    expect(rebuilt.b.games).toBe(2);
+    expect(ratings.recalculateRatings(history, 'glicko2', { glickoTau: 0.5 })).toEqual(rebuilt);
+  });
+
+  test('should grow confidence as the deviation falls', () => {
+    expect(ratings.getConfidence(player(1500, 350))).toBe(0);
+    expect(ratings.getConfidence(player(1500, 175))).toBe(0.5);
+    expect(ratings.getConfidence(player(1500, 0))).toBe(1);
+  });
+
+  test('should blend the reported skill level with the rating by confidence', () => {
+    expect(ratings.ratingToSkillLevel(1700)).toBe(9);
+    expect(ratings.ratingToSkillLevel(3000)).toBe(10);
+    expect(ratings.getMatchingSkillLevel(5, player(1700, 350))).toBe(5);
+    expect(ratings.getMatchingSkillLevel(5, player(1700, 175))).toBe(7);
+    expect(ratings.getMatchingSkillLevel(null, player(1500, 350))).toBe(7);
+  });
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+
+// Tests for the reconnection grace window (Redis is replaced by an in-memory store)
+describe('Reconnection grace window', () => {
+  let MatchmakingEngine;
+  let RedisService;
+  let WebSocketService;
+  let config;
+
+  let statuses;
+  let disconnects;
+  let queue;
+
+  const fakeSocket = (id) => ({ id, join: jest.fn(), emit: jest.fn() });
+
+  beforeAll(async () => {
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+    WebSocketService = (await import('../services/WebSocketService.js')).default;
+    ({ config } = await import('../config/index.js'));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // p1 is searching in round 2, second in the queue
+    statuses = new Map([['p1', { status: 'searching', roundNumber: '2' }]]);
+    disconnects = new Map();
+    queue = ['p0', 'p1'];
+
+    jest.spyOn(RedisService, 'getParticipantStatus').mockImplementation(async (participantId) => statuses.get(participantId) || {});
+    jest.spyOn(RedisService, 'setParticipantStatus').mockImplementation(async (participantId, status, data = {}) => {
+      statuses.set(participantId, { status, ...data });
+      return true;
+    });
+    jest.spyOn(RedisService, 'markDisconnected').mockImplementation(async (participantId, disconnect) => {
+      disconnects.set(participantId, { participantId, ...disconnect });
+      return true;
+    });
+    jest.spyOn(RedisService, 'getDisconnect').mockImplementation(async (participantId) => disconnects.get(participantId) || null);
+    jest.spyOn(RedisService, 'clearDisconnect').mockImplementation(async (participantId) => disconnects.delete(participantId));
+    jest.spyOn(RedisService, 'getDueDisconnects').mockImplementation(async (now) => (
+      [...disconnects.values()].filter(d => d.graceUntil <= now).map(d => d.participantId)
+    ));
+    jest.spyOn(RedisService, 'getQueuePosition').mockImplementation(async (queueKey, participantId) => queue.indexOf(participantId));
+    jest.spyOn(RedisService, 'removeFromQueue').mockImplementation(async (queueKey, participantId) => {
+      queue = queue.filter(id => id !== participantId);
+      return true;
+    });
+    jest.spyOn(RedisService, 'removeSearch').mockResolvedValue(true);
+    jest.spyOn(RedisService, 'removeFromWaitlist').mockResolvedValue(null);
+    jest.spyOn(RedisService, 'getParticipantPairing').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    WebSocketService.connectedClients.clear();
+  });
+
+  const disconnect = async () => {
+    const socket = fakeSocket('socket-1');
+    WebSocketService.connectedClients.set('p1', { socketId: socket.id, participantId: 'p1' });
+    await WebSocketService.handleDisconnection(socket, 'transport close');
+  };
+
+  test('should keep the queue place while the participant is inside the grace window', async () => {
+    const cancelMatchmaking = jest.spyOn(MatchmakingEngine, 'cancelMatchmaking');
+    const before = Date.now();
+
+    await disconnect();
+
+    expect(queue).toEqual(['p0', 'p1']);
+    expect(statuses.get('p1').status).toBe('searching');
+    expect(cancelMatchmaking).not.toHaveBeenCalled();
+    expect(disconnects.get('p1')).toMatchObject({ roundNumber: 2, reason: 'transport close' });
+    expect(disconnects.get('p1').graceUntil).toBeGreaterThanOrEqual(before + config.websocket.reconnectGraceMs);
+
+    // The deadline hasn't passed yet, so the matcher leaves them alone
+    await MatchmakingEngine.processReconnectDeadlines();
+    expect(queue).toEqual(['p0', 'p1']);
+  });
+
+  test('should resume the search at the same queue place after reconnecting', async () => {
+    await disconnect();
+
+    const socket = fakeSocket('socket-2');
+    await WebSocketService.resumeParticipant(socket, 'p1');
+
+    expect(disconnects.has('p1')).toBe(false);
+    expect(socket.join).toHaveBeenCalledWith('round:2');
+    expect(socket.emit).toHaveBeenCalledWith('matchmaking_resumed', expect.objectContaining({
+      participantId: 'p1',
+      roundNumber: 2,
+      status: 'searching',
+      queuePosition: 1
+    }));
+
+    // Once resumed the grace deadline no longer removes them
+    await MatchmakingEngine.processReconnectDeadlines();
+    expect(queue).toEqual(['p0', 'p1']);
+  });
+
+  test('should remove the participant from matchmaking when the grace window expires', async () => {
+    await disconnect();
+    disconnects.get('p1').graceUntil = Date.now() - 1;
+
+    await MatchmakingEngine.processReconnectDeadlines();
+
+    expect(queue).toEqual(['p0']);
+    expect(RedisService.removeSearch).toHaveBeenCalledWith('p1');
+    expect(statuses.get('p1')).toMatchObject({ status: 'disconnected', reason: 'transport close' });
+    expect(disconnects.has('p1')).toBe(false);
+
+    // Reconnecting afterwards has nothing to resume
+    const socket = fakeSocket('socket-2');
+    await WebSocketService.resumeParticipant(socket, 'p1');
+    expect(socket.emit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+// Tests for round-robin schedules (pure functions, no Redis required)
+describe('Round-robin schedules', () => {
+  let roundRobin;
+
+  const opponentsOf = (rounds) => {
+    const met = {};
+    for (const matches of rounds) {
+      for (const { participantIds: [a, b] } of matches) {
+        if (!b) continue;
+        met[a] = [...(met[a] || []), b];
+        met[b] = [...(met[b] || []), a];
+      }
+    }
+    return met;
+  };
+
+  beforeAll(async () => {
+    roundRobin = await import('../utils/roundRobin.js');
+  });
+
+  test('should have every player meet every other player once', () => {
+    const ids = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const rounds = roundRobin.generateRoundRobinSchedule(ids);
+    const met = opponentsOf(rounds);
+
+    expect(rounds).toHaveLength(5);
+    for (const id of ids) {
+      expect([...met[id]].sort()).toEqual(ids.filter(other => other !== id));
+    }
+    // Everyone plays once per round
+    for (const matches of rounds) {
+      expect(matches.flatMap(m => m.participantIds).sort()).toEqual(ids);
+    }
+  });
+
+  test('should give each player of an odd cohort one AI fill-in', () => {
+    const ids = ['a', 'b', 'c', 'd', 'e'];
+    const rounds = roundRobin.generateRoundRobinSchedule(ids);
+    const fillIns = rounds.map(matches => matches[0]);
+
+    expect(rounds).toHaveLength(5);
+    expect(fillIns.every(m => m.fill === 'ai' && m.participantIds.length === 1)).toBe(true);
+    expect(fillIns.map(m => m.participantIds[0]).sort()).toEqual(ids);
+    expect(Object.values(opponentsOf(rounds)).every(opponents => opponents.length === 4)).toBe(true);
+  });
+
+  test('should count round-robin rounds', () => {
+    expect(roundRobin.getRoundRobinRoundCount(1)).toBe(0);
+    expect(roundRobin.getRoundRobinRoundCount(4)).toBe(3);
+    expect(roundRobin.getRoundRobinRoundCount(5)).toBe(5);
+  });
+
+  test('should take results only from played matches', () => {
+    const outcomes = [
+      { participantId: 'a', result: 'win' },
+      { participantId: 'b', result: 'loss' }
+    ];
+
+    expect(roundRobin.getPairingResults(['a', 'b'], { status: 'completed', outcomes })).toEqual([
+      { participant_id: 'a', result: 'win' },
+      { participant_id: 'b', result: 'loss' }
+    ]);
+    expect(roundRobin.getPairingResults(['a', 'b'], { status: 'walkover', walkoverIds: ['a'] })).toEqual([
+      { participant_id: 'a', result: 'win' }
+    ]);
+    expect(roundRobin.getPairingResults(['a', 'b'], { status: 'no_show' })).toEqual([]);
+    expect(roundRobin.getPairingResults(['a', 'b'], null)).toEqual([]);
+  });
+
+  test('should treat expired and finished pairings as resolved', () => {
+    expect(roundRobin.isPairingFinished(null)).toBe(true);
+    expect(roundRobin.isPairingFinished({ status: 'ended' })).toBe(true);
+    expect(roundRobin.isPairingFinished({ status: 'matched' })).toBe(false);
+  });
+
+  test('should rank by points, then wins, then seating order', () => {
+    const standings = roundRobin.getRoundRobinStandings(['a', 'b', 'c', 'd'], [
+      { participant_id: 'a', result: 'tie' },
+      { participant_id: 'a', result: 'tie' },
+      { participant_id: 'b', result: 'win' },
+      { participant_id: 'b', result: 'loss' },
+      { participant_id: 'd', result: 'win' },
+      { participant_id: 'd', result: 'win' }
+    ]);
+
+    expect(standings.map(s => s.participantId)).toEqual(['d', 'b', 'a', 'c']);
+    expect(standings[0]).toMatchObject({ rank: 1, points: 2, wins: 2, played: 2 });
+    expect(standings[3]).toMatchObject({ rank: 4, points: 0, played: 0 });
+  });
+});
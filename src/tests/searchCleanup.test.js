@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+
+// Tests for the periodic search and queue sweeps (Redis calls are stubbed)
+describe('Search cleanup', () => {
+  let MatchmakingEngine;
+  let RedisService;
+
+  const ELEVEN_MINUTES = 11 * 60 * 1000;
+  const BLIND_GROUP = 'Group 5: Goal Setting + AI Assistant + Blind Competition';
+
+  beforeAll(async () => {
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    RedisService.client = null;
+  });
+
+  describe('engine sweep', () => {
+    const searches = {
+      stale: { participantData: { participantId: 'stale', treatmentGroup: 'control' }, roundNumber: 1, startTime: Date.now() - ELEVEN_MINUTES },
+      blind: { participantData: { participantId: 'blind', treatmentGroup: BLIND_GROUP }, roundNumber: 1, startTime: Date.now() - ELEVEN_MINUTES },
+      overdue: { participantData: { participantId: 'overdue', treatmentGroup: 'control' }, roundNumber: 2, startTime: Date.now() - ELEVEN_MINUTES },
+      fresh: { participantData: { participantId: 'fresh', treatmentGroup: 'control' }, roundNumber: 1, startTime: Date.now() }
+    };
+
+    let cancelMatchmaking;
+    let clearSearch;
+    let publishEvent;
+
+    beforeEach(() => {
+      jest.spyOn(RedisService, 'getActiveSearchIds').mockResolvedValue(Object.keys(searches));
+      jest.spyOn(RedisService, 'getSearch').mockImplementation(async (participantId) => searches[participantId]);
+      jest.spyOn(RedisService, 'getParticipantStatus').mockImplementation(async (participantId) => (
+        participantId === 'stale' ? { status: 'matched' } : { status: 'searching' }
+      ));
+      jest.spyOn(RedisService, 'cleanupExpiredQueues').mockResolvedValue(0);
+      cancelMatchmaking = jest.spyOn(MatchmakingEngine, 'cancelMatchmaking').mockResolvedValue();
+      clearSearch = jest.spyOn(MatchmakingEngine, 'clearSearch').mockResolvedValue();
+      publishEvent = jest.spyOn(MatchmakingEngine, 'publishEvent').mockResolvedValue();
+    });
+
+    test('should keep a participant who never plays AI waiting for a human', async () => {
+      await MatchmakingEngine.cleanup();
+
+      expect(cancelMatchmaking).not.toHaveBeenCalledWith('blind', expect.anything());
+      expect(clearSearch).not.toHaveBeenCalledWith('blind');
+    });
+
+    test('should cancel an overdue search and tell the participant', async () => {
+      await MatchmakingEngine.cleanup();
+
+      expect(cancelMatchmaking).toHaveBeenCalledWith('overdue', 2);
+      expect(publishEvent).toHaveBeenCalledWith('search_expired', { participantId: 'overdue', roundNumber: 2 });
+    });
+
+    test('should only clear leftover searches and leave recent ones alone', async () => {
+      await MatchmakingEngine.cleanup();
+
+      expect(clearSearch).toHaveBeenCalledWith('stale');
+      expect(cancelMatchmaking).not.toHaveBeenCalledWith('stale', expect.anything());
+      expect(cancelMatchmaking).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('queue sweep', () => {
+    test('should keep old queue entries whose search is still live', async () => {
+      const old = Date.now() - 6 * 60 * 1000;
+      const waiting = JSON.stringify({ participantId: 'waiting', joinedAt: old });
+      const abandoned = JSON.stringify({ participantId: 'abandoned', joinedAt: old });
+      const zRem = jest.fn().mockResolvedValue(1);
+
+      RedisService.client = {
+        keys: jest.fn().mockResolvedValue(['queue:round:1']),
+        zRange: jest.fn().mockResolvedValue([waiting, abandoned]),
+        exists: jest.fn().mockImplementation(async (key) => (key === 'search:waiting' ? 1 : 0)),
+        zRem
+      };
+
+      expect(await RedisService.cleanupExpiredQueues()).toBe(1);
+      expect(zRem).toHaveBeenCalledTimes(1);
+      expect(zRem).toHaveBeenCalledWith('queue:round:1', abandoned);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+
+// Tests that match events only act for the participant a socket registered as
+describe('Socket identity', () => {
+  let WebSocketService;
+  let MatchmakingEngine;
+  let MatchSessionService;
+  let RedisService;
+
+  const fakeSocket = (id) => ({ id, emit: jest.fn() });
+
+  beforeAll(async () => {
+    WebSocketService = (await import('../services/WebSocketService.js')).default;
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    MatchSessionService = (await import('../services/MatchSessionService.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    WebSocketService.connectedClients.set('p1', { socketId: 'socket-1', participantId: 'p1' });
+    jest.spyOn(MatchmakingEngine, 'acceptMatch').mockResolvedValue({ status: 'accepted' });
+    jest.spyOn(MatchmakingEngine, 'submitMatchResult').mockResolvedValue({ status: 'recorded' });
+    jest.spyOn(MatchSessionService, 'joinSession').mockResolvedValue({ status: 'joined' });
+    jest.spyOn(MatchSessionService, 'submitAnswer').mockResolvedValue({ status: 'answered' });
+    jest.spyOn(RedisService, 'getMatch').mockResolvedValue({ id: 'm1', participant1_id: 'p1', participant2_id: 'p2' });
+    jest.spyOn(WebSocketService, 'sendToParticipant').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    WebSocketService.connectedClients.clear();
+  });
+
+  // [event, handler, target spy, extra payload, arguments the target receives from the registered socket]
+  const events = [
+    ['match_accept', 'handleMatchAccept', () => MatchmakingEngine.acceptMatch, {}, ['m1', 'p1']],
+    ['join_match_session', 'handleJoinMatchSession', () => MatchSessionService.joinSession, {}, ['m1', 'p1']],
+    ['submit_answer', 'handleSubmitAnswer', () => MatchSessionService.submitAnswer, { questionIndex: 0, answerIndex: 1 }, ['m1', 'p1', expect.any(Object)]],
+    ['submit_result', 'handleSubmitResult', () => MatchmakingEngine.submitMatchResult, { score: 3, opponentScore: 2 }, ['m1', 'p1', expect.any(Object)]],
+    ['match_update', 'handleMatchUpdate', () => WebSocketService.sendToParticipant, { updateType: 'progress', updateData: {} }, ['p1', 'match_update', expect.objectContaining({ matchId: 'm1', updateType: 'progress' })]]
+  ];
+
+  test.each(events)('should reject %s from a socket registered as someone else', async (event, handler, target, extra) => {
+    const socket = fakeSocket('socket-2');
+
+    await WebSocketService[handler](socket, { matchId: 'm1', participantId: 'p1', ...extra });
+
+    expect(target()).not.toHaveBeenCalled();
+    expect(socket.emit).toHaveBeenCalledWith('error', { message: expect.stringContaining('Register as this participant') });
+  });
+
+  test.each(events)('should reject %s for a participant who never registered', async (event, handler, target, extra) => {
+    const socket = fakeSocket('socket-1');
+
+    await WebSocketService[handler](socket, { matchId: 'm1', participantId: 'p2', ...extra });
+
+    expect(target()).not.toHaveBeenCalled();
+  });
+
+  test.each(events)('should handle %s from the registered socket', async (event, handler, target, extra, expected) => {
+    const socket = fakeSocket('socket-1');
+
+    await WebSocketService[handler](socket, { matchId: 'm1', participantId: 'p1', ...extra });
+
+    expect(target()).toHaveBeenCalledWith(...expected);
+    expect(socket.emit).not.toHaveBeenCalledWith('error', expect.anything());
+  });
+});
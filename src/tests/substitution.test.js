@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+
+// Tests for replacing a player who abandoned a running match (Redis and the database are stubbed)
+describe('Abandoned player substitution', () => {
+  let MatchmakingEngine;
+  let RedisService;
+  let DatabaseService;
+
+  let matches;
+  let statuses;
+  let publishEvent;
+
+  beforeAll(async () => {
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+    DatabaseService = (await import('../services/DatabaseService.js')).default;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    matches = new Map();
+    statuses = new Map();
+
+    jest.spyOn(RedisService, 'getMatch').mockImplementation(async (matchId) => ({ ...(matches.get(matchId) || {}) }));
+    jest.spyOn(RedisService, 'updateMatchIfStatus').mockImplementation(async (matchId, status, fields) => {
+      const match = matches.get(matchId);
+      if (match?.status !== status) return false;
+      matches.set(matchId, { ...match, ...fields });
+      return true;
+    });
+    jest.spyOn(RedisService, 'getParticipantStatus').mockImplementation(async (participantId) => statuses.get(participantId) || {});
+    jest.spyOn(RedisService, 'setParticipantStatus').mockImplementation(async (participantId, status, data = {}) => {
+      statuses.set(participantId, { status, ...data });
+      return true;
+    });
+    jest.spyOn(RedisService, 'incrementMatchStats').mockResolvedValue();
+    jest.spyOn(DatabaseService, 'updateTournamentMatch').mockResolvedValue();
+    jest.spyOn(DatabaseService, 'recordActivity').mockResolvedValue();
+    publishEvent = jest.spyOn(MatchmakingEngine, 'publishEvent').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const pairMatch = () => ({
+    id: 'm1',
+    status: 'active',
+    participant1_id: 'p1',
+    participant2_id: 'p2',
+    participant1_name: 'Alice',
+    participant2_name: 'Bob',
+    round_number: '1',
+    rng_seed: '42',
+    isAI: 'false',
+    treatment_groups: JSON.stringify({ p1: 'control', p2: 'control' })
+  });
+
+  test('should hand the abandoned seat of a pair match to an AI', async () => {
+    matches.set('m1', pairMatch());
+    statuses.set('p2', { status: 'matched', matchId: 'm1', skillLevel: '6' });
+
+    const result = await MatchmakingEngine.substituteAbandonedPlayer('m1', 'p2', 'transport close');
+
+    expect(result.status).toBe('substituted');
+    const match = matches.get('m1');
+    const opponent = JSON.parse(match.opponent);
+    expect(opponent.participant_id).toBe(result.substitute.participant_id);
+    expect(match).toMatchObject({ participant1_id: 'p1', participant2_id: '', isAI: 'true', substituted: 'true', status: 'active' });
+    expect(JSON.parse(match.substitutions)).toEqual([
+      expect.objectContaining({ original_id: 'p2', substitute_id: opponent.participant_id, reason: 'transport close' })
+    ]);
+    expect(publishEvent).toHaveBeenCalledWith('match_substituted', expect.objectContaining({
+      matchId: 'm1',
+      participantIds: ['p1'],
+      abandonedParticipantId: 'p2',
+      substituteId: opponent.participant_id
+    }));
+  });
+
+  test('should move a group member\'s seat to an AI in place', async () => {
+    matches.set('m1', {
+      ...pairMatch(),
+      participant_ids: JSON.stringify(['p1', 'p2', 'p3']),
+      participants: JSON.stringify([
+        { participant_id: 'p1', name: 'Alice', skill_level: 7, is_ai: false },
+        { participant_id: 'p2', name: 'Bob', skill_level: 5, is_ai: false },
+        { participant_id: 'p3', name: 'Cara', skill_level: 8, is_ai: false }
+      ]),
+      ai_seats: '0',
+      treatment_groups: JSON.stringify({ p1: 'control', p2: 'control', p3: 'control' })
+    });
+
+    const result = await MatchmakingEngine.substituteAbandonedPlayer('m1', 'p2', 'ping timeout');
+
+    const match = matches.get('m1');
+    const participants = JSON.parse(match.participants);
+    expect(participants.map(member => member.participant_id)).toEqual(['p1', result.substitute.participant_id, 'p3']);
+    expect(participants[1]).toMatchObject({ is_ai: true, substitutes_for: 'p2', skill_level: expect.any(Number) });
+    expect(JSON.parse(match.participant_ids)).toEqual(['p1', 'p3']);
+    expect(match.ai_seats).toBe(1);
+  });
+
+  test('should mark the abandoned player as disconnected from the match', async () => {
+    matches.set('m1', pairMatch());
+    statuses.set('p2', { status: 'matched', matchId: 'm1' });
+
+    await MatchmakingEngine.substituteAbandonedPlayer('m1', 'p2', 'transport close');
+
+    expect(statuses.get('p2')).toMatchObject({ status: 'disconnected', reason: 'transport close', abandonedMatchId: 'm1' });
+    expect(DatabaseService.recordActivity).toHaveBeenCalledWith(expect.objectContaining({ participantId: 'p2', type: 'match_abandoned' }));
+    expect(DatabaseService.updateTournamentMatch).toHaveBeenCalledWith('m1', 'active', expect.objectContaining({ substituted: true }));
+  });
+
+  test('should reject substituting the same player twice', async () => {
+    matches.set('m1', pairMatch());
+    statuses.set('p2', { status: 'matched', matchId: 'm1' });
+
+    const first = await MatchmakingEngine.substituteAbandonedPlayer('m1', 'p2', 'transport close');
+    const matchAfterFirst = matches.get('m1');
+    const second = await MatchmakingEngine.substituteAbandonedPlayer('m1', 'p2', 'transport close');
+
+    expect(first.status).toBe('substituted');
+    expect(second).toEqual({ status: 'not_active', matchId: 'm1' });
+    expect(matches.get('m1')).toEqual(matchAfterFirst);
+    expect(JSON.parse(matches.get('m1').substitutions)).toHaveLength(1);
+    expect(publishEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not substitute into a match that is no longer running', async () => {
+    matches.set('m1', { ...pairMatch(), status: 'completed' });
+
+    const result = await MatchmakingEngine.substituteAbandonedPlayer('m1', 'p2', 'transport close');
+
+    expect(result).toEqual({ status: 'not_active', matchId: 'm1' });
+    expect(RedisService.updateMatchIfStatus).not.toHaveBeenCalled();
+    expect(publishEvent).not.toHaveBeenCalled();
+  });
+});
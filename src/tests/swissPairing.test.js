@@ -0,0 +1,68 @@
+// Tests for Swiss-system pairing (pure functions, no Redis required)
+describe('Swiss pairing', () => {
+  let swiss;
+
+  const entry = (participantId, treatmentGroup = 'control') => ({ participantId, treatmentGroup });
+  const ids = (pairs) => pairs.map(pair => pair.map(p => p.participantId).sort());
+
+  beforeAll(async () => {
+    swiss = await import('../utils/swissPairing.js');
+  });
+
+  test('should tally points from results', () => {
+    const standings = swiss.tallyStandings([
+      { participant_id: 'a', result: 'win' },
+      { participant_id: 'a', result: 'tie' },
+      { participant_id: 'b', result: 'loss' },
+      { participant_id: 'b', result: 'forfeit' }
+    ]);
+
+    expect(standings.a).toEqual({ points: 1.5, wins: 1, losses: 0, ties: 1, played: 2 });
+    expect(standings.b).toEqual({ points: 0, wins: 0, losses: 1, ties: 0, played: 1 });
+  });
+
+  test('should rank by points and keep queue order among equal scores', () => {
+    const ranked = swiss.rankByStandings([entry('a'), entry('b'), entry('c')], { b: { points: 2 } });
+    expect(ranked.map(p => p.participantId)).toEqual(['b', 'a', 'c']);
+  });
+
+  test('should pair players on the same score', () => {
+    const standings = { a: { points: 2 }, b: { points: 0 }, c: { points: 2 }, d: { points: 0 } };
+    const { pairs, bye, unmatched } = swiss.pairSwiss([entry('a'), entry('b'), entry('c'), entry('d')], { standings });
+
+    expect(ids(pairs)).toEqual(expect.arrayContaining([['a', 'c'], ['b', 'd']]));
+    expect(bye).toBeNull();
+    expect(unmatched).toEqual([]);
+  });
+
+  test('should not pair previous opponents', () => {
+    const standings = { a: { points: 2 }, b: { points: 0 }, c: { points: 2 }, d: { points: 0 } };
+    const histories = { a: { c: 1 }, c: { a: 1 } };
+    const { pairs } = swiss.pairSwiss([entry('a'), entry('b'), entry('c'), entry('d')], { standings, histories });
+
+    expect(ids(pairs)).toHaveLength(2);
+    expect(ids(pairs)).not.toContainEqual(['a', 'c']);
+  });
+
+  test('should give the bye to the lowest-ranked player without a previous bye', () => {
+    const standings = { a: { points: 2 }, b: { points: 1 }, c: { points: 0 } };
+    const entries = [entry('a'), entry('b'), entry('c')];
+
+    expect(swiss.pairSwiss(entries, { standings }).bye.participantId).toBe('c');
+    expect(swiss.pairSwiss(entries, { standings, byes: ['c'] }).bye.participantId).toBe('b');
+  });
+
+  test('should only give byes to players who may play an AI', () => {
+    const standings = { a: { points: 2 }, b: { points: 1 }, c: { points: 0 } };
+    const entries = [entry('a'), entry('b'), entry('c', 'blind')];
+    const { pairs, bye } = swiss.pairSwiss(entries, { standings, canTakeBye: (p) => p.treatmentGroup !== 'blind' });
+
+    expect(bye.participantId).toBe('b');
+    expect(ids(pairs)).toEqual([['a', 'c']]);
+  });
+
+  test('should validate pairing systems', () => {
+    expect(swiss.isValidPairingSystem('swiss')).toBe(true);
+    expect(swiss.isValidPairingSystem('round_robin')).toBe(false);
+  });
+});
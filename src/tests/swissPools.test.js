@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+
+// Tests for Swiss pools keeping their own byes and standings (Redis and the database are stubbed)
+describe('Swiss pools', () => {
+  let MatchmakingEngine;
+  let RedisService;
+  let DatabaseService;
+
+  const entry = (participantId, joinedAt) => ({
+    participantId,
+    roundNumber: 3,
+    treatmentGroup: 'Group 1: Control',
+    lobbyId: 'lobby-1',
+    studyId: 'study-a',
+    joinedAt
+  });
+
+  let poolMatches;
+  let getResults;
+
+  beforeAll(async () => {
+    MatchmakingEngine = (await import('../services/MatchmakingEngine.js')).default;
+    RedisService = (await import('../services/RedisService.js')).default;
+    DatabaseService = (await import('../services/DatabaseService.js')).default;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Only the study-a pool of lobby-1 has played Swiss matches so far
+    poolMatches = { 'lobby-1|study-a': ['m1'] };
+    jest.spyOn(RedisService, 'getSwissMatches').mockImplementation(async (key) => poolMatches[key] || []);
+    jest.spyOn(RedisService, 'addSwissMatch').mockImplementation(async (key, matchId) => {
+      poolMatches[key] = [...(poolMatches[key] || []), matchId];
+      return true;
+    });
+    jest.spyOn(RedisService, 'getSwissByes').mockResolvedValue([]);
+    jest.spyOn(RedisService, 'addSwissBye').mockResolvedValue(true);
+    getResults = jest.spyOn(DatabaseService, 'getResultsForParticipants').mockResolvedValue([
+      { participant_id: 'p1', result: 'win' },
+      { participant_id: 'p2', result: 'loss' }
+    ]);
+    jest.spyOn(DatabaseService, 'recordActivity').mockResolvedValue();
+    jest.spyOn(MatchmakingEngine, 'getOpponentHistory').mockResolvedValue({});
+    jest.spyOn(MatchmakingEngine, 'createHumanMatch').mockImplementation(async (a, b) => ({ id: `match-${a.participantId}-${b.participantId}`, status: 'active' }));
+    jest.spyOn(MatchmakingEngine, 'createAIMatch').mockImplementation(async (participant) => ({ id: `bye-${participant.participantId}`, status: 'active' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should count only the results of the pool\'s own matches', async () => {
+    const standings = await MatchmakingEngine.getStandings(['p1', 'p2'], 'lobby-1|study-a');
+
+    expect(getResults).toHaveBeenCalledWith(['p1', 'p2'], ['m1']);
+    expect(standings.p1).toMatchObject({ points: 1, wins: 1 });
+  });
+
+  test('should start a pool without Swiss matches with everyone level', async () => {
+    const standings = await MatchmakingEngine.getStandings(['p1', 'p2'], 'lobby-2|study-a');
+
+    expect(standings).toEqual({});
+    expect(getResults).not.toHaveBeenCalled();
+  });
+
+  test('should keep byes and new matches under the pool, not the whole study', async () => {
+    const created = await MatchmakingEngine.pairSwissPool(3, [entry('p1', 1), entry('p2', 2), entry('p3', 3)]);
+
+    expect(created).toHaveLength(2);
+    expect(RedisService.getSwissByes).toHaveBeenCalledWith('lobby-1|study-a');
+    const bye = created.find(match => match.id.startsWith('bye-'));
+    expect(RedisService.addSwissBye).toHaveBeenCalledWith('lobby-1|study-a', bye.id.slice('bye-'.length));
+    expect(poolMatches['lobby-1|study-a']).toEqual(['m1', ...created.map(match => match.id)]);
+    expect(RedisService.addSwissBye).not.toHaveBeenCalledWith('study-a', expect.anything());
+  });
+
+  test('should key walk-in players by their study alone', () => {
+    expect(MatchmakingEngine.getSwissPoolKey({ studyId: 'study-a' })).toBe('|study-a');
+    expect(MatchmakingEngine.getSwissPoolKey({})).toBe('|');
+  });
+});
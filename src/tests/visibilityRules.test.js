@@ -0,0 +1,115 @@
+// Tests for per-treatment visibility rules (pure functions, no Redis required)
+describe('Visibility rules', () => {
+  let visibility;
+
+  const GROUP_5 = 'Group 5: Goal Setting + AI Assistant + Blind Competition';
+  const settings = {
+    defaultRules: 'full',
+    groups: { [GROUP_5]: 'blind', scores_hidden: { opponentScore: false }, typo: 'blnd' }
+  };
+
+  beforeAll(async () => {
+    visibility = await import('../utils/visibilityRules.js');
+  });
+
+  test('should resolve presets and single-rule overrides per group', () => {
+    expect(visibility.getVisibilityRules(GROUP_5, settings)).toEqual(visibility.VISIBILITY_PRESETS.blind);
+    expect(visibility.getVisibilityRules('control', settings)).toEqual(visibility.VISIBILITY_PRESETS.full);
+    expect(visibility.getVisibilityRules('scores_hidden', settings)).toEqual({
+      opponentName: true, opponentScore: false, opponentProgress: true, opponentResult: true
+    });
+  });
+
+  test('should hide everything for an unknown preset', () => {
+    expect(visibility.getVisibilityRules('typo', settings)).toEqual(visibility.VISIBILITY_PRESETS.blind);
+  });
+
+  test('should keep only the viewer\'s own entry when opponents are hidden', () => {
+    const scores = { p1: 3, p2: 5 };
+
+    expect(visibility.redactOpponents(scores, 'p1', false)).toEqual({ p1: 3 });
+    expect(visibility.redactOpponents(scores, 'p1', true)).toEqual(scores);
+  });
+
+  test('should remove the opponent\'s score and the outcome from a hidden result', () => {
+    const outcome = { score: 3, opponentId: 'p2', opponentScore: 5, result: 'loss' };
+
+    expect(visibility.redactOutcome(outcome, visibility.VISIBILITY_PRESETS.blind)).toEqual({ score: 3 });
+    expect(visibility.redactOutcome(outcome, visibility.VISIBILITY_PRESETS.full)).toEqual(outcome);
+  });
+
+  test('should anonymise opponents in match data', () => {
+    const matchData = {
+      participant1_id: 'p1',
+      participant2_id: 'p2',
+      participant1_name: 'Alice',
+      participant2_name: 'Bob',
+      treatment_groups: { p1: GROUP_5, p2: GROUP_5 },
+      opponent: JSON.stringify({ name: 'Bob', participant_id: 'p2', skill_level: 8 })
+    };
+    const redacted = visibility.redactMatchData(matchData, 'p1', visibility.VISIBILITY_PRESETS.blind);
+
+    expect(redacted.participant1_name).toBe('Alice');
+    expect(redacted.participant2_name).toBe('Opponent');
+    expect(redacted.participant2_id).toBe('opponent-1');
+    expect(JSON.parse(redacted.opponent)).toEqual({ name: 'Opponent', participant_id: 'opponent-1' });
+    expect(redacted).not.toHaveProperty('treatment_groups');
+  });
+
+  test('should hide which group members are AI from a blind viewer', () => {
+    const match = {
+      id: 'm1',
+      participant1_id: 'p1',
+      participant2_id: 'p2',
+      participant_ids: ['p1', 'p2'],
+      participants: JSON.stringify([
+        { participant_id: 'p1', name: 'Alice', is_ai: false },
+        { participant_id: 'ai-1', name: 'Bot', is_ai: true },
+        { participant_id: 'p2', name: 'Bob', is_ai: false }
+      ]),
+      isAI: true,
+      ai_seats: 1,
+      aiSettings: JSON.stringify({ difficulty: 'medium' }),
+      pairing_rule: 'same_group'
+    };
+    const viewerData = {
+      ...match,
+      members: [
+        { participant_id: 'ai-1', name: 'Bot', skill_level: 6, is_ai: true },
+        { participant_id: 'p2', name: 'Bob', skill_level: 7, is_ai: false }
+      ]
+    };
+
+    const redacted = visibility.redactMatchData(viewerData, 'p1', visibility.VISIBILITY_PRESETS.blind, match);
+
+    expect(redacted.members).toEqual([
+      { participant_id: 'opponent-1', name: 'Opponent 1' },
+      { participant_id: 'opponent-2', name: 'Opponent 2' }
+    ]);
+    expect(redacted.participant2_id).toBe('opponent-2');
+    expect(redacted.participant_ids).toEqual(['p1', 'opponent-2']);
+    expect(JSON.stringify(redacted)).not.toMatch(/"is_ai":true|ai-1|"p2"|Bob/);
+    for (const field of ['isAI', 'ai_seats', 'aiSettings', 'pairing_rule']) {
+      expect(redacted).not.toHaveProperty(field);
+    }
+  });
+
+  test('should give a substitute the alias of the player it replaced', () => {
+    const match = {
+      id: 'm1',
+      participant1_id: 'p1',
+      participant2_id: '',
+      opponent: JSON.stringify({ name: 'Bot', participant_id: 'ai-1' }),
+      isAI: 'true',
+      substitutions: JSON.stringify([{ original_id: 'p2', substitute_id: 'ai-1', substitute_name: 'Bot' }])
+    };
+    const event = { matchId: 'm1', abandonedParticipantId: 'p2', substituteId: 'ai-1' };
+
+    expect(visibility.redactMatchData(event, 'p1', visibility.VISIBILITY_PRESETS.blind, match)).toEqual({
+      matchId: 'm1',
+      abandonedParticipantId: 'opponent-1',
+      substituteId: 'opponent-1'
+    });
+    expect(visibility.redactMatchData(event, 'p1', visibility.VISIBILITY_PRESETS.full, match)).toEqual(event);
+  });
+});
@@ -0,0 +1,75 @@
+// Tests for wait-time estimation (pure functions, no Redis required)
+describe('Wait-time estimator', () => {
+  let estimateWaitTime;
+  let quantile;
+
+  const now = 10_000_000;
+  const match = (waitSeconds, minutesAgo = 1) => ({ waitMs: waitSeconds * 1000, matchedAt: now - minutesAgo * 60000 });
+
+  beforeAll(async () => {
+    ({ estimateWaitTime, quantile } = await import('../utils/waitTimeEstimator.js'));
+  });
+
+  test('should interpolate quantiles', () => {
+    expect(quantile([10, 20, 30, 40], 0.5)).toBe(25);
+    expect(quantile([10, 20, 30, 40], 0)).toBe(10);
+    expect(quantile([], 0.5)).toBe(0);
+  });
+
+  test('should use recorded time-to-match when there are enough samples', () => {
+    const samples = [10, 20, 30, 40, 50].map(s => match(s));
+    const estimate = estimateWaitTime({ samples, timeoutMs: 180000 }, now);
+
+    expect(estimate.basis).toBe('recent_matches');
+    expect(estimate.seconds).toBe(30);
+    expect(estimate.low).toBeLessThan(estimate.seconds);
+    expect(estimate.high).toBeGreaterThan(estimate.seconds);
+    expect(estimate.sampleSize).toBe(5);
+  });
+
+  test('should only count waits longer than the time already waited', () => {
+    const samples = [10, 20, 30, 40, 50, 60, 70].map(s => match(s));
+    const estimate = estimateWaitTime({ samples, waitedMs: 25000, timeoutMs: 180000 }, now, { minSamples: 3 });
+
+    expect(estimate.sampleSize).toBe(5);
+    expect(estimate.seconds).toBe(25); // median of 30..70 is 50, minus 25 already waited
+  });
+
+  test('should ignore matches outside the window', () => {
+    const samples = [10, 20, 30, 40, 50].map(s => match(s, 60));
+    expect(estimateWaitTime({ samples, timeoutMs: 180000 }, now).basis).not.toBe('recent_matches');
+  });
+
+  test('should fall back to the arrival rate with few matches', () => {
+    const arrivals = Array.from({ length: 30 }, (_, i) => now - i * 60000); // one a minute
+    const estimate = estimateWaitTime({ arrivals, timeoutMs: 180000 }, now);
+
+    expect(estimate.basis).toBe('arrival_rate');
+    expect(estimate.seconds).toBe(60);
+    expect(estimate.low).toBeLessThan(60);
+    expect(estimate.high).toBeGreaterThan(60);
+  });
+
+  test('should expect a quick match when someone compatible is waiting', () => {
+    const estimate = estimateWaitTime({ arrivals: [now - 1000], waitingAhead: 1, timeoutMs: 180000 }, now);
+    expect(estimate.seconds).toBe(0);
+  });
+
+  test('should cap estimates at the AI fallback timeout', () => {
+    const samples = [300, 400, 500, 600, 700].map(s => match(s));
+    const estimate = estimateWaitTime({ samples, waitedMs: 0, timeoutMs: 180000 }, now);
+
+    expect(estimate.seconds).toBe(180);
+    expect(estimate.high).toBe(180);
+  });
+
+  test('should not cap estimates for groups that never get an AI opponent', () => {
+    const samples = [300, 400, 500, 600, 700].map(s => match(s));
+    expect(estimateWaitTime({ samples, timeoutMs: null }, now).seconds).toBe(500);
+  });
+
+  test('should range up to the timeout without any data', () => {
+    const estimate = estimateWaitTime({ waitedMs: 60000, timeoutMs: 180000 }, now);
+    expect(estimate).toEqual({ seconds: 120, low: 0, high: 120, basis: 'timeout', sampleSize: 0 });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * AI fallback policies, set per treatment group
+ *
+ * - never: participants only ever play humans; they keep waiting instead of getting a bot
+ * - after_timeout: an AI opponent fills in once the participant has waited `timeoutMs`
+ * - immediate: participants always play AI opponents, without searching for humans
+ *
+ * Policies come from config.matchmaking.aiFallback.groups, keyed by treatment group,
+ * as a policy name or { policy, timeoutMs }. Unlisted groups use the default policy.
+ * Turning AI fallback off globally makes every group 'never'.
+ */
+
+export const AI_FALLBACK_POLICIES = ['never', 'after_timeout', 'immediate'];
+
+const DEFAULT_TREATMENT_GROUP = 'control';
+
+/**
+ * Resolve the AI fallback policy for a treatment group
+ * @param {string} treatmentGroup - Participant's treatment group
+ * @param {Object} settings - { enabled, defaultPolicy, timeoutMs, groups }
+ * @returns {Object} { policy, timeoutMs }
+ */
+export const getAIFallbackPolicy = (treatmentGroup, settings = {}) => {
+  const { enabled = true, defaultPolicy = 'after_timeout', timeoutMs = 180000, groups = {} } = settings;
+
+  if (!enabled) {
+    return { policy: 'never', timeoutMs: null };
+  }
+
+  const groupSetting = groups[treatmentGroup || DEFAULT_TREATMENT_GROUP];
+  const { policy = defaultPolicy, timeoutMs: groupTimeoutMs } = typeof groupSetting === 'string'
+    ? { policy: groupSetting }
+    : (groupSetting || {});
+
+  if (!AI_FALLBACK_POLICIES.includes(policy)) {
+    // An unknown policy must not hand anyone a bot by accident
+    return { policy: 'never', timeoutMs: null };
+  }
+
+  return {
+    policy,
+    timeoutMs: policy === 'after_timeout' ? (parseInt(groupTimeoutMs) || timeoutMs) : null
+  };
+};
+
+/**
+ * Get the AI fallback deadline for a wait that started at `startTime`
+ * @param {Object} fallbackPolicy - { policy, timeoutMs } from getAIFallbackPolicy
+ * @param {number} startTime - When the wait started
+ * @returns {number|null} Deadline timestamp, or null if AI must never be used
+ */
+export const getAIFallbackDeadline = (fallbackPolicy, startTime) => {
+  if (fallbackPolicy.policy === 'never') return null;
+  if (fallbackPolicy.policy === 'immediate') return startTime;
+  return startTime + fallbackPolicy.timeoutMs;
+};
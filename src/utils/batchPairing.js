@@ -0,0 +1,152 @@
+/**
+ * Global batch pairing
+ *
+ * Given every participant waiting in a queue, choose the set of pairs that
+ * minimises total cost: the cost of each pair formed plus the cost of each
+ * participant left waiting. Small batches are solved exactly; larger batches
+ * fall back to a greedy approximation.
+ */
+
+/**
+ * Compute a minimum-cost pairing for a batch of queue entries
+ * @param {Array} entries - Queue entries to pair
+ * @param {Object} options - Cost options
+ * @param {Function} options.pairCost - (a, b) => number, or null if a and b may not be paired
+ * @param {Function} options.unmatchedCost - (entry) => cost of leaving the entry unpaired this tick
+ * @param {number} options.exactMaxSize - Largest batch solved exactly (default 16)
+ * @returns {Object} { pairs: [[a, b], ...], unmatched: [...], totalCost }
+ */
+export const computeBatchPairing = (entries, options) => {
+  const { pairCost, unmatchedCost, exactMaxSize = 16 } = options;
+  const n = entries.length;
+
+  if (n < 2) {
+    return {
+      pairs: [],
+      unmatched: [...entries],
+      totalCost: entries.reduce((sum, entry) => sum + unmatchedCost(entry), 0)
+    };
+  }
+
+  // Pre-compute costs once
+  const leaveCost = entries.map(entry => unmatchedCost(entry));
+  const costs = entries.map(() => new Array(n).fill(null));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const cost = pairCost(entries[i], entries[j]);
+      costs[i][j] = cost;
+      costs[j][i] = cost;
+    }
+  }
+
+  const pairIndexes = n <= exactMaxSize
+    ? solveExact(n, costs, leaveCost)
+    : solveGreedy(n, costs, leaveCost);
+
+  const paired = new Set();
+  let totalCost = 0;
+  const pairs = pairIndexes.map(([i, j]) => {
+    paired.add(i);
+    paired.add(j);
+    totalCost += costs[i][j];
+    return [entries[i], entries[j]];
+  });
+
+  const unmatched = entries.filter((entry, index) => {
+    if (paired.has(index)) return false;
+    totalCost += leaveCost[index];
+    return true;
+  });
+
+  return { pairs, unmatched, totalCost };
+};
+
+/**
+ * Exact minimum-cost pairing using dynamic programming over subsets
+ * @param {number} n - Number of entries
+ * @param {Array<Array<number|null>>} costs - Pair cost matrix
+ * @param {Array<number>} leaveCost - Cost of leaving each entry unpaired
+ * @returns {Array<Array<number>>} Index pairs
+ */
+const solveExact = (n, costs, leaveCost) => {
+  const full = (1 << n) - 1;
+  const best = new Float64Array(1 << n).fill(NaN);
+  const choice = new Int32Array(1 << n);
+
+  const solve = (mask) => {
+    if (mask === full) return 0;
+    if (!Number.isNaN(best[mask])) return best[mask];
+
+    // Always decide the lowest-index entry that is still open
+    let i = 0;
+    while (mask & (1 << i)) i++;
+
+    let bestCost = leaveCost[i] + solve(mask | (1 << i));
+    let bestChoice = -1;
+
+    for (let j = i + 1; j < n; j++) {
+      if (mask & (1 << j) || costs[i][j] === null) continue;
+      const cost = costs[i][j] + solve(mask | (1 << i) | (1 << j));
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestChoice = j;
+      }
+    }
+
+    best[mask] = bestCost;
+    choice[mask] = bestChoice;
+    return bestCost;
+  };
+
+  solve(0);
+
+  // Walk the recorded choices to rebuild the pairing
+  const pairs = [];
+  let mask = 0;
+  while (mask !== full) {
+    let i = 0;
+    while (mask & (1 << i)) i++;
+    const j = choice[mask];
+    if (j === -1) {
+      mask |= (1 << i);
+    } else {
+      pairs.push([i, j]);
+      mask |= (1 << i) | (1 << j);
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Greedy pairing for large batches: take the pairs with the largest saving first
+ * @param {number} n - Number of entries
+ * @param {Array<Array<number|null>>} costs - Pair cost matrix
+ * @param {Array<number>} leaveCost - Cost of leaving each entry unpaired
+ * @returns {Array<Array<number>>} Index pairs
+ */
+const solveGreedy = (n, costs, leaveCost) => {
+  const candidates = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (costs[i][j] === null) continue;
+      const saving = leaveCost[i] + leaveCost[j] - costs[i][j];
+      if (saving > 0) {
+        candidates.push({ i, j, saving });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.saving - a.saving);
+
+  const used = new Set();
+  const pairs = [];
+  for (const { i, j } of candidates) {
+    if (used.has(i) || used.has(j)) continue;
+    used.add(i);
+    used.add(j);
+    pairs.push([i, j]);
+  }
+
+  return pairs;
+};
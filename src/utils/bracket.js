@@ -0,0 +1,134 @@
+/**
+ * Single-elimination brackets spanning matchmaking rounds
+ *
+ * The roster is seeded by skill level (best first, ties in a seeded random order).
+ * Each bracket round is played in one matchmaking round. In the first round seed 1 meets
+ * the lowest seed, seed 2 the second lowest and so on; in later rounds the winners of
+ * neighbouring slots meet. With an odd number of players left, the best seed who hasn't
+ * had one yet gets a bye (fillMode 'bye') or plays an AI fill-in (fillMode 'ai'), and
+ * advances either way.
+ *
+ * A player whose opponent doesn't show up (or leaves and is replaced by an AI) advances
+ * as the only human with a result. Ties go to the better seed. A slot where nobody
+ * played advances nobody, so a neighbour may get through without a match.
+ */
+
+export const BRACKET_FILL_MODES = ['bye', 'ai'];
+
+// Scheduled pairing statuses after which a slot's result is known
+const FINISHED_PAIRING_STATUSES = ['completed', 'walkover', 'no_show', 'ended'];
+
+/**
+ * Check that a fill mode is known
+ * @param {string} fillMode - Fill mode
+ * @returns {boolean} Whether the fill mode exists
+ */
+export const isValidFillMode = (fillMode) => BRACKET_FILL_MODES.includes(fillMode);
+
+/**
+ * Count the bracket rounds needed to get down to one player
+ * @param {number} playerCount - Players in the roster
+ * @returns {number} Number of rounds
+ */
+export const getRoundCount = (playerCount) => (playerCount > 1 ? Math.ceil(Math.log2(playerCount)) : 0);
+
+/**
+ * Seed a roster by skill level
+ * @param {Array} roster - [{ participantId, skillLevel, ... }]
+ * @param {Function} random - () => [0, 1) generator (seeded per tournament for reproducibility)
+ * @returns {Array} Roster entries with their seed (1 = best), best first
+ */
+export const seedRoster = (roster, random = Math.random) => roster
+  .map(entry => ({ entry, tiebreak: random() }))
+  .sort((a, b) => (b.entry.skillLevel ?? 0) - (a.entry.skillLevel ?? 0) || a.tiebreak - b.tiebreak)
+  .map(({ entry }, i) => ({ ...entry, seed: i + 1 }));
+
+/**
+ * Order players so neighbours pair best against worst (1 v N, 2 v N-1, ...)
+ * @param {Array} players - [{ participantId, seed }]
+ * @returns {Array} Players in pairing order
+ */
+export const foldSeeds = (players) => {
+  const bySeed = [...players].sort((a, b) => a.seed - b.seed);
+  const order = [];
+  for (let i = 0, j = bySeed.length - 1; i <= j; i++, j--) {
+    order.push(bySeed[i]);
+    if (i !== j) order.push(bySeed[j]);
+  }
+  return order;
+};
+
+/**
+ * Pair the players of one bracket round
+ * @param {Array} players - [{ participantId, seed }] in bracket order
+ * @param {Object} options - { fillMode, byes (IDs who already had a bye or fill-in), fold (first round) }
+ * @returns {Array} Slots: [{ slot, participantIds, fill }] - fill is 'bye' or 'ai' for a lone player, else null
+ */
+export const pairRound = (players, { fillMode = 'bye', byes = [], fold = false } = {}) => {
+  let remaining = [...players];
+  const slots = [];
+
+  if (remaining.length % 2 === 1) {
+    const candidates = remaining.filter(p => !byes.includes(p.participantId));
+    const lone = (candidates.length > 0 ? candidates : remaining)
+      .reduce((best, p) => (p.seed < best.seed ? p : best));
+
+    remaining = remaining.filter(p => p !== lone);
+    slots.push({ participantIds: [lone.participantId], fill: fillMode });
+  }
+
+  if (fold) {
+    remaining = foldSeeds(remaining);
+  }
+
+  for (let i = 0; i + 1 < remaining.length; i += 2) {
+    slots.push({ participantIds: [remaining[i].participantId, remaining[i + 1].participantId], fill: null });
+  }
+
+  return slots.map((slot, index) => ({ slot: index, ...slot }));
+};
+
+/**
+ * Decide who advances from a bracket slot
+ * @param {Object} slot - { participantIds, fill }
+ * @param {Object|null} pairing - The slot's scheduled pairing ({ status, outcomes, walkoverIds }), null if it expired
+ * @param {Object} seeds - participantId -> seed
+ * @returns {Object} { resolved, winnerId } - winnerId is null if nobody advances
+ */
+export const getSlotWinner = (slot, pairing, seeds) => {
+  if (slot.fill === 'bye') {
+    return { resolved: true, winnerId: slot.participantIds[0] };
+  }
+
+  if (!pairing) {
+    // The pairing expired before anyone played it
+    return { resolved: true, winnerId: null };
+  }
+
+  if (!FINISHED_PAIRING_STATUSES.includes(pairing.status)) {
+    return { resolved: false, winnerId: null };
+  }
+
+  const bySeed = (a, b) => seeds[a] - seeds[b];
+
+  if (pairing.status === 'walkover') {
+    const [winnerId = null] = [...(pairing.walkoverIds || [])].sort(bySeed);
+    return { resolved: true, winnerId };
+  }
+
+  const outcomes = (pairing.outcomes || []).filter(o => slot.participantIds.includes(o.participantId));
+  if (outcomes.length <= 1) {
+    // Against an AI fill-in or stand-in the human advances; without a result nobody does
+    return { resolved: true, winnerId: outcomes[0]?.participantId ?? null };
+  }
+
+  const winner = outcomes.find(o => o.result === 'win');
+  return { resolved: true, winnerId: winner ? winner.participantId : outcomes.map(o => o.participantId).sort(bySeed)[0] };
+};
+
+/**
+ * Get the players who advance from a finished bracket round, in bracket order
+ * @param {Object} round - { slots: [{ winnerId }] }
+ * @returns {Array<string>} Participant IDs
+ */
+export const getAdvancingPlayers = (round) => round.slots.map(slot => slot.winnerId).filter(Boolean);
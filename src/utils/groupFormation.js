@@ -0,0 +1,59 @@
+/**
+ * Group formation for N-player matches
+ *
+ * Members are added in queue order (FIFO) as long as they are compatible with
+ * everyone already in the group. Compatibility (treatment rules, skill window,
+ * rematch policy) is decided by the caller.
+ */
+
+/**
+ * Build a group around a seed participant
+ * @param {Object} seed - Participant the group is formed for
+ * @param {Array} candidates - Waiting queue entries in queue order
+ * @param {number} size - Target group size (including the seed)
+ * @param {Function} isCompatible - (a, b) => boolean
+ * @returns {Array} Members (seed first); fewer than `size` if not enough compatible candidates
+ */
+export const formGroup = (seed, candidates, size, isCompatible) => {
+  const members = [seed];
+
+  for (const candidate of candidates) {
+    if (members.length >= size) break;
+    if (candidate.participantId === seed.participantId) continue;
+
+    if (members.every(member => isCompatible(member, candidate))) {
+      members.push(candidate);
+    }
+  }
+
+  return members;
+};
+
+/**
+ * Split a whole queue into full groups, oldest entries first
+ * @param {Array} entries - Queue entries in queue order
+ * @param {number} size - Group size
+ * @param {Function} isCompatible - (a, b) => boolean
+ * @returns {Object} { groups: [[...members], ...], unmatched: [...] }
+ */
+export const formGroups = (entries, size, isCompatible) => {
+  const groups = [];
+  const unmatched = [];
+  let remaining = [...entries];
+
+  while (remaining.length > 0) {
+    const [seed, ...rest] = remaining;
+    const members = formGroup(seed, rest, size, isCompatible);
+
+    if (members.length === size) {
+      groups.push(members);
+      remaining = remaining.filter(entry => !members.includes(entry));
+    } else {
+      // The oldest entry can't complete a group this time; try the next one
+      unmatched.push(seed);
+      remaining = rest;
+    }
+  }
+
+  return { groups, unmatched };
+};
@@ -28,9 +28,10 @@ export const isValidUUID = (uuid) => {
 /**
  * Calculate skill level from participant performance data
  * @param {Array} taskRounds - Array of task round results
+ * @param {Function} random - Random source (defaults to Math.random; pass a seeded one to reproduce)
  * @returns {number} Calculated skill level (1-10)
  */
-export const calculateSkillLevel = (taskRounds = []) => {
+export const calculateSkillLevel = (taskRounds = [], random = Math.random) => {
   if (!taskRounds || taskRounds.length === 0) {
     return 7; // Default skill level
   }
@@ -49,7 +50,7 @@ export const calculateSkillLevel = (taskRounds = []) => {
   const baseSkill = Math.max(1, Math.min(10, (accuracy * 9) + 1));
   
   // Add slight randomization to prevent exact matches
-  const variation = (Math.random() - 0.5) * 0.4; // ±0.2 variation
+  const variation = (random() - 0.5) * 0.4; // ±0.2 variation
   
   return Math.max(1, Math.min(10, baseSkill + variation));
 };
@@ -143,6 +144,49 @@ export const areSkillsCompatible = (skill1, skill2, threshold = 1.5) => {
   return Math.abs(skill1 - skill2) <= threshold;
 };
 
+/**
+ * Calculate the acceptable skill gap after waiting for a given time
+ * @param {number} waitMs - Time spent waiting in milliseconds
+ * @param {Object} options - Window options
+ * @param {number} options.baseThreshold - Skill gap allowed with no wait
+ * @param {string} options.curve - 'fixed', 'linear', 'step' or 'exponential'
+ * @param {number} options.stepMs - Wait time per widening step
+ * @param {number} options.stepSize - Skill gap added per step (linear/step)
+ * @param {number} options.growthRate - Multiplier per step (exponential)
+ * @param {number} options.maxThreshold - Upper bound on the skill gap
+ * @returns {number} Maximum allowed skill difference
+ */
+export const calculateSkillWindow = (waitMs, options = {}) => {
+  const {
+    baseThreshold = 1.5,
+    curve = 'step',
+    stepMs = 15000,
+    stepSize = 0.5,
+    growthRate = 1.25,
+    maxThreshold = 9
+  } = options;
+
+  const steps = Math.max(0, waitMs) / stepMs;
+  let threshold;
+
+  switch (curve) {
+    case 'linear':
+      threshold = baseThreshold + steps * stepSize;
+      break;
+    case 'step':
+      threshold = baseThreshold + Math.floor(steps) * stepSize;
+      break;
+    case 'exponential':
+      threshold = baseThreshold * Math.pow(growthRate, Math.floor(steps));
+      break;
+    case 'fixed':
+    default:
+      threshold = baseThreshold;
+  }
+
+  return Math.min(threshold, Math.max(baseThreshold, maxThreshold));
+};
+
 /**
  * Generate match quality score based on participant compatibility
  * @param {Object} participant1 - First participant data
@@ -0,0 +1,60 @@
+/**
+ * Match lifecycle
+ *
+ * - proposed: waiting for every player to accept (ready check)
+ * - active: being played
+ * - completed: finished with a result
+ * - abandoned: a player left mid-match
+ * - forfeited: a player gave up, conceding the match
+ * - cancelled: called off before (or instead of) being played
+ *
+ * Matches only move along MATCH_TRANSITIONS; the four end states are final.
+ * Each transition is timestamped in a `<status>_at` field.
+ */
+
+export const MATCH_TRANSITIONS = {
+  proposed: ['active', 'cancelled'],
+  active: ['completed', 'abandoned', 'forfeited', 'cancelled'],
+  completed: [],
+  abandoned: [],
+  forfeited: [],
+  cancelled: []
+};
+
+export const MATCH_STATUSES = Object.keys(MATCH_TRANSITIONS);
+
+/**
+ * Check whether a match may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+export const canTransition = (from, to) => (MATCH_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Check whether a status ends the match
+ * @param {string} status - Match status
+ * @returns {boolean} Whether no further transitions are possible
+ */
+export const isFinalStatus = (status) => MATCH_STATUSES.includes(status) && MATCH_TRANSITIONS[status].length === 0;
+
+/**
+ * Name of the field holding the time a match entered a status
+ * @param {string} status - Match status
+ * @returns {string} Timestamp field, e.g. 'completed_at'
+ */
+export const getStatusTimestampField = (status) => `${status}_at`;
+
+/**
+ * Collect the lifecycle timestamps present on a match
+ * @param {Object} matchData - Match data
+ * @returns {Object} Timestamp fields, e.g. { proposed_at, active_at }
+ */
+export const getStatusTimestamps = (matchData) => {
+  const timestamps = {};
+  for (const status of MATCH_STATUSES) {
+    const field = getStatusTimestampField(status);
+    if (matchData[field]) timestamps[field] = matchData[field];
+  }
+  return timestamps;
+};
@@ -0,0 +1,76 @@
+/**
+ * Match results
+ *
+ * Every human player reports their own score (and, optionally, what they saw as
+ * their opponent's). The server decides win/loss/tie from the scores:
+ *
+ * - A player's own report is authoritative for their own score
+ * - In human pairs, each player's claim about the other's score is only used as a
+ *   cross-check; a mismatch marks the result as disputed
+ * - A lone human (against AI) also reports the AI's score
+ */
+
+/**
+ * Check that a reported score is usable
+ * @param {*} score - Reported score
+ * @returns {boolean} Whether the score is a non-negative number
+ */
+export const isValidScore = (score) => typeof score === 'number' && Number.isFinite(score) && score >= 0;
+
+/**
+ * Derive the outcome of a score against the best opposing score
+ * @param {number} score - Player's score
+ * @param {number} opponentScore - Best opposing score
+ * @returns {string} 'win', 'loss' or 'tie'
+ */
+export const getOutcome = (score, opponentScore) => {
+  if (score > opponentScore) return 'win';
+  if (score < opponentScore) return 'loss';
+  return 'tie';
+};
+
+/**
+ * Decide each human player's outcome from everyone's scores
+ * @param {Array<string>} participantIds - Human players of the match
+ * @param {Object} scores - participantId -> score, for every player (AI seats included)
+ * @returns {Array} [{ participantId, opponentId, score, opponentScore, result }]
+ */
+export const decideOutcomes = (participantIds, scores) => participantIds.map(participantId => {
+  const opponents = Object.keys(scores).filter(id => id !== participantId);
+  const opponentScore = opponents.length > 0 ? Math.max(...opponents.map(id => scores[id])) : 0;
+  const score = scores[participantId];
+
+  return {
+    participantId,
+    opponentId: opponents.length === 1 ? opponents[0] : null,
+    score,
+    opponentScore,
+    result: getOutcome(score, opponentScore)
+  };
+});
+
+/**
+ * Reconcile the players' reports into one result per human player
+ * @param {Array<string>} participantIds - Human players of the match
+ * @param {Object} reports - participantId -> { score, opponentScore }
+ * @param {string|null} aiOpponentId - AI opponent of a lone human, if any
+ * @returns {Object} { complete, disputed, outcomes: [{ participantId, opponentId, score, opponentScore, result }] }
+ */
+export const reconcileReports = (participantIds, reports, aiOpponentId = null) => {
+  const complete = participantIds.every(id => reports[id]);
+  if (!complete) {
+    return { complete: false, disputed: false, outcomes: [] };
+  }
+
+  const scores = Object.fromEntries(participantIds.map(id => [id, reports[id].score]));
+  if (participantIds.length === 1) {
+    scores[aiOpponentId || 'ai'] = reports[participantIds[0]].opponentScore ?? 0;
+  }
+
+  const disputed = participantIds.length === 2 && participantIds.some((id, i) => {
+    const claimed = reports[id].opponentScore;
+    return claimed !== undefined && claimed !== null && claimed !== scores[participantIds[1 - i]];
+  });
+
+  return { complete: true, disputed, outcomes: decideOutcomes(participantIds, scores) };
+};
@@ -0,0 +1,81 @@
+/**
+ * Matching strategies
+ *
+ * A strategy decides which of the eligible waiting participants a searcher is
+ * paired (or grouped) with. Eligibility - pool, treatment pairing rules, rematch
+ * policy and skill window - is decided by the engine before the strategy runs.
+ *
+ * Each strategy implements `rank(searcher, candidates, context)` and returns the
+ * candidates in order of preference. Candidates are `{ entry, distance, timesPlayed }`
+ * in queue order; `context.random` is a () => [0, 1) generator.
+ *
+ * - fifo: longest-waiting first, preferring opponents not played before
+ * - closest_skill: smallest skill distance (including any rematch penalty) first
+ * - random: uniformly random order
+ * - stratified: the searcher's own treatment group first, then other allowed groups,
+ *   each in queue order
+ *
+ * Batch pairing mode has its own global optimisation and does not use strategies.
+ */
+
+const DEFAULT_TREATMENT_GROUP = 'control';
+
+export const MATCHING_STRATEGIES = {
+  fifo: {
+    description: 'Longest-waiting eligible participant first',
+    rank: (searcher, candidates) => {
+      const fresh = candidates.filter(c => c.timesPlayed === 0);
+      const repeat = candidates.filter(c => c.timesPlayed > 0);
+      return [...fresh, ...repeat];
+    }
+  },
+
+  closest_skill: {
+    description: 'Eligible participant with the closest skill level first',
+    // Array.prototype.sort is stable, so ties stay in queue order
+    rank: (searcher, candidates) => [...candidates].sort((a, b) => a.distance - b.distance)
+  },
+
+  random: {
+    description: 'Eligible participants in random order (seeded within a session)',
+    rank: (searcher, candidates, { random = Math.random } = {}) => {
+      const shuffled = [...candidates];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    }
+  },
+
+  stratified: {
+    description: 'Same treatment group first, then other allowed groups',
+    rank: (searcher, candidates) => {
+      const ownGroup = searcher.treatmentGroup || DEFAULT_TREATMENT_GROUP;
+      const inStratum = (c) => (c.entry.treatmentGroup || DEFAULT_TREATMENT_GROUP) === ownGroup;
+      return [...candidates.filter(inStratum), ...candidates.filter(c => !inStratum(c))];
+    }
+  }
+};
+
+export const DEFAULT_MATCHING_STRATEGY = 'fifo';
+
+/**
+ * Check whether a strategy name is one of the built-in strategies
+ * @param {string} name - Strategy name
+ * @returns {boolean} Whether the strategy exists
+ */
+export const isValidStrategy = (name) => Object.prototype.hasOwnProperty.call(MATCHING_STRATEGIES, name);
+
+/**
+ * Order eligible candidates with a strategy
+ * @param {string} name - Strategy name (unknown names fall back to fifo)
+ * @param {Object} searcher - Searching participant
+ * @param {Array} candidates - Eligible candidates { entry, distance, timesPlayed } in queue order
+ * @param {Object} context - { random }
+ * @returns {Array} Queue entries in order of preference
+ */
+export const rankCandidates = (name, searcher, candidates, context = {}) => {
+  const strategy = MATCHING_STRATEGIES[isValidStrategy(name) ? name : DEFAULT_MATCHING_STRATEGY];
+  return strategy.rank(searcher, candidates, context).map(c => c.entry);
+};
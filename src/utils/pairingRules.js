@@ -0,0 +1,100 @@
+import { config } from '../config/index.js';
+
+/**
+ * Treatment-group pairing rules
+ *
+ * Pairing modes (config.matchmaking.treatmentPairing.mode):
+ * - strict: only participants in the same treatment group are paired
+ * - matrix: same group, or groups marked compatible in the compatibility matrix
+ * - pooled: any two participants are paired regardless of treatment group
+ *
+ * The returned rule name is stored on each match as `pairing_rule`. Matches scheduled
+ * in advance (bracket tournaments) are recorded as `scheduled`.
+ */
+
+export const PAIRING_MODES = ['strict', 'matrix', 'pooled'];
+
+export const PAIRING_RULES = {
+  SAME_GROUP: 'same_group',
+  COMPATIBILITY_MATRIX: 'compatibility_matrix',
+  POOLED: 'pooled',
+  AI_OPPONENT: 'ai_opponent',
+  SCHEDULED: 'scheduled'
+};
+
+const DEFAULT_TREATMENT_GROUP = 'control';
+
+/**
+ * Check whether two groups are listed as compatible (in either direction)
+ * @param {string} group1 - First treatment group
+ * @param {string} group2 - Second treatment group
+ * @param {Object} compatibility - Map of group -> array of compatible groups
+ * @returns {boolean} Whether the groups are compatible
+ */
+export const areGroupsCompatible = (group1, group2, compatibility = {}) => {
+  const allowedFor1 = compatibility[group1] || [];
+  const allowedFor2 = compatibility[group2] || [];
+  return allowedFor1.includes(group2) || allowedFor2.includes(group1);
+};
+
+/**
+ * Get the pairing rule that allows two treatment groups to be matched
+ * @param {string} group1 - First participant's treatment group
+ * @param {string} group2 - Second participant's treatment group
+ * @param {Object} options - Pairing options (defaults to config.matchmaking.treatmentPairing)
+ * @returns {string|null} Rule name, or null if the groups may not be paired
+ */
+export const getPairingRule = (group1, group2, options = config.matchmaking.treatmentPairing) => {
+  const { mode = 'strict', compatibility = {} } = options || {};
+  const g1 = group1 || DEFAULT_TREATMENT_GROUP;
+  const g2 = group2 || DEFAULT_TREATMENT_GROUP;
+
+  if (mode === 'pooled') {
+    return PAIRING_RULES.POOLED;
+  }
+
+  if (g1 === g2) {
+    return PAIRING_RULES.SAME_GROUP;
+  }
+
+  if (mode === 'matrix' && areGroupsCompatible(g1, g2, compatibility)) {
+    return PAIRING_RULES.COMPATIBILITY_MATRIX;
+  }
+
+  return null;
+};
+
+/**
+ * Filter waiting participants down to those the participant may be paired with
+ * @param {string} treatmentGroup - Searching participant's treatment group
+ * @param {Array} candidates - Waiting queue entries
+ * @param {Object} options - Pairing options
+ * @returns {Array} Compatible queue entries
+ */
+export const filterCompatibleCandidates = (treatmentGroup, candidates, options = config.matchmaking.treatmentPairing) => {
+  return candidates.filter(candidate => getPairingRule(treatmentGroup, candidate.treatmentGroup, options) !== null);
+};
+
+/**
+ * Get the pairing rule for a group match: every pair of members must be compatible,
+ * and the loosest rule used by any pair is recorded for the whole group
+ * @param {Array<string>} groups - Treatment groups of the human members
+ * @param {Object} options - Pairing options
+ * @returns {string|null} Rule name, or null if some members may not be grouped
+ */
+export const getGroupPairingRule = (groups, options = config.matchmaking.treatmentPairing) => {
+  const precedence = [PAIRING_RULES.SAME_GROUP, PAIRING_RULES.COMPATIBILITY_MATRIX, PAIRING_RULES.POOLED];
+  let groupRule = PAIRING_RULES.SAME_GROUP;
+
+  for (let i = 0; i < groups.length; i++) {
+    for (let j = i + 1; j < groups.length; j++) {
+      const rule = getPairingRule(groups[i], groups[j], options);
+      if (!rule) return null;
+      if (precedence.indexOf(rule) > precedence.indexOf(groupRule)) {
+        groupRule = rule;
+      }
+    }
+  }
+
+  return groupRule;
+};
@@ -0,0 +1,95 @@
+import { readFileSync, readdirSync, statSync } from 'fs';
+import path from 'path';
+
+/**
+ * Question bank for server-run match sessions
+ *
+ * Questions are loaded from a JSON file, or from every .json file in a directory.
+ * A file holds an array of questions (or { questions: [...] }):
+ *
+ *   { "id": "geo-1", "text": "...", "options": ["A", "B", "C"], "answer": 1, "difficulty": 4, "category": "geography" }
+ *
+ * `answer` is the index of the correct option and never leaves the server until the
+ * question closes. `difficulty` (1-10, default 5) feeds the AI opponents' accuracy.
+ */
+
+/**
+ * Check a question from the bank and fill in defaults
+ * @param {Object} question - Raw question
+ * @returns {Object|null} Normalised question, or null if it is unusable
+ */
+export const normalizeQuestion = (question) => {
+  if (!question || !question.id || !question.text) return null;
+  if (!Array.isArray(question.options) || question.options.length < 2) return null;
+  if (!Number.isInteger(question.answer) || question.answer < 0 || question.answer >= question.options.length) return null;
+
+  return {
+    id: String(question.id),
+    text: question.text,
+    options: question.options.map(String),
+    answer: question.answer,
+    difficulty: Math.max(1, Math.min(10, parseInt(question.difficulty) || 5)),
+    category: question.category || null
+  };
+};
+
+/**
+ * Load the question bank from a file or directory
+ * @param {string} bankPath - JSON file, or directory of JSON files
+ * @returns {Object} { questions, skipped } - usable questions and the ids/positions of skipped ones
+ */
+export const loadQuestionBank = (bankPath) => {
+  const files = statSync(bankPath).isDirectory()
+    ? readdirSync(bankPath).filter(file => file.endsWith('.json')).sort().map(file => path.join(bankPath, file))
+    : [bankPath];
+
+  const questions = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    const entries = Array.isArray(parsed) ? parsed : (parsed.questions || []);
+
+    entries.forEach((entry, i) => {
+      const question = normalizeQuestion(entry);
+      if (!question || seen.has(question.id)) {
+        skipped.push(`${path.basename(file)}#${entry?.id ?? i}`);
+        return;
+      }
+      seen.add(question.id);
+      questions.push(question);
+    });
+  }
+
+  return { questions, skipped };
+};
+
+/**
+ * Pick the question sequence for a match
+ * @param {Array} questions - Question bank
+ * @param {number} count - Questions per match
+ * @param {Function} random - () => [0, 1) generator (seeded per match for reproducibility)
+ * @returns {Array<string>} Question ids in order
+ */
+export const selectQuestions = (questions, count, random = Math.random) => {
+  const ids = questions.map(q => q.id);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  return ids.slice(0, count);
+};
+
+/**
+ * Strip the correct answer from a question before it is sent to players
+ * @param {Object} question - Question from the bank
+ * @returns {Object} Question without its answer
+ */
+export const toPublicQuestion = (question) => ({
+  id: question.id,
+  text: question.text,
+  options: question.options,
+  difficulty: question.difficulty,
+  category: question.category
+});
@@ -0,0 +1,74 @@
+/**
+ * Seedable random numbers for reproducible matchmaking
+ *
+ * Every source of randomness in matchmaking (AI opponent selection, AI skill
+ * jitter, simulated AI answers, skill noise) accepts a `random` function with
+ * the same contract as Math.random. Passing a seeded generator makes a session
+ * replayable; leaving it out keeps the old Math.random behaviour.
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Hash any value to a 32-bit seed (FNV-1a)
+ * @param {*} value - Value to hash
+ * @returns {number} 32-bit unsigned integer
+ */
+export const hashSeed = (value) => {
+  const str = String(value);
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Normalise a user-supplied seed: integers are used as-is, anything else is hashed
+ * @param {number|string} value - Seed value
+ * @returns {number|null} 32-bit unsigned integer, or null if no seed was given
+ */
+export const toSeed = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const numeric = Number(value);
+  return Number.isInteger(numeric) ? numeric >>> 0 : hashSeed(value);
+};
+
+/**
+ * Derive a child seed, e.g. a match seed from a session seed
+ * @param {number} seed - Parent seed
+ * @param {...*} parts - Values identifying the child (round, participant IDs, ...)
+ * @returns {number} 32-bit unsigned integer
+ */
+export const deriveSeed = (seed, ...parts) => {
+  return hashSeed([seed, ...parts].join(':'));
+};
+
+/**
+ * Generate a fresh seed for a session or match that has none
+ * @returns {number} 32-bit unsigned integer
+ */
+export const generateSeed = () => {
+  return Math.floor(Math.random() * 4294967296);
+};
@@ -0,0 +1,241 @@
+/**
+ * Player ratings from match results
+ *
+ * Rating algorithms (config.ratings.algorithm):
+ * - elo: rating moves by K × (actual - expected score) against each opponent
+ * - glicko2: rating, rating deviation and volatility (Glickman's Glicko-2); each
+ *   match is one rating period
+ *
+ * Both use the same scale (new players start at 1500). The rating deviation says how
+ * unsure the rating is: Glicko-2 computes it, for Elo it shrinks with the number of
+ * games played. Confidence is 0 for a new player and approaches 1 as the deviation falls.
+ *
+ * Matching works on skill levels (1-10), so a rating is turned into a skill level and
+ * blended with the reported skill level by confidence: new players are matched on what
+ * the client reports, established players on their rating.
+ */
+
+export const RATING_ALGORITHMS = ['elo', 'glicko2'];
+
+export const DEFAULT_RATING = { rating: 1500, deviation: 350, volatility: 0.06, games: 0 };
+
+// Glicko-2 works on its own scale: (rating - 1500) / 173.7178
+const GLICKO2_SCALE = 173.7178;
+const VOLATILITY_TOLERANCE = 0.000001;
+
+// Deviation a rating never drops below, so ratings can still move
+const MIN_DEVIATION = 30;
+
+const DEFAULT_SKILL_LEVEL = 7;
+const MIN_SKILL_LEVEL = 1;
+const MAX_SKILL_LEVEL = 10;
+
+/**
+ * Check that a rating algorithm is known
+ * @param {string} algorithm - Algorithm name
+ * @returns {boolean} Whether the algorithm exists
+ */
+export const isValidRatingAlgorithm = (algorithm) => RATING_ALGORITHMS.includes(algorithm);
+
+/**
+ * How sure a rating is
+ * @param {Object} rating - { deviation }
+ * @returns {number} Confidence from 0 (new player) to 1
+ */
+export const getConfidence = (rating) => {
+  const confidence = 1 - rating.deviation / DEFAULT_RATING.deviation;
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 1000) / 1000;
+};
+
+/**
+ * Score of a player against one opponent
+ * @param {number} score - Player's match score
+ * @param {number} opponentScore - Opponent's match score
+ * @returns {number} 1 for a win, 0.5 for a tie, 0 for a loss
+ */
+export const getGameScore = (score, opponentScore) => {
+  if (score > opponentScore) return 1;
+  return score === opponentScore ? 0.5 : 0;
+};
+
+/**
+ * Update an Elo rating
+ * @param {Object} player - { rating, deviation, volatility, games }
+ * @param {Array} games - [{ rating, score }] against each opponent
+ * @param {Object} settings - { kFactor }
+ * @returns {Object} Updated rating
+ */
+export const updateElo = (player, games, { kFactor = 32 } = {}) => {
+  const change = games.reduce((sum, game) => {
+    const expected = 1 / (1 + Math.pow(10, (game.rating - player.rating) / 400));
+    return sum + kFactor * (game.score - expected);
+  }, 0);
+  const played = player.games + games.length;
+
+  return {
+    ...player,
+    rating: player.rating + change,
+    deviation: Math.max(MIN_DEVIATION, DEFAULT_RATING.deviation / Math.sqrt(1 + played)),
+    games: played
+  };
+};
+
+/**
+ * Update a Glicko-2 rating over one rating period
+ * @param {Object} player - { rating, deviation, volatility, games }
+ * @param {Array} games - [{ rating, deviation, score }] against each opponent
+ * @param {Object} settings - { tau } (how fast volatility may change, 0.3-1.2)
+ * @returns {Object} Updated rating
+ */
+export const updateGlicko2 = (player, games, { tau = 0.5 } = {}) => {
+  const mu = (player.rating - 1500) / GLICKO2_SCALE;
+  const phi = player.deviation / GLICKO2_SCALE;
+  const sigma = player.volatility;
+
+  if (games.length === 0) {
+    // No games: only the deviation grows
+    return { ...player, deviation: Math.min(DEFAULT_RATING.deviation, Math.sqrt(phi * phi + sigma * sigma) * GLICKO2_SCALE) };
+  }
+
+  const opponents = games.map(game => {
+    const muJ = (game.rating - 1500) / GLICKO2_SCALE;
+    const phiJ = game.deviation / GLICKO2_SCALE;
+    const g = 1 / Math.sqrt(1 + 3 * phiJ * phiJ / (Math.PI * Math.PI));
+    return { g, expected: 1 / (1 + Math.exp(-g * (mu - muJ))), score: game.score };
+  });
+
+  const v = 1 / opponents.reduce((sum, o) => sum + o.g * o.g * o.expected * (1 - o.expected), 0);
+  const improvement = opponents.reduce((sum, o) => sum + o.g * (o.score - o.expected), 0);
+  const delta = v * improvement;
+
+  // New volatility (Illinois algorithm)
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return ex * (delta * delta - phi * phi - v - ex) / (2 * d * d) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > VOLATILITY_TOLERANCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  const volatility = Math.exp(A / 2);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    ...player,
+    rating: newMu * GLICKO2_SCALE + 1500,
+    deviation: Math.max(MIN_DEVIATION, newPhi * GLICKO2_SCALE),
+    volatility,
+    games: player.games + games.length
+  };
+};
+
+/**
+ * Update a rating with the configured algorithm
+ * @param {string} algorithm - 'elo' or 'glicko2'
+ * @param {Object} player - Current rating
+ * @param {Array} games - [{ rating, deviation, score }] against each opponent
+ * @param {Object} settings - { eloKFactor, glickoTau }
+ * @returns {Object} Updated rating
+ */
+export const updateRating = (algorithm, player, games, settings = {}) => (algorithm === 'elo'
+  ? updateElo(player, games, { kFactor: settings.eloKFactor })
+  : updateGlicko2(player, games, { tau: settings.glickoTau }));
+
+/**
+ * Update the ratings of every human in a match. Each player is rated against every
+ * other human by comparing their scores; ratings are read before any of them changes.
+ * @param {Array} players - [{ participantId, score }] humans of the match
+ * @param {Object} ratings - participantId -> current rating
+ * @param {string} algorithm - 'elo' or 'glicko2'
+ * @param {Object} settings - { eloKFactor, glickoTau }
+ * @returns {Object} participantId -> updated rating (empty with fewer than two humans)
+ */
+export const rateMatch = (players, ratings, algorithm, settings = {}) => {
+  if (players.length < 2) return {};
+
+  const current = (participantId) => ratings[participantId] || DEFAULT_RATING;
+  const updated = {};
+
+  for (const player of players) {
+    const games = players
+      .filter(opponent => opponent.participantId !== player.participantId)
+      .map(opponent => ({
+        rating: current(opponent.participantId).rating,
+        deviation: current(opponent.participantId).deviation,
+        score: getGameScore(player.score, opponent.score)
+      }));
+
+    updated[player.participantId] = updateRating(algorithm, current(player.participantId), games, settings);
+  }
+
+  return updated;
+};
+
+/**
+ * Rebuild every rating from match history
+ * @param {Array} matches - [{ players: [{ participantId, score }] }] in the order they were played
+ * @param {string} algorithm - 'elo' or 'glicko2'
+ * @param {Object} settings - { eloKFactor, glickoTau }
+ * @returns {Object} participantId -> rating
+ */
+export const recalculateRatings = (matches, algorithm, settings = {}) => {
+  const ratings = {};
+
+  for (const match of matches) {
+    Object.assign(ratings, rateMatch(match.players, ratings, algorithm, settings));
+  }
+
+  return ratings;
+};
+
+/**
+ * Turn a rating into a skill level on the matching scale
+ * @param {number} rating - Rating
+ * @param {number} pointsPerSkillLevel - Rating points per skill level
+ * @returns {number} Skill level (1-10; 1500 is 7)
+ */
+export const ratingToSkillLevel = (rating, pointsPerSkillLevel = 100) => {
+  const skillLevel = DEFAULT_SKILL_LEVEL + (rating - DEFAULT_RATING.rating) / pointsPerSkillLevel;
+  return Math.min(MAX_SKILL_LEVEL, Math.max(MIN_SKILL_LEVEL, skillLevel));
+};
+
+/**
+ * Get the skill level matching uses: the rating's skill level, weighted by confidence
+ * against the reported skill level
+ * @param {number|null} reportedSkillLevel - Skill level the client sent (or computed from accuracy)
+ * @param {Object} rating - { rating, deviation }
+ * @param {number} pointsPerSkillLevel - Rating points per skill level
+ * @returns {number} Skill level, rounded to 2 decimals
+ */
+export const getMatchingSkillLevel = (reportedSkillLevel, rating, pointsPerSkillLevel = 100) => {
+  const confidence = getConfidence(rating);
+  const reported = reportedSkillLevel || DEFAULT_SKILL_LEVEL;
+  const skillLevel = confidence * ratingToSkillLevel(rating.rating, pointsPerSkillLevel) + (1 - confidence) * reported;
+  return Math.round(skillLevel * 100) / 100;
+};
@@ -0,0 +1,40 @@
+/**
+ * Rematch policies
+ *
+ * - allow: previous opponents are treated like anyone else
+ * - penalize: each previous meeting adds a penalty to the pair's skill distance
+ * - avoid: previous opponents are never paired again
+ */
+
+export const REMATCH_POLICIES = ['allow', 'penalize', 'avoid'];
+
+/**
+ * Number of times a participant has already played an opponent
+ * @param {Object} opponentHistory - Map of opponentId -> times played
+ * @param {string} opponentId - Opponent participant ID
+ * @returns {number} Times played
+ */
+export const getTimesPlayed = (opponentHistory, opponentId) => {
+  return parseInt(opponentHistory?.[opponentId]) || 0;
+};
+
+/**
+ * Adjust a pair's skill distance for previous meetings
+ * @param {number} skillDiff - Absolute skill difference
+ * @param {number} timesPlayed - Times the pair has already played
+ * @param {Object} settings - { policy, penalty }
+ * @returns {number|null} Effective distance, or null if the pair may not be matched
+ */
+export const applyRematchPolicy = (skillDiff, timesPlayed, settings = {}) => {
+  const { policy = 'allow', penalty = 0 } = settings;
+
+  if (timesPlayed === 0 || policy === 'allow') {
+    return skillDiff;
+  }
+
+  if (policy === 'avoid') {
+    return null;
+  }
+
+  return skillDiff + penalty * timesPlayed;
+};
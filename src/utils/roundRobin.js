@@ -0,0 +1,98 @@
+import { tallyStandings } from './swissPairing.js';
+
+/**
+ * Round-robin schedules for small cohorts
+ *
+ * Every player meets every other player once, one match each per matchmaking round.
+ * The schedule is generated up front with the circle method: the first player stays
+ * put while the others rotate one seat per round. With an odd number of players one
+ * player per round has no opponent and plays an AI fill-in instead; everyone gets
+ * exactly one fill-in over the schedule.
+ *
+ * Standings count the results of the matches actually played. A player whose opponent
+ * doesn't show up plays an AI stand-in and keeps that result; the absent player gets none.
+ * A walkover (the present player may not play an AI) counts as a win.
+ */
+
+// Scheduled pairing statuses after which a match's result is known
+const FINISHED_PAIRING_STATUSES = ['completed', 'walkover', 'no_show', 'ended'];
+
+/**
+ * Count the rounds a round-robin takes
+ * @param {number} playerCount - Players in the cohort
+ * @returns {number} Number of rounds
+ */
+export const getRoundRobinRoundCount = (playerCount) => {
+  if (playerCount < 2) return 0;
+  return playerCount % 2 === 0 ? playerCount - 1 : playerCount;
+};
+
+/**
+ * Generate the full schedule
+ * @param {Array<string>} participantIds - Cohort in seating order
+ * @returns {Array} Rounds: [[{ participantIds, fill }, ...], ...] - fill is 'ai' for a player without an opponent, else null
+ */
+export const generateRoundRobinSchedule = (participantIds) => {
+  // An odd cohort gets an empty seat; whoever faces it plays an AI that round
+  const seats = participantIds.length % 2 === 0 ? [...participantIds] : [...participantIds, null];
+  const rounds = [];
+
+  for (let round = 0; round < getRoundRobinRoundCount(participantIds.length); round++) {
+    const matches = [];
+    for (let i = 0; i < seats.length / 2; i++) {
+      const ids = [seats[i], seats[seats.length - 1 - i]].filter(id => id !== null);
+      matches.push({ participantIds: ids, fill: ids.length === 1 ? 'ai' : null });
+    }
+
+    // Fill-ins first, like bracket slots
+    rounds.push([...matches.filter(m => m.fill), ...matches.filter(m => !m.fill)]);
+
+    // Keep the first seat, rotate the rest one place
+    seats.splice(1, 0, seats.pop());
+  }
+
+  return rounds;
+};
+
+/**
+ * Check whether a scheduled match has its result
+ * @param {Object|null} pairing - The match's scheduled pairing, null if it expired
+ * @returns {boolean} Whether the match is over (or will never be played)
+ */
+export const isPairingFinished = (pairing) => !pairing || FINISHED_PAIRING_STATUSES.includes(pairing.status);
+
+/**
+ * Get the results a finished scheduled match adds to the standings
+ * @param {Array<string>} participantIds - Players scheduled in the match
+ * @param {Object|null} pairing - The match's scheduled pairing ({ status, outcomes, walkoverIds })
+ * @returns {Array} Result rows: [{ participant_id, result }]
+ */
+export const getPairingResults = (participantIds, pairing) => {
+  if (pairing?.status === 'walkover') {
+    return (pairing.walkoverIds || []).map(participantId => ({ participant_id: participantId, result: 'win' }));
+  }
+
+  if (pairing?.status !== 'completed') return [];
+
+  return (pairing.outcomes || [])
+    .filter(o => participantIds.includes(o.participantId))
+    .map(o => ({ participant_id: o.participantId, result: o.result }));
+};
+
+/**
+ * Rank a round-robin cohort
+ * @param {Array<string>} participantIds - Cohort in seating order
+ * @param {Array} results - Result rows of every finished match
+ * @returns {Array} [{ participantId, rank, points, wins, losses, ties, played }], best first
+ */
+export const getRoundRobinStandings = (participantIds, results) => {
+  const standings = tallyStandings(results);
+  const empty = { points: 0, wins: 0, losses: 0, ties: 0, played: 0 };
+
+  // Equal points: more wins first, then seating order
+  const ranked = participantIds
+    .map(participantId => ({ participantId, ...(standings[participantId] || empty) }))
+    .sort((a, b) => b.points - a.points || b.wins - a.wins);
+
+  return ranked.map((entry, i) => ({ ...entry, rank: i + 1 }));
+};
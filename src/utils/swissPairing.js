@@ -0,0 +1,119 @@
+import { computeBatchPairing } from './batchPairing.js';
+import { getTimesPlayed } from './rematchPolicy.js';
+
+/**
+ * Swiss-system pairing
+ *
+ * Pairing systems (config.matchmaking.pairingSystem, a study's `pairingSystem` or a
+ * lobby's settings.pairingSystem):
+ * - skill: the queue is matched by skill level (matching strategies, skill window)
+ * - swiss: everyone waiting in a round is paired together by standings
+ *
+ * Standings are the players' records in tournament_results over the Swiss matches of
+ * their pool (a win is worth 1 point, a tie 1/2). Players are paired with others on the same or the closest score,
+ * never with someone they have played before. With an odd number of players the
+ * lowest-ranked player who hasn't had one yet gets a bye: a match against an AI.
+ */
+
+export const PAIRING_SYSTEMS = ['skill', 'swiss'];
+
+const RESULT_POINTS = { win: 1, tie: 0.5, loss: 0 };
+
+// Leaving someone unpaired costs more than any pairing, so as many players as possible are paired
+const UNPAIRED_COST = 1e6;
+
+// Among equal score differences, prefer opponents close in the ranking
+const RANK_WEIGHT = 0.001;
+
+/**
+ * Check that a pairing system is known
+ * @param {string} name - Pairing system
+ * @returns {boolean} Whether the pairing system exists
+ */
+export const isValidPairingSystem = (name) => PAIRING_SYSTEMS.includes(name);
+
+/**
+ * Add up each player's record from their match results
+ * @param {Array} results - tournament_results rows { participant_id, result }
+ * @returns {Object} participantId -> { points, wins, losses, ties, played }
+ */
+export const tallyStandings = (results) => {
+  const standings = {};
+
+  for (const { participant_id: participantId, result } of results) {
+    if (!(result in RESULT_POINTS)) continue;
+
+    const record = standings[participantId] || { points: 0, wins: 0, losses: 0, ties: 0, played: 0 };
+    standings[participantId] = {
+      points: record.points + RESULT_POINTS[result],
+      wins: record.wins + (result === 'win' ? 1 : 0),
+      losses: record.losses + (result === 'loss' ? 1 : 0),
+      ties: record.ties + (result === 'tie' ? 1 : 0),
+      played: record.played + 1
+    };
+  }
+
+  return standings;
+};
+
+/**
+ * Rank players by points (queue order among equal scores)
+ * @param {Array} entries - Queue entries in queue order
+ * @param {Object} standings - participantId -> { points }
+ * @returns {Array} Entries, best first
+ */
+export const rankByStandings = (entries, standings) => {
+  const points = (entry) => standings[entry.participantId]?.points || 0;
+  // Array.prototype.sort is stable, so equal scores stay in queue order
+  return [...entries].sort((a, b) => points(b) - points(a));
+};
+
+/**
+ * Pair the players waiting in a Swiss round
+ * @param {Array} entries - Queue entries in queue order
+ * @param {Object} options
+ * @param {Object} options.standings - participantId -> { points }
+ * @param {Object} options.histories - participantId -> opponent history (opponentId -> times played)
+ * @param {Array<string>} options.byes - Players who already had a bye
+ * @param {Function} options.canPair - (a, b) => whether the pair is allowed otherwise (treatment rules)
+ * @param {Function} options.canTakeBye - (entry) => whether the player may get an AI bye
+ * @param {number} options.exactMaxSize - Largest round solved exactly
+ * @returns {Object} { pairs: [[a, b], ...], bye: entry|null, unmatched: [...] }
+ */
+export const pairSwiss = (entries, options = {}) => {
+  const {
+    standings = {},
+    histories = {},
+    byes = [],
+    canPair = () => true,
+    canTakeBye = () => true,
+    exactMaxSize
+  } = options;
+
+  const ranked = rankByStandings(entries, standings);
+  const rank = new Map(ranked.map((entry, i) => [entry.participantId, i]));
+  const points = (entry) => standings[entry.participantId]?.points || 0;
+
+  let players = ranked;
+  let bye = null;
+  if (players.length % 2 === 1) {
+    const eligible = players.filter(canTakeBye);
+    const fresh = eligible.filter(entry => !byes.includes(entry.participantId));
+    bye = (fresh.length > 0 ? fresh : eligible).at(-1) || null;
+    players = players.filter(entry => entry !== bye);
+  }
+
+  const { pairs, unmatched } = computeBatchPairing(players, {
+    exactMaxSize,
+    pairCost: (a, b) => {
+      if (!canPair(a, b)) return null;
+      if (getTimesPlayed(histories[a.participantId], b.participantId) > 0) return null;
+
+      const scoreDiff = points(a) - points(b);
+      return scoreDiff * scoreDiff + RANK_WEIGHT * Math.abs(rank.get(a.participantId) - rank.get(b.participantId));
+    },
+    unmatchedCost: () => UNPAIRED_COST
+  });
+
+  return { pairs, bye, unmatched };
+};
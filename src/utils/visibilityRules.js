@@ -0,0 +1,177 @@
+/**
+ * Match visibility rules, set per treatment group
+ *
+ * Each rule decides what a participant may see about their opponents:
+ * - opponentName: who the opponents are (names, IDs, skill levels, whether they are AI)
+ * - opponentScore: opponents' live scores and answers during the match
+ * - opponentProgress: whether opponents have answered yet (and what AI opponents are doing)
+ * - opponentResult: opponents' final scores and the win/loss outcome
+ *
+ * Rules come from config.matchmaking.visibility.groups, keyed by treatment group, as a
+ * preset name ('full' or 'blind') or an object overriding single rules of the default.
+ * Hidden data is removed before an event is sent, so it never reaches the client.
+ */
+
+export const VISIBILITY_RULES = ['opponentName', 'opponentScore', 'opponentProgress', 'opponentResult'];
+
+export const VISIBILITY_PRESETS = {
+  full: { opponentName: true, opponentScore: true, opponentProgress: true, opponentResult: true },
+  blind: { opponentName: false, opponentScore: false, opponentProgress: false, opponentResult: false }
+};
+
+const DEFAULT_TREATMENT_GROUP = 'control';
+
+// Match fields that tell a player whether (or which) opponents are AI, or who was replaced
+const AI_FIELDS = ['isAI', 'aiSettings', 'ai_seats', 'pairing_rule', 'substituted', 'substitutions'];
+
+const parseField = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const resolvePreset = (setting, base) => {
+  if (typeof setting === 'string') {
+    // An unknown preset must not reveal anything by accident
+    return VISIBILITY_PRESETS[setting] || VISIBILITY_PRESETS.blind;
+  }
+
+  const rules = { ...base };
+  for (const rule of VISIBILITY_RULES) {
+    if (typeof setting?.[rule] === 'boolean') rules[rule] = setting[rule];
+  }
+  return rules;
+};
+
+/**
+ * Resolve the visibility rules of a treatment group
+ * @param {string} treatmentGroup - Participant's treatment group
+ * @param {Object} settings - { defaultRules, groups }
+ * @returns {Object} { opponentName, opponentScore, opponentProgress, opponentResult }
+ */
+export const getVisibilityRules = (treatmentGroup, settings = {}) => {
+  const { defaultRules = 'full', groups = {} } = settings;
+  const defaults = resolvePreset(defaultRules, VISIBILITY_PRESETS.full);
+  const groupSetting = groups[treatmentGroup || DEFAULT_TREATMENT_GROUP];
+
+  return groupSetting === undefined ? defaults : resolvePreset(groupSetting, defaults);
+};
+
+/**
+ * Get the treatment group of every human in a match
+ * @param {Object} match - Match data (from the engine or Redis)
+ * @returns {Object} participantId -> treatment group
+ */
+export const getMatchTreatmentGroups = (match) => {
+  if (!match?.treatment_groups) return {};
+  return typeof match.treatment_groups === 'string'
+    ? JSON.parse(match.treatment_groups)
+    : match.treatment_groups;
+};
+
+/**
+ * Keep only the viewer's own entry of a participantId-keyed map unless opponents' data is visible
+ * @param {Object} byParticipant - participantId -> value (scores, answers)
+ * @param {string} viewerId - Participant receiving the data
+ * @param {boolean} visible - Whether opponents' entries may be shown
+ * @returns {Object} Map the viewer may see
+ */
+export const redactOpponents = (byParticipant, viewerId, visible) => {
+  if (visible || !byParticipant) return byParticipant;
+  return viewerId in byParticipant ? { [viewerId]: byParticipant[viewerId] } : {};
+};
+
+/**
+ * Remove what the viewer may not see from a match result
+ * @param {Object} outcome - { score, opponentId, opponentScore, result, ... }
+ * @param {Object} rules - Viewer's visibility rules
+ * @returns {Object} Outcome the viewer may see
+ */
+export const redactOutcome = (outcome, rules) => {
+  const { opponentId, opponentScore, result, ...own } = outcome;
+  return {
+    ...own,
+    ...(rules.opponentName ? { opponentId } : {}),
+    ...(rules.opponentResult ? { opponentScore, result } : {})
+  };
+};
+
+/**
+ * Give a viewer's opponents aliases for one match ('opponent-1', 'opponent-2', ... in seat
+ * order), so opponents can be told apart without revealing who they are. A substitute
+ * keeps the alias of the player it replaced.
+ * @param {Object} match - Match data (from the engine or Redis)
+ * @param {string} viewerId - Participant receiving the data
+ * @returns {Map} participantId -> alias
+ */
+export const getOpponentAliases = (match, viewerId) => {
+  const participants = parseField(match.participants);
+  const seatIds = participants
+    ? participants.map(m => m.participant_id)
+    : [match.participant1_id, match.participant2_id, parseField(match.opponent)?.participant_id];
+
+  const aliases = new Map();
+  for (const id of seatIds) {
+    if (id && id !== viewerId && !aliases.has(id)) aliases.set(id, `opponent-${aliases.size + 1}`);
+  }
+
+  for (const { original_id: originalId, substitute_id: substituteId } of parseField(match.substitutions) || []) {
+    if (originalId !== viewerId && aliases.has(substituteId)) aliases.set(originalId, aliases.get(substituteId));
+  }
+
+  return aliases;
+};
+
+/**
+ * Replace opponents' identities in the match data a participant receives
+ * @param {Object} matchData - Match data built for the viewer (match_found, match_proposed, opponent_substituted)
+ * @param {string} viewerId - Participant receiving the data
+ * @param {Object} rules - Viewer's visibility rules
+ * @param {Object} match - The match the data is about (defaults to matchData), for opponent aliases
+ * @returns {Object} Match data the viewer may see
+ */
+export const redactMatchData = (matchData, viewerId, rules, match = matchData) => {
+  // Players never see the treatment groups of a match
+  const redacted = { ...matchData };
+  delete redacted.treatment_groups;
+  if (rules.opponentName) return redacted;
+
+  for (const field of AI_FIELDS) delete redacted[field];
+
+  const aliases = getOpponentAliases(match, viewerId);
+  const alias = (id) => (!id || id === viewerId ? id : aliases.get(id) || 'opponent');
+
+  const participants = parseField(redacted.participants);
+
+  // Group opponents are numbered in seat order, the same in `participants` and `members`
+  const opponentIds = (participants || []).map(m => m.participant_id).filter(id => id !== viewerId);
+  const anonymous = (member) => member.participant_id === viewerId
+    ? member
+    : { participant_id: alias(member.participant_id), name: `Opponent ${opponentIds.indexOf(member.participant_id) + 1}` };
+
+  for (const role of ['participant1', 'participant2']) {
+    if (redacted[`${role}_id`] !== viewerId && redacted[`${role}_name`] !== undefined) {
+      redacted[`${role}_name`] = 'Opponent';
+    }
+  }
+
+  for (const field of ['participant1_id', 'participant2_id', 'abandonedParticipantId', 'substituteId']) {
+    if (redacted[field] !== undefined) redacted[field] = alias(redacted[field]);
+  }
+
+  if (redacted.participant_ids) {
+    const ids = parseField(redacted.participant_ids).map(alias);
+    redacted.participant_ids = typeof redacted.participant_ids === 'string' ? JSON.stringify(ids) : ids;
+  }
+
+  if (redacted.opponent) {
+    const opponent = parseField(redacted.opponent);
+    redacted.opponent = JSON.stringify({ name: 'Opponent', participant_id: alias(opponent.participant_id) });
+  }
+
+  if (participants) {
+    redacted.participants = participants.map(anonymous);
+  }
+
+  if (redacted.members) {
+    redacted.members = redacted.members.map(anonymous);
+  }
+
+  return redacted;
+};
@@ -0,0 +1,82 @@
+/**
+ * Wait-time estimation
+ *
+ * Estimates how much longer a participant will wait for a match from what the
+ * round has recently seen:
+ *
+ * 1. recent_matches: recorded time-to-match of recent matches. The estimate is the
+ *    median of the waits longer than the participant has already waited (minus that
+ *    time), with the 10th-90th percentile as the range.
+ * 2. arrival_rate: with too few matches, the time until the next arrival of a
+ *    compatible participant, treating arrivals as a Poisson process.
+ * 3. timeout: with no data at all, anywhere up to the AI fallback timeout.
+ *
+ * Estimates are capped at the remaining time to the AI fallback deadline, since an
+ * AI opponent fills in then.
+ */
+
+const DEFAULT_OPTIONS = {
+  windowMs: 30 * 60 * 1000, // Only data from the last 30 minutes counts
+  minSamples: 5
+};
+
+/**
+ * Value at a quantile of a sorted array (linear interpolation)
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} Value at the quantile
+ */
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return 0;
+
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Estimate the remaining wait for a participant
+ * @param {Object} data - Recent round data
+ * @param {Array} data.samples - Recorded matches { waitMs, matchedAt }
+ * @param {Array<number>} data.arrivals - Recent arrival times of compatible participants
+ * @param {number} data.waitingAhead - Compatible participants already waiting
+ * @param {number} data.waitedMs - How long the participant has already waited
+ * @param {number|null} data.timeoutMs - AI fallback timeout (null if AI never fills in)
+ * @param {number} now - Current time
+ * @param {Object} options - { windowMs, minSamples }
+ * @returns {Object} { seconds, low, high, basis, sampleSize }
+ */
+export const estimateWaitTime = (data, now = Date.now(), options = {}) => {
+  const { windowMs, minSamples } = { ...DEFAULT_OPTIONS, ...options };
+  const { samples = [], arrivals = [], waitingAhead = 0, waitedMs = 0, timeoutMs = null } = data;
+
+  const remainingToTimeout = timeoutMs === null ? Infinity : Math.max(0, timeoutMs - waitedMs);
+  const toResult = (pointMs, lowMs, highMs, basis, sampleSize) => {
+    const cap = (ms) => Math.round(Math.min(Math.max(ms, 0), remainingToTimeout) / 1000);
+    return { seconds: cap(pointMs), low: cap(lowMs), high: cap(highMs), basis, sampleSize };
+  };
+
+  // Waits longer than the participant has already waited tell us about the rest of theirs
+  const waits = samples
+    .filter(sample => now - sample.matchedAt <= windowMs && sample.waitMs >= waitedMs)
+    .map(sample => sample.waitMs - waitedMs)
+    .sort((a, b) => a - b);
+
+  if (waits.length >= minSamples) {
+    return toResult(quantile(waits, 0.5), quantile(waits, 0.1), quantile(waits, 0.9), 'recent_matches', waits.length);
+  }
+
+  // Someone compatible is already waiting: a partner is likely on the next pass
+  const recentArrivals = arrivals.filter(arrivedAt => now - arrivedAt <= windowMs);
+  if (recentArrivals.length > 0) {
+    const ratePerMs = recentArrivals.length / windowMs;
+    if (waitingAhead > 0) {
+      return toResult(0, 0, -Math.log(0.1) / ratePerMs, 'arrival_rate', recentArrivals.length);
+    }
+    return toResult(1 / ratePerMs, -Math.log(0.9) / ratePerMs, -Math.log(0.1) / ratePerMs, 'arrival_rate', recentArrivals.length);
+  }
+
+  const upperMs = timeoutMs === null ? windowMs : remainingToTimeout;
+  return toResult(upperMs, 0, upperMs, 'timeout', 0);
+};